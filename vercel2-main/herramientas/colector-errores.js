@@ -0,0 +1,83 @@
+/**
+ * Colector de errores local - Recibe los lotes de js/monitoreo.js
+ *
+ * Servidor mínimo (solo módulos de Node) para probar el reporte de errores
+ * sin un servicio de monitoreo real: acepta el POST de cada lote (fetch o
+ * navigator.sendBeacon), lo muestra en consola y responde 204.
+ *
+ * Uso:
+ *   npm run colector                  # escucha en http://localhost:8081/api/errores
+ *   PUERTO=9000 npm run colector
+ *
+ * y en config.json:
+ *   { "reporteErrores": "http://localhost:8081/api/errores" }
+ *
+ * @module herramientas/colector-errores
+ */
+
+import { createServer } from 'node:http';
+
+/**
+ * Puerto en el que escucha (variable de entorno PUERTO)
+ * @constant {number}
+ */
+const PUERTO = Number(process.env.PUERTO) || 8081;
+
+/**
+ * Ruta que recibe los lotes
+ * @constant {string}
+ */
+const RUTA = '/api/errores';
+
+/**
+ * Cabeceras CORS: la aplicación se sirve desde otro origen (otro puerto)
+ * @constant {Object<string, string>}
+ */
+const CABECERAS_CORS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+/**
+ * Muestra un lote recibido, un error por línea
+ *
+ * @function mostrarLote
+ * @param {Object} lote - Cuerpo del POST ({version, navegador, pagina, errores})
+ */
+function mostrarLote({ version, pagina, errores = [] }) {
+    console.log(`\n📥 ${new Date().toLocaleTimeString()} - ${errores.length} error(es) de ${pagina} (v${version})`);
+    errores.forEach(({ mensaje, error, status, endpoint, accion, repeticiones }) => {
+        const causa = error ? `${error.nombre}: ${error.mensaje}` : '';
+        const http = status ? ` [${status} ${endpoint ?? ''}]` : '';
+        console.log(`  • ${mensaje ?? ''} ${causa}${http}${accion ? ` tras ${accion}` : ''} ×${repeticiones}`);
+    });
+}
+
+const servidor = createServer((request, response) => {
+    if (request.method === 'OPTIONS') {
+        response.writeHead(204, CABECERAS_CORS).end();
+        return;
+    }
+    if (request.method !== 'POST' || request.url !== RUTA) {
+        response.writeHead(404, CABECERAS_CORS).end();
+        return;
+    }
+
+    let cuerpo = '';
+    request.setEncoding('utf8');
+    request.on('data', parte => { cuerpo += parte; });
+    request.on('end', () => {
+        try {
+            mostrarLote(JSON.parse(cuerpo));
+            response.writeHead(204, CABECERAS_CORS).end();
+        } catch {
+            console.warn('⚠️ Lote que no es JSON:', cuerpo.slice(0, 200));
+            response.writeHead(400, CABECERAS_CORS).end();
+        }
+    });
+});
+
+servidor.listen(PUERTO, () => {
+    console.log(`Colector de errores escuchando en http://localhost:${PUERTO}${RUTA} (Ctrl+C para terminar)`);
+});
@@ -9,6 +9,13 @@
  * @author Sistema de Gestión de Usuarios
  * @version 1.0.0
  *
+ * @requires ./config.js - Configuración de la API resuelta en tiempo de ejecución
+ * @requires ./auth.js - Token de sesión para la cabecera Authorization
+ * @requires ./mock.js - Backend simulado (solo con API_CONFIG.MOCK)
+ * @requires ./monitoreo.js - Reporte de los errores de Logger.error
+ * @requires ./password.js - Política de contraseñas
+ * @requires ./i18n.js - Mensajes de error en el idioma de la interfaz
+ *
  * @example
  * // Importar el módulo API
  * import { API, ApiError } from './api.js';
@@ -24,23 +31,20 @@
  * });
  */
 
-/**
- * Configuración global de la API
- * @constant {Object} API_CONFIG
- * @property {string} BASE_URL - URL base de la API REST en Render
- * @property {Object} HEADERS - Cabeceras HTTP por defecto para todas las peticiones
- * @property {number} TIMEOUT - Tiempo máximo de espera en milisegundos (10 segundos)
- * @property {boolean} DEBUG_MODE - Modo debug (true en desarrollo, false en producción)
- */
-const API_CONFIG = {
-    BASE_URL: 'https://usuarios-mvgv.onrender.com/api/usuarios',
-    HEADERS: {
-        'Content-Type': 'application/json'
-    },
-    TIMEOUT: 10000, // 10 segundos
-    // ✅ CONFIGURACIÓN: Cambiar a false en producción
-    DEBUG_MODE: true  // true = desarrollo, false = producción
-};
+// Configuración resuelta en tiempo de ejecución (URL, config.json, localStorage)
+import { API_CONFIG } from './config.js';
+// Sesión del usuario autenticado (token para la cabecera Authorization)
+import { Auth } from './auth.js';
+// Backend simulado en localStorage (desarrollo y página de pruebas)
+import { Mock } from './mock.js';
+// Envío de los errores a un servicio de monitoreo
+import { Monitoreo } from './monitoreo.js';
+// Política de contraseñas configurable por despliegue
+import { Password } from './password.js';
+// Campos del usuario y sus reglas de validación
+import { Esquema } from './esquema.js';
+// Mensajes para el usuario en el idioma elegido
+import { t } from './i18n.js';
 
 /**
  * Sistema de logging configurable
@@ -48,7 +52,9 @@ const API_CONFIG = {
  * Proporciona métodos de logging que se activan/desactivan según DEBUG_MODE.
  * En producción (DEBUG_MODE = false), los logs no se muestran en consola.
  *
- * IMPORTANTE: Cambiar API_CONFIG.DEBUG_MODE a false antes de desplegar.
+ * IMPORTANTE: Desactivar DEBUG_MODE en producción ("debugMode": false en config.json).
+ * Los errores se envían además al endpoint de monitoreo, si está configurado
+ * ("reporteErrores" en config.json, ver js/monitoreo.js), con o sin DEBUG_MODE.
  *
  * @namespace Logger
  * @type {Object}
@@ -73,16 +79,14 @@ const Logger = {
     },
 
     /**
-     * Log de error (siempre se muestra, en producción se enviaría a servicio externo)
-     * @param {...any} args - Argumentos a loguear
+     * Log de error (en consola solo en modo debug; siempre se reporta al monitoreo)
+     * @param {...any} args - Argumentos a loguear (mensaje y error)
      */
     error(...args) {
         if (API_CONFIG.DEBUG_MODE) {
             console.error('[ERROR]', ...args);
-        } else {
-            // TODO: En producción, enviar a servicio de monitoreo (Sentry, LogRocket, etc.)
-            // Ejemplo: Sentry.captureException(args[0]);
         }
+        Monitoreo.registrar(...args);
     },
 
     /**
@@ -109,6 +113,8 @@ const Logger = {
  * @property {string} message - Mensaje descriptivo del error
  * @property {number} status - Código de estado HTTP (400, 404, 500, etc.)
  * @property {Object|null} details - Detalles adicionales del error desde el backend
+ * @property {string|null} endpoint - URL de la petición que falló (si se conoce)
+ * @property {Object<string, string>|null} campos - Errores por campo ({email: 'mensaje'}) si el backend los indica
  *
  * @example
  * // El backend retorna un error 409 (Conflict)
@@ -123,15 +129,53 @@ class ApiError extends Error {
      * @param {string} message - Mensaje descriptivo del error
      * @param {number} status - Código de estado HTTP
      * @param {Object|null} [details=null] - Información adicional del error
+     * @param {string|null} [endpoint=null] - URL de la petición que falló
      */
-    constructor(message, status, details = null) {
+    constructor(message, status, details = null, endpoint = null) {
         super(message);
         this.name = 'ApiError';
         this.status = status;
         this.details = details;
+        this.endpoint = endpoint;
+        this.campos = extraerErroresDeCampo(details);
     }
 }
 
+/**
+ * Extrae los errores por campo de la respuesta de error del backend
+ *
+ * Formatos reconocidos (se toma el primer mensaje de cada campo):
+ * - `detalles: [{campo, mensaje}]`
+ * - Spring: `fieldErrors` o `errors` con `[{field, defaultMessage}]` (o `message`)
+ *
+ * Los `detalles` que son solo texto no indican campo y no se incluyen.
+ *
+ * @function extraerErroresDeCampo
+ * @param {*} datos - Cuerpo de la respuesta de error
+ * @returns {Object<string, string>|null} Mensaje por campo o null si no hay
+ *
+ * @example
+ * extraerErroresDeCampo({ fieldErrors: [{ field: 'email', defaultMessage: 'formato inválido' }] });
+ * // { email: 'formato inválido' }
+ */
+function extraerErroresDeCampo(datos) {
+    if (!datos || typeof datos !== 'object') return null;
+
+    const campos = {};
+    [datos.detalles, datos.fieldErrors, datos.errors].forEach(lista => {
+        if (!Array.isArray(lista)) return;
+
+        lista.forEach(item => {
+            const campo = item?.campo ?? item?.field;
+            const mensaje = item?.mensaje ?? item?.defaultMessage ?? item?.message;
+            if (campo && mensaje && !(campo in campos)) {
+                campos[campo] = String(mensaje);
+            }
+        });
+    });
+    return Object.keys(campos).length > 0 ? campos : null;
+}
+
 /**
  * Maneja las respuestas HTTP y errores de la API
  *
@@ -167,25 +211,48 @@ async function handleResponse(response) {
 
     // Si la respuesta no es exitosa (status >= 400)
     if (!response.ok) {
-        const errorMessage = data.detalles
-            ? data.detalles.join(', ')
-            : data.error || 'Error desconocido';
+        // detalles puede traer textos o {campo, mensaje}; Spring solo fieldErrors
+        const campos = extraerErroresDeCampo(data);
+        const errorMessage = Array.isArray(data.detalles)
+            ? data.detalles.map(d => (typeof d === 'object' ? d?.mensaje ?? d?.message : d)).join(', ')
+            : campos ? Object.values(campos).join(', ') : data.error || t('errores.desconocido');
 
         throw new ApiError(
             errorMessage,
             response.status,
-            data
+            data,
+            response.url || null
         );
     }
 
     return data;
 }
 
+/**
+ * Envía una petición al backend configurado
+ *
+ * Con API_CONFIG.MOCK la atiende el backend simulado (js/mock.js) en lugar
+ * de la red; el resto de la capa (timeout, reintentos, handleResponse) no
+ * cambia.
+ *
+ * @function enviarPeticion
+ * @param {string} url - URL completa de la petición
+ * @param {Object} options - Opciones de fetch
+ * @returns {Promise<Response>} Respuesta del backend real o simulado
+ */
+function enviarPeticion(url, options) {
+    return API_CONFIG.MOCK ? Mock.fetch(url, options) : fetch(url, options);
+}
+
 /**
  * Realiza una petición HTTP con timeout automático
  *
  * Utiliza AbortController para cancelar peticiones que exceden el tiempo límite.
  * Previene que peticiones lentas bloqueen la interfaz de usuario.
+ * Si options.signal se cancela (p.ej. una consulta que quedó vieja) se
+ * propaga el AbortError tal cual, no como timeout.
+ * Agrega la cabecera Authorization con el token de la sesión actual (si existe),
+ * leída en cada intento para que los reintentos tras un login usen el token nuevo.
  *
  * @async
  * @function fetchWithTimeout
@@ -193,6 +260,7 @@ async function handleResponse(response) {
  * @param {Object} [options={}] - Opciones de configuración para fetch (method, headers, body, etc.)
  * @returns {Promise<Response>} - Promesa que resuelve con la respuesta HTTP
  * @throws {ApiError} - Error 408 (Request Timeout) si excede API_CONFIG.TIMEOUT
+ * @throws {DOMException} - AbortError si se canceló options.signal
  * @throws {Error} - Otros errores de red o fetch
  *
  * @example
@@ -205,21 +273,600 @@ async function handleResponse(response) {
 async function fetchWithTimeout(url, options = {}) {
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), API_CONFIG.TIMEOUT);
+    const cancelar = () => controller.abort();
+    if (options.signal?.aborted) {
+        cancelar();
+    }
+    options.signal?.addEventListener('abort', cancelar, { once: true });
 
     try {
-        const response = await fetch(url, {
+        const response = await enviarPeticion(url, {
             ...options,
+            headers: { ...options.headers, ...Auth.obtenerCabeceras() },
             signal: controller.signal
         });
         clearTimeout(timeoutId);
         return response;
     } catch (error) {
         clearTimeout(timeoutId);
-        if (error.name === 'AbortError') {
-            throw new ApiError('La petición excedió el tiempo de espera', 408);
+        if (error.name === 'AbortError' && !options.signal?.aborted) {
+            throw new ApiError(t('errores.timeout'), 408, null, url);
         }
         throw error;
+    } finally {
+        options.signal?.removeEventListener('abort', cancelar);
+    }
+}
+
+/**
+ * Códigos HTTP transitorios que justifican reintentar la petición
+ * @constant {Array<number>}
+ */
+const ESTADOS_REINTENTABLES = [429, 502, 503, 504];
+
+/**
+ * Métodos HTTP idempotentes: repetirlos no produce efectos adicionales
+ * @constant {Array<string>}
+ */
+const METODOS_IDEMPOTENTES = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+/**
+ * Eliminaciones simultáneas por defecto en API.eliminarUsuarios()
+ * @constant {number}
+ */
+const CONCURRENCIA_ELIMINACION = 3;
+
+/**
+ * Tiempo durante el cual una lectura en caché se considera vigente (30 segundos).
+ * Pasado ese tiempo se sigue usando, pero se revalida en segundo plano.
+ * @constant {number}
+ */
+const TTL_CACHE = 30000;
+
+/**
+ * Suscriptores notificados cuando una petición entra o sale de reintentos
+ * @type {Set<Function>}
+ */
+const suscriptoresReintento = new Set();
+
+/**
+ * Cantidad de peticiones actualmente en ciclo de reintentos
+ * @type {number}
+ */
+let peticionesReintentando = 0;
+
+/**
+ * Notifica a los suscriptores un cambio en el estado de reintentos
+ *
+ * @function notificarReintento
+ * @param {Object} estado - {reintentando: true, intento, totalIntentos, esperaMs, motivo}
+ *                          o {reintentando: false} cuando no queda ninguna petición reintentando
+ */
+function notificarReintento(estado) {
+    suscriptoresReintento.forEach(callback => {
+        try {
+            callback(estado);
+        } catch (error) {
+            Logger.error('Error en suscriptor de reintentos:', error);
+        }
+    });
+}
+
+/**
+ * Calcula la espera antes de un reintento (backoff exponencial con jitter)
+ *
+ * La espera base se duplica en cada intento (RETRASO_BASE, 2x, 4x...) hasta
+ * RETRASO_MAXIMO, y se elige al azar entre la mitad y el total de ese valor
+ * para que varios clientes no reintenten todos a la vez.
+ *
+ * @function calcularEsperaReintento
+ * @param {number} intento - Número del intento que falló (1 = primer intento)
+ * @returns {number} Milisegundos a esperar
+ *
+ * @example
+ * // Con RETRASO_BASE = 1000: intento 1 → 500-1000ms, intento 2 → 1000-2000ms
+ * calcularEsperaReintento(2);
+ */
+function calcularEsperaReintento(intento) {
+    const exponencial = Math.min(API_CONFIG.RETRASO_MAXIMO, API_CONFIG.RETRASO_BASE * 2 ** (intento - 1));
+    return Math.round(exponencial / 2 + Math.random() * (exponencial / 2));
+}
+
+/**
+ * Lee la cabecera Retry-After (segundos o fecha HTTP)
+ *
+ * @function leerRetryAfter
+ * @param {Response} response - Respuesta 429 o 503
+ * @returns {number|null} Milisegundos a esperar o null si no hay cabecera válida
+ */
+function leerRetryAfter(response) {
+    const valor = response.headers.get('retry-after');
+    if (!valor) return null;
+
+    const segundos = Number(valor);
+    if (Number.isFinite(segundos)) {
+        return Math.max(0, segundos * 1000);
     }
+
+    const fecha = Date.parse(valor);
+    return Number.isNaN(fecha) ? null : Math.max(0, fecha - Date.now());
+}
+
+/**
+ * Indica si una petición puede repetirse sin riesgo de duplicar efectos
+ *
+ * GET, PUT y DELETE son idempotentes. POST solo se considera seguro si
+ * lleva cabecera Idempotency-Key (el backend descarta los duplicados).
+ *
+ * Un PUT con If-Match no se repite: si el primer intento se aplicó pero la
+ * respuesta se perdió, el reintento llevaría la versión ya reemplazada y
+ * el backend respondería un 412 (conflicto) que no existe.
+ *
+ * @function esReintentable
+ * @param {Object} options - Opciones de fetch (method, headers)
+ * @returns {boolean} true si la petición admite reintentos
+ */
+function esReintentable(options) {
+    const metodo = (options.method || 'GET').toUpperCase();
+    if (metodo === 'PUT' && options.headers?.['If-Match']) {
+        return false;
+    }
+    if (METODOS_IDEMPOTENTES.includes(metodo)) {
+        return true;
+    }
+    return Boolean(options.headers && options.headers['Idempotency-Key']);
+}
+
+/**
+ * Realiza una petición HTTP con timeout y reintentos automáticos
+ *
+ * Reintenta peticiones idempotentes ante fallos transitorios: timeout (408),
+ * error de red y respuestas 429/502/503/504. Entre intentos espera con
+ * backoff exponencial y jitter; en 429/503 respeta Retry-After siempre que
+ * no supere RETRASO_MAXIMO (si lo supera, devuelve la respuesta sin esperar).
+ * Cada intento dispone del TIMEOUT completo.
+ *
+ * Los suscriptores registrados con API.suscribirReintentos() reciben el
+ * intento en curso para mostrarlo en la interfaz.
+ *
+ * @async
+ * @function fetchConReintentos
+ * @param {string} url - URL completa de la petición HTTP
+ * @param {Object} [options={}] - Opciones de fetch (method, headers, body, etc.)
+ * @param {Object} [politica={}] - Política de reintentos
+ * @param {boolean} [politica.idempotente] - Fuerza si la petición se puede repetir
+ *        (p.ej. un POST de login, que no tiene efectos secundarios)
+ * @returns {Promise<Response>} Respuesta del último intento
+ * @throws {ApiError} Error 408 si todos los intentos excedieron el timeout
+ * @throws {Error} Error de red del último intento
+ *
+ * @example
+ * // Con REINTENTOS = 3: hasta 4 intentos si el servidor está despertando
+ * const response = await fetchConReintentos(API_CONFIG.BASE_URL, { method: 'GET' });
+ */
+async function fetchConReintentos(url, options = {}, { idempotente = esReintentable(options) } = {}) {
+    const totalIntentos = idempotente ? API_CONFIG.REINTENTOS + 1 : 1;
+    const metodo = (options.method || 'GET').toUpperCase();
+    let reintentando = false;
+
+    try {
+        for (let intento = 1; ; intento++) {
+            let espera;
+            let motivo;
+
+            try {
+                const response = await fetchWithTimeout(url, options);
+                if (intento >= totalIntentos || !ESTADOS_REINTENTABLES.includes(response.status)) {
+                    return response;
+                }
+
+                const retryAfter = response.status === 429 || response.status === 503
+                    ? leerRetryAfter(response)
+                    : null;
+                if (retryAfter !== null && retryAfter > API_CONFIG.RETRASO_MAXIMO) {
+                    return response;
+                }
+
+                espera = retryAfter ?? calcularEsperaReintento(intento);
+                motivo = `HTTP ${response.status}`;
+            } catch (error) {
+                // Timeout (ApiError 408) o fallo de red (fetch lanza TypeError)
+                const esTransitorio = (error instanceof ApiError && error.status === 408) ||
+                    error instanceof TypeError;
+                if (intento >= totalIntentos || !esTransitorio) {
+                    throw error;
+                }
+
+                espera = calcularEsperaReintento(intento);
+                motivo = error.message;
+            }
+
+            if (!reintentando) {
+                reintentando = true;
+                peticionesReintentando++;
+            }
+
+            Logger.warn(`Reintentando ${metodo} ${url} (intento ${intento + 1}/${totalIntentos}) en ${espera}ms: ${motivo}`);
+            notificarReintento({
+                reintentando: true,
+                intento: intento + 1,
+                totalIntentos,
+                esperaMs: espera,
+                motivo
+            });
+
+            await new Promise(resolve => setTimeout(resolve, espera));
+        }
+    } finally {
+        if (reintentando) {
+            peticionesReintentando--;
+            if (peticionesReintentando === 0) {
+                notificarReintento({ reintentando: false });
+            }
+        }
+    }
+}
+
+/**
+ * Callback registrado con API.registrarManejadorNoAutorizado()
+ * @type {Function|null}
+ */
+let manejadorNoAutorizado = null;
+
+/**
+ * Promesa de la reautenticación en curso (compartida por peticiones concurrentes)
+ * @type {Promise<boolean>|null}
+ */
+let reautenticacionEnCurso = null;
+
+/**
+ * Pide al usuario que vuelva a iniciar sesión
+ *
+ * Si varias peticiones reciben 401 a la vez, todas esperan el mismo login.
+ *
+ * @function reautenticar
+ * @returns {Promise<boolean>} true si el usuario inició sesión, false si canceló o no hay manejador
+ */
+function reautenticar() {
+    if (!manejadorNoAutorizado) {
+        return Promise.resolve(false);
+    }
+
+    if (!reautenticacionEnCurso) {
+        reautenticacionEnCurso = Promise.resolve()
+            .then(() => manejadorNoAutorizado())
+            .then(Boolean)
+            .catch(error => {
+                Logger.error('Error durante la reautenticación:', error);
+                return false;
+            })
+            .finally(() => {
+                reautenticacionEnCurso = null;
+            });
+    }
+    return reautenticacionEnCurso;
+}
+
+/**
+ * Realiza una petición autenticada y procesa la respuesta
+ *
+ * Combina fetchConReintentos y handleResponse. Si la sesión está expirada
+ * (claim exp) pide login antes de enviar; si el backend responde 401, descarta
+ * la sesión, pide login y, si el usuario lo completa, repite la petición una vez para que
+ * la acción interrumpida continúe sin que el usuario la repita.
+ *
+ * @async
+ * @function solicitar
+ * @param {string} url - URL completa de la petición HTTP
+ * @param {Object} [options={}] - Opciones de fetch (method, headers, body, etc.)
+ * @param {Object} [opciones={}] - Opciones de procesamiento
+ * @param {boolean} [opciones.incluirEtag=false] - Retornar {datos, etag} con la cabecera ETag
+ * @returns {Promise<Object|{success: boolean}>} Datos parseados por handleResponse
+ * @throws {ApiError} 401 si el usuario no inicia sesión, u otros errores de la API
+ */
+async function solicitar(url, options = {}, { incluirEtag = false } = {}) {
+    if (Auth.sesionExpirada()) {
+        Auth.cerrarSesion();
+        await reautenticar();
+    }
+
+    const enviar = async () => {
+        const response = await fetchConReintentos(url, options);
+        const datos = await handleResponse(response);
+        return incluirEtag ? { datos, etag: response.headers.get('ETag') } : datos;
+    };
+
+    try {
+        return await enviar();
+    } catch (error) {
+        if (error instanceof ApiError && error.status === 401) {
+            // El token no existe, expiró o fue revocado → descartar la sesión y pedir login
+            Auth.cerrarSesion();
+            if (await reautenticar()) {
+                return await enviar();
+            }
+        }
+        throw error;
+    }
+}
+
+/**
+ * Normaliza una respuesta de listado a un objeto de página
+ *
+ * El backend puede responder con una página estilo Spring Data
+ * (`{content, totalElements, totalPages, number, size}`) o con un array plano
+ * si no soporta paginación. En el segundo caso se devuelve la lista completa
+ * con `paginadoEnServidor: false` para que el llamador pagine en el cliente.
+ *
+ * @function normalizarPagina
+ * @param {Object|Array<Object>} data - Respuesta parseada del backend
+ * @param {Object} solicitud - Página solicitada
+ * @param {number} solicitud.pagina - Índice de página solicitado (base 0)
+ * @param {number} solicitud.tamanio - Tamaño de página solicitado
+ * @returns {{usuarios: Array<Object>, totalElementos: number, totalPaginas: number, pagina: number, tamanio: number, paginadoEnServidor: boolean}}
+ *
+ * @example
+ * normalizarPagina({content: [...], totalElements: 42, totalPages: 5, number: 1, size: 10},
+ *                  {pagina: 1, tamanio: 10});
+ * // {usuarios: [...], totalElementos: 42, totalPaginas: 5, pagina: 1, tamanio: 10, paginadoEnServidor: true}
+ */
+function normalizarPagina(data, { pagina, tamanio }) {
+    if (Array.isArray(data)) {
+        return {
+            usuarios: data,
+            totalElementos: data.length,
+            totalPaginas: Math.max(1, Math.ceil(data.length / tamanio)),
+            pagina,
+            tamanio,
+            paginadoEnServidor: false
+        };
+    }
+
+    const usuarios = Array.isArray(data?.content) ? data.content : [];
+    const tamanioReal = Number.isInteger(data?.size) && data.size > 0 ? data.size : tamanio;
+    const totalElementos = Number.isInteger(data?.totalElements) ? data.totalElements : usuarios.length;
+
+    return {
+        usuarios,
+        totalElementos,
+        totalPaginas: Number.isInteger(data?.totalPages)
+            ? Math.max(1, data.totalPages)
+            : Math.max(1, Math.ceil(totalElementos / tamanioReal)),
+        pagina: Number.isInteger(data?.number) ? data.number : pagina,
+        tamanio: tamanioReal,
+        paginadoEnServidor: true
+    };
+}
+
+/**
+ * Caché de lecturas GET por URL
+ *
+ * - tipo: 'lista' (obtenerUsuarios) o 'usuario' (obtenerUsuarioPorId)
+ * - datos: respuesta tal como la envió el backend (array, página o usuario)
+ * - etag: cabecera ETag de la respuesta (o null)
+ * - fecha: momento de la lectura (0 = vencida, se revalida en el próximo uso)
+ *
+ * @type {Map<string, {tipo: string, datos: *, etag: string|null, fecha: number}>}
+ */
+const cacheLecturas = new Map();
+
+/**
+ * Lecturas en vuelo por URL: dos pedidos simultáneos comparten la misma petición
+ * @type {Map<string, Promise<Object>>}
+ */
+const lecturasEnCurso = new Map();
+
+/**
+ * Se incrementa con cada modificación; una lectura que empezó antes no
+ * debe pisar los datos actualizados por la modificación
+ * @type {number}
+ */
+let generacionCache = 0;
+
+/**
+ * Realiza (o reutiliza, si ya está en vuelo) una lectura GET y la guarda en caché
+ *
+ * @function consultarYGuardar
+ * @param {string} url - URL de la lectura
+ * @param {string} tipo - 'lista' o 'usuario'
+ * @returns {Promise<{datos: *, etag: string|null, fecha: number}>} Entrada de caché
+ */
+function consultarYGuardar(url, tipo) {
+    if (lecturasEnCurso.has(url)) {
+        return lecturasEnCurso.get(url);
+    }
+
+    const generacion = generacionCache;
+    const promesa = solicitar(url, { method: 'GET', headers: API_CONFIG.HEADERS }, { incluirEtag: true })
+        .then(({ datos, etag }) => {
+            // Si hubo una modificación mientras tanto, la respuesta puede no incluirla
+            const entrada = { tipo, datos, etag, fecha: generacion === generacionCache ? Date.now() : 0 };
+            cacheLecturas.set(url, entrada);
+            return entrada;
+        })
+        .finally(() => lecturasEnCurso.delete(url));
+
+    lecturasEnCurso.set(url, promesa);
+    return promesa;
+}
+
+/**
+ * Lee una URL aplicando stale-while-revalidate
+ *
+ * - En caché y vigente (TTL_CACHE): se retorna sin petición
+ * - En caché y vencida: se retorna igual y se revalida en segundo plano;
+ *   si la respuesta nueva difiere, se entrega a `alRevalidar`
+ * - Sin caché o con `forzar`: se espera la petición
+ *
+ * @async
+ * @function leerConCache
+ * @param {string} url - URL de la lectura
+ * @param {string} tipo - 'lista' o 'usuario'
+ * @param {Object} [opciones={}] - Opciones de lectura
+ * @param {boolean} [opciones.forzar=false] - Ignorar la caché (recarga explícita)
+ * @param {Function} [opciones.alRevalidar] - Recibe la entrada nueva si cambió
+ * @returns {Promise<{datos: *, etag: string|null, fecha: number}>} Entrada de caché
+ */
+async function leerConCache(url, tipo, { forzar = false, alRevalidar = null } = {}) {
+    const entrada = cacheLecturas.get(url);
+    if (!entrada || forzar) {
+        return consultarYGuardar(url, tipo);
+    }
+
+    if (Date.now() - entrada.fecha >= TTL_CACHE) {
+        consultarYGuardar(url, tipo)
+            .then(nueva => {
+                if (alRevalidar && JSON.stringify(nueva.datos) !== JSON.stringify(entrada.datos)) {
+                    alRevalidar(nueva);
+                }
+            })
+            .catch(error => Logger.warn(`No se pudo revalidar ${url}:`, error));
+    }
+    return entrada;
+}
+
+/**
+ * Aplica a la caché el resultado de una modificación
+ *
+ * Evita volver a pedir la lista después de crear, editar o eliminar:
+ *
+ * - actualizar: reemplaza al usuario en cada lista y en su lectura por ID
+ * - eliminar: lo quita de cada lista y borra su lectura por ID
+ * - crear: lo agrega a las listas completas (array)
+ *
+ * En listas paginadas por el servidor, crear y eliminar cambian qué
+ * usuarios corresponden a cada página: se marcan vencidas para que la
+ * próxima lectura muestre la copia ajustada y la revalide.
+ *
+ * @function actualizarCache
+ * @param {string} operacion - 'crear', 'actualizar' o 'eliminar'
+ * @param {number} id - ID del usuario
+ * @param {Object|null} usuario - Usuario retornado por el backend (null al eliminar)
+ * @param {string|null} [etag=null] - ETag de la respuesta (crear y actualizar)
+ */
+function actualizarCache(operacion, id, usuario, etag = null) {
+    generacionCache++;
+    const urlUsuario = `${API_CONFIG.BASE_URL}/${id}`;
+
+    // El backend no devolvió el usuario (p.ej. 204): vencer todo y revalidar
+    if (operacion !== 'eliminar' && !Number.isInteger(usuario?.id)) {
+        cacheLecturas.forEach(entrada => { entrada.fecha = 0; });
+        cacheLecturas.delete(urlUsuario);
+        return;
+    }
+
+    cacheLecturas.forEach((entrada, url) => {
+        if (entrada.tipo !== 'lista') return;
+
+        const paginada = !Array.isArray(entrada.datos);
+        const lista = paginada ? entrada.datos?.content : entrada.datos;
+        if (!Array.isArray(lista)) {
+            cacheLecturas.delete(url);
+            return;
+        }
+
+        let nuevaLista = lista;
+        if (operacion === 'actualizar') {
+            nuevaLista = lista.map(u => (u.id === id ? { ...u, ...usuario } : u));
+        } else if (operacion === 'eliminar') {
+            nuevaLista = lista.filter(u => u.id !== id);
+        } else if (operacion === 'crear' && !paginada) {
+            nuevaLista = [...lista, usuario];
+        }
+
+        if (!paginada) {
+            entrada.datos = nuevaLista;
+            return;
+        }
+
+        const quitados = lista.length - nuevaLista.length;
+        entrada.datos = {
+            ...entrada.datos,
+            content: nuevaLista,
+            ...(Number.isInteger(entrada.datos.totalElements) && {
+                totalElements: entrada.datos.totalElements + (operacion === 'crear' ? 1 : -quitados)
+            })
+        };
+        if (operacion !== 'actualizar') {
+            entrada.fecha = 0;
+        }
+    });
+
+    if (operacion === 'eliminar') {
+        cacheLecturas.delete(urlUsuario);
+    } else if (usuario) {
+        cacheLecturas.set(urlUsuario, { tipo: 'usuario', datos: usuario, etag, fecha: Date.now() });
+    }
+}
+
+/**
+ * Busca un email en las listas guardadas en caché
+ *
+ * Respaldo de API.verificarEmailDisponible cuando el backend no responde
+ * la consulta. Solo una lista completa (array) prueba que el email está
+ * libre; una página puede no incluirlo.
+ *
+ * @function buscarEmailEnCache
+ * @param {Function} coincide - Recibe un usuario y retorna true si usa el email buscado
+ * @returns {boolean|null} false si está en uso, true si está libre, null si no se sabe
+ */
+function buscarEmailEnCache(coincide) {
+    let hayListaCompleta = false;
+
+    for (const entrada of cacheLecturas.values()) {
+        if (entrada.tipo !== 'lista') continue;
+
+        const lista = Array.isArray(entrada.datos) ? entrada.datos : entrada.datos?.content ?? [];
+        if (lista.some(coincide)) {
+            return false;
+        }
+        hayListaCompleta ||= Array.isArray(entrada.datos);
+    }
+    return hayListaCompleta ? true : null;
+}
+
+/**
+ * Valida un campo del usuario con las reglas del esquema
+ *
+ * Un campo opcional vacío es válido. Los campos que el objeto no trae
+ * (p.ej. una fila de CSV sin teléfono) solo fallan si son obligatorios.
+ *
+ * @function validarCampo
+ * @param {import('./esquema.js').CampoUsuario} campo - Definición del campo
+ * @param {*} valor - Valor a validar
+ * @returns {string|null} Mensaje de error o null si es válido
+ *
+ * @example
+ * validarCampo(Esquema.campo('telefono'), 'abc'); // 'El campo "Teléfono" no tiene un formato válido'
+ */
+function validarCampo(campo, valor) {
+    const etiqueta = t(campo.etiqueta);
+    const reglas = campo.reglas ?? {};
+
+    if (campo.tipo === 'booleano') {
+        return valor == null || typeof valor === 'boolean' ? null : t('validacion.formato', { campo: etiqueta });
+    }
+
+    const texto = typeof valor === 'string' ? valor.trim() : String(valor ?? '');
+    if (!texto) {
+        return campo.requerido ? t('validacion.obligatorio', { campo: etiqueta }) : null;
+    }
+    if (reglas.longitudMinima && texto.length < reglas.longitudMinima) {
+        return t('validacion.longitudMinima', { campo: etiqueta, cantidad: reglas.longitudMinima });
+    }
+    if (reglas.longitudMaxima && texto.length > reglas.longitudMaxima) {
+        return t('validacion.longitudMaxima', { campo: etiqueta, cantidad: reglas.longitudMaxima });
+    }
+    if (campo.tipo === 'email' && !API.esEmailValido(texto)) {
+        return t('validacion.emailInvalido');
+    }
+    if (reglas.patron && !reglas.patron.test(texto)) {
+        return t('validacion.formato', { campo: etiqueta });
+    }
+    if (reglas.opciones && !reglas.opciones.some(opcion => opcion.valor === texto)) {
+        return t('validacion.opcion', { campo: etiqueta, valor: texto });
+    }
+    return null;
 }
 
 /**
@@ -233,17 +880,37 @@ async function fetchWithTimeout(url, options = {}) {
  */
 export const API = {
     /**
-     * Obtiene la lista completa de usuarios del backend
+     * Obtiene la lista de usuarios del backend
+     *
+     * Sin argumentos realiza una petición GET a la colección completa y retorna
+     * el array de usuarios. Con un objeto de paginación, envía los parámetros
+     * `page`, `size` y `sort` (convención Spring Data), más `q` con el texto
+     * buscado si lo hay, y retorna una página
+     * normalizada (ver normalizarPagina). Si el backend ignora la paginación y
+     * responde con un array, la página trae la lista completa con
+     * `paginadoEnServidor: false`.
      *
-     * Realiza una petición GET a la API y retorna todos los usuarios registrados.
-     * Útil para poblar la tabla principal de usuarios.
+     * Las respuestas se guardan en caché (ver leerConCache): una lectura
+     * vigente no hace petición, y una vencida se retorna al instante y se
+     * revalida en segundo plano, entregando el resultado nuevo a `alRevalidar`.
+     * Crear, editar y eliminar actualizan la caché con su respuesta.
      *
      * @async
      * @memberof API
-     * @returns {Promise<Array<Object>>} Array de objetos usuario
+     * @param {Object} [paginacion] - Página a solicitar (omitir para obtener todos)
+     * @param {number} paginacion.pagina - Índice de página (base 0)
+     * @param {number} paginacion.tamanio - Cantidad de usuarios por página
+     * @param {{campo: string, direccion: string}} [paginacion.orden] - Ordenamiento en servidor
+     * @param {string} [paginacion.busqueda] - Texto a buscar en el servidor (parámetro `q`)
+     * @param {Object} [opciones={}] - Opciones de caché
+     * @param {boolean} [opciones.forzar=false] - Ignorar la caché (p.ej. botón "Recargar")
+     * @param {Function} [opciones.alRevalidar] - Recibe el resultado nuevo (mismo formato
+     *        que el retorno) si la revalidación en segundo plano trajo cambios
+     * @returns {Promise<Array<Object>|Object>} Array de usuarios, o página normalizada si se pidió paginación
      * @returns {number} return[].id - ID único del usuario
      * @returns {string} return[].nombre - Nombre completo del usuario
      * @returns {string} return[].email - Correo electrónico del usuario
+     * @throws {TypeError} Si la página o el tamaño no son enteros válidos
      * @throws {ApiError} Error de red, timeout o respuesta no exitosa del servidor
      *
      * @example
@@ -254,14 +921,52 @@ export const API = {
      * } catch (error) {
      *   console.error('Error:', error.message);
      * }
+     *
+     * @example
+     * // Segunda página de 25 usuarios ordenados por nombre
+     * const pagina = await API.obtenerUsuarios({
+     *   pagina: 1,
+     *   tamanio: 25,
+     *   orden: { campo: 'nombre', direccion: 'asc' }
+     * });
+     * // GET .../api/usuarios?page=1&size=25&sort=nombre,asc
+     * console.log(`${pagina.usuarios.length} de ${pagina.totalElementos}`);
+     *
+     * @example
+     * // Mostrar la copia en caché y redibujar si el servidor trae cambios
+     * const pagina = await API.obtenerUsuarios({ pagina: 0, tamanio: 10 }, {
+     *   alRevalidar: nueva => renderizar(nueva)
+     * });
      */
-    async obtenerUsuarios() {
+    async obtenerUsuarios(paginacion = null, { forzar = false, alRevalidar = null } = {}) {
+        let url = API_CONFIG.BASE_URL;
+
+        if (paginacion) {
+            const { pagina, tamanio, orden, busqueda } = paginacion;
+
+            // ✅ VALIDACIÓN DE TIPOS: página >= 0 y tamaño > 0
+            if (!Number.isInteger(pagina) || pagina < 0 || !Number.isInteger(tamanio) || tamanio <= 0) {
+                throw new TypeError(`Paginación inválida. Recibido: página ${pagina}, tamaño ${tamanio}`);
+            }
+
+            const params = new URLSearchParams({ page: pagina, size: tamanio });
+            if (orden && orden.campo) {
+                params.append('sort', `${orden.campo},${orden.direccion || 'asc'}`);
+            }
+            if (busqueda && busqueda.trim()) {
+                params.append('q', busqueda.trim());
+            }
+            url = `${API_CONFIG.BASE_URL}?${params}`;
+        }
+
+        const procesar = ({ datos }) => (paginacion ? normalizarPagina(datos, paginacion) : datos);
+
         try {
-            const response = await fetchWithTimeout(API_CONFIG.BASE_URL, {
-                method: 'GET',
-                headers: API_CONFIG.HEADERS
+            const entrada = await leerConCache(url, 'lista', {
+                forzar,
+                alRevalidar: alRevalidar && (nueva => alRevalidar(procesar(nueva)))
             });
-            return await handleResponse(response);
+            return procesar(entrada);
         } catch (error) {
             Logger.error('Error al obtener usuarios:', error);
             throw error;
@@ -274,10 +979,21 @@ export const API = {
      * Realiza una petición GET a la API para obtener los detalles de un usuario.
      * Útil cuando se necesita información actualizada de un usuario específico.
      *
+     * Con `conVersion` retorna además el ETag de la respuesta, necesario
+     * para actualizarUsuario con control de concurrencia (If-Match). Si el
+     * backend no envía ETag (o no lo expone por CORS), etag es null y la
+     * versión, si existe, viaja en el campo `version` del propio usuario.
+     *
+     * Usa la misma caché que obtenerUsuarios (sin revalidación en segundo
+     * plano: una lectura vencida se vuelve a pedir).
+     *
      * @async
      * @memberof API
      * @param {number} id - ID único del usuario a buscar
-     * @returns {Promise<Object>} Objeto con los datos del usuario
+     * @param {Object} [opciones={}] - Opciones de la consulta
+     * @param {boolean} [opciones.conVersion=false] - Retornar {usuario, etag}
+     * @param {boolean} [opciones.forzar=false] - Ignorar la caché (datos recién leídos del backend)
+     * @returns {Promise<Object>} Objeto con los datos del usuario (o {usuario, etag} con conVersion)
      * @returns {number} return.id - ID del usuario
      * @returns {string} return.nombre - Nombre del usuario
      * @returns {string} return.email - Email del usuario
@@ -287,25 +1003,82 @@ export const API = {
      * @example
      * const usuario = await API.obtenerUsuarioPorId(5);
      * console.log(usuario.nombre); // "María García"
+     *
+     * @example
+     * const { usuario, etag } = await API.obtenerUsuarioPorId(5, { conVersion: true });
+     * // etag = 'W/"3"'
      */
-    async obtenerUsuarioPorId(id) {
+    async obtenerUsuarioPorId(id, { conVersion = false, forzar = false } = {}) {
         // ✅ VALIDACIÓN DE TIPOS: Verificar que ID sea un número válido
         if (!Number.isInteger(id) || id <= 0) {
             throw new TypeError(`El ID debe ser un número entero positivo. Recibido: ${typeof id} (${id})`);
         }
 
         try {
-            const response = await fetchWithTimeout(`${API_CONFIG.BASE_URL}/${id}`, {
-                method: 'GET',
-                headers: API_CONFIG.HEADERS
-            });
-            return await handleResponse(response);
+            const url = `${API_CONFIG.BASE_URL}/${id}`;
+            const enCache = cacheLecturas.get(url);
+            const { datos, etag } = !forzar && enCache && Date.now() - enCache.fecha < TTL_CACHE
+                ? enCache
+                : await consultarYGuardar(url, 'usuario');
+            return conVersion ? { usuario: datos, etag } : datos;
         } catch (error) {
             Logger.error(`Error al obtener usuario ${id}:`, error);
             throw error;
         }
     },
 
+    /**
+     * Consulta si un email está libre, para avisarlo antes de guardar
+     *
+     * Pide `GET BASE_URL?email=` y busca el email en la respuesta (sirve
+     * tanto si el backend filtra como si devuelve la lista completa). Si la
+     * consulta falla o la respuesta es una página incompleta, usa las listas
+     * en caché. Sin reintentos ni login: es solo un aviso, el 409 al guardar
+     * sigue siendo la validación definitiva. Un 401 se toma como "no se sabe"
+     * y no toca la sesión (la consulta corre mientras el usuario escribe).
+     *
+     * @async
+     * @memberof API
+     * @param {string} email - Email a consultar
+     * @param {Object} [opciones={}] - Opciones de la consulta
+     * @param {number|null} [opciones.excluirId=null] - Usuario en edición (su propio email no cuenta)
+     * @param {AbortSignal} [opciones.signal] - Cancela la consulta (p.ej. si se siguió escribiendo)
+     * @returns {Promise<boolean|null>} true si está libre, false si está en uso, null si no se pudo saber
+     * @throws {DOMException} AbortError si se canceló con `signal`
+     *
+     * @example
+     * const controller = new AbortController();
+     * await API.verificarEmailDisponible('ana@example.com', { signal: controller.signal }); // true
+     */
+    async verificarEmailDisponible(email, { excluirId = null, signal } = {}) {
+        const buscado = email.trim().toLowerCase();
+        const coincide = usuario => usuario?.email?.toLowerCase() === buscado && usuario.id !== excluirId;
+
+        try {
+            const response = await fetchWithTimeout(
+                `${API_CONFIG.BASE_URL}?email=${encodeURIComponent(email.trim())}`,
+                { method: 'GET', headers: API_CONFIG.HEADERS, signal }
+            );
+            const datos = await handleResponse(response);
+            const lista = Array.isArray(datos) ? datos : datos?.content;
+
+            if (Array.isArray(lista)) {
+                if (lista.some(coincide)) {
+                    return false;
+                }
+                // Una página con más usuarios que los recibidos no prueba que esté libre
+                if (Array.isArray(datos) || !(datos.totalElements > lista.length)) {
+                    return true;
+                }
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            if (error instanceof ApiError && error.status === 401) return null;
+            Logger.warn('No se pudo consultar el email, se usa la lista en caché:', error);
+        }
+        return buscarEmailEnCache(coincide);
+    },
+
     /**
      * Crea un nuevo usuario en el sistema
      *
@@ -318,6 +1091,10 @@ export const API = {
      * @param {string} usuario.nombre - Nombre completo (mín. 2 caracteres, máx. 100)
      * @param {string} usuario.email - Email válido y único en el sistema
      * @param {string} usuario.password - Contraseña (mín. 6 caracteres)
+     * @param {Object} [opciones={}] - Opciones de la petición
+     * @param {string} [opciones.claveIdempotencia] - Valor para la cabecera Idempotency-Key.
+     *        Sin ella el POST no se reintenta (podría crear el usuario dos veces);
+     *        solo usarla si el backend la soporta (y la permite en CORS).
      * @returns {Promise<Object>} Usuario creado con ID asignado por el backend
      * @returns {number} return.id - ID del nuevo usuario
      * @returns {string} return.nombre - Nombre del usuario
@@ -333,17 +1110,22 @@ export const API = {
      * });
      * console.log(`Usuario creado con ID: ${nuevoUsuario.id}`);
      */
-    async crearUsuario(usuario) {
+    async crearUsuario(usuario, { claveIdempotencia } = {}) {
         try {
             // Validar datos antes de enviar (modo creación: password obligatorio)
             this.validarDatosUsuario(usuario, false);
 
-            const response = await fetchWithTimeout(API_CONFIG.BASE_URL, {
+            const headers = claveIdempotencia
+                ? { ...API_CONFIG.HEADERS, 'Idempotency-Key': claveIdempotencia }
+                : API_CONFIG.HEADERS;
+
+            const { datos, etag } = await solicitar(API_CONFIG.BASE_URL, {
                 method: 'POST',
-                headers: API_CONFIG.HEADERS,
+                headers,
                 body: JSON.stringify(usuario)
-            });
-            return await handleResponse(response);
+            }, { incluirEtag: true });
+            actualizarCache('crear', datos?.id, datos, etag);
+            return datos;
         } catch (error) {
             Logger.error('Error al crear usuario:', error);
             throw error;
@@ -356,6 +1138,11 @@ export const API = {
      * Realiza validación client-side antes de enviar los datos actualizados.
      * Envía una petición PUT con todos los datos del usuario (incluyendo password).
      *
+     * Control de concurrencia optimista: con `etag` se envía If-Match y el
+     * backend responde 412 si el usuario cambió desde que se leyó. Los
+     * backends con versionado por campo reciben `usuario.version` en el body
+     * y responden 409 ante una versión vieja.
+     *
      * @async
      * @memberof API
      * @param {number} id - ID del usuario a actualizar
@@ -363,10 +1150,14 @@ export const API = {
      * @param {string} usuario.nombre - Nombre completo actualizado
      * @param {string} usuario.email - Email actualizado (debe ser único)
      * @param {string|null} usuario.password - Nueva contraseña o null para mantener actual
+     * @param {number} [usuario.version] - Versión leída (backends con campo version)
+     * @param {Object} [opciones={}] - Opciones de la actualización
+     * @param {string|null} [opciones.etag] - ETag leído con obtenerUsuarioPorId (cabecera If-Match)
      * @returns {Promise<Object>} Usuario con los datos actualizados
      * @throws {TypeError} Si el ID no es un número entero positivo
      * @throws {Error} Error de validación client-side
      * @throws {ApiError} Error 404 si el usuario no existe, 409 si el email está duplicado
+     *         o la versión es vieja, 412 si el ETag no coincide
      *
      * @example
      * const usuarioActualizado = await API.actualizarUsuario(3, {
@@ -374,8 +1165,12 @@ export const API = {
      *   email: 'juan.nuevo@example.com',
      *   password: null  // Mantener la actual
      * });
+     *
+     * @example
+     * const { usuario, etag } = await API.obtenerUsuarioPorId(3, { conVersion: true });
+     * await API.actualizarUsuario(3, { ...usuario, nombre: 'Nuevo', password: null }, { etag });
      */
-    async actualizarUsuario(id, usuario) {
+    async actualizarUsuario(id, usuario, { etag = null } = {}) {
         // ✅ VALIDACIÓN DE TIPOS: Verificar que ID sea un número válido
         if (!Number.isInteger(id) || id <= 0) {
             throw new TypeError(`El ID debe ser un número entero positivo. Recibido: ${typeof id} (${id})`);
@@ -385,12 +1180,17 @@ export const API = {
             // Validar datos antes de enviar (modo edición: password opcional)
             this.validarDatosUsuario(usuario, true);
 
-            const response = await fetchWithTimeout(`${API_CONFIG.BASE_URL}/${id}`, {
+            const headers = etag
+                ? { ...API_CONFIG.HEADERS, 'If-Match': etag }
+                : API_CONFIG.HEADERS;
+
+            const { datos, etag: etagNuevo } = await solicitar(`${API_CONFIG.BASE_URL}/${id}`, {
                 method: 'PUT',
-                headers: API_CONFIG.HEADERS,
+                headers,
                 body: JSON.stringify(usuario)
-            });
-            return await handleResponse(response);
+            }, { incluirEtag: true });
+            actualizarCache('actualizar', id, datos, etagNuevo);
+            return datos;
         } catch (error) {
             Logger.error(`Error al actualizar usuario ${id}:`, error);
             throw error;
@@ -427,33 +1227,125 @@ export const API = {
         }
 
         try {
-            const response = await fetchWithTimeout(`${API_CONFIG.BASE_URL}/${id}`, {
+            const resultado = await solicitar(`${API_CONFIG.BASE_URL}/${id}`, {
                 method: 'DELETE',
                 headers: API_CONFIG.HEADERS
             });
-            return await handleResponse(response);
+            actualizarCache('eliminar', id, null);
+            return resultado;
         } catch (error) {
+            // 404: ya no existía, tampoco debe seguir en la caché
+            if (error instanceof ApiError && error.status === 404) {
+                actualizarCache('eliminar', id, null);
+            }
             Logger.error(`Error al eliminar usuario ${id}:`, error);
             throw error;
         }
     },
 
+    /**
+     * Envía una eliminación pendiente mientras la pestaña se cierra
+     *
+     * Usa fetch con `keepalive: true`, que el navegador completa aunque la
+     * página se descargue. Se prefiere a navigator.sendBeacon porque éste
+     * solo envía POST y sin cabeceras propias (no podría mandar DELETE ni
+     * Authorization). No hay reintentos ni respuesta: es el último intento.
+     *
+     * @memberof API
+     * @param {number} id - ID del usuario a eliminar
+     * @throws {TypeError} Si el ID no es un número entero positivo
+     *
+     * @example
+     * window.addEventListener('pagehide', () => API.eliminarUsuarioAlSalir(7));
+     */
+    eliminarUsuarioAlSalir(id) {
+        if (!Number.isInteger(id) || id <= 0) {
+            throw new TypeError(`El ID debe ser un número entero positivo. Recibido: ${typeof id} (${id})`);
+        }
+
+        enviarPeticion(`${API_CONFIG.BASE_URL}/${id}`, {
+            method: 'DELETE',
+            headers: { ...API_CONFIG.HEADERS, ...Auth.obtenerCabeceras() },
+            keepalive: true
+        }).catch(error => Logger.error(`Error al eliminar usuario ${id} al salir:`, error));
+        actualizarCache('eliminar', id, null);
+    },
+
+    /**
+     * Elimina varios usuarios con concurrencia limitada
+     *
+     * A diferencia de eliminarUsuario(), no se detiene ante el primer error:
+     * cada eliminación se resuelve por separado y el resultado informa
+     * éxitos y fallos (p.ej. 404 de usuarios que ya habían sido eliminados).
+     * Como máximo `concurrencia` peticiones DELETE quedan en vuelo a la vez,
+     * para no saturar al backend.
+     *
+     * @async
+     * @memberof API
+     * @param {Array<number>} ids - IDs de los usuarios a eliminar
+     * @param {Object} [opciones={}] - Opciones de la eliminación en lote
+     * @param {number} [opciones.concurrencia=3] - Peticiones simultáneas máximas
+     * @param {Function} [opciones.alCambiarEstado] - Recibe (id, estado, error) con
+     *        estado 'eliminando', 'eliminado' o 'error'
+     * @returns {Promise<Array<{id: number, exito: boolean, error: Error|null}>>} Resultado por ID, en el orden recibido
+     *
+     * @example
+     * const resultados = await API.eliminarUsuarios([3, 7, 9], {
+     *   alCambiarEstado: (id, estado) => console.log(id, estado)
+     * });
+     * const fallidos = resultados.filter(r => !r.exito);
+     */
+    async eliminarUsuarios(ids, { concurrencia = CONCURRENCIA_ELIMINACION, alCambiarEstado = () => {} } = {}) {
+        if (!Number.isInteger(concurrencia) || concurrencia < 1) {
+            throw new TypeError(`La concurrencia debe ser un entero positivo. Recibido: ${concurrencia}`);
+        }
+
+        const resultados = new Array(ids.length);
+        let siguiente = 0;
+
+        // Cada trabajador toma el próximo ID pendiente hasta agotar la lista
+        const trabajador = async () => {
+            while (siguiente < ids.length) {
+                const indice = siguiente++;
+                const id = ids[indice];
+
+                alCambiarEstado(id, 'eliminando', null);
+                try {
+                    await this.eliminarUsuario(id);
+                    resultados[indice] = { id, exito: true, error: null };
+                    alCambiarEstado(id, 'eliminado', null);
+                } catch (error) {
+                    resultados[indice] = { id, exito: false, error };
+                    alCambiarEstado(id, 'error', error);
+                }
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(concurrencia, ids.length) }, trabajador));
+        return resultados;
+    },
+
     /**
      * Valida los datos del usuario antes de enviarlos al backend
      *
      * Realiza validación client-side para detectar errores antes de hacer
      * la petición HTTP. Complementa la validación HTML5 del formulario.
+     * Cada campo se valida con las reglas de js/esquema.js (obligatorio,
+     * longitud, formato, opciones) y se informa el primer error.
      *
      * IMPORTANTE: Password puede ser null en modo edición (no cambiar password).
-     * Si password tiene valor, debe tener al menos 6 caracteres.
+     * Si password tiene valor, debe cumplir la política de contraseñas
+     * (API_CONFIG.POLITICA_PASSWORD, ver js/password.js).
      *
      * @memberof API
      * @param {Object} usuario - Objeto con los datos a validar
      * @param {string} usuario.nombre - Nombre del usuario
      * @param {string} usuario.email - Email del usuario
      * @param {string|null} usuario.password - Contraseña (null = no cambiar en edición)
+     * @param {string|null} [usuario.telefono] - Demás campos del esquema (opcionales)
      * @param {boolean} [esEdicion=false] - True si es edición, false si es creación
      * @throws {Error} Error descriptivo si los datos no cumplen los requisitos
+     *         (para la contraseña, el de la primera regla incumplida)
      *
      * @example
      * // Crear nuevo usuario - password obligatorio
@@ -472,27 +1364,25 @@ export const API = {
      * }, true);
      */
     validarDatosUsuario(usuario, esEdicion = false) {
-        // Validar nombre
-        if (!usuario.nombre || usuario.nombre.trim().length < 2) {
-            throw new Error('El nombre debe tener al menos 2 caracteres');
+        // Campos del esquema (la contraseña sigue la política, más abajo)
+        for (const campo of Esquema.formulario()) {
+            if (campo.tipo === 'password') continue;
+            const error = validarCampo(campo, usuario[campo.nombre]);
+            if (error) {
+                throw new Error(error);
+            }
         }
 
-        // Validar email
-        if (!usuario.email || !this.esEmailValido(usuario.email)) {
-            throw new Error('El email no es válido');
+        // Validar password
+        if (!usuario.password) {
+            // En edición: password puede ser null (no cambiar); en creación es obligatorio
+            if (esEdicion && usuario.password === null) return;
+            throw new Error(t('validacion.passwordObligatoriaPolitica', { requisitos: Password.describir().toLowerCase() }));
         }
 
-        // Validar password
-        if (esEdicion) {
-            // En edición: password puede ser null (no cambiar) o string válido
-            if (usuario.password !== null && usuario.password.length < 6) {
-                throw new Error('La contraseña debe tener al menos 6 caracteres (o déjela vacía para no cambiarla)');
-            }
-        } else {
-            // En creación: password es obligatorio
-            if (!usuario.password || usuario.password.length < 6) {
-                throw new Error('La contraseña es obligatoria y debe tener al menos 6 caracteres');
-            }
+        const [error] = Password.validar(usuario.password, usuario);
+        if (error) {
+            throw new Error(esEdicion ? t('validacion.passwordEdicion', { error }) : error);
         }
     },
 
@@ -563,11 +1453,171 @@ export const API = {
         return true;
     },
 
+    /**
+     * Inicia sesión con email y contraseña
+     *
+     * Envía las credenciales al endpoint de login (API_CONFIG.AUTH_URL o, si no
+     * está configurado, /api/auth/login en el mismo servidor que BASE_URL).
+     * Acepta el token en los campos habituales (token, accessToken,
+     * access_token, jwt). No guarda la sesión: eso lo hace Auth.guardarSesion().
+     *
+     * @async
+     * @memberof API
+     * @param {Object} credenciales - Mismos campos que el modelo usuario
+     * @param {string} credenciales.email - Email del usuario
+     * @param {string} credenciales.password - Contraseña
+     * @returns {Promise<{token: string, usuario: Object|null}>} Token y datos del usuario si el backend los envía
+     * @throws {Error} Error de validación client-side
+     * @throws {ApiError} 401 si las credenciales son incorrectas, u otros errores de API
+     *
+     * @example
+     * const { token, usuario } = await API.iniciarSesion({
+     *   email: 'admin@example.com',
+     *   password: 'secreto123'
+     * });
+     */
+    async iniciarSesion({ email, password }) {
+        try {
+            if (!email || !this.esEmailValido(email)) {
+                throw new Error(t('validacion.emailInvalido'));
+            }
+            if (!password) {
+                throw new Error(t('validacion.passwordObligatoria'));
+            }
+
+            const url = API_CONFIG.AUTH_URL || new URL('/api/auth/login', API_CONFIG.BASE_URL).href;
+
+            // El login no tiene efectos secundarios: se puede reintentar (cold start)
+            const response = await fetchConReintentos(url, {
+                method: 'POST',
+                headers: API_CONFIG.HEADERS,
+                body: JSON.stringify({ email, password })
+            }, { idempotente: true });
+            const data = await handleResponse(response);
+
+            const token = data?.token ?? data?.accessToken ?? data?.access_token ?? data?.jwt;
+            if (typeof token !== 'string' || !token) {
+                throw new ApiError(t('errores.loginSinToken'), response.status, data, response.url || null);
+            }
+
+            return { token, usuario: data.usuario ?? data.user ?? null };
+        } catch (error) {
+            Logger.error('Error al iniciar sesión:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Pide un ticket para abrir el stream de cambios
+     *
+     * EventSource y WebSocket no permiten la cabecera Authorization: en lugar
+     * del token, la URL del stream lleva un ticket que el backend emite para
+     * la sesión actual (de un solo uso y vigente unos segundos). Sin
+     * reintentos ni login ante un 401, y sin cerrar la sesión: si falla,
+     * TiempoReal sondea.
+     *
+     * @async
+     * @memberof API
+     * @param {string} url - Endpoint que emite los tickets (BASE_URL/stream/ticket)
+     * @returns {Promise<string>} Ticket para el parámetro `ticket` del stream
+     * @throws {ApiError} Si el backend no emite tickets (p.ej. 404), rechaza la sesión (401) o la respuesta no trae uno
+     *
+     * @example
+     * const ticket = await API.obtenerTicketStream(`${API_CONFIG.BASE_URL}/stream/ticket`);
+     */
+    async obtenerTicketStream(url) {
+        const response = await fetchWithTimeout(url, {
+            method: 'POST',
+            headers: API_CONFIG.HEADERS
+        });
+        const data = await handleResponse(response);
+
+        if (typeof data?.ticket !== 'string' || !data.ticket) {
+            throw new ApiError(t('errores.streamSinTicket'), response.status, data, url);
+        }
+        return data.ticket;
+    },
+
+    /**
+     * Registra el callback que resuelve un 401 pidiendo login al usuario
+     *
+     * El callback debe mostrar la vista de login y resolver true cuando el
+     * usuario inicia sesión (la petición fallida se repite) o false si cancela
+     * (la petición falla con el ApiError 401 original).
+     *
+     * @memberof API
+     * @param {Function|null} callback - () => Promise<boolean>
+     *
+     * @example
+     * API.registrarManejadorNoAutorizado(() => app.solicitarLogin());
+     */
+    registrarManejadorNoAutorizado(callback) {
+        manejadorNoAutorizado = callback;
+    },
+
+    /**
+     * Registra un callback que recibe el estado de los reintentos
+     *
+     * Permite a la interfaz mostrar "servidor despertando… intento 2/4"
+     * sin que este módulo manipule el DOM.
+     *
+     * @memberof API
+     * @param {Function} callback - Recibe {reintentando: true, intento, totalIntentos, esperaMs, motivo}
+     *                              o {reintentando: false} al terminar
+     * @returns {Function} Función para cancelar la suscripción
+     *
+     * @example
+     * const cancelar = API.suscribirReintentos(estado => {
+     *   if (estado.reintentando) console.log(`Intento ${estado.intento}/${estado.totalIntentos}`);
+     * });
+     */
+    suscribirReintentos(callback) {
+        suscriptoresReintento.add(callback);
+        return () => suscriptoresReintento.delete(callback);
+    },
+
+    /**
+     * Descarta todas las lecturas en caché
+     *
+     * Se usa al cerrar sesión: otra cuenta puede ver otros datos.
+     *
+     * @memberof API
+     */
+    limpiarCache() {
+        generacionCache++;
+        cacheLecturas.clear();
+    },
+
+    /**
+     * Aplica a la caché un cambio hecho por otra persona (ver js/tiempoReal.js)
+     *
+     * Un alta que ya está en caché es el eco de una propia y se trata como
+     * edición, para no duplicarla. La lectura por ID se descarta: el evento
+     * no trae el ETag y editar siempre vuelve a consultar al usuario.
+     *
+     * @memberof API
+     * @param {Object} cambio - Cambio recibido
+     * @param {string} cambio.tipo - 'crear', 'actualizar' o 'eliminar'
+     * @param {number} cambio.id - ID del usuario
+     * @param {Object|null} cambio.usuario - Datos actuales (null si el evento no los trae)
+     */
+    aplicarCambioRemoto({ tipo, id, usuario }) {
+        const urlUsuario = `${API_CONFIG.BASE_URL}/${id}`;
+        const yaEnCache = cacheLecturas.has(urlUsuario) || [...cacheLecturas.values()]
+            .some(entrada => Array.isArray(entrada.datos) && entrada.datos.some(u => u.id === id));
+
+        actualizarCache(tipo === 'crear' && yaEnCache ? 'actualizar' : tipo, id, usuario);
+        cacheLecturas.delete(urlUsuario);
+    },
+
     /**
      * Verifica si la API del backend está disponible y responde
      *
      * Realiza una petición GET simple para verificar conectividad.
      * Útil para mostrar alertas al usuario si el backend no está disponible.
+     * Un 401/403 también indica que el servidor responde (solo falta sesión).
+     * Si una lectura vigente de la caché (TTL_CACHE) ya obtuvo respuesta,
+     * no se repite la petición.
      *
      * @async
      * @memberof API
@@ -580,12 +1630,18 @@ export const API = {
      * }
      */
     async verificarConexion() {
+        const hayRespuestaReciente = [...cacheLecturas.values()]
+            .some(entrada => Date.now() - entrada.fecha < TTL_CACHE);
+        if (hayRespuestaReciente) {
+            return true;
+        }
+
         try {
-            const response = await fetchWithTimeout(API_CONFIG.BASE_URL, {
+            const response = await fetchConReintentos(API_CONFIG.BASE_URL, {
                 method: 'GET',
                 headers: API_CONFIG.HEADERS
             });
-            return response.ok;
+            return response.ok || response.status === 401 || response.status === 403;
         } catch (error) {
             Logger.error('Error de conexión con la API:', error);
             return false;
@@ -11,12 +11,79 @@
  * @author Sistema de Gestión de Usuarios
  * @version 1.0.0
  *
+ * @requires ./config.js - Configuración resuelta en tiempo de ejecución
+ * @requires ./auth.js - Sesión del usuario autenticado
  * @requires ./api.js - Módulo de comunicación con API
  * @requires ./ui.js - Módulo de interfaz de usuario
+ * @requires ./csv.js - Lectura y escritura de CSV (importación y exportación)
+ * @requires ./offline.js - Cola de cambios sin conexión
+ * @requires ./tiempoReal.js - Cambios hechos por otras personas, en vivo
+ * @requires ./monitoreo.js - Envío de errores al servicio de monitoreo
+ * @requires ./password.js - Política de contraseñas (validación, fortaleza y generación)
+ * @requires ./i18n.js - Textos de la interfaz en español e inglés
  */
 
+import { Config, API_CONFIG, VERSION_APP } from './config.js';
+import { Auth } from './auth.js';
 import { API, ApiError, Logger } from './api.js';
 import { UI, DOM } from './ui.js';
+import { CSV } from './csv.js';
+import { Offline } from './offline.js';
+import { TiempoReal } from './tiempoReal.js';
+import { Monitoreo } from './monitoreo.js';
+import { Password } from './password.js';
+import { I18n, t } from './i18n.js';
+import { Router } from './router.js';
+import { Auditoria } from './auditoria.js';
+import { Esquema } from './esquema.js';
+
+/**
+ * Tiempo para deshacer una eliminación antes de enviarla al backend (8 segundos)
+ * @constant {number}
+ */
+const ESPERA_DESHACER = 8000;
+
+/**
+ * Tiempo que "Deshacer" sigue disponible después de enviar el DELETE (20 segundos):
+ * ya no cancela la eliminación, sino que ofrece volver a crear al usuario
+ * @constant {number}
+ */
+const ESPERA_RESTAURAR = 20000;
+
+/**
+ * Tiempo sin teclear antes de consultar si el email está disponible
+ * @constant {number}
+ */
+const ESPERA_VERIFICAR_EMAIL = 400;
+
+/**
+ * Filas máximas aceptadas en una importación CSV
+ * @constant {number}
+ */
+const MAX_FILAS_IMPORTACION = 1000;
+
+/**
+ * Textos aceptados en las columnas booleanas del CSV (comparados sin
+ * mayúsculas ni acentos)
+ * @constant {{verdadero: Array<string>, falso: Array<string>}}
+ */
+const VALORES_BOOLEANOS = {
+    verdadero: ['true', 'si', 'yes', '1', 'x'],
+    falso: ['false', 'no', '0']
+};
+
+/**
+ * Campos que nunca se exportan (comparados sin mayúsculas)
+ * @constant {RegExp}
+ */
+const CAMPOS_SENSIBLES = /pass|contrase(ñ|n)a|clave|token|secret/i;
+
+/**
+ * Códigos con los que el backend rechaza un cambio sin conexión en forma
+ * definitiva: reenviarlo daría el mismo resultado, así que sale de la cola
+ * @constant {Array<number>}
+ */
+const RECHAZOS_DEFINITIVOS = [400, 403, 404, 409, 412];
 
 /**
  * Utilidad: Debounce
@@ -50,6 +117,239 @@ function debounce(func, wait) {
     };
 }
 
+/**
+ * Utilidad: Normalizar texto para búsquedas
+ *
+ * Convierte a minúsculas y elimina acentos/diacríticos para que la búsqueda
+ * no distinga entre "Pérez" y "perez" ni entre "Núñez" y "nunez".
+ *
+ * @function normalizarTexto
+ * @param {string|number|null} texto - Texto a normalizar
+ * @returns {string} Texto en minúsculas sin diacríticos
+ *
+ * @example
+ * normalizarTexto('José Ñandú'); // "jose nandu"
+ */
+function normalizarTexto(texto) {
+    return String(texto ?? '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase();
+}
+
+/**
+ * Utilidad: Describir por qué falló la eliminación de un usuario del lote
+ *
+ * @function describirErrorEliminacion
+ * @param {Error} error - Error de API.eliminarUsuario
+ * @returns {string} Motivo corto para la lista del modal
+ */
+function describirErrorEliminacion(error) {
+    if (error instanceof ApiError) {
+        switch (error.status) {
+            case 404:
+                return t('lote.yaEliminado');
+            case 403:
+                return t('lote.sinPermisos');
+            case 408:
+                return t('lote.timeout');
+        }
+    }
+    return error.message || t('errores.desconocido');
+}
+
+/**
+ * Utilidad: Sugerir qué columna del CSV corresponde a cada campo
+ *
+ * Reconoce el nombre de cada campo del formulario y sus alias del esquema;
+ * sin encabezados (o si no hay coincidencias) asume que las primeras
+ * columnas son los campos obligatorios en su orden (nombre, email,
+ * password) y deja sin asignar los opcionales.
+ *
+ * @function sugerirMapeo
+ * @param {Array<string>|null} encabezados - Primera fila del archivo o null si no tiene
+ * @param {number} columnas - Cantidad de columnas del archivo
+ * @returns {Object<string, number|null>} Índice de columna por campo (null = sin asignar)
+ *
+ * @example
+ * sugerirMapeo(['Correo', 'Nombre', 'Contraseña'], 3);
+ * // { nombre: 1, email: 0, telefono: null, departamento: null, activo: null, password: 2 }
+ */
+function sugerirMapeo(encabezados, columnas) {
+    const campos = Esquema.formulario();
+    const obligatorios = campos.filter(campo => campo.requerido).map(campo => campo.nombre);
+    const porOrden = Object.fromEntries(campos.map(({ nombre }) => {
+        const indice = obligatorios.indexOf(nombre);
+        return [nombre, indice >= 0 && indice < columnas ? indice : null];
+    }));
+    if (!encabezados) {
+        return porOrden;
+    }
+
+    const normalizados = encabezados.map(e => normalizarTexto(e).trim());
+    const mapeo = Object.fromEntries(campos.map(({ nombre, alias = [] }) => {
+        const reconocidos = [normalizarTexto(nombre), ...alias];
+        const indice = normalizados.findIndex(e => reconocidos.includes(e));
+        return [nombre, indice >= 0 ? indice : null];
+    }));
+
+    return Object.values(mapeo).every(indice => indice === null) ? porOrden : mapeo;
+}
+
+/**
+ * Utilidad: Convertir una celda del CSV al valor de un campo del esquema
+ *
+ * Una celda vacía toma el valor por defecto del campo (activo = true); sin
+ * él queda '' si el campo es obligatorio, para que la validación lo
+ * rechace, o null. Los booleanos aceptan VALORES_BOOLEANOS y las opciones,
+ * su valor o su etiqueta en el idioma en uso. Lo que no se reconoce queda
+ * como texto y lo rechaza API.validarDatosUsuario.
+ *
+ * @function leerCelda
+ * @param {import('./esquema.js').CampoUsuario} campo - Campo del formulario
+ * @param {string} texto - Celda sin espacios alrededor
+ * @returns {*} Valor para los datos del usuario
+ *
+ * @example
+ * leerCelda(Esquema.campo('activo'), 'Sí'); // true
+ * leerCelda(Esquema.campo('activo'), ''); // true (porDefecto)
+ * leerCelda(Esquema.campo('departamento'), 'Recursos Humanos'); // 'rrhh'
+ */
+function leerCelda(campo, texto) {
+    if (texto === '') {
+        return campo.porDefecto ?? (campo.requerido ? '' : null);
+    }
+
+    const normalizado = normalizarTexto(texto);
+    if (campo.tipo === 'booleano') {
+        if (VALORES_BOOLEANOS.verdadero.includes(normalizado)) return true;
+        if (VALORES_BOOLEANOS.falso.includes(normalizado)) return false;
+    }
+    if (campo.tipo === 'seleccion') {
+        const opcion = campo.reglas.opciones.find(o =>
+            o.valor === normalizado || normalizarTexto(t(o.etiqueta)) === normalizado);
+        if (opcion) return opcion.valor;
+    }
+    return texto;
+}
+
+/**
+ * Utilidad: Fecha y hora para nombres de archivo
+ *
+ * @function marcaDeTiempo
+ * @param {Date} [fecha=new Date()] - Fecha a formatear (hora local)
+ * @returns {string} Formato AAAAMMDD-HHmmss
+ *
+ * @example
+ * marcaDeTiempo(new Date(2024, 0, 15, 9, 5, 3)); // "20240115-090503"
+ */
+function marcaDeTiempo(fecha = new Date()) {
+    const dos = n => String(n).padStart(2, '0');
+    return `${fecha.getFullYear()}${dos(fecha.getMonth() + 1)}${dos(fecha.getDate())}-` +
+        `${dos(fecha.getHours())}${dos(fecha.getMinutes())}${dos(fecha.getSeconds())}`;
+}
+
+/**
+ * Utilidad: Determinar si el usuario cambió en el servidor desde que se leyó
+ *
+ * Compara los campos editables del esquema, el campo version (si el
+ * backend lo usa) y el ETag.
+ * Permite distinguir un 409 por versión vieja de un 409 por email duplicado.
+ *
+ * @function cambioEnServidor
+ * @param {Object} leido - Usuario al abrir el formulario ({...usuario, etag})
+ * @param {{usuario: Object, etag: string|null}} actual - Respuesta de obtenerUsuarioPorId con conVersion
+ * @returns {boolean} True si otra persona lo modificó
+ */
+function cambioEnServidor(leido, { usuario, etag }) {
+    return Esquema.editables().some(({ nombre }) => (usuario[nombre] ?? null) !== (leido[nombre] ?? null)) ||
+        usuario.version !== leido.version ||
+        (etag ?? null) !== (leido.etag ?? null);
+}
+
+/**
+ * Utilidad: Determinar si vale la pena reintentar una operación fallida
+ *
+ * Sin conexión, timeout (408), demasiadas peticiones (429) o error del
+ * servidor (5xx): otro intento puede funcionar. Validación, permisos o
+ * 404 darían el mismo resultado.
+ *
+ * @function esErrorTransitorio
+ * @param {Error} error - Error de la operación
+ * @returns {boolean} True si se puede ofrecer "Reintentar"
+ */
+function esErrorTransitorio(error) {
+    if (error instanceof ApiError) {
+        return error.status === 408 || error.status === 429 || error.status >= 500;
+    }
+    return Offline.esErrorDeConexion(error);
+}
+
+/**
+ * Utilidad: Aplicar a la lista del servidor los cambios encolados sin conexión
+ *
+ * Las eliminaciones ocultan al usuario, las ediciones reemplazan sus datos
+ * y las altas se agregan al final (sin ID todavía). Los usuarios afectados
+ * se marcan con `pendiente` para mostrarlos como tales en la tabla.
+ *
+ * @function aplicarPendientes
+ * @param {Array<Object>} usuarios - Usuarios cargados desde la API
+ * @param {Array<Object>} pendientes - Cambios de Offline.obtenerPendientes()
+ * @returns {Array<Object>} Nueva lista (no modifica la original)
+ */
+function aplicarPendientes(usuarios, pendientes) {
+    if (pendientes.length === 0) {
+        return usuarios;
+    }
+
+    const eliminados = new Set(pendientes.filter(c => c.tipo === 'eliminar').map(c => c.id));
+    const editados = new Map(pendientes.filter(c => c.tipo === 'actualizar').map(c => [c.id, c.datos]));
+    const altas = pendientes
+        .filter(c => c.tipo === 'crear')
+        .map(c => ({ id: null, ...Esquema.tomarEditables(c.datos), pendiente: 'crear' }));
+
+    return usuarios
+        .filter(u => !eliminados.has(u.id))
+        .map(u => editados.has(u.id)
+            ? { ...u, ...Esquema.tomarEditables(editados.get(u.id)), pendiente: 'actualizar' }
+            : u)
+        .concat(altas);
+}
+
+/**
+ * Utilidad: Describir un cambio encolado para los avisos de sincronización
+ *
+ * @function describirCambio
+ * @param {Object} cambio - Cambio de la cola ({tipo, nombre})
+ * @returns {string} P.ej. 'Alta de "Ana"'
+ */
+function describirCambio({ tipo, nombre }) {
+    return t(`sincronizacion.cambios.${tipo}`, { nombre });
+}
+
+/**
+ * Utilidad: Describir por qué el backend rechazó un cambio encolado
+ *
+ * @function describirConflictoSincronizacion
+ * @param {Object} cambio - Cambio de la cola
+ * @param {Error} error - Error al reenviarlo
+ * @returns {string} Motivo corto para el aviso
+ */
+function describirConflictoSincronizacion(cambio, error) {
+    if (error instanceof ApiError) {
+        if (error.status === 404) {
+            return t('sincronizacion.noExiste');
+        }
+        if (error.status === 412) {
+            return t('sincronizacion.modificado');
+        }
+        if (error.status === 403) {
+            return t('sincronizacion.sinPermisos');
+        }
+    }
+    return error.message || t('sincronizacion.desconocido');
+}
+
 /**
  * Clase principal de la aplicación (Controlador)
  *
@@ -59,8 +359,24 @@ function debounce(func, wait) {
  *
  * @class App
  *
- * @property {Object|null} usuarioEnEdicion - Usuario actualmente siendo editado
+ * @property {Object|null} usuarioEnEdicion - Usuario actualmente siendo editado (datos del servidor + etag)
  * @property {Object|null} usuarioAEliminar - Usuario pendiente de eliminación
+ * @property {Array<Object>} usuarios - Usuarios cargados desde la API (orden del servidor)
+ * @property {Object} criterios - Búsqueda y ordenamiento activos en la tabla
+ * @property {Object} paginacion - Página actual, tamaño y totales del listado
+ * @property {Object|null} loginPendiente - Login en curso ({promesa, resolver})
+ * @property {string} rol - Rol del usuario autenticado ('viewer', 'editor', 'admin')
+ * @property {Set<number>} seleccionados - IDs marcados para acciones en lote
+ * @property {Object|null} importacion - Archivo CSV en proceso de importación
+ * @property {Map<number, Object>} eliminacionesPendientes - Eliminaciones que aún pueden deshacerse
+ * @property {Object|null} conflicto - Edición rechazada por un cambio concurrente
+ * @property {Array<Object>} pendientes - Cambios hechos sin conexión, aún no sincronizados
+ * @property {Object|null} cambioSinPassword - Cambio de la cola cuya contraseña se vuelve a pedir
+ * @property {Object|null} cambioRemoto - Otra persona cambió el usuario que se está editando
+ * @property {Object|null} verificacionEmail - Consulta de disponibilidad del email en curso
+ * @property {Object|null} ruta - Última ruta mostrada ({nombre, params}, ver js/router.js)
+ * @property {string|null} vista - Vista visible ('usuarios', 'detalle', 'acercaDe')
+ * @property {Object|null} detalle - Usuario de la vista de detalle ({id, usuario, error})
  *
  * @example
  * const app = new App();
@@ -78,16 +394,102 @@ class App {
         this.usuarioEnEdicion = null;
         /** @type {Object|null} Usuario pendiente de confirmación para eliminar */
         this.usuarioAEliminar = null;
+        /** @type {Array<Object>} Última lista de usuarios obtenida de la API */
+        this.usuarios = [];
+        /** @type {{busqueda: string, campoOrden: string|null, direccionOrden: string}} */
+        this.criterios = {
+            busqueda: '',
+            campoOrden: null,
+            direccionOrden: 'asc'
+        };
+        /**
+         * Estado de paginación. Se conserva entre recargas (crear/editar/eliminar)
+         * para no volver a la primera página. paginadoEnServidor es false cuando
+         * el backend responde con un array plano y se pagina en el cliente.
+         * @type {{pagina: number, tamanio: number, totalElementos: number, totalPaginas: number, paginadoEnServidor: boolean}}
+         */
+        this.paginacion = {
+            pagina: 0,
+            tamanio: UI.obtenerTamanioPagina(),
+            totalElementos: 0,
+            totalPaginas: 1,
+            paginadoEnServidor: false
+        };
+        /** @type {number|null} Total de usuarios sin búsqueda (paginación en el servidor: contador "N de M") */
+        this.totalSinBusqueda = null;
+        /** @type {{promesa: Promise<boolean>, resolver: Function}|null} Login mostrado y aún no resuelto */
+        this.loginPendiente = null;
+        /** @type {string} Email de la última sesión (se precarga al reautenticar) */
+        this.emailSesion = '';
+        /** @type {string} Rol actual; se resuelve en actualizarRol() */
+        this.rol = 'viewer';
+        /** @type {Set<number>} IDs seleccionados (solo usuarios que coinciden con la búsqueda) */
+        this.seleccionados = new Set();
+        /** @type {Array<number>} IDs que coinciden con la búsqueda actual (para "seleccionar todos") */
+        this.idsCoincidentes = [];
+        /** @type {boolean} true mientras se ejecuta una eliminación en lote */
+        this.eliminandoEnLote = false;
+        /** @type {{celdas: Array<Array<string>>, encabezados: Array<string>, filas: Array<Object>}|null} */
+        this.importacion = null;
+        /**
+         * Eliminaciones en período de gracia, por ID de usuario
+         * - temporizador: envía el DELETE al vencer ESPERA_DESHACER
+         * - envio: promesa del DELETE una vez enviado (null mientras se puede cancelar)
+         * @type {Map<number, {usuario: Object, temporizador: number, envio: Promise|null}>}
+         */
+        this.eliminacionesPendientes = new Map();
+        /**
+         * Edición rechazada (409/412) a la espera de que se resuelva el conflicto:
+         * - original: datos leídos al abrir el formulario
+         * - suyo: datos actuales del servidor (y etag, su versión)
+         * - mio: datos del formulario, incluida la contraseña
+         * @type {{id: number, original: Object, suyo: Object, mio: Object, etag: string|null}|null}
+         */
+        this.conflicto = null;
+        /** @type {Array<Object>} Cola de Offline (en orden); se aplica sobre this.usuarios al renderizar */
+        this.pendientes = [];
+        /** @type {boolean} True mientras se reenvía la cola */
+        this.sincronizando = false;
+        /** @type {Object|null} Cambio de la cola abierto en el formulario para volver a ingresar la contraseña */
+        this.cambioSinPassword = null;
+        /** @type {number} Número de la última llamada a cargarUsuarios (descarta respuestas viejas) */
+        this.consultaUsuarios = 0;
+        /**
+         * Cambio recibido en tiempo real sobre el usuario abierto en el formulario.
+         * Al guardar se resuelve como un conflicto en lugar de pisarlo.
+         * @type {{id: number, tipo: string}|null}
+         */
+        this.cambioRemoto = null;
+        /**
+         * Consulta de disponibilidad del email en curso (controller la cancela)
+         * @type {{controller: AbortController, promesa: Promise<void>}|null}
+         */
+        this.verificacionEmail = null;
+        /** @type {boolean} El email cambió y todavía no se consultó (debounce en espera) */
+        this.emailPorVerificar = false;
+        /** @type {{nombre: string, params: Object}|null} Última ruta mostrada */
+        this.ruta = null;
+        /** @type {string|null} Vista visible */
+        this.vista = null;
+        /** @type {{id: number, usuario: Object|null, error: string|null}|null} Usuario de la vista de detalle (error: clave del mensaje) */
+        this.detalle = null;
+        /** @type {number} Contador de cargas del detalle (descarta respuestas de una ruta anterior) */
+        this.consultaDetalle = 0;
     }
 
     /**
      * Inicializa la aplicación completa
      *
      * Punto de entrada principal. Ejecuta en orden:
-     * 1. Verifica conexión con el backend
+     * 1. Resuelve la configuración (URL, config.json, localStorage)
      * 2. Configura todos los event listeners
-     * 3. Carga la lista inicial de usuarios
-     * 4. Inicializa funcionalidades UI (toggle password)
+     * 3. Pide inicio de sesión si la autenticación está habilitada y no hay sesión válida
+     * 4. Envía las entradas de auditoría pendientes y carga la lista inicial de usuarios
+     * 5. Muestra la vista de la URL (#/usuarios, #/usuarios/:id, ...) y sigue sus cambios
+     * 6. Verifica conexión con el backend (sin otra petición si la carga respondió)
+     * 7. Sincroniza los cambios hechos sin conexión en visitas anteriores
+     * 8. Se suscribe a los cambios de otras personas (stream o sondeo)
+     * 9. Inicializa funcionalidades UI (toggle password)
      *
      * @async
      * @memberof App
@@ -98,17 +500,87 @@ class App {
      * await app.init(); // Aplicación lista para usar
      */
     async init() {
+        // Resolver configuración antes de cualquier petición
+        await Config.inicializar();
+
+        // Traducir la página al idioma detectado o elegido antes (ver js/i18n.js)
+        I18n.inicializar();
+        UI.marcarIdioma(I18n.idioma());
+        UI.renderizarNotificaciones();
+        I18n.suscribir(idioma => this.handleCambioIdioma(idioma));
+
+        // Reporte de errores (acción del usuario como contexto, envío al cerrar la pestaña)
+        Monitoreo.iniciar();
+
         Logger.log('🚀 Iniciando aplicación...');
+        Logger.log(`⚙️ API en uso: ${API_CONFIG.BASE_URL} (origen: ${Config.origenes.BASE_URL})`);
+        Config.advertencias.forEach(advertencia => Logger.warn(advertencia));
 
-        // Verificar conexión con la API
-        await this.verificarConexion();
+        // Requisitos de la contraseña según la política del despliegue
+        UI.aplicarPoliticaPassword({
+            longitudMinima: API_CONFIG.POLITICA_PASSWORD.longitudMinima,
+            descripcion: Password.describir()
+        });
+
+        // Backend simulado: dejarlo a la vista para no confundir sus datos con los reales
+        UI.mostrarBackendSimulado(API_CONFIG.MOCK);
+        if (API_CONFIG.MOCK) {
+            Logger.warn('🧪 Backend simulado activo: los datos se guardan en localStorage (ver js/mock.js)');
+        }
+
+        // Mostrar "servidor despertando… intento N/M" mientras la API reintenta
+        API.suscribirReintentos(estado => {
+            if (estado.reintentando) {
+                UI.mostrarEstadoReintento(estado);
+            } else {
+                UI.ocultarEstadoReintento();
+            }
+        });
+
+        // Service worker y cola de cambios sin conexión
+        await Offline.inicializar();
+        this.pendientes = await Offline.obtenerPendientes();
+        Offline.suscribir(estado => this.handleCambioConexion(estado));
+        this.actualizarEstadoConexion();
+
+        // Ante un 401: pedir login y reanudar la acción interrumpida
+        API.registrarManejadorNoAutorizado(() => this.solicitarLogin({
+            mensaje: t('sesion.invalida'),
+            cancelable: true
+        }));
 
         // Configurar event listeners
         this.configurarEventListeners();
 
+        // Iniciar sesión antes de pedir datos protegidos
+        if (API_CONFIG.AUTH_HABILITADA && !Auth.haySesionValida()) {
+            Auth.cerrarSesion();
+            await this.solicitarLogin();
+        }
+        this.activarSesion();
+
+        // Enviar las entradas de auditoría que no se pudieron enviar en la visita anterior
+        Auditoria.iniciar();
+        Auditoria.suscribir(() => {
+            if (this.vista === 'auditoria') this.renderizarAuditoria();
+        });
+
         // Cargar usuarios iniciales
         await this.cargarUsuarios();
 
+        // Vista de la URL (un enlace compartido puede abrir un detalle o una edición)
+        Router.suscribir(ruta => this.handleCambioRuta(ruta));
+        Router.iniciar();
+
+        // Verificar conexión con la API (reutiliza la lectura anterior si tuvo respuesta)
+        await this.verificarConexion();
+
+        // Enviar los cambios que quedaron pendientes de una visita anterior
+        await this.sincronizarPendientes();
+
+        // Cambios de otras personas sin tener que presionar "Recargar"
+        this.iniciarTiempoReal();
+
         // Inicializar toggle de password
         UI.inicializarTogglePassword();
 
@@ -126,18 +598,23 @@ class App {
      * @returns {Promise<void>}
      */
     async verificarConexion() {
+        if (!Offline.estaConectado()) {
+            UI.mostrarAlerta(t('conexion.datosGuardados'), 'warning');
+            return;
+        }
+
         try {
             const conectado = await API.verificarConexion();
             if (!conectado) {
                 UI.mostrarAlerta(
-                    'No se pudo conectar con el servidor. Verifique que la API esté disponible en https://usuarios-mvgv.onrender.com',
+                    t('conexion.noDisponible', { url: API_CONFIG.BASE_URL }),
                     'warning'
                 );
             }
         } catch (error) {
             Logger.error('Error al verificar conexión:', error);
             UI.mostrarAlerta(
-                'Error de conexión con el servidor',
+                t('conexion.error'),
                 'danger'
             );
         }
@@ -156,18 +633,31 @@ class App {
      * - btnConfirmarEliminar: Confirma eliminación de usuario
      * - usuariosTableBody: Delegation para botones editar/eliminar
      * - formUsuario: Validación en tiempo real y submit con Enter
+     * - buscarUsuario: Filtrado de la tabla mientras se escribe (con debounce)
+     * - encabezados de tabla: Ordenamiento por columna (click o Enter)
+     * - paginacion / tamanioPagina: Navegación entre páginas y tamaño de página
+     * - btnConfiguracion / modalConfiguracion: Cambio de entorno, timeout y debug
+     * - formLogin / btnCancelarLogin / btnCerrarSesion: Inicio y cierre de sesión
+     * - seleccionarTodos / chk-usuario / barraAccionesLote: Selección y eliminación en lote
+     * - btnImportarCsv / modalImportar: Asistente de importación CSV
+     * - btn-exportar: Exportación a CSV o JSON
+     * - btn-idioma: Cambio de idioma de la interfaz (navbar y login)
+     * - btnNotificaciones / btnLimpiarNotificaciones: Historial de notificaciones del navbar
+     * - filtroAuditoria* / btn-exportar-auditoria: Filtros y exportación del registro de auditoría
+     * - pagehide: Envía las eliminaciones pendientes antes de cerrar la pestaña
      *
      * @memberof App
      */
     configurarEventListeners() {
         // Botón nuevo usuario
         DOM.btnNuevoUsuario.addEventListener('click', () => {
+            if (!this.autorizar('crear')) return;
             this.handleNuevoUsuario();
         });
 
-        // Botón recargar
+        // Botón recargar: siempre pide al backend (ignora la caché)
         DOM.btnRecargar.addEventListener('click', () => {
-            this.cargarUsuarios();
+            this.cargarUsuarios({ forzar: true });
         });
 
         // Botón guardar usuario (crear o actualizar)
@@ -181,16 +671,20 @@ class App {
         });
 
         // Delegación de eventos para botones de la tabla
+        // Los permisos se verifican aquí aunque el botón esté oculto para el rol
         DOM.usuariosTableBody.addEventListener('click', (e) => {
             // Botón editar
             if (e.target.closest('.btn-editar')) {
                 const btn = e.target.closest('.btn-editar');
-                this.handleEditarUsuario(btn);
+                if (!this.autorizar('editar', this.buscarUsuario(btn.getAttribute('data-id')))) return;
+                // La ruta abre el formulario (handleCambioRuta): la URL queda para compartir
+                Router.navegar(Router.enlace('editar', { id: btn.getAttribute('data-id') }));
             }
 
             // Botón eliminar
             if (e.target.closest('.btn-eliminar')) {
                 const btn = e.target.closest('.btn-eliminar');
+                if (!this.autorizar('eliminar', this.buscarUsuario(btn.getAttribute('data-id')))) return;
                 this.handleEliminarUsuario(btn);
             }
         });
@@ -206,6 +700,28 @@ class App {
 
         DOM.formUsuario.addEventListener('input', validarFormularioDebounced);
 
+        // Un campo rechazado por el backend vuelve a ser válido al modificarlo
+        DOM.formUsuario.addEventListener('input', (e) => {
+            UI.limpiarErrorDeCampo(e.target.id);
+        });
+
+        // Disponibilidad del email: se consulta al dejar de escribir, cancelando la anterior
+        const verificarEmailDebounced = debounce(() => this.verificarEmail(), ESPERA_VERIFICAR_EMAIL);
+        DOM.email.addEventListener('input', () => {
+            this.cancelarVerificacionEmail();
+            this.emailPorVerificar = true;
+            verificarEmailDebounced();
+        });
+
+        // Fortaleza y política de la contraseña (el nombre y el email también cuentan)
+        DOM.formUsuario.addEventListener('input', (e) => {
+            if (['nombre', 'email', 'password'].includes(e.target.id)) {
+                this.evaluarPassword();
+            }
+        });
+
+        DOM.btnGenerarPassword.addEventListener('click', () => this.handleGenerarPassword());
+
         // Enter en el formulario
         DOM.formUsuario.addEventListener('keypress', (e) => {
             if (e.key === 'Enter') {
@@ -216,136 +732,2232 @@ class App {
 
         // Limpiar validación al cerrar modal
         document.getElementById('modalUsuario').addEventListener('hidden.bs.modal', () => {
+            this.cancelarVerificacionEmail();
+            // Si quedó sin guardar, la contraseña se vuelve a pedir en la próxima sincronización
+            this.cambioSinPassword = null;
             UI.resetearFormulario();
+            // Cerrado sin usar "atrás": salir de #/usuarios/:id/editar
+            const ruta = Router.ruta();
+            if (ruta?.nombre === 'editar') {
+                Router.volver(Router.enlace('detalle', ruta.params));
+            }
+        });
+
+        // Búsqueda CON DEBOUNCE: filtra solo cuando el usuario deja de escribir
+        const buscarDebounced = debounce(() => {
+            this.handleBuscar(UI.obtenerTextoBusqueda());
+        }, 300);
+
+        DOM.buscarUsuario.addEventListener('input', buscarDebounced);
+
+        DOM.btnLimpiarBusqueda.addEventListener('click', () => {
+            UI.limpiarBusqueda();
+            this.handleBuscar('');
+        });
+
+        // Ordenamiento por columnas (click o Enter/Espacio para accesibilidad)
+        DOM.encabezadosOrdenables.forEach(th => {
+            const ordenar = () => this.handleOrdenar(th.getAttribute('data-orden'));
+
+            th.addEventListener('click', ordenar);
+            th.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    ordenar();
+                }
+            });
+        });
+
+        // Delegación de eventos para los botones del paginador
+        DOM.paginacion.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-pagina]');
+            if (btn && !btn.disabled) {
+                this.handleCambiarPagina(parseInt(btn.getAttribute('data-pagina')));
+            }
+        });
+
+        // Cambio de tamaño de página
+        DOM.tamanioPagina.addEventListener('change', () => {
+            this.handleCambiarTamanioPagina(UI.obtenerTamanioPagina());
+        });
+
+        // Diálogo de configuración
+        DOM.btnConfiguracion.addEventListener('click', () => {
+            this.handleConfiguracion();
+        });
+
+        DOM.configEntorno.addEventListener('change', () => {
+            UI.aplicarEntornoSeleccionado();
+        });
+
+        DOM.btnGuardarConfiguracion.addEventListener('click', () => {
+            this.handleGuardarConfiguracion();
+        });
+
+        DOM.btnRestablecerConfiguracion.addEventListener('click', () => {
+            this.handleRestablecerConfiguracion();
+        });
+
+        // Inicio de sesión (submit cubre el botón "Ingresar" y Enter)
+        DOM.formLogin.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleIniciarSesion();
+        });
+
+        DOM.btnCancelarLogin.addEventListener('click', () => {
+            this.finalizarLogin(false);
+        });
+
+        DOM.btnConfiguracionLogin.addEventListener('click', () => {
+            this.handleConfiguracion();
+        });
+
+        DOM.btnCerrarSesion.addEventListener('click', () => {
+            this.handleCerrarSesion();
+        });
+
+        // Selección múltiple: checkbox del encabezado y de cada fila (delegación)
+        DOM.seleccionarTodos.addEventListener('change', () => {
+            this.handleSeleccionarTodos(DOM.seleccionarTodos.checked);
+        });
+
+        DOM.usuariosTableBody.addEventListener('change', (e) => {
+            if (e.target.classList.contains('chk-usuario')) {
+                this.handleSeleccionarUsuario(parseInt(e.target.getAttribute('data-id')), e.target.checked);
+            }
+        });
+
+        DOM.btnLimpiarSeleccion.addEventListener('click', () => {
+            this.handleSeleccionarTodos(false);
+        });
+
+        // Eliminación en lote (también verifica el permiso, aunque la barra no se muestre)
+        DOM.btnEliminarSeleccionados.addEventListener('click', () => {
+            if (!this.autorizar('eliminar')) return;
+            this.handleEliminarSeleccionados();
+        });
+
+        DOM.btnConfirmarEliminarLote.addEventListener('click', () => {
+            if (!this.autorizar('eliminar')) return;
+            this.handleConfirmarEliminarLote();
+        });
+
+        // Conflictos de edición concurrente
+        DOM.btnConflictoDescartar.addEventListener('click', () => {
+            this.handleDescartarConflicto();
+        });
+
+        DOM.btnConflictoSobrescribir.addEventListener('click', () => {
+            this.handleResolverConflicto('sobrescribir');
+        });
+
+        DOM.btnConflictoCombinar.addEventListener('click', () => {
+            this.handleResolverConflicto('combinar');
+        });
+
+        // Importación CSV (crea usuarios: requiere permiso de alta)
+        DOM.btnImportarCsv.addEventListener('click', () => {
+            if (!this.autorizar('crear')) return;
+            UI.mostrarModalImportar();
+        });
+
+        DOM.archivoImportar.addEventListener('change', () => {
+            this.handleArchivoImportar();
+        });
+
+        DOM.importarEncabezado.addEventListener('change', () => {
+            if (DOM.archivoImportar.files.length) {
+                this.handleArchivoImportar();
+            }
+        });
+
+        DOM.selectoresMapeo.forEach(select => {
+            select.addEventListener('change', () => {
+                this.actualizarVistaPrevia();
+            });
+        });
+
+        DOM.btnVolverImportacion.addEventListener('click', () => {
+            UI.mostrarModalImportar();
+        });
+
+        DOM.btnConfirmarImportacion.addEventListener('click', () => {
+            if (!this.autorizar('crear')) return;
+            this.handleConfirmarImportacion();
+        });
+
+        DOM.btnDescargarReporte.addEventListener('click', () => {
+            this.handleDescargarReporte();
+        });
+
+        // Idioma de la interfaz (menú del navbar y botones del login)
+        DOM.opcionesIdioma.forEach(opcion => {
+            opcion.addEventListener('click', () => I18n.cambiarIdioma(opcion.getAttribute('data-idioma')));
+        });
+
+        // Historial de notificaciones: al abrir el panel se dan por leídas
+        DOM.btnNotificaciones.addEventListener('shown.bs.dropdown', () => {
+            UI.marcarNotificacionesLeidas();
+        });
+
+        DOM.btnLimpiarNotificaciones.addEventListener('click', () => {
+            UI.limpiarNotificaciones();
+        });
+
+        // Exportar (CSV o JSON según data-formato)
+        DOM.opcionesExportar.forEach(opcion => {
+            opcion.addEventListener('click', () => {
+                this.handleExportar(opcion.getAttribute('data-formato'));
+            });
+        });
+
+        // Auditoría: filtrar mientras se escribe el ID o al elegir la acción
+        DOM.filtroAuditoriaUsuario.addEventListener('input', () => this.renderizarAuditoria());
+        DOM.filtroAuditoriaAccion.addEventListener('change', () => this.renderizarAuditoria());
+        DOM.opcionesExportarAuditoria.forEach(opcion => {
+            opcion.addEventListener('click', () => {
+                this.handleExportarAuditoria(opcion.getAttribute('data-formato'));
+            });
+        });
+
+        // Al cerrar o recargar la pestaña, las eliminaciones en período de gracia se envían igual
+        window.addEventListener('pagehide', () => {
+            this.enviarEliminacionesPendientes();
         });
     }
 
     /**
-     * Carga todos los usuarios desde la API
+     * Carga los usuarios de la página actual desde la API
+     *
+     * Solicita la página guardada en this.paginacion, de modo que las recargas
+     * tras crear/editar/eliminar mantienen la posición. Si la página quedó
+     * fuera de rango (p.ej. se eliminó el último usuario de la última página),
+     * retrocede a la última página disponible.
+     *
+     * La lectura pasa por la caché de api.js: después de crear, editar o
+     * eliminar la tabla se redibuja sin esperar al backend, y si la copia
+     * estaba vencida se vuelve a dibujar cuando llega la revalidación
+     * (solo si sigue siendo la última consulta pedida).
+     *
+     * @param {Object} [opciones={}] - Opciones de carga
+     * @param {boolean} [opciones.forzar=false] - Ignorar la caché (botón "Recargar")
      */
-    async cargarUsuarios() {
+    async cargarUsuarios({ forzar = false } = {}) {
+        const consulta = ++this.consultaUsuarios;
+
         try {
             UI.mostrarCargando();
 
-            const usuarios = await API.obtenerUsuarios();
-            UI.renderizarUsuarios(usuarios);
+            const resultado = await API.obtenerUsuarios(this.consultaListado(), {
+                forzar,
+                alRevalidar: nuevo => {
+                    if (consulta !== this.consultaUsuarios) return;
+                    Logger.log('🔄 Lista de usuarios revalidada');
+                    if (!this.mostrarResultadoUsuarios(nuevo)) {
+                        this.cargarUsuarios();
+                    }
+                }
+            });
 
-            Logger.log(`✅ ${usuarios.length} usuarios cargados`);
+            // Mientras tanto se pidió otra página u orden: esta respuesta ya no aplica
+            if (consulta !== this.consultaUsuarios) return;
+
+            if (!this.mostrarResultadoUsuarios(resultado)) {
+                await this.cargarUsuarios({ forzar });
+                return;
+            }
+
+            Logger.log(`✅ ${resultado.usuarios.length} usuarios cargados`);
         } catch (error) {
             Logger.error('Error al cargar usuarios:', error);
-            this.manejarError(error, 'Error al cargar los usuarios');
+            this.manejarError(error, t('errores.cargar'), () => this.cargarUsuarios({ forzar }));
         } finally {
             UI.ocultarCargando();
         }
     }
 
     /**
-     * Maneja el evento de nuevo usuario
+     * Página, orden y búsqueda con los que se pide el listado a la API
+     *
+     * La búsqueda solo se envía cuando el backend pagina: así abarca todas
+     * las páginas. Con paginación en el cliente se filtra la lista completa
+     * ya cargada (ver renderizarTabla).
+     *
+     * @memberof App
+     * @returns {{pagina: number, tamanio: number, orden: Object|null, busqueda: string}} Argumento de API.obtenerUsuarios
      */
-    handleNuevoUsuario() {
-        this.usuarioEnEdicion = null;
-        UI.mostrarModalNuevoUsuario();
+    consultaListado() {
+        const { pagina, tamanio, paginadoEnServidor } = this.paginacion;
+        const { busqueda, campoOrden, direccionOrden } = this.criterios;
+        return {
+            pagina,
+            tamanio,
+            orden: campoOrden ? { campo: campoOrden, direccion: direccionOrden } : null,
+            busqueda: paginadoEnServidor ? busqueda : ''
+        };
     }
 
     /**
-     * Maneja el evento de editar usuario
-     * @param {HTMLElement} boton - Botón que disparó el evento
+     * Muestra en la tabla una página obtenida de la API
+     *
+     * @param {Object} resultado - Página normalizada de API.obtenerUsuarios
+     * @returns {boolean} False si la página quedó fuera de rango (se ajustó
+     *          this.paginacion.pagina y hay que volver a cargar)
      */
-    async handleEditarUsuario(boton) {
-        const id = parseInt(boton.getAttribute('data-id'));
-        const nombre = boton.getAttribute('data-nombre');
-        const email = boton.getAttribute('data-email');
+    mostrarResultadoUsuarios(resultado) {
+        if (resultado.paginadoEnServidor && resultado.usuarios.length === 0 &&
+            resultado.totalElementos > 0 && resultado.pagina >= resultado.totalPaginas) {
+            this.paginacion.pagina = resultado.totalPaginas - 1;
+            return false;
+        }
 
-        this.usuarioEnEdicion = { id, nombre, email };
-        UI.mostrarModalEditarUsuario(this.usuarioEnEdicion);
+        this.usuarios = resultado.usuarios;
+        if (!this.criterios.busqueda) {
+            this.totalSinBusqueda = resultado.totalElementos;
+        }
+        this.actualizarRol();
+        Object.assign(this.paginacion, {
+            pagina: resultado.pagina,
+            totalElementos: resultado.totalElementos,
+            totalPaginas: resultado.totalPaginas,
+            paginadoEnServidor: resultado.paginadoEnServidor
+        });
+        this.renderizarTabla();
+        return true;
     }
 
     /**
-     * Maneja el evento de guardar usuario (crear o actualizar)
+     * Usuarios que la tabla considera vigentes
+     *
+     * Los cambios hechos sin conexión se muestran como si ya se hubieran
+     * enviado y los usuarios con eliminación pendiente (deshacer) ya no se
+     * muestran. La tabla y la exportación parten de esta lista.
+     *
+     * @memberof App
+     * @returns {Array<Object>} Usuarios cargados, sin filtrar ni ordenar
      */
-    async handleGuardarUsuario() {
-        // Validar formulario
-        if (!UI.validarFormulario()) {
-            UI.mostrarAlerta('Por favor, complete todos los campos correctamente', 'warning');
-            return;
-        }
+    obtenerVigentes() {
+        return aplicarPendientes(this.usuarios, this.pendientes)
+            .filter(u => !this.eliminacionesPendientes.has(u.id));
+    }
 
-        const datosUsuario = UI.obtenerDatosFormulario();
-        const usuarioId = UI.obtenerIdUsuario();
+    /**
+     * Renderiza la tabla aplicando la búsqueda y el ordenamiento activos
+     *
+     * Trabaja sobre la lista ya cargada en memoria, sin volver a llamar a la API.
+     * El contador muestra "N de M usuarios" mientras hay una búsqueda activa.
+     *
+     * Si el backend no pagina, la página se recorta aquí después de filtrar
+     * y ordenar, así la búsqueda abarca todos los usuarios. Si el backend
+     * pagina, la búsqueda ya la hizo el backend (parámetro `q`, ver
+     * consultaListado): this.usuarios es la página de coincidencias y
+     * totalElementos su cantidad. El filtro local se aplica igual, para los
+     * cambios sin sincronizar y los que llegan en tiempo real.
+     *
+     * @memberof App
+     */
+    renderizarTabla() {
+        const vigentes = this.obtenerVigentes();
+        const coincidencias = this.ordenarUsuarios(this.filtrarUsuarios(vigentes));
+        const paginacion = this.paginacion;
 
-        try {
-            // Deshabilitar botón
+        let visibles = coincidencias;
+        let total = vigentes.length;
+        let totalCoincidencias = coincidencias.length;
+
+        if (paginacion.paginadoEnServidor) {
+            const ocultos = this.usuarios.length - vigentes.length;
+            totalCoincidencias = paginacion.totalElementos - ocultos;
+            total = this.criterios.busqueda
+                ? (this.totalSinBusqueda ?? paginacion.totalElementos) - ocultos
+                : totalCoincidencias;
+        } else {
+            paginacion.totalElementos = coincidencias.length;
+            paginacion.totalPaginas = Math.max(1, Math.ceil(coincidencias.length / paginacion.tamanio));
+            paginacion.pagina = Math.min(paginacion.pagina, paginacion.totalPaginas - 1);
+
+            const inicio = paginacion.pagina * paginacion.tamanio;
+            visibles = coincidencias.slice(inicio, inicio + paginacion.tamanio);
+        }
+
+        // La selección solo conserva usuarios cargados que coinciden con la búsqueda
+        // (los que tienen cambios sin sincronizar no se pueden seleccionar)
+        this.idsCoincidentes = coincidencias.filter(u => !u.pendiente).map(u => u.id);
+        const coincidentes = new Set(this.idsCoincidentes);
+        this.seleccionados.forEach(id => {
+            if (!coincidentes.has(id)) this.seleccionados.delete(id);
+        });
+
+        UI.renderizarUsuarios(visibles, total, totalCoincidencias, usuario => ({
+            editar: this.puede('editar', usuario),
+            eliminar: this.puede('eliminar', usuario),
+            seleccionado: this.seleccionados.has(usuario.id)
+        }));
+        UI.actualizarSeleccion(this.seleccionados, this.idsCoincidentes.length);
+        UI.renderizarPaginador(paginacion);
+        UI.actualizarIndicadoresOrden(this.criterios.campoOrden, this.criterios.direccionOrden);
+    }
+
+    /**
+     * Filtra usuarios según el texto de búsqueda
+     *
+     * Se buscan los campos `buscable` del esquema (nombre, email y
+     * teléfono). La comparación ignora mayúsculas y acentos (ver normalizarTexto).
+     *
+     * @memberof App
+     * @param {Array<Object>} usuarios - Usuarios a filtrar
+     * @returns {Array<Object>} Usuarios con algún campo buscable que contiene el texto buscado
+     */
+    filtrarUsuarios(usuarios) {
+        const termino = normalizarTexto(this.criterios.busqueda);
+        if (!termino) {
+            return usuarios;
+        }
+
+        const campos = Esquema.buscables();
+        return usuarios.filter(usuario =>
+            campos.some(({ nombre }) => normalizarTexto(usuario[nombre] ?? '').includes(termino))
+        );
+    }
+
+    /**
+     * Ordena usuarios según la columna y dirección activas
+     *
+     * El ID y los booleanos se comparan numéricamente; el resto
+     * alfabéticamente con reglas del español (á = a, ñ después de n). Las
+     * fechas ISO 8601 quedan en orden cronológico. Sin columna activa se
+     * respeta el orden del servidor.
+     *
+     * @memberof App
+     * @param {Array<Object>} usuarios - Usuarios a ordenar
+     * @returns {Array<Object>} Nueva lista ordenada (no modifica la original)
+     */
+    ordenarUsuarios(usuarios) {
+        const { campoOrden, direccionOrden } = this.criterios;
+        if (!campoOrden) {
+            return usuarios;
+        }
+
+        const factor = direccionOrden === 'asc' ? 1 : -1;
+        const numerico = ['id', 'booleano'].includes(Esquema.campo(campoOrden)?.tipo);
+
+        return [...usuarios].sort((a, b) => {
+            const resultado = numerico
+                ? (a[campoOrden] ?? 0) - (b[campoOrden] ?? 0)
+                : String(a[campoOrden] ?? '').localeCompare(String(b[campoOrden] ?? ''), 'es', { sensitivity: 'base' });
+            return resultado * factor;
+        });
+    }
+
+    /**
+     * Maneja el cambio de texto en el buscador
+     *
+     * Vuelve a la primera página. Con paginación en el servidor pide al
+     * backend la primera página de coincidencias.
+     *
+     * @param {string} texto - Texto de búsqueda
+     */
+    handleBuscar(texto) {
+        this.criterios.busqueda = texto;
+        this.paginacion.pagina = 0;
+        if (this.paginacion.paginadoEnServidor) {
+            this.cargarUsuarios();
+        } else {
+            this.renderizarTabla();
+        }
+    }
+
+    /**
+     * Maneja el click en un encabezado ordenable
+     *
+     * Un click en una columna nueva ordena ascendente; un nuevo click
+     * en la misma columna alterna entre ascendente y descendente.
+     * Con paginación en servidor se vuelve a pedir la primera página ordenada.
+     *
+     * @param {string} campo - Campo a ordenar (uno `ordenable` del esquema)
+     */
+    handleOrdenar(campo) {
+        if (this.criterios.campoOrden === campo) {
+            this.criterios.direccionOrden = this.criterios.direccionOrden === 'asc' ? 'desc' : 'asc';
+        } else {
+            this.criterios.campoOrden = campo;
+            this.criterios.direccionOrden = 'asc';
+        }
+
+        if (this.paginacion.paginadoEnServidor) {
+            this.paginacion.pagina = 0;
+            this.cargarUsuarios();
+        } else {
+            this.renderizarTabla();
+        }
+    }
+
+    /**
+     * Maneja la navegación a otra página del listado
+     * @param {number} pagina - Índice de la página destino (base 0)
+     */
+    handleCambiarPagina(pagina) {
+        const { totalPaginas, paginadoEnServidor } = this.paginacion;
+        if (!Number.isInteger(pagina) || pagina < 0 || pagina >= totalPaginas) return;
+
+        this.paginacion.pagina = pagina;
+        if (paginadoEnServidor) {
+            this.cargarUsuarios();
+        } else {
+            this.renderizarTabla();
+        }
+    }
+
+    /**
+     * Maneja el cambio de tamaño de página (vuelve a la primera página)
+     * @param {number} tamanio - Cantidad de usuarios por página
+     */
+    handleCambiarTamanioPagina(tamanio) {
+        this.paginacion.tamanio = tamanio;
+        this.paginacion.pagina = 0;
+        if (this.paginacion.paginadoEnServidor) {
+            this.cargarUsuarios();
+        } else {
+            this.renderizarTabla();
+        }
+    }
+
+    /**
+     * Muestra la vista de la ruta actual (ver js/router.js)
+     *
+     * #/usuarios/:id/editar abre el formulario sobre la vista en la que se
+     * estaba (la lista o el detalle de ese usuario); con el enlace abierto
+     * directamente, sobre el detalle. Salir de esa ruta con atrás/adelante
+     * cierra el formulario; cerrarlo vuelve a la ruta anterior.
+     *
+     * @async
+     * @memberof App
+     * @param {Object} ruta - Ruta notificada por Router
+     * @param {string} ruta.nombre - 'usuarios', 'detalle', 'editar', 'acercaDe' o 'auditoria'
+     * @param {Object<string, string>} ruta.params - Parámetros ({id} en detalle y editar)
+     * @returns {Promise<void>}
+     */
+    async handleCambioRuta({ nombre, params }) {
+        const anterior = this.ruta;
+        this.ruta = { nombre, params };
+        Logger.log(`🧭 Ruta: ${nombre}`, params);
+
+        if (anterior?.nombre === 'editar' && nombre !== 'editar' && UI.estaEditando(Number(anterior.params.id))) {
+            UI.cerrarModalUsuario();
+        }
+
+        switch (nombre) {
+            case 'detalle':
+                this.mostrarVista('detalle');
+                await this.cargarDetalle(params.id);
+                break;
+
+            case 'editar': {
+                const id = Number(params.id);
+                if (!Number.isInteger(id) || id <= 0) {
+                    Router.navegar(Router.enlace('detalle', params), { reemplazar: true });
+                    break;
+                }
+                const visible = anterior?.nombre === 'usuarios' ||
+                    (['detalle', 'editar'].includes(anterior?.nombre) && this.detalle?.id === id);
+                if (!visible) {
+                    this.mostrarVista('detalle');
+                    this.cargarDetalle(params.id);
+                }
+                const abierto = this.autorizar('editar', this.buscarUsuario(id)) && await this.handleEditarUsuario(id);
+                if (!abierto && Router.ruta()?.nombre === 'editar') {
+                    Router.volver(Router.enlace('detalle', params));
+                }
+                break;
+            }
+
+            case 'acercaDe':
+                this.mostrarVista('acercaDe');
+                break;
+
+            case 'auditoria':
+                if (!this.autorizar('auditar')) {
+                    Router.navegar(Router.enlace('usuarios'), { reemplazar: true });
+                    break;
+                }
+                this.mostrarVista('auditoria');
+                break;
+
+            default:
+                this.mostrarVista('usuarios');
+        }
+    }
+
+    /**
+     * Muestra una vista y completa sus textos
+     *
+     * @memberof App
+     * @param {string} vista - 'usuarios', 'detalle', 'acercaDe' o 'auditoria'
+     */
+    mostrarVista(vista) {
+        this.vista = vista;
+        UI.mostrarVista(vista);
+        this.renderizarVista();
+    }
+
+    /**
+     * Vuelve a dibujar los textos de la vista actual que genera la aplicación
+     *
+     * La lista se dibuja en renderizarTabla; aquí, el mensaje de error del
+     * detalle, los datos de "Acerca de" y el registro de auditoría (p.ej. al
+     * cambiar el idioma).
+     *
+     * @memberof App
+     */
+    renderizarVista() {
+        if (this.vista === 'detalle' && this.detalle?.error) {
+            UI.mostrarErrorDetalle(t(this.detalle.error, { id: this.detalle.id }));
+        }
+        if (this.vista === 'acercaDe') {
+            UI.mostrarAcercaDe({
+                version: VERSION_APP,
+                api: API_CONFIG.BASE_URL,
+                entorno: Config.obtenerNombreEntorno(),
+                origen: Config.origenes.BASE_URL
+            });
+        }
+        if (this.vista === 'auditoria') {
+            this.renderizarAuditoria();
+        }
+    }
+
+    /**
+     * Dibuja el registro de auditoría con los filtros elegidos
+     *
+     * @memberof App
+     */
+    renderizarAuditoria() {
+        UI.renderizarAuditoria(Auditoria.listar(UI.obtenerFiltrosAuditoria()), {
+            conEnvio: Boolean(API_CONFIG.AUDITORIA),
+            capacidad: Auditoria.capacidad()
+        });
+    }
+
+    /**
+     * Registra en la auditoría un cambio que el backend confirmó
+     *
+     * El autor es el usuario de la sesión (null con la autenticación
+     * deshabilitada). Solo se comparan los campos editables del esquema:
+     * la contraseña nunca llega al registro.
+     *
+     * @memberof App
+     * @param {string} accion - 'crear', 'actualizar' o 'eliminar'
+     * @param {Object|null} antes - Usuario antes del cambio (null en un alta)
+     * @param {Object|null} despues - Usuario después del cambio (null en una eliminación)
+     * @param {Object} [opciones={}] - Opciones del registro
+     * @param {boolean} [opciones.confirmado=true] - False si el cambio se envió sin esperar la respuesta
+     */
+    auditar(accion, antes, despues, { confirmado = true } = {}) {
+        const autor = Auth.obtenerUsuario();
+        Auditoria.registrar({ accion, antes, despues, autor: autor && { ...autor, rol: this.rol }, confirmado });
+    }
+
+    /**
+     * Crea un usuario y registra el alta en la auditoría
+     *
+     * @memberof App
+     * @param {Object} datos - Datos del usuario ({nombre, email, password})
+     * @returns {Promise<Object>} Usuario creado
+     * @throws {ApiError} Error de API.crearUsuario
+     */
+    async enviarAlta(datos) {
+        const usuario = await API.crearUsuario(datos);
+        this.auditar('crear', null, usuario);
+        return usuario;
+    }
+
+    /**
+     * Elimina un usuario y registra la eliminación en la auditoría
+     *
+     * @memberof App
+     * @param {Object} usuario - Usuario a eliminar ({id, nombre, email})
+     * @returns {Promise<void>}
+     * @throws {ApiError} Error de API.eliminarUsuario (404 si ya no existía: no se registra)
+     */
+    async enviarEliminacion(usuario) {
+        await API.eliminarUsuario(usuario.id);
+        this.auditar('eliminar', usuario, null);
+    }
+
+    /**
+     * Exporta el registro de auditoría (con los filtros elegidos)
+     *
+     * @memberof App
+     * @param {string} formato - 'csv' o 'json'
+     */
+    handleExportarAuditoria(formato) {
+        const registros = Auditoria.listar(UI.obtenerFiltrosAuditoria());
+        if (registros.length === 0) {
+            UI.mostrarAlerta(t('auditoria.nadaParaExportar'), 'warning');
+            return;
+        }
+
+        const nombreArchivo = `auditoria-${marcaDeTiempo()}.${formato}`;
+        if (formato === 'json') {
+            UI.descargarArchivo(nombreArchivo, JSON.stringify(registros, null, 2), 'application/json;charset=utf-8');
+        } else {
+            UI.descargarArchivo(nombreArchivo, CSV.generar([
+                ['fecha', 'accion', 'usuarioId', 'usuarioNombre', 'autor', 'rol', 'cambios', 'confirmado', 'enviado'],
+                ...registros.map(r => [
+                    r.fecha,
+                    r.accion,
+                    r.usuarioId,
+                    r.usuarioNombre,
+                    r.autor ? r.autor.email || r.autor.nombre : '',
+                    r.autor?.rol ?? '',
+                    r.cambios.map(c => `${c.campo}: ${c.antes ?? ''} -> ${c.despues ?? ''}`).join('; '),
+                    r.confirmado !== false,
+                    r.enviado ?? ''
+                ])
+            ]));
+        }
+
+        Logger.log(`📤 ${registros.length} entradas de auditoría exportadas a ${nombreArchivo}`);
+    }
+
+    /**
+     * Carga el usuario de la vista de detalle con API.obtenerUsuarioPorId
+     *
+     * Un ID inválido o un 404 muestran "No existe un usuario con ID ...".
+     * Sin conexión se muestran los datos de la tabla, si el usuario está en ella.
+     *
+     * @async
+     * @memberof App
+     * @param {string} idRuta - ID tal como aparece en la URL
+     * @returns {Promise<void>}
+     */
+    async cargarDetalle(idRuta) {
+        const consulta = ++this.consultaDetalle;
+        const id = Number(idRuta);
+        this.detalle = { id: idRuta, usuario: null, error: null };
+
+        if (!Number.isInteger(id) || id <= 0) {
+            this.detalle.error = 'detalle.noEncontrado';
+            this.renderizarVista();
+            return;
+        }
+
+        this.detalle.id = id;
+        UI.mostrarCargandoDetalle();
+        try {
+            const usuario = await API.obtenerUsuarioPorId(id);
+            // Otra ruta o una carga más reciente ya reemplazó a esta
+            if (consulta !== this.consultaDetalle) return;
+
+            this.detalle.usuario = usuario;
+            UI.mostrarDetalleUsuario(usuario, { editar: this.puede('editar', usuario) });
+        } catch (error) {
+            if (consulta !== this.consultaDetalle) return;
+
+            const enTabla = this.usuarios.find(u => u.id === id);
+            if (Offline.disponible() && Offline.esErrorDeConexion(error) && enTabla) {
+                this.detalle.usuario = enTabla;
+                UI.mostrarDetalleUsuario(enTabla, { editar: this.puede('editar', enTabla) });
+                return;
+            }
+            if (error instanceof ApiError && error.status === 404) {
+                this.detalle.error = 'detalle.noEncontrado';
+            } else {
+                Logger.error('Error al obtener usuario:', error);
+                this.detalle.error = 'errores.obtener';
+                this.manejarError(error, t('errores.obtener'), () => this.cargarDetalle(idRuta));
+            }
+            this.renderizarVista();
+        }
+    }
+
+    /**
+     * Maneja el evento de nuevo usuario
+     */
+    handleNuevoUsuario() {
+        this.usuarioEnEdicion = null;
+        this.cambioRemoto = null;
+        UI.mostrarModalNuevoUsuario();
+    }
+
+    /**
+     * Maneja el evento de editar usuario
+     *
+     * Vuelve a consultar el usuario en lugar de usar los datos de la fila:
+     * la tabla puede estar desactualizada y el ETag (o el campo version)
+     * leído aquí es el que se envía al guardar para detectar conflictos.
+     *
+     * Se llama desde la ruta #/usuarios/:id/editar (ver handleCambioRuta).
+     *
+     * @param {number} id - ID del usuario
+     * @returns {Promise<boolean>} true si se abrió el formulario
+     */
+    async handleEditarUsuario(id) {
+        const hash = Router.enlace('editar', { id });
+        this.cambioRemoto = null;
+
+        try {
+            const { usuario, etag } = await API.obtenerUsuarioPorId(id, { conVersion: true, forzar: true });
+            // Se salió de la ruta (atrás) mientras se cargaba el usuario
+            if (Router.ruta()?.hash !== hash) return false;
+
+            this.usuarioEnEdicion = { ...usuario, etag };
+            UI.mostrarModalEditarUsuario(this.usuarioEnEdicion);
+            return true;
+        } catch (error) {
+            if (Router.ruta()?.hash !== hash) return false;
+
+            // Sin conexión (y sin copia en caché): editar con los datos de la tabla
+            if (Offline.disponible() && Offline.esErrorDeConexion(error) && this.buscarUsuario(id)) {
+                this.usuarioEnEdicion = { ...this.buscarUsuario(id), etag: null };
+                UI.mostrarModalEditarUsuario(this.usuarioEnEdicion);
+                return true;
+            }
+            if (error instanceof ApiError && error.status === 404) {
+                UI.mostrarAlerta(t('alertas.usuarioEliminadoPorOtro'), 'warning');
+                await this.cargarUsuarios();
+                return false;
+            }
+            Logger.error('Error al obtener usuario:', error);
+            this.manejarError(error, t('errores.obtener'), () => Router.navegar(hash));
+            return false;
+        }
+    }
+
+    /**
+     * Envía una edición con la versión leída del usuario
+     *
+     * La edición confirmada se registra en la auditoría.
+     *
+     * @param {number} id - ID del usuario
+     * @param {Object} datos - Datos a guardar ({nombre, email, password})
+     * @param {Object} base - Usuario leído ({...usuario, etag}); aporta etag y version
+     * @param {Object|null} [antes=base] - Valores anteriores para la auditoría
+     * @returns {Promise<Object>} Usuario actualizado
+     * @throws {ApiError} 412/409 si otra persona lo modificó (ver abrirConflicto)
+     */
+    async enviarEdicion(id, datos, base, antes = base) {
+        const cuerpo = base?.version !== undefined ? { ...datos, version: base.version } : datos;
+        const actualizado = await API.actualizarUsuario(id, cuerpo, { etag: base?.etag ?? null });
+        this.auditar('actualizar', antes, actualizado);
+        return actualizado;
+    }
+
+    /**
+     * Abre el diálogo de conflicto si una edición fue rechazada por un cambio concurrente
+     *
+     * Un 412 siempre indica conflicto. Un 409 también puede ser un email
+     * duplicado, así que solo se trata como conflicto si el usuario cambió
+     * en el servidor. Si otra persona lo eliminó, se avisa y se recarga.
+     *
+     * Sin error se usa antes de enviar, cuando llegó en tiempo real un
+     * cambio del usuario en edición: se trata igual que un 409.
+     *
+     * @param {number} id - ID del usuario
+     * @param {Object} mio - Datos que se intentaron guardar
+     * @param {Error|null} [error=null] - Error de la actualización
+     * @returns {Promise<boolean>} True si el error quedó manejado aquí
+     */
+    async abrirConflicto(id, mio, error = null) {
+        const esConflicto = !error || (error instanceof ApiError && [409, 412].includes(error.status));
+        if (!esConflicto || !this.usuarioEnEdicion) {
+            return false;
+        }
+
+        let actual;
+        try {
+            actual = await API.obtenerUsuarioPorId(id, { conVersion: true, forzar: true });
+        } catch (errorConsulta) {
+            if (errorConsulta instanceof ApiError && errorConsulta.status === 404) {
+                UI.cerrarModalUsuario();
+                UI.cerrarModalConflicto();
+                this.usuarioEnEdicion = null;
+                this.conflicto = null;
+                UI.mostrarAlerta(t('alertas.eliminadoMientrasEditaba'), 'warning');
+                await this.cargarUsuarios();
+                return true;
+            }
+            return false;
+        }
+
+        const original = this.usuarioEnEdicion;
+        if (error?.status !== 412 && !cambioEnServidor(original, actual)) {
+            return false;
+        }
+
+        Logger.warn(`⚠️ Conflicto de edición en usuario ${id} (${error ? `HTTP ${error.status}` : 'cambio en tiempo real'})`);
+        this.conflicto = { id, original, suyo: actual.usuario, mio, etag: actual.etag };
+        UI.cerrarModalUsuario();
+        UI.mostrarModalConflicto(this.conflicto);
+        return true;
+    }
+
+    /**
+     * Descarta mis cambios y se queda con la versión del servidor
+     */
+    async handleDescartarConflicto() {
+        if (!this.conflicto) return;
+
+        this.conflicto = null;
+        this.usuarioEnEdicion = null;
+        UI.cerrarModalConflicto();
+        UI.mostrarAlerta(t('alertas.cambiosDescartados'), 'info');
+        await this.cargarUsuarios();
+    }
+
+    /**
+     * Guarda mis valores sobre la versión actual del servidor
+     *
+     * - sobrescribir: todos los campos con mis valores
+     * - combinar: cada campo con la versión elegida en el diálogo
+     *
+     * La contraseña del formulario se conserva en ambos casos. Si otra
+     * persona vuelve a modificar el usuario, se abre un nuevo conflicto
+     * tomando la versión actual como original.
+     *
+     * @param {'sobrescribir'|'combinar'} estrategia - Cómo resolver el conflicto
+     */
+    async handleResolverConflicto(estrategia) {
+        const conflicto = this.conflicto;
+        if (!conflicto) return;
+        if (!this.autorizar('editar', conflicto.suyo)) return;
+
+        const datos = { ...conflicto.mio };
+        if (estrategia === 'combinar') {
+            Object.entries(UI.obtenerSeleccionConflicto()).forEach(([campo, version]) => {
+                if (version === 'suyo') {
+                    datos[campo] = conflicto.suyo[campo];
+                }
+            });
+        }
+
+        // La base de la nueva edición es la versión del servidor que se acaba de ver
+        this.usuarioEnEdicion = { ...conflicto.suyo, etag: conflicto.etag };
+        const boton = estrategia === 'combinar' ? DOM.btnConflictoCombinar : DOM.btnConflictoSobrescribir;
+
+        try {
+            UI.deshabilitarBoton(boton, boton.innerHTML);
+            const resultado = await this.enviarEdicion(conflicto.id, datos, this.usuarioEnEdicion);
+
+            this.conflicto = null;
+            this.usuarioEnEdicion = null;
+            UI.cerrarModalConflicto();
+            UI.mostrarAlerta(t('alertas.actualizado', { nombre: resultado.nombre }), 'success');
+            await this.cargarUsuarios();
+        } catch (error) {
+            if (await this.abrirConflicto(conflicto.id, datos, error)) return;
+            Logger.error('Error al resolver conflicto:', error);
+            this.manejarError(error, t('errores.guardar'), () => this.handleResolverConflicto(estrategia));
+        } finally {
+            UI.habilitarBoton(boton);
+        }
+    }
+
+    /**
+     * Consulta si el email del formulario está disponible
+     *
+     * No consulta si el email no tiene formato válido, si es el del propio
+     * usuario en edición o sin conexión. Si está en uso, el campo queda
+     * marcado como inválido hasta que se modifique.
+     *
+     * @memberof App
+     * @returns {Promise<void>} Se resuelve cuando termina la consulta (o de inmediato si no hace falta)
+     */
+    verificarEmail() {
+        if (!this.emailPorVerificar) {
+            return this.verificacionEmail?.promesa ?? Promise.resolve();
+        }
+        this.emailPorVerificar = false;
+
+        const email = DOM.email.value.trim();
+        const usuarioId = UI.obtenerIdUsuario();
+        const propio = usuarioId && this.usuarioEnEdicion?.email?.toLowerCase() === email.toLowerCase();
+        if (!email || !DOM.email.checkValidity() || propio || !Offline.estaConectado()) {
+            UI.mostrarEstadoEmail(null);
+            return Promise.resolve();
+        }
+
+        const controller = new AbortController();
+        UI.mostrarEstadoEmail('verificando');
+
+        const promesa = API.verificarEmailDisponible(email, { excluirId: usuarioId, signal: controller.signal })
+            .then(disponible => {
+                if (disponible === false) {
+                    UI.mostrarEstadoEmail('ocupado');
+                    UI.mostrarErroresDeCampo({ email: t('formulario.emailOcupado') });
+                } else {
+                    UI.mostrarEstadoEmail(disponible ? 'disponible' : null);
+                }
+            })
+            .catch(error => {
+                if (error.name !== 'AbortError') {
+                    Logger.warn('No se pudo verificar el email:', error);
+                    UI.mostrarEstadoEmail(null);
+                }
+            })
+            .finally(() => {
+                if (this.verificacionEmail?.controller === controller) {
+                    this.verificacionEmail = null;
+                }
+            });
+
+        this.verificacionEmail = { controller, promesa };
+        return promesa;
+    }
+
+    /**
+     * Cancela la consulta de disponibilidad del email (en curso o por empezar)
+     * @memberof App
+     */
+    cancelarVerificacionEmail() {
+        this.verificacionEmail?.controller.abort();
+        this.verificacionEmail = null;
+        this.emailPorVerificar = false;
+        UI.mostrarEstadoEmail(null);
+    }
+
+    /**
+     * Evalúa la contraseña del formulario contra la política
+     *
+     * Actualiza el medidor de fortaleza y deja el campo inválido (con el
+     * mensaje de la primera regla incumplida) hasta que cumpla la política.
+     * Vacía no se evalúa: en el alta la exige `required` y en la edición
+     * significa "no cambiarla".
+     *
+     * @memberof App
+     */
+    evaluarPassword() {
+        const { nombre, email, password } = UI.obtenerDatosFormulario();
+        UI.mostrarFortalezaPassword(password ? Password.evaluar(password, { nombre, email }) : null);
+    }
+
+    /**
+     * Maneja el cambio de idioma de la interfaz
+     *
+     * I18n ya tradujo los textos fijos de index.html (data-i18n); aquí se
+     * vuelven a dibujar los que genera la aplicación: tabla, contador,
+     * paginador, indicador de conexión, rol, requisitos de la contraseña y
+     * las vistas de detalle y "Acerca de".
+     * Las alertas ya visibles quedan en el idioma anterior.
+     *
+     * @memberof App
+     * @param {string} idioma - Código del idioma elegido ('es', 'en')
+     */
+    handleCambioIdioma(idioma) {
+        UI.marcarIdioma(idioma);
+        UI.aplicarPoliticaPassword({
+            longitudMinima: API_CONFIG.POLITICA_PASSWORD.longitudMinima,
+            descripcion: Password.describir()
+        });
+        this.evaluarPassword();
+        this.renderizarTabla();
+        this.actualizarEstadoConexion();
+        this.actualizarRol();
+        UI.renderizarNotificaciones();
+        this.renderizarVista();
+        Logger.log(`🌐 Idioma de la interfaz: ${idioma}`);
+    }
+
+    /**
+     * Maneja el botón "Generar contraseña segura"
+     *
+     * La contraseña generada cumple la política y no contiene el nombre ni
+     * el email ya escritos en el formulario.
+     *
+     * @memberof App
+     */
+    handleGenerarPassword() {
+        const { nombre, email } = UI.obtenerDatosFormulario();
+        UI.establecerPassword(Password.generar({ nombre, email }));
+    }
+
+    /**
+     * Maneja el evento de guardar usuario (crear o actualizar)
+     *
+     * Si la disponibilidad del email se está consultando (o está por
+     * consultarse), espera el resultado antes de validar el formulario.
+     */
+    async handleGuardarUsuario() {
+        // Enter mientras ya se está guardando o verificando
+        if (DOM.btnGuardarUsuario.disabled) return;
+
+        if (this.emailPorVerificar || this.verificacionEmail) {
+            UI.deshabilitarBoton(DOM.btnGuardarUsuario, DOM.btnGuardarUsuario.innerHTML);
+            await this.verificarEmail();
+            UI.habilitarBoton(DOM.btnGuardarUsuario);
+        }
+
+        // Validar formulario
+        if (!UI.validarFormulario()) {
+            UI.mostrarAlerta(t('alertas.formularioIncompleto'), 'warning');
+            return;
+        }
+
+        const datosUsuario = UI.obtenerDatosFormulario();
+        const usuarioId = UI.obtenerIdUsuario();
+
+        if (!this.autorizar(usuarioId ? 'editar' : 'crear', usuarioId ? this.buscarUsuario(usuarioId) : null)) {
+            return;
+        }
+
+        try {
+            // Deshabilitar botón
             const textoBoton = DOM.btnGuardarUsuario.innerHTML;
             UI.deshabilitarBoton(DOM.btnGuardarUsuario, textoBoton);
 
-            let resultado;
+            let resultado;
+
+            if (usuarioId) {
+                // Otra persona lo cambió mientras se editaba: elegir qué conservar antes de enviar
+                if (this.cambioRemoto?.id === usuarioId && Offline.estaConectado()) {
+                    this.cambioRemoto = null;
+                    if (await this.abrirConflicto(usuarioId, datosUsuario)) return;
+                }
+
+                // Actualizar usuario existente (con la versión leída al abrir el formulario)
+                const base = this.usuarioEnEdicion;
+                try {
+                    resultado = await this.enviarOEncolar({
+                        tipo: 'actualizar',
+                        id: usuarioId,
+                        nombre: datosUsuario.nombre,
+                        datos: datosUsuario,
+                        etag: base?.etag ?? null,
+                        version: base?.version,
+                        // Valores anteriores para la auditoría si el envío queda en la cola
+                        antes: base && { id: base.id, ...Esquema.tomarEditables(base) }
+                    }, () => this.enviarEdicion(usuarioId, datosUsuario, base));
+                } catch (error) {
+                    if (await this.abrirConflicto(usuarioId, datosUsuario, error)) return;
+                    throw error;
+                }
+                if (resultado) {
+                    UI.mostrarAlerta(t('alertas.actualizado', { nombre: resultado.nombre }), 'success');
+                }
+            } else {
+                // Crear nuevo usuario
+                resultado = await this.enviarOEncolar({
+                    tipo: 'crear',
+                    nombre: datosUsuario.nombre,
+                    datos: datosUsuario
+                }, () => this.enviarAlta(datosUsuario));
+                if (resultado) {
+                    UI.mostrarAlerta(t('alertas.creado', { nombre: resultado.nombre }), 'success');
+                }
+            }
+
+            // Era un cambio de la cola sin contraseña: este envío (o encolado) lo reemplaza
+            if (this.cambioSinPassword) {
+                await this.quitarCambioSinPassword();
+            }
+
+            // Sin conexión: quedó encolado y ya se ve en la tabla
+            if (!resultado) {
+                UI.cerrarModalUsuario();
+                UI.mostrarAlerta(
+                    t('alertas.encolado', { nombre: datosUsuario.nombre }),
+                    'info'
+                );
+                return;
+            }
+
+            // Cerrar modal y recargar tabla
+            UI.cerrarModalUsuario();
+            await this.cargarUsuarios();
+
+        } catch (error) {
+            Logger.error('Error al guardar usuario:', error);
+            // Errores por campo: junto al campo, con el modal abierto
+            if (!this.mostrarErroresEnFormulario(error)) {
+                this.manejarError(error, t('errores.guardar'), () => this.handleGuardarUsuario());
+            }
+        } finally {
+            // Habilitar botón
+            UI.habilitarBoton(DOM.btnGuardarUsuario);
+        }
+    }
+
+    /**
+     * Maneja el evento de eliminar usuario
+     *
+     * Guarda todos los campos editables del usuario cargado (no solo los del
+     * botón): si el DELETE llega a enviarse, "Deshacer" lo vuelve a crear
+     * con ellos.
+     *
+     * @param {HTMLElement} boton - Botón que disparó el evento
+     */
+    handleEliminarUsuario(boton) {
+        const id = parseInt(boton.getAttribute('data-id'));
+        const nombre = boton.getAttribute('data-nombre');
+        const email = boton.getAttribute('data-email');
+        const cargado = this.obtenerVigentes().find(u => u.id === id);
+
+        this.usuarioAEliminar = cargado
+            ? { id, ...Esquema.tomarEditables(cargado) }
+            : { id, nombre, email };
+        UI.mostrarModalConfirmarEliminar(this.usuarioAEliminar);
+    }
+
+    /**
+     * Maneja la confirmación de eliminación
+     *
+     * No elimina en el momento: la fila desaparece y durante ESPERA_DESHACER
+     * la alerta ofrece "Deshacer". Recién al vencer el plazo se envía el
+     * DELETE (ver ejecutarEliminacion). La alerta sigue ESPERA_RESTAURAR más:
+     * "Deshacer" ofrece entonces volver a crear al usuario.
+     */
+    handleConfirmarEliminar() {
+        if (!this.usuarioAEliminar) return;
+        if (!this.autorizar('eliminar', this.usuarioAEliminar)) return;
+
+        const usuario = this.usuarioAEliminar;
+        if (this.eliminacionesPendientes.has(usuario.id)) return;
+
+        this.usuarioAEliminar = null;
+        UI.cerrarModalConfirmar();
+
+        const pendiente = {
+            usuario,
+            temporizador: setTimeout(() => this.ejecutarEliminacion(usuario.id), ESPERA_DESHACER),
+            envio: null
+        };
+        this.eliminacionesPendientes.set(usuario.id, pendiente);
+        this.renderizarTabla();
+
+        UI.mostrarAlerta(t('alertas.eliminado', { nombre: usuario.nombre }), 'success', {
+            accion: { texto: t('alertas.deshacer'), alHacerClick: () => this.handleDeshacerEliminacion(pendiente) },
+            // El DELETE tiene su propio temporizador: pausar la alerta solo alarga la opción de restaurar
+            duracion: ESPERA_DESHACER + ESPERA_RESTAURAR
+        });
+        Logger.log(`🗑️ Eliminación de usuario ${usuario.id} programada (${ESPERA_DESHACER / 1000} s para deshacer)`);
+    }
+
+    /**
+     * Envía al backend una eliminación cuyo período de gracia venció
+     *
+     * Un 404 se toma como éxito (el usuario ya no existía). Sin conexión la
+     * eliminación se encola. Ante otro error la fila vuelve a aparecer.
+     *
+     * @param {number} id - ID del usuario
+     */
+    async ejecutarEliminacion(id) {
+        const pendiente = this.eliminacionesPendientes.get(id);
+        if (!pendiente || pendiente.envio) return;
+
+        const { nombre } = pendiente.usuario;
+        pendiente.envio = this.enviarOEncolar({ tipo: 'eliminar', id, nombre }, () => this.enviarEliminacion(pendiente.usuario))
+            .catch(error => {
+                if (error instanceof ApiError && error.status === 404) return;
+                throw error;
+            });
+
+        try {
+            const resultado = await pendiente.envio;
+            Logger.log(resultado === null ? `📥 Eliminación de usuario ${id} encolada` : `✅ Usuario ${id} eliminado`);
+        } catch (error) {
+            Logger.error('Error al eliminar usuario:', error);
+            this.manejarError(error, t('errores.eliminar'));
+        } finally {
+            this.eliminacionesPendientes.delete(id);
+            if (Offline.estaConectado()) {
+                await this.cargarUsuarios();
+            } else {
+                this.renderizarTabla();
+            }
+        }
+    }
+
+    /**
+     * Deshace una eliminación
+     *
+     * Si el DELETE todavía no se envió, basta con cancelarlo. Si el backend
+     * ya eliminó al usuario, se ofrece volver a crearlo con los datos
+     * guardados (ver handleEliminarUsuario) pidiendo una contraseña nueva;
+     * el usuario restaurado recibe un ID nuevo.
+     *
+     * @param {Object} pendiente - Entrada de eliminacionesPendientes ({usuario, temporizador, envio})
+     */
+    async handleDeshacerEliminacion(pendiente) {
+        const { id } = pendiente.usuario;
+
+        if (!pendiente.envio) {
+            clearTimeout(pendiente.temporizador);
+            this.eliminacionesPendientes.delete(id);
+            this.renderizarTabla();
+            UI.mostrarAlerta(t('alertas.restaurado', { nombre: pendiente.usuario.nombre }), 'info');
+            Logger.log(`↩️ Eliminación de usuario ${id} cancelada`);
+            return;
+        }
+
+        try {
+            await pendiente.envio;
+        } catch {
+            // El DELETE falló: el usuario sigue existiendo, no hay nada que restaurar
+            return;
+        }
+
+        if (!this.autorizar('crear')) return;
+        this.usuarioEnEdicion = null;
+        UI.mostrarModalRestaurarUsuario(pendiente.usuario);
+    }
+
+    /**
+     * Envía sin esperar todas las eliminaciones que siguen en período de gracia
+     *
+     * Se usa al cerrar la pestaña (pagehide) y al cerrar sesión, cuando ya
+     * no habrá oportunidad de deshacerlas. Sin conexión se encolan (y se
+     * auditan al sincronizarse); con conexión la auditoría las marca como
+     * no confirmadas, porque nadie espera la respuesta del DELETE.
+     *
+     * @returns {Promise<void>} Resuelve cuando las eliminaciones quedaron encoladas
+     *          (el envío con keepalive no se espera)
+     */
+    enviarEliminacionesPendientes() {
+        const encoladas = [];
+        this.eliminacionesPendientes.forEach((pendiente, id) => {
+            clearTimeout(pendiente.temporizador);
+            if (pendiente.envio) return;
+
+            if (Offline.disponible() && !Offline.estaConectado()) {
+                encoladas.push(Offline.encolar({ tipo: 'eliminar', id, nombre: pendiente.usuario.nombre }));
+            } else {
+                // Nadie espera la respuesta: queda registrada como no confirmada
+                API.eliminarUsuarioAlSalir(id);
+                this.auditar('eliminar', pendiente.usuario, null, { confirmado: false });
+            }
+            pendiente.envio = Promise.resolve();
+        });
+        this.eliminacionesPendientes.clear();
+        return Promise.all(encoladas).then(() => undefined);
+    }
+
+    /**
+     * Envía un cambio al backend o, sin conexión, lo encola
+     *
+     * Sin conexión el cambio se encola sin intentar enviarlo (evita esperar
+     * los reintentos). Con conexión se envía, y si falla por error de red
+     * también se encola. Los errores del backend (4xx/5xx) se propagan.
+     *
+     * @param {Object} cambio - Cambio para Offline.encolar ({tipo, id, nombre, datos...})
+     * @param {Function} enviar - Realiza la petición y retorna su promesa
+     * @returns {Promise<Object|null>} Respuesta del backend o null si quedó encolado
+     */
+    async enviarOEncolar(cambio, enviar) {
+        if (Offline.disponible() && !Offline.estaConectado()) {
+            await this.encolarCambio(cambio);
+            return null;
+        }
+
+        try {
+            return await enviar();
+        } catch (error) {
+            if (Offline.disponible() && Offline.esErrorDeConexion(error)) {
+                await this.encolarCambio(cambio);
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Encola un cambio y lo refleja en la tabla
+     * @param {Object} cambio - Cambio para Offline.encolar
+     */
+    async encolarCambio(cambio) {
+        await Offline.encolar(cambio);
+        this.pendientes = await Offline.obtenerPendientes();
+        this.renderizarTabla();
+    }
+
+    /**
+     * Reenvía en orden los cambios hechos sin conexión
+     *
+     * Cada cambio se quita de la cola al enviarse o si el backend lo
+     * rechaza en forma definitiva (400, 403, 404 al editar, 409 al crear,
+     * 412 si otra persona lo editó): esos conflictos se informan uno por
+     * uno en el aviso final. Ante cualquier otro error (sin red, login
+     * cancelado, 408, 429, 5xx) se detiene y conserva ese cambio y los
+     * siguientes para el próximo intento. Un alta o edición cuya contraseña
+     * se perdió al recargar la página también detiene el envío y la pide.
+     *
+     * @async
+     * @returns {Promise<void>}
+     */
+    async sincronizarPendientes() {
+        if (this.sincronizando || !Offline.disponible() || !Offline.estaConectado()) return;
+
+        const cola = await Offline.obtenerPendientes();
+        if (cola.length === 0) return;
+
+        this.sincronizando = true;
+        this.actualizarEstadoConexion();
+        Logger.log(`🔄 Sincronizando ${cola.length} cambio(s) pendiente(s)...`);
+
+        const conflictos = [];
+        let enviados = 0;
+        let interrupcion = null;
+        let sinPassword = null;
+
+        try {
+            for (const cambio of cola) {
+                // La contraseña no sobrevivió a una recarga: pedirla antes de seguir
+                if (cambio.passwordEnMemoria && !cambio.datos.password) {
+                    sinPassword = cambio;
+                    break;
+                }
+                try {
+                    await this.reenviarCambio(cambio);
+                    enviados++;
+                } catch (error) {
+                    const definitivo = error instanceof ApiError && RECHAZOS_DEFINITIVOS.includes(error.status);
+                    if (!definitivo) {
+                        Logger.warn('Sincronización interrumpida:', error);
+                        interrupcion = error;
+                        break;
+                    }
+                    Logger.error(`Conflicto al sincronizar (${describirCambio(cambio)}):`, error);
+                    conflictos.push(`${describirCambio(cambio)}: ${describirConflictoSincronizacion(cambio, error)}`);
+                }
+                await Offline.quitar(cambio.clave);
+            }
+        } finally {
+            this.sincronizando = false;
+            this.pendientes = await Offline.obtenerPendientes();
+            this.actualizarEstadoConexion();
+        }
+
+        // Sin red o sin sesión se retoma sola (evento 'online' o login); un error del servidor, a pedido
+        if (interrupcion && esErrorTransitorio(interrupcion) && !Offline.esErrorDeConexion(interrupcion)) {
+            UI.mostrarAlerta(t('sincronizacion.interrumpida', { cantidad: this.pendientes.length }), 'warning', {
+                accion: { texto: t('alertas.reintentar'), alHacerClick: () => this.sincronizarPendientes() }
+            });
+        }
+
+        if (conflictos.length > 0) {
+            UI.mostrarAlerta(
+                t('sincronizacion.conConflictos', { enviados, cantidad: conflictos.length }),
+                'warning',
+                { detalles: conflictos, duracion: 15000 }
+            );
+        } else if (enviados > 0) {
+            UI.mostrarAlerta(t('sincronizacion.completa', { cantidad: enviados }), 'success');
+        }
+
+        await this.cargarUsuarios();
+
+        if (sinPassword) {
+            this.pedirPasswordDeCambio(sinPassword);
+        }
+    }
+
+    /**
+     * Abre el formulario de un cambio encolado cuya contraseña se perdió
+     *
+     * Las contraseñas de la cola solo se guardan en memoria (ver Offline.encolar).
+     * Al guardar, el envío reemplaza al cambio encolado y la sincronización
+     * continúa; si se cierra sin guardar, se vuelve a pedir la próxima vez.
+     *
+     * @param {Object} cambio - Cambio de la cola ('crear' o 'actualizar')
+     */
+    pedirPasswordDeCambio(cambio) {
+        this.cambioRemoto = null;
+        if (cambio.tipo === 'crear') {
+            this.usuarioEnEdicion = null;
+            UI.mostrarModalNuevoUsuario();
+            UI.escribirFormulario(cambio.datos);
+        } else {
+            // Con la versión leída al editar sin conexión, para detectar conflictos igual que en la cola
+            this.usuarioEnEdicion = { id: cambio.id, ...cambio.antes, etag: cambio.etag, version: cambio.version };
+            UI.mostrarModalEditarUsuario({ id: cambio.id, ...cambio.datos });
+        }
+        this.cambioSinPassword = cambio;
+        UI.mostrarAlerta(t('sincronizacion.pedirPassword', { nombre: cambio.nombre }), 'warning');
+    }
+
+    /**
+     * Quita de la cola el cambio reemplazado desde el formulario y retoma la sincronización
+     *
+     * @returns {Promise<void>}
+     */
+    async quitarCambioSinPassword() {
+        const { clave } = this.cambioSinPassword;
+        this.cambioSinPassword = null;
+        await Offline.quitar(clave);
+        this.pendientes = await Offline.obtenerPendientes();
+        this.actualizarEstadoConexion();
+        if (this.pendientes.length > 0) {
+            this.sincronizarPendientes();
+        }
+    }
+
+    /**
+     * Envía al backend un cambio de la cola
+     *
+     * @param {Object} cambio - Cambio encolado
+     * @returns {Promise<void>}
+     * @throws {ApiError|TypeError} Error del backend o de red
+     */
+    async reenviarCambio(cambio) {
+        switch (cambio.tipo) {
+            case 'crear':
+                await this.enviarAlta(cambio.datos);
+                break;
+            case 'actualizar':
+                await this.enviarEdicion(cambio.id, cambio.datos, cambio, cambio.antes ?? null);
+                break;
+            case 'eliminar':
+                // Si ya no existía, el objetivo se cumplió igual
+                await this.enviarEliminacion({ nombre: cambio.nombre, ...this.buscarUsuario(cambio.id) }).catch(error => {
+                    if (error instanceof ApiError && error.status === 404) return;
+                    throw error;
+                });
+                break;
+        }
+    }
+
+    /**
+     * Reacciona a cambios de conexión o de la cola de pendientes
+     *
+     * @param {Object} estado - Estado notificado por Offline.suscribir
+     * @param {boolean} estado.conectado - Si hay conexión
+     * @param {boolean} estado.cambioConexion - Si la conexión se perdió o volvió
+     */
+    handleCambioConexion({ conectado, cambioConexion }) {
+        this.actualizarEstadoConexion();
+        if (!cambioConexion) return;
+
+        if (conectado) {
+            Logger.log('🌐 Conexión recuperada');
+            this.sincronizarPendientes();
+        } else {
+            Logger.warn('📴 Sin conexión');
+            UI.mostrarAlerta(t('conexion.perdida'), 'warning');
+        }
+    }
+
+    /**
+     * Refleja en el navbar la conexión y la cantidad de cambios pendientes
+     */
+    actualizarEstadoConexion() {
+        UI.actualizarEstadoConexion({
+            conectado: Offline.estaConectado(),
+            pendientes: Offline.cantidadPendientes(),
+            sincronizando: this.sincronizando
+        });
+    }
+
+    /**
+     * Verifica que haya conexión para acciones que no se pueden encolar
+     * @returns {boolean} True si hay conexión; si no, muestra un aviso
+     */
+    requiereConexion() {
+        if (Offline.estaConectado()) {
+            return true;
+        }
+        UI.mostrarAlerta(t('conexion.requerida'), 'warning');
+        return false;
+    }
+
+    /**
+     * Se suscribe a los cambios hechos por otras personas
+     *
+     * Con stream (SSE o WebSocket) cada cambio llega por separado
+     * (aplicarCambioRemoto); sin stream se consulta la página actual cada
+     * INTERVALO_SONDEO ms (sondearUsuarios).
+     */
+    iniciarTiempoReal() {
+        TiempoReal.iniciar({
+            alCambio: cambio => this.aplicarCambioRemoto(cambio),
+            alSondear: () => this.sondearUsuarios()
+        });
+    }
+
+    /**
+     * Aplica a la tabla un cambio recibido del stream
+     *
+     * La fila cambiada se resalta; una eliminada se muestra tachada un
+     * momento antes de quitarla. En listas paginadas por el servidor las
+     * altas y bajas recargan la página (mueven usuarios entre páginas).
+     * Los ecos de los cambios propios no tienen efecto: los datos ya son
+     * los mismos.
+     *
+     * @param {Object} cambio - Cambio normalizado por TiempoReal
+     * @param {string} cambio.tipo - 'crear', 'actualizar' o 'eliminar'
+     * @param {number} cambio.id - ID del usuario
+     * @param {Object|null} cambio.usuario - Datos actuales (null al eliminar o si el evento no los trae)
+     */
+    aplicarCambioRemoto({ tipo, id, usuario }) {
+        API.aplicarCambioRemoto({ tipo, id, usuario });
+        this.avisarCambioEnEdicion(tipo, id, usuario);
+
+        // El evento no trae los datos: volver a consultar la página
+        if (tipo !== 'eliminar' && !usuario) {
+            this.cargarUsuarios({ forzar: true });
+            return;
+        }
+
+        const actual = this.usuarios.find(u => u.id === id);
+        if (this.paginacion.paginadoEnServidor && tipo !== 'actualizar') {
+            this.cargarUsuarios().then(() => UI.resaltarFila(id, tipo));
+            return;
+        }
+
+        if (tipo === 'eliminar') {
+            if (!actual) return;
+            Logger.log(`📡 Usuario ${id} eliminado por otra persona`);
+            this.usuarios = this.usuarios.filter(u => u.id !== id);
+            UI.resaltarFila(id, 'eliminar').then(() => this.renderizarTabla());
+            return;
+        }
 
-            if (usuarioId) {
-                // Actualizar usuario existente
-                resultado = await API.actualizarUsuario(usuarioId, datosUsuario);
-                UI.mostrarAlerta(`Usuario "${resultado.nombre}" actualizado correctamente`, 'success');
-            } else {
-                // Crear nuevo usuario
-                resultado = await API.crearUsuario(datosUsuario);
-                UI.mostrarAlerta(`Usuario "${resultado.nombre}" creado correctamente`, 'success');
-            }
+        // Una edición de un usuario que no está en esta página no cambia la tabla
+        if (!actual && tipo === 'actualizar' && this.paginacion.paginadoEnServidor) return;
+        if (actual && JSON.stringify({ ...actual, ...usuario }) === JSON.stringify(actual)) return;
 
-            // Cerrar modal y recargar tabla
-            UI.cerrarModalUsuario();
-            await this.cargarUsuarios();
+        Logger.log(`📡 Usuario ${id} ${actual ? 'modificado' : 'creado'} por otra persona`);
+        this.usuarios = actual
+            ? this.usuarios.map(u => (u.id === id ? { ...u, ...usuario } : u))
+            : [...this.usuarios, usuario];
+        this.renderizarTabla();
+        UI.resaltarFila(id, tipo);
+    }
+
+    /**
+     * Consulta la página actual y muestra lo que cambió (sin stream)
+     *
+     * No consulta con la pestaña oculta, sin conexión, mientras se
+     * sincroniza la cola o con el login abierto. Si mientras tanto se
+     * pidió otra página, la respuesta se descarta.
+     *
+     * @async
+     * @returns {Promise<void>}
+     */
+    async sondearUsuarios() {
+        if (document.hidden || !Offline.estaConectado() || this.sincronizando || this.loginPendiente) {
+            return;
+        }
+
+        const consulta = this.consultaUsuarios;
+        const anteriores = new Map(this.usuarios.map(u => [u.id, JSON.stringify(u)]));
+
+        try {
+            const resultado = await API.obtenerUsuarios(this.consultaListado(), { forzar: true });
+            if (consulta !== this.consultaUsuarios) return;
 
+            const cambiados = resultado.usuarios.filter(u => anteriores.get(u.id) !== JSON.stringify(u));
+            const vigentes = new Set(resultado.usuarios.map(u => u.id));
+            const quitados = [...anteriores.keys()].filter(id => !vigentes.has(id));
+            if (cambiados.length === 0 && quitados.length === 0) return;
+
+            if (!this.mostrarResultadoUsuarios(resultado)) {
+                await this.cargarUsuarios();
+                return;
+            }
+
+            cambiados.forEach(u => {
+                const tipo = anteriores.has(u.id) ? 'actualizar' : 'crear';
+                UI.resaltarFila(u.id, tipo);
+                this.avisarCambioEnEdicion(tipo, u.id, u);
+            });
+            // Con paginación en el servidor un usuario que falta pudo pasar a otra página
+            if (!resultado.paginadoEnServidor) {
+                quitados.forEach(id => this.avisarCambioEnEdicion('eliminar', id, null));
+            }
         } catch (error) {
-            Logger.error('Error al guardar usuario:', error);
-            this.manejarError(error, 'Error al guardar el usuario');
-        } finally {
-            // Habilitar botón
-            UI.habilitarBoton(DOM.btnGuardarUsuario);
+            Logger.warn('No se pudieron consultar cambios de otras personas:', error);
         }
     }
 
     /**
-     * Maneja el evento de eliminar usuario
-     * @param {HTMLElement} boton - Botón que disparó el evento
+     * Avisa en el formulario abierto que otra persona cambió ese usuario
+     *
+     * No se toca lo escrito: al guardar se abre el diálogo de conflicto
+     * (o, si lo eliminaron, se avisa) en lugar de pisar el cambio ajeno.
+     *
+     * @param {string} tipo - 'crear', 'actualizar' o 'eliminar'
+     * @param {number} id - ID del usuario cambiado
+     * @param {Object|null} usuario - Datos actuales (null al eliminar)
      */
-    handleEliminarUsuario(boton) {
-        const id = parseInt(boton.getAttribute('data-id'));
-        const nombre = boton.getAttribute('data-nombre');
-        const email = boton.getAttribute('data-email');
+    avisarCambioEnEdicion(tipo, id, usuario) {
+        const base = this.usuarioEnEdicion;
+        if (tipo === 'crear' || base?.id !== id || !UI.estaEditando(id)) return;
+        if (tipo === 'actualizar' && usuario && !cambioEnServidor(base, { usuario: { ...base, ...usuario }, etag: base.etag })) {
+            return;
+        }
 
-        this.usuarioAEliminar = { id, nombre, email };
-        UI.mostrarModalConfirmarEliminar(this.usuarioAEliminar);
+        this.cambioRemoto = { id, tipo };
+        UI.mostrarAvisoCambioRemoto(tipo === 'eliminar'
+            ? t('formulario.avisoEliminado')
+            : t('formulario.avisoModificado'));
     }
 
     /**
-     * Maneja la confirmación de eliminación
+     * Maneja el checkbox de una fila
+     * @param {number} id - ID del usuario
+     * @param {boolean} seleccionado - Nuevo estado del checkbox
      */
-    async handleConfirmarEliminar() {
-        if (!this.usuarioAEliminar) return;
+    handleSeleccionarUsuario(id, seleccionado) {
+        if (seleccionado) {
+            this.seleccionados.add(id);
+        } else {
+            this.seleccionados.delete(id);
+        }
+        UI.actualizarSeleccion(this.seleccionados, this.idsCoincidentes.length);
+    }
+
+    /**
+     * Selecciona o deselecciona todos los usuarios que coinciden con la búsqueda
+     *
+     * Con paginación en el cliente abarca también las otras páginas del
+     * resultado; con paginación en el servidor, solo la página cargada.
+     *
+     * @param {boolean} seleccionar - true para seleccionar, false para limpiar
+     */
+    handleSeleccionarTodos(seleccionar) {
+        this.seleccionados = new Set(seleccionar ? this.idsCoincidentes : []);
+        UI.actualizarSeleccion(this.seleccionados, this.idsCoincidentes.length);
+    }
+
+    /**
+     * Abre la confirmación de eliminación en lote
+     */
+    handleEliminarSeleccionados() {
+        if (this.seleccionados.size === 0 || this.eliminandoEnLote) return;
+        if (!this.requiereConexion()) return;
 
-        const id = this.usuarioAEliminar.id;
+        UI.mostrarModalEliminarLote([...this.seleccionados].map(id => this.buscarUsuario(id)));
+    }
+
+    /**
+     * Elimina los usuarios seleccionados y reporta el resultado
+     *
+     * Usa API.eliminarUsuarios (concurrencia limitada): un error no detiene
+     * el resto del lote. Cada fila del modal muestra su estado y al final se
+     * resume cuántos se eliminaron y cuántos fallaron. Los fallidos quedan
+     * seleccionados para reintentar; un 404 (ya eliminado) se descarta.
+     */
+    async handleConfirmarEliminarLote() {
+        if (this.eliminandoEnLote || this.seleccionados.size === 0) return;
+
+        const ids = [...this.seleccionados];
+        let completados = 0;
+
+        this.eliminandoEnLote = true;
+        UI.iniciarEliminacionLote();
 
         try {
-            // Deshabilitar botón
-            const textoBoton = DOM.btnConfirmarEliminar.innerHTML;
-            UI.deshabilitarBoton(DOM.btnConfirmarEliminar, textoBoton);
+            const resultados = await API.eliminarUsuarios(ids, {
+                alCambiarEstado: (id, estado, error) => {
+                    if (estado !== 'eliminando') completados++;
+                    UI.marcarEstadoEliminacion(id, estado, error ? describirErrorEliminacion(error) : '',
+                        completados, ids.length);
+                }
+            });
 
-            await API.eliminarUsuario(id);
+            const eliminados = resultados.filter(r => r.exito).length;
+            const fallidos = resultados.length - eliminados;
 
-            UI.mostrarAlerta(`Usuario "${this.usuarioAEliminar.nombre}" eliminado correctamente`, 'success');
+            resultados.forEach(({ id, exito, error }) => {
+                if (exito) {
+                    this.auditar('eliminar', this.buscarUsuario(id), null);
+                }
+                if (exito || (error instanceof ApiError && error.status === 404)) {
+                    this.seleccionados.delete(id);
+                }
+            });
 
-            // Cerrar modal y recargar tabla
-            UI.cerrarModalConfirmar();
-            await this.cargarUsuarios();
+            UI.mostrarResumenEliminacion({ eliminados, fallidos });
+            UI.mostrarAlerta(fallidos
+                ? t('lote.alertaConErrores', { eliminados, cantidad: fallidos })
+                : t('lote.resumen', { cantidad: eliminados }),
+                fallidos ? 'warning' : 'success');
+            Logger.log(`🗑️ Eliminación en lote: ${eliminados} eliminados, ${fallidos} con error`);
+        } finally {
+            this.eliminandoEnLote = false;
+        }
+
+        await this.cargarUsuarios();
+    }
+
+    /**
+     * Lee el archivo elegido en el asistente de importación
+     *
+     * El archivo se procesa en el navegador (no se sube). Si la primera fila
+     * son encabezados, se usan para sugerir el mapeo de columnas.
+     */
+    async handleArchivoImportar() {
+        const [archivo] = DOM.archivoImportar.files;
+        if (!archivo) return;
+
+        try {
+            const celdas = CSV.parsear(await archivo.text());
+            const conEncabezado = DOM.importarEncabezado.checked;
+            const datos = conEncabezado ? celdas.slice(1) : celdas;
+            const columnas = Math.max(0, ...celdas.map(fila => fila.length));
+
+            if (datos.length === 0) {
+                UI.mostrarErrorImportacion(t('importar.sinFilas'));
+                return;
+            }
+            if (datos.length > MAX_FILAS_IMPORTACION) {
+                UI.mostrarErrorImportacion(t('importar.demasiadasFilas', { cantidad: datos.length, maximo: MAX_FILAS_IMPORTACION }));
+                return;
+            }
 
-            this.usuarioAEliminar = null;
+            const encabezados = conEncabezado
+                ? Array.from({ length: columnas }, (_, i) => (celdas[0][i] || '').trim() || t('importar.columna', { numero: i + 1 }))
+                : Array.from({ length: columnas }, (_, i) => t('importar.columna', { numero: i + 1 }));
 
+            this.importacion = { celdas: datos, encabezados, primeraFila: conEncabezado ? 2 : 1, filas: [] };
+            UI.mostrarMapeoImportacion(encabezados, sugerirMapeo(conEncabezado ? encabezados : null, columnas));
+            this.actualizarVistaPrevia();
+
+            Logger.log(`📄 CSV leído: ${archivo.name} (${datos.length} filas, ${columnas} columnas)`);
         } catch (error) {
-            Logger.error('Error al eliminar usuario:', error);
-            this.manejarError(error, 'Error al eliminar el usuario');
+            Logger.error('Error al leer el CSV:', error);
+            UI.mostrarErrorImportacion(t('importar.errorLectura', { error: error.message }));
+        }
+    }
+
+    /**
+     * Vuelve a validar las filas con el mapeo actual y redibuja la vista previa
+     */
+    actualizarVistaPrevia() {
+        if (!this.importacion) return;
+
+        const { celdas, primeraFila } = this.importacion;
+        this.importacion.filas = this.analizarImportacion(celdas, UI.obtenerMapeoImportacion(), primeraFila);
+        UI.renderizarVistaPrevia(this.importacion.filas);
+    }
+
+    /**
+     * Valida las filas del CSV antes de importarlas
+     *
+     * Cada celda se convierte al tipo de su campo del formulario (ver
+     * leerCelda: las vacías toman el valor por defecto del esquema) y la
+     * fila pasa por API.validarDatosUsuario (mismas reglas que el alta
+     * manual). Los emails válidos se comparan, sin distinguir mayúsculas, con
+     * los usuarios cargados y con las filas anteriores del mismo archivo.
+     * Con paginación en el servidor solo se conoce la página actual: el resto
+     * de duplicados los rechaza el backend con 409 al importar.
+     *
+     * @memberof App
+     * @param {Array<Array<string>>} celdas - Filas de datos (sin encabezado)
+     * @param {Object<string, number|null>} mapeo - Índice de columna por campo
+     * @param {number} [primeraFila=1] - Número de la primera fila de datos en la planilla
+     *        (2 si el archivo tiene encabezado)
+     * @returns {Array<{numero: number, datos: Object, errores: Array<string>}>} Filas analizadas
+     */
+    analizarImportacion(celdas, mapeo, primeraFila = 1) {
+        const existentes = new Set(this.usuarios.map(u => String(u.email).toLowerCase()));
+        const vistos = new Map();
+
+        return celdas.map((fila, i) => {
+            const datos = Object.fromEntries(Esquema.formulario().map(campo => {
+                const columna = mapeo[campo.nombre] ?? null;
+                return [campo.nombre, leerCelda(campo, columna === null ? '' : (fila[columna] || '').trim())];
+            }));
+            const errores = [];
+
+            try {
+                API.validarDatosUsuario(datos, false);
+            } catch (error) {
+                errores.push(error.message);
+            }
+
+            if (API.esEmailValido(datos.email)) {
+                const email = datos.email.toLowerCase();
+                if (existentes.has(email)) {
+                    errores.push(t('formulario.emailOcupado'));
+                } else if (vistos.has(email)) {
+                    errores.push(t('importar.emailRepetido', { fila: vistos.get(email) }));
+                } else {
+                    vistos.set(email, primeraFila + i);
+                }
+            }
+
+            return { numero: primeraFila + i, datos, errores };
+        });
+    }
+
+    /**
+     * Crea los usuarios válidos de la importación, uno por vez
+     *
+     * Un rechazo del backend (p.ej. 409 por email ya registrado) se agrega
+     * al reporte y no detiene el resto.
+     */
+    async handleConfirmarImportacion() {
+        if (!this.importacion) return;
+        if (!this.requiereConexion()) return;
+
+        const { filas } = this.importacion;
+        const validas = filas.filter(f => f.errores.length === 0);
+        let creados = 0;
+
+        UI.mostrarPasoImportacion(3);
+        UI.actualizarProgresoImportacion(0, validas.length);
+
+        for (const [i, fila] of validas.entries()) {
+            try {
+                await this.enviarAlta(fila.datos);
+                creados++;
+            } catch (error) {
+                fila.errores.push(error instanceof ApiError && error.status === 409
+                    ? t('importar.emailRegistrado', { error: error.message })
+                    : error.message || t('errores.desconocido'));
+            }
+            UI.actualizarProgresoImportacion(i + 1, validas.length);
+        }
+
+        const rechazados = filas.filter(f => f.errores.length > 0).length;
+        UI.mostrarResultadoImportacion({ creados, rechazados });
+        UI.mostrarAlerta(t('importar.alerta', { creados, cantidad: rechazados }),
+            rechazados ? 'warning' : 'success');
+        Logger.log(`📥 Importación CSV: ${creados} creados, ${rechazados} rechazados`);
+
+        await this.cargarUsuarios();
+    }
+
+    /**
+     * Descarga el reporte CSV de las filas rechazadas (sin contraseñas)
+     */
+    handleDescargarReporte() {
+        if (!this.importacion) return;
+
+        const campos = Esquema.formulario()
+            .filter(campo => campo.tipo !== 'password')
+            .map(campo => campo.nombre);
+        const rechazadas = this.importacion.filas.filter(f => f.errores.length > 0);
+        UI.descargarArchivo('usuarios-rechazados.csv', CSV.generar([
+            ['fila', ...campos, 'motivo'],
+            ...rechazadas.map(({ numero, datos, errores }) =>
+                [numero, ...campos.map(campo => datos[campo]), errores.join('; ')])
+        ]));
+    }
+
+    /**
+     * Exporta los usuarios cargados a CSV o JSON
+     *
+     * Exporta lo que muestra la tabla (ver obtenerVigentes) respetando la
+     * búsqueda y el orden (con paginación en el cliente incluye todas las
+     * páginas; en el servidor, la página cargada).
+     * Se exportan todos los campos devueltos por la API excepto contraseñas
+     * y otros datos sensibles. El archivo se nombra con el entorno y la fecha:
+     * usuarios-local-20240115-093000.csv
+     *
+     * @memberof App
+     * @param {string} formato - 'csv' o 'json'
+     */
+    handleExportar(formato) {
+        // `pendiente` solo marca la fila en la tabla, no es un dato del usuario
+        const usuarios = this.ordenarUsuarios(this.filtrarUsuarios(this.obtenerVigentes())).map(usuario =>
+            Object.fromEntries(Object.entries(usuario)
+                .filter(([campo]) => campo !== 'pendiente' && !CAMPOS_SENSIBLES.test(campo))));
+
+        if (usuarios.length === 0) {
+            UI.mostrarAlerta(t('alertas.nadaParaExportar'), 'warning');
+            return;
+        }
+
+        const entorno = normalizarTexto(Config.obtenerNombreEntorno())
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-|-$/g, '');
+        const nombreArchivo = `usuarios-${entorno || 'api'}-${marcaDeTiempo()}.${formato}`;
+
+        if (formato === 'json') {
+            UI.descargarArchivo(nombreArchivo, JSON.stringify(usuarios, null, 2), 'application/json;charset=utf-8');
+        } else {
+            // Columnas: las del esquema primero y luego cualquier otro campo presente
+            const columnas = [...new Set([...Esquema.visibles().map(campo => campo.nombre), ...usuarios.flatMap(Object.keys)])];
+            UI.descargarArchivo(nombreArchivo, CSV.generar([
+                columnas,
+                ...usuarios.map(usuario => columnas.map(campo => {
+                    const valor = usuario[campo];
+                    return valor !== null && typeof valor === 'object' ? JSON.stringify(valor) : valor;
+                }))
+            ]));
+        }
+
+        Logger.log(`📤 ${usuarios.length} usuarios exportados a ${nombreArchivo}`);
+    }
+
+    /**
+     * Muestra la pantalla de login y espera a que el usuario la complete
+     *
+     * Si ya hay un login en pantalla, devuelve la misma promesa (varias
+     * peticiones con 401 simultáneas esperan un único login).
+     *
+     * @memberof App
+     * @param {Object} [opciones={}] - Opciones de UI.mostrarVistaLogin
+     * @param {string} [opciones.mensaje] - Texto explicativo
+     * @param {boolean} [opciones.cancelable=false] - Permitir cancelar
+     * @returns {Promise<boolean>} true al iniciar sesión, false si el usuario cancela
+     */
+    solicitarLogin({ mensaje, cancelable = false } = {}) {
+        if (this.loginPendiente) {
+            return this.loginPendiente.promesa;
+        }
+
+        let resolver;
+        const promesa = new Promise(resolve => {
+            resolver = resolve;
+        });
+        this.loginPendiente = { promesa, resolver };
+
+        UI.mostrarSesion(null);
+        UI.mostrarVistaLogin({ mensaje, cancelable, email: this.emailSesion });
+        return promesa;
+    }
+
+    /**
+     * Cierra la pantalla de login y resuelve la espera de solicitarLogin
+     * @param {boolean} exito - true si se inició sesión
+     */
+    finalizarLogin(exito) {
+        if (!this.loginPendiente) return;
+
+        const { resolver } = this.loginPendiente;
+        this.loginPendiente = null;
+        UI.ocultarVistaLogin();
+        resolver(exito);
+    }
+
+    /**
+     * Refleja la sesión actual en el navbar y programa su expiración
+     */
+    activarSesion() {
+        const usuario = Auth.obtenerUsuario();
+        if (usuario && usuario.email) {
+            this.emailSesion = usuario.email;
+        }
+        UI.mostrarSesion(usuario);
+        this.actualizarRol();
+        Auth.programarExpiracion(() => this.handleSesionExpirada());
+    }
+
+    /**
+     * Resuelve el rol actual y ajusta la interfaz a sus permisos
+     *
+     * El rol sale de la sesión (usuario del login o claims del JWT) o del
+     * campo `rol` del propio usuario en la lista cargada. Con sesión pero
+     * sin rol reconocible se asume 'viewer'; sin autenticación, 'admin'.
+     */
+    actualizarRol() {
+        const rol = Auth.obtenerRol(this.usuarios) ??
+            (Auth.obtenerSesion() || API_CONFIG.AUTH_HABILITADA ? 'viewer' : 'admin');
+
+        if (rol !== this.rol) {
+            Logger.log(`🛡️ Rol actual: ${rol}`);
+        }
+        this.rol = rol;
+        UI.aplicarPermisos({
+            rol,
+            crear: this.puede('crear'),
+            eliminar: this.puede('eliminar'),
+            auditar: this.puede('auditar')
+        });
+        // Otra sesión sin permiso para la auditoría: no dejarla a la vista
+        if (this.vista === 'auditoria' && !this.puede('auditar')) {
+            Router.navegar(Router.enlace('usuarios'), { reemplazar: true });
+        }
+    }
+
+    /**
+     * Indica si el rol actual permite una acción
+     *
+     * @memberof App
+     * @param {string} accion - 'crear', 'editar' o 'eliminar'
+     * @param {Object|null} [usuario=null] - Usuario sobre el que se actúa
+     * @returns {boolean} true si está permitida
+     */
+    puede(accion, usuario = null) {
+        return Auth.puede(this.rol, accion, usuario);
+    }
+
+    /**
+     * Verifica un permiso antes de ejecutar una acción y avisa si se rechaza
+     *
+     * @memberof App
+     * @param {string} accion - 'crear', 'editar' o 'eliminar'
+     * @param {Object|null} [usuario=null] - Usuario sobre el que se actúa
+     * @returns {boolean} true si la acción puede continuar
+     */
+    autorizar(accion, usuario = null) {
+        if (this.puede(accion, usuario)) {
+            return true;
+        }
+
+        Logger.warn(`Acción "${accion}" rechazada para el rol ${this.rol}`);
+        UI.mostrarAlerta(t('errores.sinPermisos'), 'warning');
+        return false;
+    }
+
+    /**
+     * Busca un usuario cargado por su ID
+     *
+     * @memberof App
+     * @param {number|string} id - ID del usuario (puede venir de un data attribute)
+     * @returns {Object} Usuario cargado o {id} si no está en la lista
+     */
+    buscarUsuario(id) {
+        const idNumerico = parseInt(id);
+        return this.usuarios.find(u => u.id === idNumerico) || { id: idNumerico };
+    }
+
+    /**
+     * Maneja el envío del formulario de login
+     */
+    async handleIniciarSesion() {
+        if (!UI.validarFormularioLogin()) {
+            return;
+        }
+
+        const { email, password, recordar } = UI.obtenerDatosLogin();
+
+        try {
+            const textoBoton = DOM.btnIniciarSesion.innerHTML;
+            UI.deshabilitarBoton(DOM.btnIniciarSesion, textoBoton);
+
+            const { token, usuario } = await API.iniciarSesion({ email, password });
+            Auth.guardarSesion(token, usuario, recordar);
+
+            this.activarSesion();
+            this.finalizarLogin(true);
+            // El stream se abrió con el token anterior
+            TiempoReal.reconectar();
+            Logger.log(`🔐 Sesión iniciada: ${email}`);
+        } catch (error) {
+            Logger.error('Error al iniciar sesión:', error);
+            UI.mostrarErrorLogin(error instanceof ApiError && (error.status === 401 || error.status === 403)
+                ? t('login.credencialesIncorrectas')
+                : error.message || t('login.error'));
         } finally {
-            // Habilitar botón
-            UI.habilitarBoton(DOM.btnConfirmarEliminar);
+            UI.habilitarBoton(DOM.btnIniciarSesion);
+        }
+    }
+
+    /**
+     * Maneja la expiración del token (claim exp del JWT)
+     *
+     * Pide login sin descartar lo que hay en pantalla: al volver a ingresar
+     * el usuario sigue donde estaba.
+     */
+    handleSesionExpirada() {
+        Logger.warn('La sesión expiró');
+        Auth.cerrarSesion();
+        this.solicitarLogin({
+            mensaje: t('sesion.expirada')
+        });
+    }
+
+    /**
+     * Maneja el cierre de sesión
+     *
+     * Descarta el token, limpia los datos en pantalla y, si la autenticación
+     * está habilitada, pide un nuevo login antes de volver a cargar usuarios.
+     * Antes intenta enviar los cambios hechos sin conexión; los que no se
+     * pueden enviar se descartan (y se avisa) para no aplicarlos con otra sesión.
+     */
+    async handleCerrarSesion() {
+        // Con el token todavía válido
+        await this.enviarEliminacionesPendientes();
+        await this.sincronizarPendientes();
+
+        // Los cambios que no se pudieron enviar no deben aplicarse con la sesión de otra persona
+        const descartados = Offline.cantidadPendientes();
+        if (descartados > 0) {
+            await Offline.vaciar();
+            this.pendientes = [];
+            Logger.warn(`Se descartaron ${descartados} cambio(s) sin sincronizar al cerrar sesión`);
+        }
+        TiempoReal.detener();
+        Offline.limpiarDatosEnCache();
+        API.limpiarCache();
+        Auth.cerrarSesion();
+        UI.cerrarModalUsuario();
+        UI.cerrarModalConfirmar();
+        UI.cerrarModalConflicto();
+
+        this.conflicto = null;
+        this.usuarios = [];
+        this.renderizarTabla();
+        Logger.log('🔒 Sesión cerrada');
+
+        if (API_CONFIG.AUTH_HABILITADA) {
+            await this.solicitarLogin({ mensaje: t('sesion.cerrada') });
+        }
+        this.activarSesion();
+        await this.cargarUsuarios();
+        this.iniciarTiempoReal();
+
+        if (descartados > 0) {
+            UI.mostrarAlerta(t('sesion.cambiosDescartados', { cantidad: descartados }), 'warning');
+        }
+    }
+
+    /**
+     * Maneja la apertura del diálogo de configuración
+     */
+    handleConfiguracion() {
+        const fijados = Object.keys(Config.origenes).filter(clave => Config.estaFijado(clave));
+        UI.mostrarModalConfiguracion(API_CONFIG, Config.entornos, Config.origenes, fijados);
+    }
+
+    /**
+     * Guarda la configuración elegida y recarga la página para aplicarla
+     *
+     * Se recarga en lugar de aplicar en caliente para que ninguna petición
+     * en curso ni dato cargado mezcle dos entornos distintos.
+     */
+    handleGuardarConfiguracion() {
+        if (!UI.validarFormularioConfiguracion()) {
+            return;
+        }
+
+        try {
+            Config.guardarPreferencias(UI.obtenerDatosConfiguracion());
+            window.location.reload();
+        } catch (error) {
+            Logger.error('Error al guardar configuración:', error);
+            this.manejarError(error, t('errores.configuracion'));
+        }
+    }
+
+    /**
+     * Elimina las preferencias guardadas y recarga la página
+     */
+    handleRestablecerConfiguracion() {
+        Config.restablecerPreferencias();
+        window.location.reload();
+    }
+
+    /**
+     * Muestra en el formulario de usuario los campos que rechazó el backend
+     *
+     * Usa los errores por campo del ApiError (400 con `{campo, mensaje}` o
+     * `fieldErrors`); un 409 sin campos es el email duplicado. Lo que no
+     * corresponde a ningún campo del formulario va al aviso general.
+     *
+     * @memberof App
+     * @param {Error|ApiError} error - Error al crear o actualizar
+     * @returns {boolean} true si se marcó algún campo (el error ya se mostró)
+     */
+    mostrarErroresEnFormulario(error) {
+        if (!(error instanceof ApiError)) return false;
+
+        const campos = error.campos ?? (error.status === 409 ? { email: error.message } : null);
+        if (!campos) return false;
+
+        const marcados = UI.mostrarErroresDeCampo(campos);
+        if (marcados.length === 0) return false;
+
+        const otros = Object.entries(campos)
+            .filter(([campo]) => !marcados.includes(campo))
+            .map(([, mensaje]) => mensaje);
+        if (otros.length > 0) {
+            UI.mostrarAlerta(t('errores.validacion', { error: otros.join(', ') }), 'danger');
         }
+        return true;
     }
 
     /**
@@ -355,23 +2967,30 @@ class App {
      * apropiados al usuario según el tipo y código de estado HTTP.
      *
      * Códigos HTTP manejados:
-     * - 400: Error de validación
+     * - 400: Error de validación (al guardar un usuario, los errores por campo
+     *   se muestran junto al campo: ver mostrarErroresEnFormulario)
+     * - 401: Sesión inválida (el usuario canceló el login)
+     * - 403: Sin permisos
      * - 404: Usuario no encontrado
      * - 409: Conflicto (email duplicado)
      * - 500: Error interno del servidor
      *
+     * Si se indica `reintentar` y el error es transitorio (sin conexión,
+     * timeout o 5xx), la notificación ofrece el botón "Reintentar".
+     *
      * @memberof App
      * @param {Error|ApiError} error - Error capturado en try-catch
      * @param {string} mensajeGenerico - Mensaje fallback si no se puede determinar el error
+     * @param {Function} [reintentar] - Vuelve a ejecutar la operación que falló
      *
      * @example
      * try {
      *   await API.crearUsuario(datos);
      * } catch (error) {
-     *   this.manejarError(error, 'Error al crear usuario');
+     *   this.manejarError(error, t('errores.guardar'), () => this.handleGuardarUsuario());
      * }
      */
-    manejarError(error, mensajeGenerico) {
+    manejarError(error, mensajeGenerico, reintentar = null) {
         let mensaje = mensajeGenerico;
 
         if (error instanceof ApiError) {
@@ -381,23 +3000,35 @@ class App {
             // Errores específicos por código de estado
             switch (error.status) {
                 case 400:
-                    mensaje = `Error de validación: ${error.message}`;
+                    mensaje = t('errores.validacion', { error: error.message });
+                    break;
+                case 401:
+                    mensaje = t('errores.noAutenticado');
+                    break;
+                case 403:
+                    mensaje = t('errores.sinPermisos');
                     break;
                 case 404:
-                    mensaje = 'Usuario no encontrado';
+                    mensaje = t('errores.noEncontrado');
                     break;
                 case 409:
                     mensaje = error.message; // "El email ya está registrado"
                     break;
                 case 500:
-                    mensaje = 'Error interno del servidor. Intente nuevamente.';
+                    mensaje = t('errores.servidor');
                     break;
             }
+        } else if (Offline.esErrorDeConexion(error)) {
+            mensaje = t('errores.sinConexion');
         } else if (error.message) {
             mensaje = error.message;
         }
 
-        UI.mostrarAlerta(mensaje, 'danger');
+        UI.mostrarAlerta(mensaje, 'danger', {
+            accion: reintentar && esErrorTransitorio(error)
+                ? { texto: t('alertas.reintentar'), alHacerClick: reintentar }
+                : null
+        });
     }
 }
 
@@ -420,7 +3051,7 @@ document.addEventListener('DOMContentLoaded', () => {
  *
  * Captura errores asíncronos que no fueron manejados con try-catch.
  * Previene que la aplicación se rompa completamente por errores no anticipados.
- * Muestra un mensaje genérico al usuario y loguea el error en consola.
+ * Muestra un mensaje genérico al usuario y loguea el error (consola y monitoreo).
  *
  * @event unhandledrejection
  * @listens window#unhandledrejection
@@ -434,7 +3065,25 @@ document.addEventListener('DOMContentLoaded', () => {
  */
 window.addEventListener('unhandledrejection', (event) => {
     Logger.error('Error no manejado:', event.reason);
-    UI.mostrarAlerta('Ha ocurrido un error inesperado', 'danger');
+    UI.mostrarAlerta(t('errores.inesperado'), 'danger');
+});
+
+/**
+ * Event Listener: Errores síncronos no capturados (window.onerror)
+ *
+ * Complementa a unhandledrejection para las excepciones lanzadas fuera de
+ * una promesa (p.ej. en un event listener). Los scripts de otro origen solo
+ * informan "Script error." sin el objeto Error: se reporta lo que haya.
+ *
+ * @event error
+ * @listens window#error
+ */
+window.addEventListener('error', (event) => {
+    const error = event.error instanceof Error
+        ? event.error
+        : new Error(`${event.message} (${event.filename}:${event.lineno}:${event.colno})`);
+    Logger.error('Error no capturado:', error);
+    UI.mostrarAlerta(t('errores.inesperado'), 'danger');
 });
 
 /**
@@ -0,0 +1,302 @@
+/**
+ * Módulo Auditoria - Registro de los cambios hechos desde la aplicación
+ *
+ * App registra cada alta, edición y eliminación que el backend confirmó:
+ * quién la hizo, cuándo, sobre qué usuario y qué cambió. La única excepción
+ * son las eliminaciones enviadas al cerrar la pestaña, sin esperar respuesta:
+ * se registran con `confirmado: false`. Solo se comparan
+ * CAMPOS_AUDITADOS (los editables del esquema): las contraseñas nunca se
+ * registran.
+ *
+ * - Las entradas se guardan en localStorage (las últimas MAXIMO_REGISTROS)
+ * - Si API_CONFIG.AUDITORIA ("auditoria" en config.json) define un endpoint,
+ *   cada entrada se envía además con un POST. Las que no se pudieron enviar
+ *   se reintentan con la entrada siguiente o en la próxima visita
+ *
+ * Formato de cada entrada (también el cuerpo JSON del POST):
+ *
+ *   {
+ *     "id": "3f6c0e1a-...",
+ *     "fecha": "2024-01-15T10:30:00.000Z",
+ *     "accion": "actualizar",
+ *     "usuarioId": 7,
+ *     "usuarioNombre": "Ana Gómez",
+ *     "autor": { "id": 1, "nombre": "Admin", "email": "admin@example.com", "rol": "admin" },
+ *     "cambios": [{ "campo": "email", "antes": "ana@old.com", "despues": "ana@example.com" }],
+ *     "confirmado": true
+ *   }
+ *
+ * `autor` es null cuando no hay sesión (autenticación deshabilitada).
+ * Guardada localmente, la entrada lleva además `enviado`: true, false
+ * (pendiente de envío) o null (no había endpoint al registrarla).
+ *
+ * @module auditoria
+ * @author Sistema de Gestión de Usuarios
+ * @version 1.0.0
+ *
+ * @example
+ * import { Auditoria } from './auditoria.js';
+ *
+ * Auditoria.registrar({
+ *     accion: 'actualizar',
+ *     antes: { id: 7, nombre: 'Ana', email: 'ana@old.com' },
+ *     despues: { id: 7, nombre: 'Ana', email: 'ana@example.com' },
+ *     autor: { id: 1, nombre: 'Admin', email: 'admin@example.com', rol: 'admin' }
+ * });
+ *
+ * Auditoria.listar({ usuarioId: 7, accion: 'actualizar' });
+ */
+
+import { API_CONFIG } from './config.js';
+import { Auth } from './auth.js';
+import { Logger } from './api.js';
+import { Esquema } from './esquema.js';
+
+/**
+ * Clave de localStorage donde se guarda el registro
+ * @constant {string}
+ */
+const CLAVE_STORAGE = 'usuarios.auditoria';
+
+/**
+ * Entradas que se conservan en el navegador (se descartan las más viejas)
+ * @constant {number}
+ */
+const MAXIMO_REGISTROS = 500;
+
+/**
+ * Campos cuyo valor anterior y nuevo se registran
+ * @constant {Array<string>}
+ */
+const CAMPOS_AUDITADOS = Esquema.editables().map(campo => campo.nombre);
+
+/**
+ * Acciones que se registran
+ * @constant {Array<string>}
+ */
+const ACCIONES = ['crear', 'actualizar', 'eliminar'];
+
+/**
+ * Funciones a notificar cuando cambia el registro
+ * @type {Set<Function>}
+ */
+const suscriptores = new Set();
+
+/**
+ * Envío en curso de las entradas pendientes (null si no hay ninguno)
+ * @type {Promise<void>|null}
+ */
+let envio = null;
+
+/**
+ * Lee el registro guardado
+ *
+ * @function leer
+ * @returns {Array<Object>} Entradas en orden cronológico (vacío si no hay o está dañado)
+ */
+function leer() {
+    try {
+        const registros = JSON.parse(localStorage.getItem(CLAVE_STORAGE));
+        return Array.isArray(registros) ? registros : [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Guarda el registro y avisa a los suscriptores
+ *
+ * Si localStorage está lleno se descarta la mitad más vieja y se
+ * vuelve a intentar.
+ *
+ * @function guardar
+ * @param {Array<Object>} registros - Entradas en orden cronológico
+ */
+function guardar(registros) {
+    let conservados = registros.slice(-MAXIMO_REGISTROS);
+    while (conservados.length > 0) {
+        try {
+            localStorage.setItem(CLAVE_STORAGE, JSON.stringify(conservados));
+            break;
+        } catch {
+            conservados = conservados.slice(Math.ceil(conservados.length / 2));
+        }
+    }
+    suscriptores.forEach(callback => callback());
+}
+
+/**
+ * Compara los campos auditados antes y después de un cambio
+ *
+ * @function calcularCambios
+ * @param {Object|null} antes - Usuario antes del cambio (null en un alta)
+ * @param {Object|null} despues - Usuario después del cambio (null en una eliminación)
+ * @returns {Array<{campo: string, antes: *, despues: *}>} Solo los campos que cambiaron
+ *
+ * @example
+ * calcularCambios({ nombre: 'Ana', email: 'a@x.com' }, { nombre: 'Ana', email: 'b@x.com' });
+ * // [{ campo: 'email', antes: 'a@x.com', despues: 'b@x.com' }]
+ */
+function calcularCambios(antes, despues) {
+    return CAMPOS_AUDITADOS
+        .map(campo => ({ campo, antes: antes?.[campo] ?? null, despues: despues?.[campo] ?? null }))
+        .filter(cambio => cambio.antes !== cambio.despues);
+}
+
+/**
+ * Envía al endpoint configurado las entradas pendientes, de la más vieja a la más nueva
+ *
+ * Se detiene ante el primer fallo: el resto queda para el próximo envío.
+ *
+ * @async
+ * @function enviarPendientes
+ * @returns {Promise<void>}
+ */
+async function enviarPendientes() {
+    const destino = API_CONFIG.AUDITORIA;
+    if (!destino) return;
+
+    let registro;
+    // Se vuelve a leer en cada vuelta: incluye lo registrado durante el envío
+    while ((registro = leer().find(r => r.enviado === false))) {
+        const { enviado, ...cuerpo } = registro;
+        try {
+            const response = await fetch(destino, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...Auth.obtenerCabeceras() },
+                body: JSON.stringify(cuerpo),
+                keepalive: true,
+                signal: AbortSignal.timeout(API_CONFIG.TIMEOUT)
+            });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        } catch (error) {
+            Logger.warn(`⚠️ Auditoría: no se pudo enviar la entrada ${registro.id} (${error.message}); se reintentará`);
+            return;
+        }
+
+        guardar(leer().map(r => r.id === registro.id ? { ...r, enviado: true } : r));
+    }
+}
+
+/**
+ * Auditoria - Objeto Singleton con el registro de cambios
+ *
+ * @namespace Auditoria
+ * @type {Object}
+ */
+export const Auditoria = {
+    /**
+     * Acciones registradas ('crear', 'actualizar', 'eliminar')
+     * @memberof Auditoria
+     * @returns {Array<string>} Copia de ACCIONES
+     */
+    acciones() {
+        return [...ACCIONES];
+    },
+
+    /**
+     * Cantidad de entradas que se conservan en el navegador
+     * @memberof Auditoria
+     * @returns {number} MAXIMO_REGISTROS
+     */
+    capacidad() {
+        return MAXIMO_REGISTROS;
+    },
+
+    /**
+     * Envía las entradas que quedaron pendientes y sigue los cambios de otras pestañas
+     *
+     * Llamar una vez, después de Config.inicializar() y del inicio de sesión.
+     *
+     * @memberof Auditoria
+     */
+    iniciar() {
+        window.addEventListener('storage', (evento) => {
+            if (evento.key === CLAVE_STORAGE) suscriptores.forEach(callback => callback());
+        });
+        this.enviar();
+    },
+
+    /**
+     * Registra un cambio confirmado por el backend
+     *
+     * @memberof Auditoria
+     * @param {Object} cambio - Cambio a registrar
+     * @param {string} cambio.accion - 'crear', 'actualizar' o 'eliminar'
+     * @param {Object|null} cambio.antes - Usuario antes del cambio (null en un alta)
+     * @param {Object|null} cambio.despues - Usuario después del cambio (null en una eliminación)
+     * @param {Object|null} [cambio.autor=null] - Quién lo hizo ({id, nombre, email, rol})
+     * @param {boolean} [cambio.confirmado=true] - False si se envió sin esperar la respuesta del backend
+     * @returns {Object} Entrada registrada
+     */
+    registrar({ accion, antes, despues, autor = null, confirmado = true }) {
+        const usuario = despues ?? antes ?? {};
+        const registro = {
+            id: crypto.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`,
+            fecha: new Date().toISOString(),
+            accion,
+            usuarioId: usuario.id ?? null,
+            usuarioNombre: usuario.nombre ?? null,
+            autor: autor && {
+                id: autor.id ?? null,
+                nombre: autor.nombre ?? null,
+                email: autor.email ?? null,
+                rol: autor.rol ?? null
+            },
+            cambios: calcularCambios(antes, despues),
+            confirmado,
+            enviado: API_CONFIG.AUDITORIA ? false : null
+        };
+
+        guardar([...leer(), registro]);
+        Logger.log(`📝 Auditoría: ${accion} del usuario ${registro.usuarioId}`);
+        this.enviar();
+        return registro;
+    },
+
+    /**
+     * Entradas del registro, de la más nueva a la más vieja
+     *
+     * @memberof Auditoria
+     * @param {Object} [filtros={}] - Filtros a aplicar
+     * @param {number|null} [filtros.usuarioId=null] - Solo las del usuario con este ID
+     * @param {string|null} [filtros.accion=null] - Solo las de esta acción
+     * @returns {Array<Object>} Entradas que cumplen los filtros
+     *
+     * @example
+     * Auditoria.listar({ accion: 'eliminar' }); // quién eliminó a quién
+     */
+    listar({ usuarioId = null, accion = null } = {}) {
+        return leer()
+            .filter(r => (usuarioId == null || r.usuarioId === usuarioId) && (!accion || r.accion === accion))
+            .reverse();
+    },
+
+    /**
+     * Envía ya las entradas pendientes al endpoint configurado
+     *
+     * Si ya hay un envío en curso devuelve ese mismo (que también toma las
+     * entradas registradas mientras tanto).
+     *
+     * @memberof Auditoria
+     * @returns {Promise<void>} Se resuelve al terminar (nunca se rechaza)
+     */
+    enviar() {
+        envio ??= enviarPendientes().finally(() => {
+            envio = null;
+        });
+        return envio;
+    },
+
+    /**
+     * Registra una función que se llama cuando cambia el registro
+     *
+     * @memberof Auditoria
+     * @param {Function} callback - Sin argumentos (usar listar())
+     * @returns {Function} Función para cancelar la suscripción
+     */
+    suscribir(callback) {
+        suscriptores.add(callback);
+        return () => suscriptores.delete(callback);
+    }
+};
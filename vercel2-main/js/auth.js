@@ -0,0 +1,372 @@
+/**
+ * Módulo Auth - Sesión del usuario autenticado
+ *
+ * Guarda el token (bearer/JWT) obtenido al iniciar sesión, lo expone como
+ * cabecera Authorization para api.js y detecta su expiración leyendo el
+ * claim `exp` del JWT. No hace peticiones HTTP: el login lo realiza
+ * API.iniciarSesion() y este módulo solo persiste el resultado.
+ *
+ * Con "Recordar sesión" el token se guarda en localStorage; si no, en
+ * sessionStorage (se pierde al cerrar la pestaña).
+ *
+ * También resuelve el rol del usuario autenticado (viewer, editor, admin)
+ * y qué acciones permite sobre cada usuario de la tabla.
+ *
+ * @module auth
+ * @author Sistema de Gestión de Usuarios
+ * @version 1.0.0
+ *
+ * @example
+ * import { Auth } from './auth.js';
+ *
+ * const { token, usuario } = await API.iniciarSesion({ email, password });
+ * Auth.guardarSesion(token, usuario, true);
+ *
+ * Auth.obtenerCabeceras(); // { Authorization: 'Bearer eyJhbGciOi...' }
+ */
+
+/**
+ * Clave de storage donde se guarda la sesión
+ * @constant {string}
+ */
+const CLAVE_SESION = 'usuarios.sesion';
+
+/**
+ * Margen antes del `exp` real en que el token se considera expirado (30 segundos).
+ * Evita enviar un token que caduque mientras la petición está en vuelo.
+ * @constant {number}
+ */
+const MARGEN_EXPIRACION = 30000;
+
+/**
+ * Máximo permitido por setTimeout (~24,8 días)
+ * @constant {number}
+ */
+const MAX_TIMEOUT = 2147483647;
+
+/**
+ * Acciones permitidas por cada rol
+ *
+ * - viewer: solo lectura
+ * - editor: crear y editar
+ * - admin: crear, editar, eliminar y ver la auditoría
+ *
+ * Cualquier rol puede además editar su propio usuario (ver Auth.puede).
+ *
+ * @constant {Object<string, Array<string>>}
+ */
+const PERMISOS_POR_ROL = {
+    viewer: [],
+    editor: ['crear', 'editar'],
+    admin: ['crear', 'editar', 'eliminar', 'auditar']
+};
+
+/**
+ * Nombres alternativos aceptados para cada rol (en minúsculas, sin prefijo ROLE_)
+ * @constant {Object<string, string>}
+ */
+const ALIAS_ROLES = {
+    administrador: 'admin',
+    administrator: 'admin',
+    lector: 'viewer',
+    visor: 'viewer'
+};
+
+/**
+ * Temporizador de expiración programado con Auth.programarExpiracion()
+ * @type {number|null}
+ */
+let temporizadorExpiracion = null;
+
+/**
+ * Decodifica el payload de un JWT sin verificar la firma
+ *
+ * La verificación corresponde al backend; en el cliente solo se leen los
+ * claims (exp, sub, email...). Tokens opacos (no JWT) retornan null.
+ *
+ * @function decodificarJwt
+ * @param {string} token - Token JWT (header.payload.firma)
+ * @returns {Object|null} Claims del payload o null si el token no es un JWT válido
+ *
+ * @example
+ * decodificarJwt('eyJhbGciOiJIUzI1NiJ9.eyJzdWIiOiIxIiwiZXhwIjoxNzAwMDAwMDAwfQ.firma');
+ * // { sub: '1', exp: 1700000000 }
+ */
+function decodificarJwt(token) {
+    const partes = typeof token === 'string' ? token.split('.') : [];
+    if (partes.length !== 3) return null;
+
+    try {
+        // base64url → base64 y decodificación UTF-8 (nombres con acentos)
+        const base64 = partes[1].replace(/-/g, '+').replace(/_/g, '/');
+        const binario = atob(base64.padEnd(base64.length + (4 - base64.length % 4) % 4, '='));
+        const bytes = Uint8Array.from(binario, c => c.charCodeAt(0));
+        const claims = JSON.parse(new TextDecoder().decode(bytes));
+        return claims && typeof claims === 'object' ? claims : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Normaliza el rol informado por el backend
+ *
+ * Acepta el formato de Spring Security (`ROLE_ADMIN`), mayúsculas y los
+ * alias de ALIAS_ROLES. Con una lista de roles se queda con el de más
+ * permisos.
+ *
+ * @function normalizarRol
+ * @param {string|Array<string>} valor - Rol o lista de roles
+ * @returns {string|null} 'viewer', 'editor', 'admin' o null si no se reconoce
+ *
+ * @example
+ * normalizarRol('ROLE_ADMIN');          // 'admin'
+ * normalizarRol(['viewer', 'editor']);  // 'editor'
+ */
+function normalizarRol(valor) {
+    if (Array.isArray(valor)) {
+        const roles = Object.keys(PERMISOS_POR_ROL);
+        return valor
+            .map(normalizarRol)
+            .filter(Boolean)
+            .sort((a, b) => roles.indexOf(b) - roles.indexOf(a))[0] || null;
+    }
+    if (typeof valor !== 'string') return null;
+
+    const rol = valor.trim().toLowerCase().replace(/^role_/, '');
+    const canonico = ALIAS_ROLES[rol] || rol;
+    return Object.hasOwn(PERMISOS_POR_ROL, canonico) ? canonico : null;
+}
+
+/**
+ * Auth - Objeto Singleton que administra la sesión actual
+ *
+ * @namespace Auth
+ * @type {Object}
+ */
+export const Auth = {
+    /**
+     * Lee la sesión guardada (sessionStorage primero, luego localStorage)
+     *
+     * @memberof Auth
+     * @returns {{token: string, usuario: Object|null}|null} Sesión guardada o null
+     */
+    obtenerSesion() {
+        for (const storage of [sessionStorage, localStorage]) {
+            try {
+                const sesion = JSON.parse(storage.getItem(CLAVE_SESION));
+                if (sesion && typeof sesion.token === 'string' && sesion.token) {
+                    return sesion;
+                }
+            } catch {
+                // Sesión corrupta: se ignora
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Guarda la sesión tras un login exitoso
+     *
+     * @memberof Auth
+     * @param {string} token - Token bearer/JWT devuelto por el backend
+     * @param {Object|null} [usuario=null] - Datos del usuario autenticado si el backend los envía
+     * @param {boolean} [recordar=false] - true = localStorage, false = sessionStorage
+     */
+    guardarSesion(token, usuario = null, recordar = false) {
+        this.cerrarSesion();
+        const storage = recordar ? localStorage : sessionStorage;
+        storage.setItem(CLAVE_SESION, JSON.stringify({ token, usuario }));
+    },
+
+    /**
+     * Elimina la sesión de ambos storages y cancela el temporizador de expiración
+     * @memberof Auth
+     */
+    cerrarSesion() {
+        sessionStorage.removeItem(CLAVE_SESION);
+        localStorage.removeItem(CLAVE_SESION);
+        clearTimeout(temporizadorExpiracion);
+        temporizadorExpiracion = null;
+    },
+
+    /**
+     * Obtiene el token actual
+     * @memberof Auth
+     * @returns {string|null} Token o null si no hay sesión
+     */
+    obtenerToken() {
+        const sesion = this.obtenerSesion();
+        return sesion ? sesion.token : null;
+    },
+
+    /**
+     * Obtiene los claims del token actual
+     * @memberof Auth
+     * @returns {Object|null} Claims del JWT o null (sin sesión o token opaco)
+     */
+    obtenerClaims() {
+        return decodificarJwt(this.obtenerToken());
+    },
+
+    /**
+     * Obtiene los datos del usuario autenticado
+     *
+     * Usa el objeto usuario devuelto por el login; si no existe, lo arma
+     * con los claims habituales del JWT (sub, email, nombre/name).
+     *
+     * @memberof Auth
+     * @returns {{id: *, nombre: string, email: string}|null} Usuario o null si no hay sesión
+     */
+    obtenerUsuario() {
+        const sesion = this.obtenerSesion();
+        if (!sesion) return null;
+        if (sesion.usuario) return sesion.usuario;
+
+        const claims = decodificarJwt(sesion.token) || {};
+        return {
+            id: claims.id ?? claims.sub ?? null,
+            nombre: claims.nombre ?? claims.name ?? '',
+            email: claims.email ?? (typeof claims.sub === 'string' && claims.sub.includes('@') ? claims.sub : '')
+        };
+    },
+
+    /**
+     * Obtiene el instante de expiración del token (claim exp)
+     * @memberof Auth
+     * @returns {number|null} Timestamp en milisegundos o null si el token no informa expiración
+     */
+    obtenerExpiracion() {
+        const claims = this.obtenerClaims();
+        return claims && Number.isFinite(claims.exp) ? claims.exp * 1000 : null;
+    },
+
+    /**
+     * Indica si hay un token cuya expiración ya pasó (o está por pasar)
+     * @memberof Auth
+     * @returns {boolean} true si hay token y está expirado
+     */
+    sesionExpirada() {
+        const expiracion = this.obtenerExpiracion();
+        return expiracion !== null && Date.now() >= expiracion - MARGEN_EXPIRACION;
+    },
+
+    /**
+     * Indica si hay un token guardado y no expirado
+     * @memberof Auth
+     * @returns {boolean} true si la sesión puede usarse
+     */
+    haySesionValida() {
+        return Boolean(this.obtenerToken()) && !this.sesionExpirada();
+    },
+
+    /**
+     * Obtiene el rol del usuario autenticado
+     *
+     * Orden de búsqueda:
+     * 1. Campo `rol` (o `roles`) del usuario devuelto por el login
+     * 2. Claims `rol`, `role`, `roles` o `authorities` del JWT
+     * 3. Campo `rol` del mismo usuario dentro de la lista recibida (tabla)
+     *
+     * @memberof Auth
+     * @param {Array<Object>} [usuarios=[]] - Usuarios cargados, para buscar el propio
+     * @returns {string|null} 'viewer', 'editor', 'admin' o null si no hay sesión o rol reconocible
+     *
+     * @example
+     * Auth.obtenerRol(app.usuarios); // 'editor'
+     */
+    obtenerRol(usuarios = []) {
+        const sesion = this.obtenerSesion();
+        if (!sesion) return null;
+
+        const usuario = sesion.usuario || {};
+        const claims = this.obtenerClaims() || {};
+        const propio = usuarios.find(u => this.esUsuarioActual(u)) || {};
+
+        return normalizarRol(usuario.rol ?? usuario.roles) ??
+            normalizarRol(claims.rol ?? claims.role ?? claims.roles ?? claims.authorities) ??
+            normalizarRol(propio.rol);
+    },
+
+    /**
+     * Indica si un usuario de la tabla es el usuario autenticado
+     *
+     * Compara por id y, si no coincide o falta, por email (sin distinguir mayúsculas).
+     *
+     * @memberof Auth
+     * @param {Object} usuario - Usuario a comparar ({id, email})
+     * @returns {boolean} true si es el usuario de la sesión
+     */
+    esUsuarioActual(usuario) {
+        const actual = this.obtenerUsuario();
+        if (!actual || !usuario) return false;
+
+        if (actual.id != null && usuario.id != null && String(actual.id) === String(usuario.id)) {
+            return true;
+        }
+        return Boolean(actual.email && usuario.email) &&
+            actual.email.toLowerCase() === usuario.email.toLowerCase();
+    },
+
+    /**
+     * Indica si un rol permite una acción
+     *
+     * Editar el propio usuario está permitido para cualquier rol.
+     *
+     * @memberof Auth
+     * @param {string} rol - Rol del usuario autenticado
+     * @param {string} accion - 'crear', 'editar', 'eliminar' o 'auditar' (ver el registro de auditoría)
+     * @param {Object|null} [usuario=null] - Usuario sobre el que se actúa (editar/eliminar)
+     * @returns {boolean} true si la acción está permitida
+     *
+     * @example
+     * Auth.puede('viewer', 'editar', { id: 7 }); // true solo si 7 es el usuario autenticado
+     * Auth.puede('editor', 'eliminar', { id: 7 }); // false
+     */
+    puede(rol, accion, usuario = null) {
+        const permisos = PERMISOS_POR_ROL[rol] || [];
+        if (permisos.includes(accion)) return true;
+        return accion === 'editar' && this.esUsuarioActual(usuario);
+    },
+
+    /**
+     * Cabeceras de autenticación para las peticiones a la API
+     *
+     * @memberof Auth
+     * @returns {Object} {Authorization: 'Bearer ...'} o objeto vacío sin sesión
+     */
+    obtenerCabeceras() {
+        const token = this.obtenerToken();
+        return token ? { Authorization: `Bearer ${token}` } : {};
+    },
+
+    /**
+     * Programa un callback para cuando expire el token actual
+     *
+     * Reemplaza cualquier temporizador anterior. Si el token no informa
+     * expiración no se programa nada.
+     *
+     * @memberof Auth
+     * @param {Function} callback - Se ejecuta al expirar la sesión
+     *
+     * @example
+     * Auth.programarExpiracion(() => UI.mostrarAlerta('Su sesión expiró', 'warning'));
+     */
+    programarExpiracion(callback) {
+        clearTimeout(temporizadorExpiracion);
+        temporizadorExpiracion = null;
+
+        const expiracion = this.obtenerExpiracion();
+        if (expiracion === null) return;
+
+        const restante = Math.max(0, expiracion - MARGEN_EXPIRACION - Date.now());
+        temporizadorExpiracion = setTimeout(() => {
+            // Tokens de más de ~24 días: el temporizador se reprograma hasta llegar al exp
+            if (this.sesionExpirada()) {
+                callback();
+            } else {
+                this.programarExpiracion(callback);
+            }
+        }, Math.min(restante, MAX_TIMEOUT));
+    }
+};
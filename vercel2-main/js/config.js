@@ -0,0 +1,648 @@
+/**
+ * Módulo Config - Configuración de la aplicación resuelta en tiempo de ejecución
+ *
+ * Evita tener que editar el código fuente para cambiar de entorno
+ * (local, staging, producción). Cada valor configurable se resuelve al
+ * iniciar la aplicación consultando, en orden de prioridad:
+ *
+ * 1. Parámetros de la URL (?api=, ?debug=, ?timeout=, ?reintentos=, ?auth=,
+ *    ?tiempoReal=, ?sondeo=, ?mock=, ?mockLatencia=, ?mockFallos=)
+ *    Con autenticación, ?api= solo se acepta si apunta a uno de los entornos
+ *    configurados: el login y el token van a esa URL.
+ * 2. config.json servido junto a index.html
+ * 3. Preferencias guardadas en localStorage (diálogo de configuración)
+ * 4. Valores por defecto definidos en este módulo
+ *
+ * @module config
+ * @author Sistema de Gestión de Usuarios
+ * @version 1.0.0
+ *
+ * @example
+ * // Inicializar antes de hacer cualquier petición
+ * import { Config, API_CONFIG } from './config.js';
+ *
+ * await Config.inicializar();
+ * console.log(API_CONFIG.BASE_URL); // URL efectivamente en uso
+ *
+ * @example
+ * // config.json (opcional, junto a index.html)
+ * {
+ *   "apiUrl": "https://staging.example.com/api/usuarios",
+ *   "debugMode": false,
+ *   "timeout": 15000,
+ *   "reintentos": 3,
+ *   "retrasoBase": 1000,
+ *   "retrasoMaximo": 15000,
+ *   "auth": true,
+ *   "authUrl": "https://staging.example.com/api/auth/login",
+ *   "tiempoReal": "auto",
+ *   "intervaloSondeo": 30000,
+ *   "mock": false,
+ *   "reporteErrores": "https://monitoreo.example.com/errores",
+ *   "politicaPassword": { "longitudMinima": 10, "mayusculas": true, "numeros": true },
+ *   "entornos": [
+ *     { "nombre": "Staging", "url": "https://staging.example.com/api/usuarios" }
+ *   ]
+ * }
+ */
+
+// Mensajes de error de las preferencias en el idioma de la interfaz
+import { t } from './i18n.js';
+
+/**
+ * Ruta de la colección de usuarios en el backend.
+ * Se agrega automáticamente cuando la URL configurada es solo un origen
+ * (p.ej. ?api=http://localhost:8080).
+ * @constant {string}
+ */
+const RUTA_USUARIOS = '/api/usuarios';
+
+/**
+ * Clave de localStorage donde se guardan las preferencias del diálogo
+ * @constant {string}
+ */
+const CLAVE_STORAGE = 'usuarios.config';
+
+/**
+ * Política de contraseñas por defecto (ver js/password.js)
+ *
+ * "politicaPassword" en config.json reemplaza solo las reglas que define;
+ * si define "prohibidas", esa lista reemplaza a la de aquí.
+ *
+ * @constant {Object}
+ * @property {number} longitudMinima - Caracteres mínimos
+ * @property {number} longitudMaxima - Caracteres máximos
+ * @property {boolean} mayusculas - Exigir al menos una mayúscula
+ * @property {boolean} minusculas - Exigir al menos una minúscula
+ * @property {boolean} numeros - Exigir al menos un número
+ * @property {boolean} simbolos - Exigir al menos un símbolo
+ * @property {Array<string>} prohibidas - Contraseñas comunes rechazadas (en minúsculas)
+ * @property {boolean} sinDatosPersonales - Rechazar contraseñas que contienen el nombre o el email
+ */
+const POLITICA_PASSWORD_POR_DEFECTO = Object.freeze({
+    longitudMinima: 6,
+    longitudMaxima: 128,
+    mayusculas: false,
+    minusculas: false,
+    numeros: false,
+    simbolos: false,
+    prohibidas: Object.freeze([
+        '123456', '1234567', '12345678', '123456789', '1234567890', '111111', '000000',
+        '123123', '654321', 'password', 'password1', 'qwerty', 'qwerty123', 'abc123',
+        'iloveyou', 'admin', 'letmein', 'welcome', 'contraseña', 'contrasena', 'usuario'
+    ]),
+    sinDatosPersonales: true
+});
+
+/**
+ * Valores por defecto (usados si ninguna otra fuente define el valor)
+ * @constant {Object}
+ */
+const VALORES_POR_DEFECTO = Object.freeze({
+    BASE_URL: 'https://usuarios-mvgv.onrender.com/api/usuarios',
+    TIMEOUT: 10000, // 10 segundos
+    DEBUG_MODE: true,
+    REINTENTOS: 3, // 4 intentos en total
+    RETRASO_BASE: 1000, // 1s, 2s, 4s... (más jitter)
+    RETRASO_MAXIMO: 15000,
+    AUTH_HABILITADA: false, // cada despliegue con login lo activa (config.json)
+    AUTH_URL: null, // null = <origen de BASE_URL>/api/auth/login
+    TIEMPO_REAL: 'auto', // SSE, si no WebSocket, si no sondeo
+    AUTH_STREAM: 'ticket', // el token nunca va en la URL del stream (ver js/tiempoReal.js)
+    INTERVALO_SONDEO: 30000, // 30 segundos (0 = sin sondeo)
+    MOCK: false, // true = backend simulado en localStorage (js/mock.js)
+    MOCK_LATENCIA: 300, // demora de cada respuesta simulada
+    MOCK_FALLOS: 0, // probabilidad de responder 503 (0 a 1)
+    REPORTE_ERRORES: null, // null = los errores no se envían (ver js/monitoreo.js)
+    AUDITORIA: null, // null = la auditoría solo se guarda en el navegador (ver js/auditoria.js)
+    POLITICA_PASSWORD: POLITICA_PASSWORD_POR_DEFECTO
+});
+
+/**
+ * Modos aceptados para TIEMPO_REAL (ver js/tiempoReal.js)
+ * @constant {Array<string>}
+ */
+const MODOS_TIEMPO_REAL = ['auto', 'sse', 'websocket', 'sondeo', 'desactivado'];
+
+/**
+ * Formas de autenticar el stream de cambios (ver js/tiempoReal.js)
+ * @constant {Array<string>}
+ */
+const MODOS_AUTH_STREAM = ['ticket', 'cookie', 'url'];
+
+/**
+ * Versión de la aplicación (se muestra en "Acerca de")
+ * @constant {string}
+ */
+const VERSION_APP = '1.0.0';
+
+/**
+ * Entornos ofrecidos en el diálogo de configuración si config.json no define otros
+ * @constant {Array<{nombre: string, url: string}>}
+ */
+const ENTORNOS_POR_DEFECTO = Object.freeze([
+    { nombre: 'Producción (Render)', url: 'https://usuarios-mvgv.onrender.com/api/usuarios' },
+    { nombre: 'Local', url: 'http://localhost:8080/api/usuarios' }
+]);
+
+/**
+ * Configuración global de la API
+ *
+ * Se exporta como objeto mutable: Config.inicializar() sobrescribe sus
+ * valores con los resueltos en tiempo de ejecución, y todos los módulos
+ * que lo importan ven los valores actualizados.
+ *
+ * @constant {Object} API_CONFIG
+ * @property {string} BASE_URL - URL base de la colección de usuarios en la API REST
+ * @property {Object} HEADERS - Cabeceras HTTP por defecto para todas las peticiones
+ * @property {number} TIMEOUT - Tiempo máximo de espera en milisegundos
+ * @property {boolean} DEBUG_MODE - Modo debug (true en desarrollo, false en producción)
+ * @property {number} REINTENTOS - Reintentos de peticiones idempotentes ante fallos transitorios (0 = sin reintentos)
+ * @property {number} RETRASO_BASE - Espera antes del primer reintento en ms (se duplica en cada intento)
+ * @property {number} RETRASO_MAXIMO - Espera máxima entre reintentos en ms
+ * @property {boolean} AUTH_HABILITADA - Exigir inicio de sesión al abrir la aplicación
+ * @property {string|null} AUTH_URL - Endpoint de login (null = derivado de BASE_URL)
+ * @property {string} TIEMPO_REAL - Cambios en vivo: 'auto', 'sse', 'websocket', 'sondeo' o 'desactivado'
+ * @property {string} AUTH_STREAM - Cómo se autentica el stream con login: 'ticket', 'cookie' o
+ *           'url' (el token en la URL, solo si el backend no ofrece otra forma)
+ * @property {number} INTERVALO_SONDEO - Consulta periódica en ms cuando no hay stream (0 = sin sondeo)
+ * @property {boolean} MOCK - Usar el backend simulado (js/mock.js) en lugar de la red
+ * @property {number} MOCK_LATENCIA - Demora de cada respuesta simulada en ms
+ * @property {number} MOCK_FALLOS - Probabilidad (0 a 1) de que el backend simulado responda 503
+ * @property {string|null} REPORTE_ERRORES - Endpoint que recibe los errores (null = no se envían)
+ * @property {string|null} AUDITORIA - Endpoint que recibe las entradas de auditoría (null = no se envían)
+ * @property {Object} POLITICA_PASSWORD - Reglas de contraseñas (ver POLITICA_PASSWORD_POR_DEFECTO)
+ */
+const API_CONFIG = {
+    BASE_URL: VALORES_POR_DEFECTO.BASE_URL,
+    HEADERS: {
+        'Content-Type': 'application/json'
+    },
+    TIMEOUT: VALORES_POR_DEFECTO.TIMEOUT,
+    DEBUG_MODE: VALORES_POR_DEFECTO.DEBUG_MODE,
+    REINTENTOS: VALORES_POR_DEFECTO.REINTENTOS,
+    RETRASO_BASE: VALORES_POR_DEFECTO.RETRASO_BASE,
+    RETRASO_MAXIMO: VALORES_POR_DEFECTO.RETRASO_MAXIMO,
+    AUTH_HABILITADA: VALORES_POR_DEFECTO.AUTH_HABILITADA,
+    AUTH_URL: VALORES_POR_DEFECTO.AUTH_URL,
+    TIEMPO_REAL: VALORES_POR_DEFECTO.TIEMPO_REAL,
+    AUTH_STREAM: VALORES_POR_DEFECTO.AUTH_STREAM,
+    INTERVALO_SONDEO: VALORES_POR_DEFECTO.INTERVALO_SONDEO,
+    MOCK: VALORES_POR_DEFECTO.MOCK,
+    MOCK_LATENCIA: VALORES_POR_DEFECTO.MOCK_LATENCIA,
+    MOCK_FALLOS: VALORES_POR_DEFECTO.MOCK_FALLOS,
+    REPORTE_ERRORES: VALORES_POR_DEFECTO.REPORTE_ERRORES,
+    AUDITORIA: VALORES_POR_DEFECTO.AUDITORIA,
+    POLITICA_PASSWORD: VALORES_POR_DEFECTO.POLITICA_PASSWORD
+};
+
+/**
+ * Normaliza y valida la URL base de la API
+ *
+ * @param {*} valor - URL candidata
+ * @returns {string|null} URL sin barra final (con /api/usuarios si era solo un origen) o null si es inválida
+ *
+ * @example
+ * normalizarUrl('http://localhost:8080');     // "http://localhost:8080/api/usuarios"
+ * normalizarUrl('https://x.com/api/usuarios/'); // "https://x.com/api/usuarios"
+ * normalizarUrl('ftp://x.com');               // null
+ */
+function normalizarUrl(valor) {
+    if (typeof valor !== 'string' || !valor.trim()) return null;
+
+    let url;
+    try {
+        url = new URL(valor.trim());
+    } catch {
+        return null;
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+
+    const ruta = url.pathname.replace(/\/+$/, '');
+    return `${url.origin}${ruta || RUTA_USUARIOS}`;
+}
+
+/**
+ * Valida una URL absoluta http(s) sin agregarle rutas (p.ej. endpoint de login)
+ * @param {*} valor - URL candidata
+ * @returns {string|null} URL válida o null
+ */
+function normalizarUrlAbsoluta(valor) {
+    if (typeof valor !== 'string' || !valor.trim()) return null;
+
+    try {
+        const url = new URL(valor.trim());
+        return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Valida el timeout (entero positivo en milisegundos)
+ * @param {*} valor - Timeout candidato (número o string)
+ * @returns {number|null} Timeout válido o null
+ */
+function normalizarTimeout(valor) {
+    const numero = typeof valor === 'string' ? Number(valor.trim()) : valor;
+    return Number.isInteger(numero) && numero > 0 ? numero : null;
+}
+
+/**
+ * Valida un contador que admite cero (p.ej. cantidad de reintentos)
+ * @param {*} valor - Número o string
+ * @returns {number|null} Entero >= 0 o null
+ */
+function normalizarEnteroNoNegativo(valor) {
+    const numero = typeof valor === 'string' ? Number(valor.trim()) : valor;
+    return Number.isInteger(numero) && numero >= 0 ? numero : null;
+}
+
+/**
+ * Convierte un indicador (modo debug, auth) a booleano
+ * @param {*} valor - true/false, "true"/"false", "1"/"0"
+ * @returns {boolean|null} Booleano o null si no se reconoce
+ */
+function normalizarBooleano(valor) {
+    if (typeof valor === 'boolean') return valor;
+    if (valor === 'true' || valor === '1') return true;
+    if (valor === 'false' || valor === '0') return false;
+    return null;
+}
+
+/**
+ * Valida el modo de cambios en tiempo real
+ * @param {*} valor - Modo candidato (ver MODOS_TIEMPO_REAL)
+ * @returns {string|null} Modo en minúsculas o null si no se reconoce
+ */
+function normalizarModoTiempoReal(valor) {
+    const modo = typeof valor === 'string' ? valor.trim().toLowerCase() : null;
+    return MODOS_TIEMPO_REAL.includes(modo) ? modo : null;
+}
+
+/**
+ * Valida la forma de autenticar el stream de cambios
+ * @param {*} valor - Modo candidato (ver MODOS_AUTH_STREAM)
+ * @returns {string|null} Modo en minúsculas o null si no se reconoce
+ */
+function normalizarModoAuthStream(valor) {
+    const modo = typeof valor === 'string' ? valor.trim().toLowerCase() : null;
+    return MODOS_AUTH_STREAM.includes(modo) ? modo : null;
+}
+
+/**
+ * Valida una probabilidad (número entre 0 y 1)
+ * @param {*} valor - Número o string (p.ej. "0.25")
+ * @returns {number|null} Probabilidad válida o null
+ */
+function normalizarProbabilidad(valor) {
+    const numero = typeof valor === 'string' ? Number(valor.trim()) : valor;
+    return typeof numero === 'number' && numero >= 0 && numero <= 1 ? numero : null;
+}
+
+/**
+ * Valida una política de contraseñas y la completa con los valores por defecto
+ *
+ * @param {*} valor - Objeto con algunas reglas (p.ej. {"longitudMinima": 10, "simbolos": true})
+ * @returns {Object|null} Política completa o null si alguna regla es inválida
+ *
+ * @example
+ * normalizarPoliticaPassword({ longitudMinima: 10 }).longitudMaxima; // 128
+ * normalizarPoliticaPassword({ longitudMinima: 0 });                 // null
+ */
+function normalizarPoliticaPassword(valor) {
+    if (!valor || typeof valor !== 'object' || Array.isArray(valor)) return null;
+
+    const politica = {};
+    for (const [regla, porDefecto] of Object.entries(POLITICA_PASSWORD_POR_DEFECTO)) {
+        const dato = valor[regla] ?? porDefecto;
+        if (Array.isArray(porDefecto)) {
+            if (!Array.isArray(dato) || !dato.every(p => typeof p === 'string')) return null;
+            politica[regla] = Object.freeze(dato.map(p => p.toLowerCase()));
+        } else if (typeof dato !== typeof porDefecto) {
+            return null;
+        } else {
+            politica[regla] = dato;
+        }
+    }
+
+    // Tiene que poder existir una contraseña que cumpla todas las reglas
+    const clasesExigidas = ['mayusculas', 'minusculas', 'numeros', 'simbolos'].filter(c => politica[c]).length;
+    const { longitudMinima, longitudMaxima } = politica;
+    if (!Number.isInteger(longitudMinima) || !Number.isInteger(longitudMaxima) || longitudMinima < 1 ||
+        longitudMaxima < Math.max(longitudMinima, clasesExigidas)) {
+        return null;
+    }
+    return Object.freeze(politica);
+}
+
+/**
+ * Normalizadores por clave de API_CONFIG
+ * @constant {Object<string, Function>}
+ */
+const NORMALIZADORES = {
+    BASE_URL: normalizarUrl,
+    TIMEOUT: normalizarTimeout,
+    DEBUG_MODE: normalizarBooleano,
+    REINTENTOS: normalizarEnteroNoNegativo,
+    RETRASO_BASE: normalizarTimeout,
+    RETRASO_MAXIMO: normalizarTimeout,
+    AUTH_HABILITADA: normalizarBooleano,
+    AUTH_URL: normalizarUrlAbsoluta,
+    TIEMPO_REAL: normalizarModoTiempoReal,
+    AUTH_STREAM: normalizarModoAuthStream,
+    INTERVALO_SONDEO: normalizarEnteroNoNegativo,
+    MOCK: normalizarBooleano,
+    MOCK_LATENCIA: normalizarEnteroNoNegativo,
+    MOCK_FALLOS: normalizarProbabilidad,
+    REPORTE_ERRORES: normalizarUrlAbsoluta,
+    AUDITORIA: normalizarUrlAbsoluta,
+    POLITICA_PASSWORD: normalizarPoliticaPassword
+};
+
+/**
+ * Lee los valores de configuración de los parámetros de la URL
+ * @returns {Object} Valores crudos {BASE_URL, DEBUG_MODE, TIMEOUT, REINTENTOS, AUTH_HABILITADA,
+ *          TIEMPO_REAL, INTERVALO_SONDEO, MOCK, MOCK_LATENCIA, MOCK_FALLOS} presentes en la URL
+ */
+function leerParametrosUrl() {
+    const params = new URLSearchParams(window.location.search);
+    return {
+        BASE_URL: params.get('api'),
+        DEBUG_MODE: params.get('debug'),
+        TIMEOUT: params.get('timeout'),
+        REINTENTOS: params.get('reintentos'),
+        AUTH_HABILITADA: params.get('auth'),
+        TIEMPO_REAL: params.get('tiempoReal'),
+        INTERVALO_SONDEO: params.get('sondeo'),
+        MOCK: params.get('mock'),
+        MOCK_LATENCIA: params.get('mockLatencia'),
+        MOCK_FALLOS: params.get('mockFallos')
+    };
+}
+
+/**
+ * Indica si una URL de la API pertenece a uno de los entornos configurados
+ *
+ * Se compara el origen (protocolo, host y puerto), no la ruta.
+ *
+ * @function esEntornoConocido
+ * @param {string} url - URL de la API normalizada
+ * @param {Array<{nombre: string, url: string}>} entornos - Entornos de config.json o por defecto
+ * @returns {boolean} True si su origen es el de algún entorno
+ */
+function esEntornoConocido(url, entornos) {
+    const { origin } = new URL(url);
+    return entornos.some(entorno => new URL(entorno.url).origin === origin);
+}
+
+/**
+ * Descarga config.json (opcional) servido junto a index.html
+ *
+ * Si el archivo no existe o no es JSON válido se ignora silenciosamente:
+ * la mayoría de despliegues no lo necesitan.
+ *
+ * @async
+ * @returns {Promise<Object|null>} Contenido de config.json o null
+ */
+async function leerConfigJson() {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 3000);
+
+    try {
+        const response = await fetch('config.json', { cache: 'no-store', signal: controller.signal });
+        if (!response.ok) return null;
+        const data = await response.json();
+        return data && typeof data === 'object' ? data : null;
+    } catch {
+        return null;
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+/**
+ * Lee las preferencias guardadas desde el diálogo de configuración
+ * @returns {Object} Preferencias {BASE_URL, DEBUG_MODE, TIMEOUT} o objeto vacío
+ */
+function leerPreferencias() {
+    try {
+        return JSON.parse(localStorage.getItem(CLAVE_STORAGE)) || {};
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Config - Objeto Singleton que resuelve y persiste la configuración
+ *
+ * @namespace Config
+ * @type {Object}
+ */
+export const Config = {
+    /**
+     * Origen de cada valor resuelto ('url', 'config.json', 'localStorage', 'defecto')
+     * @type {Object<string, string>}
+     */
+    origenes: {
+        BASE_URL: 'defecto',
+        DEBUG_MODE: 'defecto',
+        TIMEOUT: 'defecto',
+        REINTENTOS: 'defecto',
+        RETRASO_BASE: 'defecto',
+        RETRASO_MAXIMO: 'defecto',
+        AUTH_HABILITADA: 'defecto',
+        AUTH_URL: 'defecto',
+        TIEMPO_REAL: 'defecto',
+        AUTH_STREAM: 'defecto',
+        INTERVALO_SONDEO: 'defecto',
+        MOCK: 'defecto',
+        MOCK_LATENCIA: 'defecto',
+        MOCK_FALLOS: 'defecto',
+        REPORTE_ERRORES: 'defecto',
+        AUDITORIA: 'defecto',
+        POLITICA_PASSWORD: 'defecto'
+    },
+
+    /**
+     * Valores descartados por inválidos durante la resolución
+     * @type {Array<string>}
+     */
+    advertencias: [],
+
+    /**
+     * Entornos disponibles en el diálogo de configuración
+     * @type {Array<{nombre: string, url: string}>}
+     */
+    entornos: [...ENTORNOS_POR_DEFECTO],
+
+    /**
+     * Resuelve la configuración y la aplica sobre API_CONFIG
+     *
+     * Debe llamarse una vez al iniciar, antes de cualquier petición a la API.
+     * Un valor inválido en una fuente se descarta (queda en advertencias)
+     * y se prueba con la siguiente fuente.
+     *
+     * @async
+     * @memberof Config
+     * @returns {Promise<Object>} API_CONFIG con los valores resueltos
+     */
+    async inicializar() {
+        const configJson = await leerConfigJson();
+        const fuentes = [
+            ['url', leerParametrosUrl()],
+            ['config.json', configJson ? {
+                BASE_URL: configJson.apiUrl,
+                DEBUG_MODE: configJson.debugMode,
+                TIMEOUT: configJson.timeout,
+                REINTENTOS: configJson.reintentos,
+                RETRASO_BASE: configJson.retrasoBase,
+                RETRASO_MAXIMO: configJson.retrasoMaximo,
+                AUTH_HABILITADA: configJson.auth,
+                AUTH_URL: configJson.authUrl,
+                TIEMPO_REAL: configJson.tiempoReal,
+                AUTH_STREAM: configJson.authStream,
+                INTERVALO_SONDEO: configJson.intervaloSondeo,
+                MOCK: configJson.mock,
+                MOCK_LATENCIA: configJson.mockLatencia,
+                MOCK_FALLOS: configJson.mockFallos,
+                REPORTE_ERRORES: configJson.reporteErrores,
+                AUDITORIA: configJson.auditoria,
+                POLITICA_PASSWORD: configJson.politicaPassword
+            } : {}],
+            ['localStorage', leerPreferencias()]
+        ];
+
+        this.advertencias = [];
+
+        const resolver = (clave, fuentesUsadas) => {
+            API_CONFIG[clave] = VALORES_POR_DEFECTO[clave];
+            this.origenes[clave] = 'defecto';
+
+            for (const [origen, valores] of fuentesUsadas) {
+                const crudo = valores[clave];
+                if (crudo === undefined || crudo === null || crudo === '') continue;
+
+                const valor = NORMALIZADORES[clave](crudo);
+                if (valor === null) {
+                    this.advertencias.push(`Valor inválido para ${clave} en ${origen}: ${crudo}`);
+                    continue;
+                }
+
+                API_CONFIG[clave] = valor;
+                this.origenes[clave] = origen;
+                break;
+            }
+        };
+
+        Object.keys(NORMALIZADORES).forEach(clave => resolver(clave, fuentes));
+
+        if (configJson && Array.isArray(configJson.entornos)) {
+            const entornos = configJson.entornos
+                .map(e => ({ nombre: String(e?.nombre ?? ''), url: normalizarUrl(e?.url) }))
+                .filter(e => e.nombre && e.url);
+            if (entornos.length > 0) {
+                this.entornos = entornos;
+            }
+        }
+
+        // Con login, BASE_URL recibe la contraseña (login derivado) y el token: un enlace
+        // con ?api= (o ?auth=false) no puede desviarlos a un servidor fuera de los entornos
+        const authSinUrl = fuentes.slice(1)
+            .map(([, valores]) => NORMALIZADORES.AUTH_HABILITADA(valores.AUTH_HABILITADA ?? null))
+            .find(valor => valor !== null) ?? VALORES_POR_DEFECTO.AUTH_HABILITADA;
+        const conLogin = API_CONFIG.AUTH_HABILITADA || authSinUrl;
+        if (conLogin && this.origenes.BASE_URL === 'url' && !esEntornoConocido(API_CONFIG.BASE_URL, this.entornos)) {
+            this.advertencias.push(`URL de la API ignorada en la URL (con autenticación solo se aceptan los entornos configurados): ${API_CONFIG.BASE_URL}`);
+            resolver('BASE_URL', fuentes.slice(1));
+        }
+
+        return API_CONFIG;
+    },
+
+    /**
+     * Guarda preferencias en localStorage (usadas en el próximo inicio)
+     *
+     * Solo se guardan las claves presentes en preferencias. Las preferencias
+     * tienen menor prioridad que los parámetros de URL y config.json.
+     *
+     * @memberof Config
+     * @param {Object} preferencias - Valores a guardar
+     * @param {string} [preferencias.BASE_URL] - URL de la API
+     * @param {number} [preferencias.TIMEOUT] - Timeout en milisegundos
+     * @param {boolean} [preferencias.DEBUG_MODE] - Modo debug
+     * @param {number} [preferencias.REINTENTOS] - Reintentos ante fallos transitorios
+     * @param {boolean} [preferencias.MOCK] - Usar el backend simulado
+     * @throws {Error} Si algún valor presente es inválido (mensaje traducido, ver js/i18n.js)
+     *
+     * @example
+     * Config.guardarPreferencias({
+     *   BASE_URL: 'http://localhost:8080',
+     *   TIMEOUT: 20000,
+     *   DEBUG_MODE: true
+     * });
+     */
+    guardarPreferencias(preferencias) {
+        const valores = {};
+
+        Object.entries(NORMALIZADORES).forEach(([clave, normalizar]) => {
+            if (preferencias[clave] === undefined) return;
+
+            const valor = normalizar(preferencias[clave]);
+            if (valor === null) {
+                // Un mensaje por clave en config.invalido del catálogo de I18n
+                throw new Error(t(`config.invalido.${clave}`, { modos: MODOS_TIEMPO_REAL.join(', ') }));
+            }
+            valores[clave] = valor;
+        });
+
+        localStorage.setItem(CLAVE_STORAGE, JSON.stringify(valores));
+    },
+
+    /**
+     * Elimina las preferencias guardadas (vuelve a config.json o valores por defecto)
+     * @memberof Config
+     */
+    restablecerPreferencias() {
+        localStorage.removeItem(CLAVE_STORAGE);
+    },
+
+    /**
+     * Indica si un valor está fijado por una fuente de mayor prioridad que localStorage
+     *
+     * Útil para advertir en el diálogo que la preferencia guardada no tendrá efecto.
+     *
+     * @memberof Config
+     * @param {string} clave - Clave de API_CONFIG
+     * @returns {boolean} true si el valor viene de la URL o de config.json
+     */
+    estaFijado(clave) {
+        return this.origenes[clave] === 'url' || this.origenes[clave] === 'config.json';
+    },
+
+    /**
+     * Nombre del entorno en uso
+     *
+     * Si la URL actual es uno de los entornos predefinidos devuelve su nombre;
+     * si no, el host de la API. Con el backend simulado, el texto de
+     * `nav.simulado` en el idioma actual.
+     *
+     * @memberof Config
+     * @returns {string} Nombre del entorno (p.ej. "Local", "api.example.com" o "Backend simulado")
+     *
+     * @example
+     * Config.obtenerNombreEntorno(); // "Producción (Render)"
+     */
+    obtenerNombreEntorno() {
+        if (API_CONFIG.MOCK) return t('nav.simulado');
+        const entorno = this.entornos.find(e => e.url === API_CONFIG.BASE_URL);
+        return entorno ? entorno.nombre : new URL(API_CONFIG.BASE_URL).host;
+    }
+};
+
+/**
+ * Exportar API_CONFIG para api.js y demás módulos, y la versión para "Acerca de"
+ * @exports API_CONFIG
+ * @exports VERSION_APP
+ */
+export { API_CONFIG, VERSION_APP };
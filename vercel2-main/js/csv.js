@@ -0,0 +1,169 @@
+/**
+ * Módulo CSV - Lectura y escritura de archivos CSV/TSV
+ *
+ * Parser y generador sin dependencias para importar usuarios desde una
+ * planilla y descargar reportes. Sigue RFC 4180: campos entre comillas
+ * dobles pueden contener el delimitador, saltos de línea y comillas
+ * escapadas ("").
+ *
+ * @module csv
+ * @author Sistema de Gestión de Usuarios
+ * @version 1.0.0
+ *
+ * @example
+ * import { CSV } from './csv.js';
+ *
+ * const filas = CSV.parsear('nombre;email\nJuan;juan@example.com');
+ * // [['nombre', 'email'], ['Juan', 'juan@example.com']]
+ *
+ * CSV.generar([['nombre', 'email'], ['Pérez, Ana', 'ana@example.com']]);
+ * // 'nombre,email\r\n"Pérez, Ana",ana@example.com'
+ */
+
+/**
+ * Delimitadores reconocidos por la detección automática
+ * (coma, punto y coma —Excel en español— y tabulación)
+ * @constant {Array<string>}
+ */
+const DELIMITADORES = [',', ';', '\t'];
+
+/**
+ * Caracteres con los que una celda se interpreta como fórmula en Excel/Sheets
+ * @constant {RegExp}
+ */
+const INICIO_FORMULA = /^[=+\-@\t\r]/;
+
+/**
+ * CSV - Objeto Singleton con utilidades de lectura y escritura
+ *
+ * @namespace CSV
+ * @type {Object}
+ */
+export const CSV = {
+    /**
+     * Detecta el delimitador de un texto CSV
+     *
+     * Cuenta cada delimitador candidato en la primera línea (fuera de
+     * comillas) y elige el más frecuente. Sin candidatos, usa coma.
+     *
+     * @memberof CSV
+     * @param {string} texto - Contenido del archivo
+     * @returns {string} ',', ';' o '\t'
+     *
+     * @example
+     * CSV.detectarDelimitador('nombre;email;password'); // ';'
+     */
+    detectarDelimitador(texto) {
+        const conteo = Object.fromEntries(DELIMITADORES.map(d => [d, 0]));
+        let entreComillas = false;
+
+        for (const caracter of texto) {
+            if (caracter === '"') {
+                entreComillas = !entreComillas;
+            } else if (!entreComillas && (caracter === '\n' || caracter === '\r')) {
+                break;
+            } else if (!entreComillas && caracter in conteo) {
+                conteo[caracter]++;
+            }
+        }
+
+        return DELIMITADORES.reduce((mejor, d) => (conteo[d] > conteo[mejor] ? d : mejor), ',');
+    },
+
+    /**
+     * Convierte texto CSV/TSV en una matriz de celdas
+     *
+     * - Elimina el BOM inicial (archivos guardados por Excel)
+     * - Acepta finales de línea \n, \r\n y \r
+     * - Omite las líneas completamente vacías
+     *
+     * @memberof CSV
+     * @param {string} texto - Contenido del archivo
+     * @param {Object} [opciones={}] - Opciones de lectura
+     * @param {string} [opciones.delimitador] - Delimitador; por defecto se detecta
+     * @returns {Array<Array<string>>} Filas con sus celdas (sin recortar espacios)
+     *
+     * @example
+     * CSV.parsear('a,"b, c"\n1,"dijo ""hola"""');
+     * // [['a', 'b, c'], ['1', 'dijo "hola"']]
+     */
+    parsear(texto, { delimitador = this.detectarDelimitador(texto) } = {}) {
+        const contenido = texto.replace(/^\uFEFF/, '');
+        const filas = [];
+        let fila = [];
+        let celda = '';
+        let entreComillas = false;
+
+        const cerrarFila = () => {
+            fila.push(celda);
+            if (fila.length > 1 || fila[0] !== '') {
+                filas.push(fila);
+            }
+            fila = [];
+            celda = '';
+        };
+
+        for (let i = 0; i < contenido.length; i++) {
+            const caracter = contenido[i];
+
+            if (entreComillas) {
+                if (caracter === '"' && contenido[i + 1] === '"') {
+                    celda += '"';
+                    i++;
+                } else if (caracter === '"') {
+                    entreComillas = false;
+                } else {
+                    celda += caracter;
+                }
+            } else if (caracter === '"' && celda === '') {
+                entreComillas = true;
+            } else if (caracter === delimitador) {
+                fila.push(celda);
+                celda = '';
+            } else if (caracter === '\n' || caracter === '\r') {
+                if (caracter === '\r' && contenido[i + 1] === '\n') i++;
+                cerrarFila();
+            } else {
+                celda += caracter;
+            }
+        }
+
+        if (celda !== '' || fila.length > 0) {
+            cerrarFila();
+        }
+
+        return filas;
+    },
+
+    /**
+     * Convierte una matriz de valores en texto CSV
+     *
+     * Encierra entre comillas las celdas con delimitador, comillas o saltos
+     * de línea. Las celdas que empiezan con =, +, - o @ se prefijan con un
+     * apóstrofo para que la planilla no las ejecute como fórmulas
+     * (inyección CSV).
+     *
+     * @memberof CSV
+     * @param {Array<Array<*>>} filas - Filas a escribir (null/undefined = celda vacía)
+     * @param {Object} [opciones={}] - Opciones de escritura
+     * @param {string} [opciones.delimitador=','] - Delimitador de celdas
+     * @returns {string} Texto CSV con finales de línea \r\n
+     *
+     * @example
+     * CSV.generar([['fila', 'motivo'], [3, '=HYPERLINK("x")']]);
+     * // 'fila,motivo\r\n3,"\'=HYPERLINK(""x"")"'
+     */
+    generar(filas, { delimitador = ',' } = {}) {
+        const escaparCelda = (valor) => {
+            let texto = String(valor ?? '');
+            if (INICIO_FORMULA.test(texto)) {
+                texto = `'${texto}`;
+            }
+            return /["\r\n]/.test(texto) || texto.includes(delimitador)
+                ? `"${texto.replace(/"/g, '""')}"`
+                : texto;
+        };
+
+        return filas.map(fila => fila.map(escaparCelda).join(delimitador)).join('\r\n');
+    }
+};
@@ -0,0 +1,257 @@
+/**
+ * Módulo Esquema - Campos del usuario
+ *
+ * Única definición de los campos que maneja la aplicación. A partir de
+ * CAMPOS se generan:
+ *
+ * - Las columnas de la tabla y sus encabezados ordenables (UI)
+ * - Los controles del formulario de alta/edición con sus atributos de
+ *   validación HTML5 (UI)
+ * - Los datos de la vista de detalle y del diálogo de conflicto (UI)
+ * - La validación client-side antes de enviar (API.validarDatosUsuario)
+ * - La búsqueda, el orden y los campos comparados en conflictos y en la
+ *   auditoría (App, Auditoria)
+ *
+ * Para agregar un campo basta con sumarlo a CAMPOS (y sus textos al
+ * catálogo de I18n). La contraseña es la excepción: su control, con la
+ * política, el medidor de fortaleza y el generador, está escrito en
+ * index.html debajo de los campos generados (por eso va última).
+ *
+ * @module esquema
+ * @author Sistema de Gestión de Usuarios
+ * @version 1.0.0
+ *
+ * @example
+ * import { Esquema } from './esquema.js';
+ *
+ * Esquema.enTabla().map(campo => campo.nombre);
+ * // ['id', 'nombre', 'email', 'telefono', 'departamento', 'activo', 'fechaCreacion']
+ *
+ * Esquema.tomarEditables({ id: 7, nombre: 'Ana', email: 'ana@example.com', version: 3 });
+ * // { nombre: 'Ana', email: 'ana@example.com', telefono: null, departamento: null, activo: null }
+ */
+
+/**
+ * Definición de un campo del usuario
+ *
+ * @typedef {Object} CampoUsuario
+ * @property {string} nombre - Propiedad en la API (también id y name del control del formulario)
+ * @property {string} tipo - 'id', 'texto', 'email', 'telefono', 'password', 'seleccion', 'booleano' o 'fecha'
+ * @property {string} etiqueta - Clave de I18n del encabezado de la columna y del detalle
+ * @property {string} [etiquetaFormulario] - Clave de I18n de la etiqueta en el formulario (por defecto `etiqueta`)
+ * @property {string} [icono] - Ícono de Bootstrap Icons (sin el prefijo "bi-")
+ * @property {string} [ejemplo] - Clave de I18n del placeholder
+ * @property {string} [mensaje] - Clave de I18n del mensaje de validación del formulario
+ *           (sin él se usa uno genérico con la etiqueta)
+ * @property {boolean} [requerido=false] - Obligatorio en el alta y la edición
+ * @property {Object} [reglas={}] - Reglas de validación
+ * @property {number} [reglas.longitudMinima] - Caracteres mínimos
+ * @property {number} [reglas.longitudMaxima] - Caracteres máximos
+ * @property {RegExp} [reglas.patron] - Formato que debe cumplir el valor completo
+ * @property {Array<{valor: string, etiqueta: string}>} [reglas.opciones] - Valores admitidos
+ *           (tipo 'seleccion'; etiqueta es la clave de I18n)
+ * @property {*} [porDefecto] - Valor inicial en el formulario de alta (y en la importación
+ *           CSV cuando la celda está vacía)
+ * @property {Array<string>} [alias=[]] - Otros encabezados de CSV que se asignan a este campo
+ *           al importar, en minúsculas y sin acentos (el nombre del campo siempre se reconoce)
+ * @property {boolean} [enTabla=false] - Mostrar como columna de la tabla
+ * @property {boolean} [ordenable=false] - La columna se puede ordenar
+ * @property {boolean} [buscable=false] - El buscador compara con este campo
+ * @property {boolean} [principal=false] - Identifica al usuario: en la tabla enlaza a su detalle
+ * @property {boolean} [disponibilidad=false] - Consultar mientras se escribe si el valor
+ *           está libre (el ícono de estado lleva el id "estado" + Nombre, ver App.verificarEmail)
+ * @property {boolean} [soloLectura=false] - Lo asigna el backend: no va en el formulario ni se envía
+ * @property {boolean} [soloEscritura=false] - El backend nunca lo devuelve: no se muestra ni se compara
+ */
+
+/**
+ * Campos del usuario, en el orden de la tabla y del formulario
+ * @constant {Array<CampoUsuario>}
+ */
+const CAMPOS = [
+    {
+        nombre: 'id',
+        tipo: 'id',
+        etiqueta: 'formulario.id',
+        soloLectura: true,
+        enTabla: true,
+        ordenable: true
+    },
+    {
+        nombre: 'nombre',
+        tipo: 'texto',
+        etiqueta: 'formulario.nombre',
+        etiquetaFormulario: 'formulario.nombreCompleto',
+        icono: 'person',
+        ejemplo: 'formulario.ejemploNombre',
+        mensaje: 'formulario.nombreInvalido',
+        requerido: true,
+        reglas: { longitudMinima: 2, longitudMaxima: 100 },
+        alias: ['name', 'nombre completo', 'full name', 'usuario'],
+        enTabla: true,
+        ordenable: true,
+        buscable: true,
+        principal: true
+    },
+    {
+        nombre: 'email',
+        tipo: 'email',
+        etiqueta: 'formulario.email',
+        etiquetaFormulario: 'formulario.correo',
+        icono: 'envelope',
+        ejemplo: 'formulario.ejemploEmail',
+        mensaje: 'formulario.emailInvalido',
+        requerido: true,
+        reglas: { longitudMaxima: 254 },
+        alias: ['e-mail', 'mail', 'correo', 'correo electronico'],
+        enTabla: true,
+        ordenable: true,
+        buscable: true,
+        disponibilidad: true
+    },
+    {
+        nombre: 'telefono',
+        tipo: 'telefono',
+        etiqueta: 'formulario.telefono',
+        icono: 'telephone',
+        ejemplo: 'formulario.ejemploTelefono',
+        mensaje: 'formulario.telefonoInvalido',
+        // Dígitos con separadores habituales y prefijo internacional opcional
+        reglas: { longitudMaxima: 20, patron: /^\+?\d[\d \(\)\-]{5,}$/ },
+        alias: ['phone', 'tel', 'celular', 'movil'],
+        enTabla: true,
+        buscable: true
+    },
+    {
+        nombre: 'departamento',
+        tipo: 'seleccion',
+        etiqueta: 'formulario.departamento',
+        icono: 'building',
+        reglas: {
+            opciones: [
+                { valor: 'administracion', etiqueta: 'departamentos.administracion' },
+                { valor: 'ventas', etiqueta: 'departamentos.ventas' },
+                { valor: 'soporte', etiqueta: 'departamentos.soporte' },
+                { valor: 'sistemas', etiqueta: 'departamentos.sistemas' },
+                { valor: 'rrhh', etiqueta: 'departamentos.rrhh' }
+            ]
+        },
+        alias: ['department', 'area', 'sector'],
+        enTabla: true,
+        ordenable: true
+    },
+    {
+        nombre: 'activo',
+        tipo: 'booleano',
+        etiqueta: 'formulario.activo',
+        porDefecto: true,
+        alias: ['active', 'habilitado', 'estado'],
+        enTabla: true,
+        ordenable: true
+    },
+    {
+        nombre: 'fechaCreacion',
+        tipo: 'fecha',
+        etiqueta: 'formulario.fechaCreacion',
+        soloLectura: true,
+        enTabla: true,
+        ordenable: true
+    },
+    {
+        nombre: 'password',
+        tipo: 'password',
+        etiqueta: 'formulario.password',
+        requerido: true,
+        alias: ['contrasena', 'clave', 'pass'],
+        soloEscritura: true
+    }
+];
+
+/**
+ * Esquema - Objeto Singleton con la definición de los campos del usuario
+ *
+ * @namespace Esquema
+ * @type {Object}
+ */
+export const Esquema = {
+    /**
+     * Todos los campos, en orden
+     * @memberof Esquema
+     * @returns {Array<CampoUsuario>} Copia de CAMPOS
+     */
+    campos() {
+        return [...CAMPOS];
+    },
+
+    /**
+     * Busca un campo por nombre
+     *
+     * @memberof Esquema
+     * @param {string} nombre - Propiedad en la API
+     * @returns {CampoUsuario|null} Definición o null si no existe
+     */
+    campo(nombre) {
+        return CAMPOS.find(campo => campo.nombre === nombre) ?? null;
+    },
+
+    /**
+     * Columnas de la tabla
+     * @memberof Esquema
+     * @returns {Array<CampoUsuario>} Campos con enTabla
+     */
+    enTabla() {
+        return CAMPOS.filter(campo => campo.enTabla);
+    },
+
+    /**
+     * Campos que compara el buscador
+     * @memberof Esquema
+     * @returns {Array<CampoUsuario>} Campos con buscable
+     */
+    buscables() {
+        return CAMPOS.filter(campo => campo.buscable);
+    },
+
+    /**
+     * Campos que devuelve el backend (detalle y exportación)
+     * @memberof Esquema
+     * @returns {Array<CampoUsuario>} Todos menos los de solo escritura
+     */
+    visibles() {
+        return CAMPOS.filter(campo => !campo.soloEscritura);
+    },
+
+    /**
+     * Campos del formulario (los que se envían al crear o editar)
+     * @memberof Esquema
+     * @returns {Array<CampoUsuario>} Todos menos los de solo lectura
+     */
+    formulario() {
+        return CAMPOS.filter(campo => !campo.soloLectura);
+    },
+
+    /**
+     * Campos del formulario que el backend devuelve: los que se comparan
+     * en los conflictos de edición y en la auditoría
+     * @memberof Esquema
+     * @returns {Array<CampoUsuario>} Ni de solo lectura ni de solo escritura
+     */
+    editables() {
+        return CAMPOS.filter(campo => !campo.soloLectura && !campo.soloEscritura);
+    },
+
+    /**
+     * Extrae de un usuario los valores de los campos editables
+     *
+     * @memberof Esquema
+     * @param {Object} usuario - Usuario o datos del formulario
+     * @returns {Object<string, *>} Campo → valor (null si falta)
+     *
+     * @example
+     * Esquema.tomarEditables({ id: 7, nombre: 'Ana', activo: false, password: 'x' });
+     * // { nombre: 'Ana', email: null, telefono: null, departamento: null, activo: false }
+     */
+    tomarEditables(usuario) {
+        return Object.fromEntries(this.editables().map(({ nombre }) => [nombre, usuario?.[nombre] ?? null]));
+    }
+};
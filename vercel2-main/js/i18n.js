@@ -0,0 +1,1178 @@
+/**
+ * Módulo I18n - Textos de la interfaz en varios idiomas
+ *
+ * Todos los textos que ve el usuario (alertas, modales, tabla, errores de
+ * validación) salen de los catálogos de este módulo. Los mensajes de
+ * Logger son para desarrolladores y quedan en español.
+ *
+ * - Claves con puntos por área: t('tabla.total', { cantidad: 3 })
+ * - Interpolación: "Usuario \"{nombre}\" creado" + { nombre: 'Ana' }
+ * - Plurales: un objeto {one, other} elegido con Intl.PluralRules según
+ *   el parámetro `cantidad`
+ * - Idioma: el elegido antes (localStorage), si no el del navegador
+ *   (navigator.languages), si no español
+ * - Una clave que falta en el idioma en uso se busca en español; si
+ *   tampoco existe se muestra la clave
+ *
+ * En index.html, data-i18n="clave" traduce el texto de un elemento (sus
+ * íconos se conservan) y data-i18n-placeholder, data-i18n-title y
+ * data-i18n-aria-label traducen esos atributos.
+ *
+ * @module i18n
+ * @author Sistema de Gestión de Usuarios
+ * @version 1.0.0
+ *
+ * @example
+ * import { I18n, t } from './i18n.js';
+ *
+ * t('tabla.total', { cantidad: 1 });  // "Total: 1 usuario"
+ * t('tabla.total', { cantidad: 12 }); // "Total: 12 usuarios"
+ *
+ * I18n.suscribir(idioma => console.log('Idioma:', idioma));
+ * I18n.cambiarIdioma('en');
+ * t('tabla.total', { cantidad: 12 }); // "Total: 12 users"
+ */
+
+/**
+ * Clave de localStorage donde se guarda el idioma elegido
+ * @constant {string}
+ */
+const CLAVE_STORAGE = 'usuarios.idioma';
+
+/**
+ * Idioma de respaldo: el de los textos originales de la aplicación
+ * @constant {string}
+ */
+const IDIOMA_POR_DEFECTO = 'es';
+
+/**
+ * Atributo traducido → atributo data-* con su clave
+ * @constant {Object<string, string>}
+ */
+const ATRIBUTOS_TRADUCIBLES = {
+    placeholder: 'data-i18n-placeholder',
+    title: 'data-i18n-title',
+    'aria-label': 'data-i18n-aria-label'
+};
+
+/**
+ * Catálogos de mensajes por idioma
+ *
+ * Las claves de config.claves, config.invalido y sesion.roles coinciden
+ * con las de API_CONFIG y los roles de Auth.
+ *
+ * @constant {Object<string, Object>}
+ */
+const CATALOGOS = {
+    es: {
+        app: {
+            titulo: 'Gestión de Usuarios - Sistema CRUD',
+            nombre: 'Sistema de Gestión de Usuarios',
+            pie: 'Sistema de Gestión de Usuarios - 2025',
+            tecnologias: 'Desarrollado con HTML5, CSS3, JavaScript y Bootstrap 5'
+        },
+        comun: {
+            cancelar: 'Cancelar',
+            cerrar: 'Cerrar',
+            guardar: 'Guardar',
+            editar: 'Editar',
+            eliminar: 'Eliminar',
+            cargando: 'Cargando...',
+            procesando: 'Procesando...'
+        },
+        nav: {
+            inicio: 'Inicio',
+            acercaDe: 'Acerca de',
+            auditoria: 'Auditoría',
+            configuracion: 'Configuración',
+            cerrarSesion: 'Cerrar sesión',
+            idioma: 'Idioma',
+            simulado: 'Backend simulado',
+            ayudaSimulado: 'Los datos se guardan en este navegador (localStorage), no en el servidor'
+        },
+        login: {
+            titulo: 'Iniciar sesión',
+            mensaje: 'Ingrese con su email y contraseña',
+            passwordObligatoria: 'La contraseña es obligatoria.',
+            recordar: 'Recordar sesión en este navegador',
+            ingresar: 'Ingresar',
+            credencialesIncorrectas: 'Email o contraseña incorrectos',
+            error: 'No se pudo iniciar sesión'
+        },
+        sesion: {
+            invalida: 'Su sesión no es válida o expiró. Inicie sesión para continuar.',
+            expirada: 'Su sesión expiró. Inicie sesión nuevamente para continuar.',
+            cerrada: 'Sesión cerrada. Ingrese nuevamente para continuar.',
+            cambiosDescartados: {
+                one: 'Se descartó {cantidad} cambio hecho sin conexión que no se llegó a enviar',
+                other: 'Se descartaron {cantidad} cambios hechos sin conexión que no se llegaron a enviar'
+            },
+            roles: {
+                viewer: 'Lector',
+                editor: 'Editor',
+                admin: 'Administrador'
+            }
+        },
+        usuarios: {
+            titulo: 'Lista de Usuarios',
+            subtitulo: 'Administra los usuarios del sistema de forma sencilla',
+            alta: 'Alta de Usuario',
+            importar: 'Importar CSV',
+            recargar: 'Recargar',
+            exportar: 'Exportar',
+            exportarCsv: 'CSV (Excel)',
+            buscar: 'Buscar por nombre o email...',
+            ayudaBuscar: 'Buscar usuarios por nombre o email',
+            limpiarBusqueda: 'Limpiar búsqueda',
+            cargando: 'Cargando usuarios...',
+            vacio: 'No hay usuarios registrados',
+            vacioAyuda: 'Comienza agregando un nuevo usuario',
+            crearPrimero: 'Crear Primer Usuario'
+        },
+        tabla: {
+            total: {
+                one: 'Total: {cantidad} usuario',
+                other: 'Total: {cantidad} usuarios'
+            },
+            mostrando: {
+                one: 'Mostrando {mostrados} de {cantidad} usuario',
+                other: 'Mostrando {mostrados} de {cantidad} usuarios'
+            },
+            sinResultados: 'Ningún usuario coincide con la búsqueda',
+            acciones: 'Acciones',
+            editarUsuario: 'Editar usuario',
+            eliminarUsuario: 'Eliminar usuario',
+            soloLectura: 'Solo lectura',
+            pendiente: 'Pendiente',
+            pendienteSincronizar: 'Pendiente de sincronizar',
+            seleccionar: 'Seleccionar {nombre}',
+            seleccionarTodos: 'Seleccionar todos',
+            mostrar: 'Mostrar',
+            porPagina: 'Usuarios por página',
+            paginacion: 'Paginación de usuarios',
+            pagina: 'Página {pagina} de {total}',
+            anterior: 'Anterior',
+            siguiente: 'Siguiente'
+        },
+        formulario: {
+            tituloNuevo: 'Nuevo Usuario',
+            tituloEditar: 'Editar Usuario',
+            tituloRestaurar: 'Restaurar Usuario',
+            nombre: 'Nombre',
+            nombreCompleto: 'Nombre Completo',
+            correo: 'Correo Electrónico',
+            email: 'Email',
+            password: 'Contraseña',
+            id: 'ID',
+            telefono: 'Teléfono',
+            departamento: 'Departamento',
+            activo: 'Activo',
+            fechaCreacion: 'Fecha de alta',
+            sinSeleccion: 'Sin especificar',
+            si: 'Sí',
+            no: 'No',
+            ejemploNombre: 'Ej: Juan Pérez',
+            ejemploEmail: 'Ej: juan@example.com',
+            ejemploTelefono: 'Ej: +54 11 4321-5678',
+            nombreInvalido: 'El nombre es obligatorio (mínimo 2 caracteres, máximo 100).',
+            emailInvalido: 'Ingrese un email válido.',
+            telefonoInvalido: 'Ingrese un teléfono válido (dígitos, espacios, guiones y paréntesis; puede empezar con +).',
+            campoInvalido: 'Revise el valor de este campo.',
+            emailVerificando: 'Verificando si el email está disponible…',
+            emailDisponible: 'Email disponible',
+            emailOcupado: 'El email ya está registrado',
+            ayudaEdicion: 'Dejar vacío para mantener la contraseña actual',
+            ayudaRestaurar: 'La contraseña anterior no se puede recuperar: ingrese una nueva ({requisitos})',
+            camposMarcados: 'Los campos marcados con',
+            sonObligatorios: 'son obligatorios',
+            avisoEliminado: 'Otra persona eliminó este usuario mientras usted lo editaba.',
+            avisoModificado: 'Otra persona modificó este usuario mientras usted lo editaba. ' +
+                'Lo escrito se conserva: al guardar podrá elegir qué valores mantener.'
+        },
+        password: {
+            minimo: {
+                one: 'Mínimo {cantidad} carácter',
+                other: 'Mínimo {cantidad} caracteres'
+            },
+            con: 'con {clases}',
+            sinDatosPersonales: 'sin el nombre ni el email',
+            clases: {
+                mayusculas: 'mayúsculas',
+                minusculas: 'minúsculas',
+                numeros: 'números',
+                simbolos: 'símbolos'
+            },
+            requiere: {
+                mayusculas: 'La contraseña debe incluir al menos una letra mayúscula',
+                minusculas: 'La contraseña debe incluir al menos una letra minúscula',
+                numeros: 'La contraseña debe incluir al menos un número',
+                simbolos: 'La contraseña debe incluir al menos un símbolo (p.ej. ! # $ %)'
+            },
+            longitudMinima: {
+                one: 'La contraseña debe tener al menos {cantidad} carácter',
+                other: 'La contraseña debe tener al menos {cantidad} caracteres'
+            },
+            longitudMaxima: 'La contraseña no puede tener más de {cantidad} caracteres',
+            comun: 'La contraseña es demasiado común: elija otra',
+            datosPersonales: 'La contraseña no debe contener el nombre ni el email del usuario',
+            muyDebil: 'Muy débil',
+            debil: 'Débil',
+            aceptable: 'Aceptable',
+            fuerte: 'Fuerte',
+            muyFuerte: 'Muy fuerte',
+            generar: 'Generar contraseña segura',
+            fortaleza: 'Fortaleza de la contraseña'
+        },
+        validacion: {
+            obligatorio: 'El campo "{campo}" es obligatorio',
+            longitudMinima: {
+                one: 'El campo "{campo}" debe tener al menos {cantidad} carácter',
+                other: 'El campo "{campo}" debe tener al menos {cantidad} caracteres'
+            },
+            longitudMaxima: {
+                one: 'El campo "{campo}" admite como máximo {cantidad} carácter',
+                other: 'El campo "{campo}" admite como máximo {cantidad} caracteres'
+            },
+            formato: 'El campo "{campo}" no tiene un formato válido',
+            opcion: 'El campo "{campo}" no admite el valor "{valor}"',
+            emailInvalido: 'El email no es válido',
+            passwordObligatoria: 'La contraseña es obligatoria',
+            passwordObligatoriaPolitica: 'La contraseña es obligatoria ({requisitos})',
+            passwordEdicion: '{error} (o déjela vacía para no cambiarla)'
+        },
+        eliminar: {
+            titulo: 'Confirmar Eliminación',
+            pregunta: '¿Está seguro que desea eliminar este usuario?',
+            usuario: 'Usuario:',
+            email: 'Email:',
+            deshacer: 'Podrá deshacer la eliminación durante unos segundos.',
+            confirmar: 'Eliminar Usuario'
+        },
+        conflicto: {
+            titulo: 'Conflicto de Edición',
+            textoAntes: 'Otra persona modificó a',
+            textoDespues: 'mientras usted lo editaba. Revise las diferencias antes de guardar.',
+            campo: 'Campo',
+            original: 'Original',
+            actual: 'Actual (otra persona)',
+            mios: 'Mis cambios',
+            ayuda: 'Para combinar, elija en cada campo qué valor conservar.',
+            descartar: 'Descartar mis cambios',
+            sobrescribir: 'Sobrescribir',
+            combinar: 'Guardar combinación'
+        },
+        lote: {
+            acciones: 'Acciones sobre los usuarios seleccionados',
+            quitarSeleccion: 'Quitar selección',
+            eliminarSeleccionados: 'Eliminar seleccionados',
+            seleccionados: {
+                one: '{cantidad} usuario seleccionado',
+                other: '{cantidad} usuarios seleccionados'
+            },
+            titulo: 'Eliminar Usuarios Seleccionados',
+            confirmar: {
+                one: '¿Está seguro que desea eliminar este usuario?',
+                other: '¿Está seguro que desea eliminar estos {cantidad} usuarios?'
+            },
+            progreso: 'Progreso de la eliminación',
+            aviso: 'Esta acción no se puede deshacer.',
+            confirmarBoton: 'Eliminar Usuarios',
+            pendiente: 'Pendiente',
+            eliminando: 'Eliminando…',
+            eliminado: 'Eliminado',
+            error: 'Error',
+            yaEliminado: 'Ya había sido eliminado',
+            sinPermisos: 'Sin permisos',
+            timeout: 'Tiempo de espera agotado',
+            resumen: {
+                one: '{cantidad} usuario eliminado correctamente.',
+                other: '{cantidad} usuarios eliminados correctamente.'
+            },
+            resumenConErrores: '{eliminados} eliminados, {cantidad} con error. Los que fallaron siguen seleccionados.',
+            alertaConErrores: '{eliminados} usuarios eliminados, {cantidad} no se pudieron eliminar'
+        },
+        importar: {
+            titulo: 'Importar Usuarios desde CSV',
+            archivo: 'Archivo CSV o TSV',
+            ayudaArchivo: 'Una fila por usuario y una columna por campo del formulario (los vacíos toman su valor por defecto). ' +
+                'El delimitador (coma, punto y coma o tabulación) se detecta automáticamente.',
+            encabezado: 'La primera fila contiene los nombres de las columnas',
+            fila: 'Fila',
+            estado: 'Estado',
+            sinAsignar: '(sin asignar)',
+            valida: 'Válida',
+            columna: 'Columna {numero}',
+            resumenVistaPrevia: {
+                one: '{cantidad} fila: {validas} válidas, {conErrores} con errores.',
+                other: '{cantidad} filas: {validas} válidas, {conErrores} con errores.'
+            },
+            filasNoSeImportan: 'Las filas con errores no se importarán.',
+            vistaPreviaParcial: '(Vista previa de las primeras {cantidad}).',
+            importarUsuarios: {
+                one: 'Importar {cantidad} usuario',
+                other: 'Importar {cantidad} usuarios'
+            },
+            progreso: 'Creando usuarios... {completados} de {total}',
+            progresoEtiqueta: 'Progreso de la importación',
+            finalizada: 'Importación finalizada',
+            resultado: {
+                one: '{cantidad} usuario creado correctamente.',
+                other: '{cantidad} usuarios creados correctamente.'
+            },
+            resultadoConRechazos: {
+                one: '{creados} usuarios creados, {cantidad} fila rechazada. Descargue el reporte para corregirla.',
+                other: '{creados} usuarios creados, {cantidad} filas rechazadas. Descargue el reporte para corregirlas.'
+            },
+            alerta: {
+                one: 'Importación: {creados} usuarios creados, {cantidad} fila rechazada',
+                other: 'Importación: {creados} usuarios creados, {cantidad} filas rechazadas'
+            },
+            sinFilas: 'El archivo no contiene filas de usuarios',
+            demasiadasFilas: 'El archivo tiene {cantidad} filas; el máximo es {maximo}',
+            errorLectura: 'No se pudo leer el archivo: {error}',
+            emailRepetido: 'Email repetido (fila {fila})',
+            emailRegistrado: 'El email ya está registrado ({error})',
+            descargarReporte: 'Descargar reporte de rechazados',
+            volver: 'Elegir otro archivo'
+        },
+        config: {
+            apiEnUso: 'API en uso:',
+            entorno: 'Entorno',
+            personalizado: 'Personalizado',
+            url: 'URL de la API',
+            ejemploUrl: 'Ej: http://localhost:8080',
+            ayudaUrl: 'Si se indica solo el servidor se usa la ruta /api/usuarios.',
+            timeout: 'Tiempo de espera (ms)',
+            reintentos: 'Reintentos',
+            ayudaReintentos: 'Solo para lecturas, ediciones y eliminaciones. 0 = sin reintentos.',
+            debug: 'Modo debug (logs en consola)',
+            mock: 'Backend simulado (datos de ejemplo en este navegador)',
+            restablecer: 'Restablecer',
+            guardar: 'Guardar y recargar',
+            fijados: 'Fijado por la URL o config.json (tiene prioridad sobre lo que se guarde aquí): {claves}.',
+            claves: {
+                BASE_URL: 'URL de la API',
+                TIMEOUT: 'tiempo de espera',
+                DEBUG_MODE: 'modo debug',
+                REINTENTOS: 'reintentos',
+                RETRASO_BASE: 'retraso entre reintentos',
+                RETRASO_MAXIMO: 'retraso máximo',
+                AUTH_HABILITADA: 'autenticación',
+                AUTH_URL: 'URL de login',
+                TIEMPO_REAL: 'cambios en tiempo real',
+                INTERVALO_SONDEO: 'intervalo de sondeo',
+                MOCK: 'backend simulado',
+                MOCK_LATENCIA: 'latencia simulada',
+                MOCK_FALLOS: 'fallos simulados',
+                REPORTE_ERRORES: 'reporte de errores',
+                AUDITORIA: 'auditoría',
+                POLITICA_PASSWORD: 'política de contraseñas'
+            },
+            invalido: {
+                BASE_URL: 'La URL de la API no es válida (debe comenzar con http:// o https://)',
+                TIMEOUT: 'El timeout debe ser un número entero positivo de milisegundos',
+                DEBUG_MODE: 'El modo debug debe ser verdadero o falso',
+                REINTENTOS: 'La cantidad de reintentos debe ser un número entero mayor o igual a 0',
+                RETRASO_BASE: 'El retraso entre reintentos debe ser un número entero positivo de milisegundos',
+                RETRASO_MAXIMO: 'El retraso máximo debe ser un número entero positivo de milisegundos',
+                AUTH_HABILITADA: 'La autenticación debe estar activada o desactivada',
+                AUTH_URL: 'La URL de login no es válida (debe comenzar con http:// o https://)',
+                TIEMPO_REAL: 'El modo de tiempo real debe ser uno de: {modos}',
+                INTERVALO_SONDEO: 'El intervalo de sondeo debe ser un número entero de milisegundos mayor o igual a 0',
+                MOCK: 'El backend simulado debe estar activado o desactivado',
+                MOCK_LATENCIA: 'La latencia simulada debe ser un número entero de milisegundos mayor o igual a 0',
+                MOCK_FALLOS: 'La probabilidad de fallos simulados debe ser un número entre 0 y 1',
+                REPORTE_ERRORES: 'El endpoint de reporte de errores debe ser una URL http(s) válida',
+                AUDITORIA: 'El endpoint de auditoría debe ser una URL http(s) válida',
+                POLITICA_PASSWORD: 'La política de contraseñas tiene reglas inválidas'
+            }
+        },
+        conexion: {
+            enLinea: 'En línea',
+            sinConexion: 'Sin conexión',
+            sincronizando: 'Sincronizando…',
+            pendientes: {
+                one: '{cantidad} pendiente',
+                other: '{cantidad} pendientes'
+            },
+            ayudaPendientes: 'Cambios guardados en este navegador que se enviarán al servidor al recuperar la conexión',
+            reintento: 'Servidor despertando… intento {intento}/{totalIntentos} (en {segundos} s)',
+            datosGuardados: 'Sin conexión: se muestran los últimos datos guardados',
+            noDisponible: 'No se pudo conectar con el servidor. Verifique que la API esté disponible en {url}',
+            error: 'Error de conexión con el servidor',
+            perdida: 'Sin conexión: los cambios se guardarán y se enviarán al recuperar la conexión',
+            requerida: 'Esta acción requiere conexión con el servidor'
+        },
+        sincronizacion: {
+            cambios: {
+                crear: 'Alta de "{nombre}"',
+                actualizar: 'Edición de "{nombre}"',
+                eliminar: 'Eliminación de "{nombre}"'
+            },
+            noExiste: 'el usuario ya no existe',
+            modificado: 'otra persona lo modificó mientras tanto',
+            sinPermisos: 'sin permisos',
+            desconocido: 'error desconocido',
+            interrumpida: {
+                one: 'El servidor no pudo recibir los cambios hechos sin conexión: queda {cantidad} pendiente',
+                other: 'El servidor no pudo recibir los cambios hechos sin conexión: quedan {cantidad} pendientes'
+            },
+            pedirPassword: 'La contraseña de "{nombre}" no se guarda sin conexión: ingrésela de nuevo para enviar el cambio',
+            completa: {
+                one: 'Se sincronizó {cantidad} cambio hecho sin conexión',
+                other: 'Se sincronizaron {cantidad} cambios hechos sin conexión'
+            },
+            conConflictos: {
+                one: 'Cambios sincronizados: {enviados}; {cantidad} no se pudo aplicar:',
+                other: 'Cambios sincronizados: {enviados}; {cantidad} no se pudieron aplicar:'
+            }
+        },
+        alertas: {
+            creado: 'Usuario "{nombre}" creado correctamente',
+            actualizado: 'Usuario "{nombre}" actualizado correctamente',
+            eliminado: 'Usuario "{nombre}" eliminado',
+            deshacer: 'Deshacer',
+            reintentar: 'Reintentar',
+            restaurado: 'Se restauró el usuario "{nombre}"',
+            encolado: 'Sin conexión: los cambios de "{nombre}" se enviarán al recuperar la conexión',
+            usuarioEliminadoPorOtro: 'El usuario ya no existe: otra persona lo eliminó',
+            eliminadoMientrasEditaba: 'Otra persona eliminó al usuario mientras usted lo editaba',
+            cambiosDescartados: 'Se descartaron sus cambios',
+            formularioIncompleto: 'Por favor, complete todos los campos correctamente',
+            nadaParaExportar: 'No hay usuarios para exportar'
+        },
+        notificaciones: {
+            titulo: 'Notificaciones',
+            limpiar: 'Limpiar',
+            vacio: 'No hay notificaciones en esta sesión',
+            sinLeer: 'Notificaciones: {cantidad} sin leer'
+        },
+        departamentos: {
+            administracion: 'Administración',
+            ventas: 'Ventas',
+            soporte: 'Soporte',
+            sistemas: 'Sistemas',
+            rrhh: 'Recursos Humanos'
+        },
+        detalle: {
+            volver: 'Volver a la lista',
+            noEncontrado: 'No existe un usuario con ID {id}. Puede que otra persona lo haya eliminado.'
+        },
+        acercaDe: {
+            titulo: 'Acerca de',
+            descripcion: 'Aplicación web para administrar los usuarios de la API REST: alta, edición, eliminación, búsqueda e importación desde CSV.',
+            version: 'Versión',
+            origen: 'Configurada desde',
+            origenes: {
+                url: 'Parámetro de la URL',
+                configJson: 'Archivo config.json',
+                localStorage: 'Configuración guardada en este navegador',
+                defecto: 'Valor por defecto'
+            }
+        },
+        auditoria: {
+            titulo: 'Auditoría',
+            subtitulo: 'Altas, ediciones y eliminaciones hechas desde esta aplicación',
+            filtroUsuario: 'ID de usuario',
+            todasLasAcciones: 'Todas las acciones',
+            acciones: {
+                crear: 'Alta',
+                actualizar: 'Edición',
+                eliminar: 'Eliminación'
+            },
+            fecha: 'Fecha',
+            autor: 'Autor',
+            accion: 'Acción',
+            usuario: 'Usuario',
+            cambios: 'Cambios',
+            envio: 'Envío',
+            sinSesion: 'Sin sesión',
+            sinCambios: 'Sin cambios de nombre ni email',
+            enviado: 'Enviado',
+            pendiente: 'Pendiente',
+            sinConfirmar: 'Sin confirmar',
+            ayudaSinConfirmar: 'Enviada al cerrar la página: el backend no llegó a confirmarla',
+            vacio: 'No hay cambios registrados',
+            total: {
+                one: '{cantidad} entrada',
+                other: '{cantidad} entradas'
+            },
+            ayuda: 'Se conservan las últimas {cantidad} entradas en este navegador',
+            nadaParaExportar: 'No hay entradas de auditoría para exportar'
+        },
+        errores: {
+            desconocido: 'Error desconocido',
+            timeout: 'La petición excedió el tiempo de espera',
+            loginSinToken: 'La respuesta de login no contiene un token',
+            streamSinTicket: 'La respuesta no contiene un ticket para el stream de cambios',
+            cargar: 'Error al cargar los usuarios',
+            obtener: 'Error al obtener el usuario',
+            guardar: 'Error al guardar el usuario',
+            eliminar: 'Error al eliminar el usuario',
+            configuracion: 'Error al guardar la configuración',
+            validacion: 'Error de validación: {error}',
+            noAutenticado: 'Debe iniciar sesión para realizar esta acción',
+            sinPermisos: 'No tiene permisos para realizar esta acción',
+            noEncontrado: 'Usuario no encontrado',
+            servidor: 'Error interno del servidor. Intente nuevamente.',
+            sinConexion: 'Sin conexión con el servidor',
+            inesperado: 'Ha ocurrido un error inesperado'
+        }
+    },
+
+    en: {
+        app: {
+            titulo: 'User Management - CRUD System',
+            nombre: 'User Management System',
+            pie: 'User Management System - 2025',
+            tecnologias: 'Built with HTML5, CSS3, JavaScript and Bootstrap 5'
+        },
+        comun: {
+            cancelar: 'Cancel',
+            cerrar: 'Close',
+            guardar: 'Save',
+            editar: 'Edit',
+            eliminar: 'Delete',
+            cargando: 'Loading...',
+            procesando: 'Processing...'
+        },
+        nav: {
+            inicio: 'Home',
+            acercaDe: 'About',
+            auditoria: 'Audit log',
+            configuracion: 'Settings',
+            cerrarSesion: 'Sign out',
+            idioma: 'Language',
+            simulado: 'Simulated backend',
+            ayudaSimulado: 'Data is stored in this browser (localStorage), not on the server'
+        },
+        login: {
+            titulo: 'Sign in',
+            mensaje: 'Sign in with your email and password',
+            passwordObligatoria: 'Password is required.',
+            recordar: 'Keep me signed in on this browser',
+            ingresar: 'Sign in',
+            credencialesIncorrectas: 'Incorrect email or password',
+            error: 'Could not sign in'
+        },
+        sesion: {
+            invalida: 'Your session is invalid or has expired. Sign in to continue.',
+            expirada: 'Your session has expired. Sign in again to continue.',
+            cerrada: 'Signed out. Sign in again to continue.',
+            cambiosDescartados: {
+                one: '{cantidad} offline change that was never sent was discarded',
+                other: '{cantidad} offline changes that were never sent were discarded'
+            },
+            roles: {
+                viewer: 'Viewer',
+                editor: 'Editor',
+                admin: 'Administrator'
+            }
+        },
+        usuarios: {
+            titulo: 'User List',
+            subtitulo: 'Manage the system users with ease',
+            alta: 'New User',
+            importar: 'Import CSV',
+            recargar: 'Reload',
+            exportar: 'Export',
+            exportarCsv: 'CSV (Excel)',
+            buscar: 'Search by name or email...',
+            ayudaBuscar: 'Search users by name or email',
+            limpiarBusqueda: 'Clear search',
+            cargando: 'Loading users...',
+            vacio: 'No users yet',
+            vacioAyuda: 'Start by adding a new user',
+            crearPrimero: 'Create First User'
+        },
+        tabla: {
+            total: {
+                one: 'Total: {cantidad} user',
+                other: 'Total: {cantidad} users'
+            },
+            mostrando: {
+                one: 'Showing {mostrados} of {cantidad} user',
+                other: 'Showing {mostrados} of {cantidad} users'
+            },
+            sinResultados: 'No users match the search',
+            acciones: 'Actions',
+            editarUsuario: 'Edit user',
+            eliminarUsuario: 'Delete user',
+            soloLectura: 'Read only',
+            pendiente: 'Pending',
+            pendienteSincronizar: 'Waiting to sync',
+            seleccionar: 'Select {nombre}',
+            seleccionarTodos: 'Select all',
+            mostrar: 'Show',
+            porPagina: 'Users per page',
+            paginacion: 'User pagination',
+            pagina: 'Page {pagina} of {total}',
+            anterior: 'Previous',
+            siguiente: 'Next'
+        },
+        formulario: {
+            tituloNuevo: 'New User',
+            tituloEditar: 'Edit User',
+            tituloRestaurar: 'Restore User',
+            nombre: 'Name',
+            nombreCompleto: 'Full Name',
+            correo: 'Email Address',
+            email: 'Email',
+            password: 'Password',
+            id: 'ID',
+            telefono: 'Phone',
+            departamento: 'Department',
+            activo: 'Active',
+            fechaCreacion: 'Created',
+            sinSeleccion: 'Not specified',
+            si: 'Yes',
+            no: 'No',
+            ejemploNombre: 'e.g. John Smith',
+            ejemploEmail: 'e.g. john@example.com',
+            ejemploTelefono: 'e.g. +1 (555) 123-4567',
+            nombreInvalido: 'Name is required (2 to 100 characters).',
+            emailInvalido: 'Enter a valid email.',
+            telefonoInvalido: 'Enter a valid phone number (digits, spaces, hyphens and parentheses; may start with +).',
+            campoInvalido: 'Check the value of this field.',
+            emailVerificando: 'Checking whether the email is available…',
+            emailDisponible: 'Email available',
+            emailOcupado: 'This email is already registered',
+            ayudaEdicion: 'Leave empty to keep the current password',
+            ayudaRestaurar: 'The previous password cannot be recovered: enter a new one ({requisitos})',
+            camposMarcados: 'Fields marked with',
+            sonObligatorios: 'are required',
+            avisoEliminado: 'Someone else deleted this user while you were editing it.',
+            avisoModificado: 'Someone else changed this user while you were editing it. ' +
+                'Your input is kept: when saving you can choose which values to keep.'
+        },
+        password: {
+            minimo: {
+                one: 'Minimum {cantidad} character',
+                other: 'Minimum {cantidad} characters'
+            },
+            con: 'with {clases}',
+            sinDatosPersonales: 'without the name or email',
+            clases: {
+                mayusculas: 'uppercase letters',
+                minusculas: 'lowercase letters',
+                numeros: 'numbers',
+                simbolos: 'symbols'
+            },
+            requiere: {
+                mayusculas: 'The password must include at least one uppercase letter',
+                minusculas: 'The password must include at least one lowercase letter',
+                numeros: 'The password must include at least one number',
+                simbolos: 'The password must include at least one symbol (e.g. ! # $ %)'
+            },
+            longitudMinima: {
+                one: 'The password must be at least {cantidad} character long',
+                other: 'The password must be at least {cantidad} characters long'
+            },
+            longitudMaxima: 'The password cannot be longer than {cantidad} characters',
+            comun: 'The password is too common: choose another one',
+            datosPersonales: 'The password must not contain the user\'s name or email',
+            muyDebil: 'Very weak',
+            debil: 'Weak',
+            aceptable: 'Fair',
+            fuerte: 'Strong',
+            muyFuerte: 'Very strong',
+            generar: 'Generate secure password',
+            fortaleza: 'Password strength'
+        },
+        validacion: {
+            obligatorio: 'The "{campo}" field is required',
+            longitudMinima: {
+                one: 'The "{campo}" field must be at least {cantidad} character long',
+                other: 'The "{campo}" field must be at least {cantidad} characters long'
+            },
+            longitudMaxima: {
+                one: 'The "{campo}" field allows at most {cantidad} character',
+                other: 'The "{campo}" field allows at most {cantidad} characters'
+            },
+            formato: 'The "{campo}" field does not have a valid format',
+            opcion: 'The "{campo}" field does not accept the value "{valor}"',
+            emailInvalido: 'The email is not valid',
+            passwordObligatoria: 'Password is required',
+            passwordObligatoriaPolitica: 'Password is required ({requisitos})',
+            passwordEdicion: '{error} (or leave it empty to keep the current one)'
+        },
+        eliminar: {
+            titulo: 'Confirm Deletion',
+            pregunta: 'Are you sure you want to delete this user?',
+            usuario: 'User:',
+            email: 'Email:',
+            deshacer: 'You can undo the deletion for a few seconds.',
+            confirmar: 'Delete User'
+        },
+        conflicto: {
+            titulo: 'Edit Conflict',
+            textoAntes: 'Someone else changed',
+            textoDespues: 'while you were editing. Review the differences before saving.',
+            campo: 'Field',
+            original: 'Original',
+            actual: 'Current (someone else)',
+            mios: 'My changes',
+            ayuda: 'To merge, choose which value to keep for each field.',
+            descartar: 'Discard my changes',
+            sobrescribir: 'Overwrite',
+            combinar: 'Save merged'
+        },
+        lote: {
+            acciones: 'Actions on the selected users',
+            quitarSeleccion: 'Clear selection',
+            eliminarSeleccionados: 'Delete selected',
+            seleccionados: {
+                one: '{cantidad} user selected',
+                other: '{cantidad} users selected'
+            },
+            titulo: 'Delete Selected Users',
+            confirmar: {
+                one: 'Are you sure you want to delete this user?',
+                other: 'Are you sure you want to delete these {cantidad} users?'
+            },
+            progreso: 'Deletion progress',
+            aviso: 'This action cannot be undone.',
+            confirmarBoton: 'Delete Users',
+            pendiente: 'Pending',
+            eliminando: 'Deleting…',
+            eliminado: 'Deleted',
+            error: 'Error',
+            yaEliminado: 'Already deleted',
+            sinPermisos: 'Not allowed',
+            timeout: 'Timed out',
+            resumen: {
+                one: '{cantidad} user deleted successfully.',
+                other: '{cantidad} users deleted successfully.'
+            },
+            resumenConErrores: '{eliminados} deleted, {cantidad} failed. The failed ones remain selected.',
+            alertaConErrores: '{eliminados} users deleted, {cantidad} could not be deleted'
+        },
+        importar: {
+            titulo: 'Import Users from CSV',
+            archivo: 'CSV or TSV file',
+            ayudaArchivo: 'One row per user and one column per form field (empty ones take their default value). ' +
+                'The delimiter (comma, semicolon or tab) is detected automatically.',
+            encabezado: 'The first row contains the column names',
+            fila: 'Row',
+            estado: 'Status',
+            sinAsignar: '(not assigned)',
+            valida: 'Valid',
+            columna: 'Column {numero}',
+            resumenVistaPrevia: {
+                one: '{cantidad} row: {validas} valid, {conErrores} with errors.',
+                other: '{cantidad} rows: {validas} valid, {conErrores} with errors.'
+            },
+            filasNoSeImportan: 'Rows with errors will not be imported.',
+            vistaPreviaParcial: '(Previewing the first {cantidad}).',
+            importarUsuarios: {
+                one: 'Import {cantidad} user',
+                other: 'Import {cantidad} users'
+            },
+            progreso: 'Creating users... {completados} of {total}',
+            progresoEtiqueta: 'Import progress',
+            finalizada: 'Import finished',
+            resultado: {
+                one: '{cantidad} user created successfully.',
+                other: '{cantidad} users created successfully.'
+            },
+            resultadoConRechazos: {
+                one: '{creados} users created, {cantidad} row rejected. Download the report to fix it.',
+                other: '{creados} users created, {cantidad} rows rejected. Download the report to fix them.'
+            },
+            alerta: {
+                one: 'Import: {creados} users created, {cantidad} row rejected',
+                other: 'Import: {creados} users created, {cantidad} rows rejected'
+            },
+            sinFilas: 'The file has no user rows',
+            demasiadasFilas: 'The file has {cantidad} rows; the maximum is {maximo}',
+            errorLectura: 'Could not read the file: {error}',
+            emailRepetido: 'Duplicate email (row {fila})',
+            emailRegistrado: 'This email is already registered ({error})',
+            descargarReporte: 'Download rejected rows report',
+            volver: 'Choose another file'
+        },
+        config: {
+            apiEnUso: 'API in use:',
+            entorno: 'Environment',
+            personalizado: 'Custom',
+            url: 'API URL',
+            ejemploUrl: 'e.g. http://localhost:8080',
+            ayudaUrl: 'If only the server is given, the /api/usuarios path is used.',
+            timeout: 'Timeout (ms)',
+            reintentos: 'Retries',
+            ayudaReintentos: 'Only for reads, edits and deletions. 0 = no retries.',
+            debug: 'Debug mode (console logs)',
+            mock: 'Simulated backend (sample data in this browser)',
+            restablecer: 'Reset',
+            guardar: 'Save and reload',
+            fijados: 'Set by the URL or config.json (takes precedence over what is saved here): {claves}.',
+            claves: {
+                BASE_URL: 'API URL',
+                TIMEOUT: 'timeout',
+                DEBUG_MODE: 'debug mode',
+                REINTENTOS: 'retries',
+                RETRASO_BASE: 'delay between retries',
+                RETRASO_MAXIMO: 'maximum delay',
+                AUTH_HABILITADA: 'authentication',
+                AUTH_URL: 'login URL',
+                TIEMPO_REAL: 'real-time changes',
+                INTERVALO_SONDEO: 'polling interval',
+                MOCK: 'simulated backend',
+                MOCK_LATENCIA: 'simulated latency',
+                MOCK_FALLOS: 'simulated failures',
+                REPORTE_ERRORES: 'error reporting',
+                AUDITORIA: 'audit log',
+                POLITICA_PASSWORD: 'password policy'
+            },
+            invalido: {
+                BASE_URL: 'The API URL is not valid (it must start with http:// or https://)',
+                TIMEOUT: 'The timeout must be a positive whole number of milliseconds',
+                DEBUG_MODE: 'Debug mode must be true or false',
+                REINTENTOS: 'The number of retries must be a whole number greater than or equal to 0',
+                RETRASO_BASE: 'The delay between retries must be a positive whole number of milliseconds',
+                RETRASO_MAXIMO: 'The maximum delay must be a positive whole number of milliseconds',
+                AUTH_HABILITADA: 'Authentication must be on or off',
+                AUTH_URL: 'The login URL is not valid (it must start with http:// or https://)',
+                TIEMPO_REAL: 'The real-time mode must be one of: {modos}',
+                INTERVALO_SONDEO: 'The polling interval must be a whole number of milliseconds greater than or equal to 0',
+                MOCK: 'The simulated backend must be on or off',
+                MOCK_LATENCIA: 'The simulated latency must be a whole number of milliseconds greater than or equal to 0',
+                MOCK_FALLOS: 'The simulated failure probability must be a number between 0 and 1',
+                REPORTE_ERRORES: 'The error reporting endpoint must be a valid http(s) URL',
+                AUDITORIA: 'The audit endpoint must be a valid http(s) URL',
+                POLITICA_PASSWORD: 'The password policy has invalid rules'
+            }
+        },
+        conexion: {
+            enLinea: 'Online',
+            sinConexion: 'Offline',
+            sincronizando: 'Syncing…',
+            pendientes: {
+                one: '{cantidad} pending',
+                other: '{cantidad} pending'
+            },
+            ayudaPendientes: 'Changes saved in this browser that will be sent to the server when the connection is back',
+            reintento: 'Server waking up… attempt {intento}/{totalIntentos} (in {segundos} s)',
+            datosGuardados: 'Offline: showing the last saved data',
+            noDisponible: 'Could not connect to the server. Check that the API is available at {url}',
+            error: 'Error connecting to the server',
+            perdida: 'Offline: changes will be saved and sent when the connection is back',
+            requerida: 'This action requires a connection to the server'
+        },
+        sincronizacion: {
+            cambios: {
+                crear: 'Creation of "{nombre}"',
+                actualizar: 'Edit of "{nombre}"',
+                eliminar: 'Deletion of "{nombre}"'
+            },
+            noExiste: 'the user no longer exists',
+            modificado: 'someone else changed it in the meantime',
+            sinPermisos: 'not allowed',
+            desconocido: 'unknown error',
+            interrumpida: {
+                one: 'The server could not receive the changes made offline: {cantidad} is still pending',
+                other: 'The server could not receive the changes made offline: {cantidad} are still pending'
+            },
+            pedirPassword: 'The password for "{nombre}" is not stored offline: enter it again to send the change',
+            completa: {
+                one: '{cantidad} offline change was synced',
+                other: '{cantidad} offline changes were synced'
+            },
+            conConflictos: {
+                one: 'Changes synced: {enviados}; {cantidad} could not be applied:',
+                other: 'Changes synced: {enviados}; {cantidad} could not be applied:'
+            }
+        },
+        alertas: {
+            creado: 'User "{nombre}" created successfully',
+            actualizado: 'User "{nombre}" updated successfully',
+            eliminado: 'User "{nombre}" deleted',
+            deshacer: 'Undo',
+            reintentar: 'Retry',
+            restaurado: 'User "{nombre}" was restored',
+            encolado: 'Offline: the changes to "{nombre}" will be sent when the connection is back',
+            usuarioEliminadoPorOtro: 'The user no longer exists: someone else deleted it',
+            eliminadoMientrasEditaba: 'Someone else deleted the user while you were editing it',
+            cambiosDescartados: 'Your changes were discarded',
+            formularioIncompleto: 'Please fill in all the fields correctly',
+            nadaParaExportar: 'There are no users to export'
+        },
+        notificaciones: {
+            titulo: 'Notifications',
+            limpiar: 'Clear',
+            vacio: 'No notifications in this session',
+            sinLeer: 'Notifications: {cantidad} unread'
+        },
+        departamentos: {
+            administracion: 'Administration',
+            ventas: 'Sales',
+            soporte: 'Support',
+            sistemas: 'IT',
+            rrhh: 'Human Resources'
+        },
+        detalle: {
+            volver: 'Back to the list',
+            noEncontrado: 'There is no user with ID {id}. Someone else may have deleted it.'
+        },
+        acercaDe: {
+            titulo: 'About',
+            descripcion: 'Web application to manage the users of the REST API: create, edit, delete, search and import from CSV.',
+            version: 'Version',
+            origen: 'Configured from',
+            origenes: {
+                url: 'URL parameter',
+                configJson: 'config.json file',
+                localStorage: 'Settings saved in this browser',
+                defecto: 'Default value'
+            }
+        },
+        auditoria: {
+            titulo: 'Audit log',
+            subtitulo: 'Users created, edited and deleted from this application',
+            filtroUsuario: 'User ID',
+            todasLasAcciones: 'All actions',
+            acciones: {
+                crear: 'Creation',
+                actualizar: 'Edit',
+                eliminar: 'Deletion'
+            },
+            fecha: 'Date',
+            autor: 'Author',
+            accion: 'Action',
+            usuario: 'User',
+            cambios: 'Changes',
+            envio: 'Delivery',
+            sinSesion: 'No session',
+            sinCambios: 'No name or email changes',
+            enviado: 'Sent',
+            pendiente: 'Pending',
+            sinConfirmar: 'Unconfirmed',
+            ayudaSinConfirmar: 'Sent while the page was closing: the backend never confirmed it',
+            vacio: 'No changes recorded',
+            total: {
+                one: '{cantidad} entry',
+                other: '{cantidad} entries'
+            },
+            ayuda: 'The last {cantidad} entries are kept in this browser',
+            nadaParaExportar: 'There are no audit entries to export'
+        },
+        errores: {
+            desconocido: 'Unknown error',
+            timeout: 'The request timed out',
+            loginSinToken: 'The login response does not contain a token',
+            streamSinTicket: 'The response does not contain a ticket for the change stream',
+            cargar: 'Error loading the users',
+            obtener: 'Error getting the user',
+            guardar: 'Error saving the user',
+            eliminar: 'Error deleting the user',
+            configuracion: 'Error saving the settings',
+            validacion: 'Validation error: {error}',
+            noAutenticado: 'You must sign in to perform this action',
+            sinPermisos: 'You are not allowed to perform this action',
+            noEncontrado: 'User not found',
+            servidor: 'Internal server error. Please try again.',
+            sinConexion: 'No connection to the server',
+            inesperado: 'An unexpected error occurred'
+        }
+    }
+};
+
+/**
+ * Busca una clave con puntos en un catálogo
+ *
+ * @function buscar
+ * @param {Object} catalogo - Catálogo de un idioma
+ * @param {string} clave - Clave (p.ej. 'tabla.total')
+ * @returns {string|Object|undefined} Texto, plurales o undefined si no existe
+ */
+function buscar(catalogo, clave) {
+    return clave.split('.').reduce((nodo, parte) => nodo?.[parte], catalogo);
+}
+
+/**
+ * Elige el idioma inicial: el guardado, el del navegador o el por defecto
+ *
+ * Se compara solo el idioma base ('en-US' → 'en').
+ *
+ * @function detectarIdioma
+ * @returns {string} Código de un idioma con catálogo
+ */
+function detectarIdioma() {
+    const candidatos = [
+        localStorage.getItem(CLAVE_STORAGE),
+        ...(navigator.languages?.length ? navigator.languages : [navigator.language])
+    ];
+    return candidatos
+        .map(candidato => String(candidato ?? '').toLowerCase().split('-')[0])
+        .find(codigo => CATALOGOS[codigo]) ?? IDIOMA_POR_DEFECTO;
+}
+
+/**
+ * Reemplaza el texto propio de un elemento conservando sus hijos (íconos)
+ *
+ * El primer nodo de texto no vacío recibe el texto traducido (con sus
+ * espacios alrededor) y los demás se quitan.
+ *
+ * @function reemplazarTexto
+ * @param {HTMLElement} elemento - Elemento con data-i18n
+ * @param {string} texto - Texto traducido
+ */
+function reemplazarTexto(elemento, texto) {
+    const nodos = [...elemento.childNodes]
+        .filter(nodo => nodo.nodeType === Node.TEXT_NODE && nodo.textContent.trim());
+
+    if (nodos.length === 0) {
+        elemento.append(texto);
+        return;
+    }
+
+    const [primero, ...resto] = nodos;
+    const [, antes, despues] = primero.textContent.match(/^(\s*)[\s\S]*?(\s*)$/);
+    primero.textContent = antes + texto + despues;
+    resto.forEach(nodo => nodo.remove());
+}
+
+/**
+ * Idioma en uso
+ * @type {string}
+ */
+let idiomaActual = detectarIdioma();
+
+/**
+ * Funciones a notificar cuando cambia el idioma
+ * @type {Set<Function>}
+ */
+const suscriptores = new Set();
+
+/**
+ * I18n - Objeto Singleton con los catálogos y el idioma en uso
+ *
+ * @namespace I18n
+ * @type {Object}
+ */
+export const I18n = {
+    /**
+     * Traduce la página al idioma detectado
+     *
+     * Llamar una vez al iniciar la aplicación (App.init).
+     *
+     * @memberof I18n
+     */
+    inicializar() {
+        this.traducirDocumento();
+    },
+
+    /**
+     * Idioma en uso
+     * @memberof I18n
+     * @returns {string} Código del idioma ('es', 'en')
+     */
+    idioma() {
+        return idiomaActual;
+    },
+
+    /**
+     * Idiomas con catálogo
+     * @memberof I18n
+     * @returns {Array<string>} Códigos disponibles
+     */
+    idiomas() {
+        return Object.keys(CATALOGOS);
+    },
+
+    /**
+     * Obtiene un texto del catálogo del idioma en uso
+     *
+     * @memberof I18n
+     * @param {string} clave - Clave con puntos (p.ej. 'alertas.creado')
+     * @param {Object} [params={}] - Valores para los marcadores {nombre};
+     *        `cantidad` además elige la forma del plural
+     * @returns {string} Texto traducido (o la clave si no existe en ningún catálogo)
+     *
+     * @example
+     * I18n.t('alertas.creado', { nombre: 'Ana' }); // 'Usuario "Ana" creado correctamente'
+     * I18n.t('lote.seleccionados', { cantidad: 1 }); // '1 usuario seleccionado'
+     */
+    t(clave, params = {}) {
+        let texto = buscar(CATALOGOS[idiomaActual], clave) ?? buscar(CATALOGOS[IDIOMA_POR_DEFECTO], clave);
+
+        if (texto && typeof texto === 'object') {
+            const forma = new Intl.PluralRules(idiomaActual).select(Number(params.cantidad ?? 0));
+            texto = texto[forma] ?? texto.other;
+        }
+        if (typeof texto !== 'string') {
+            return clave;
+        }
+
+        return texto.replace(/\{(\w+)\}/g, (marcador, nombre) => String(params[nombre] ?? marcador));
+    },
+
+    /**
+     * Cambia el idioma de la interfaz y guarda la elección
+     *
+     * Traduce los textos fijos de la página y notifica a los suscriptores
+     * para que vuelvan a dibujar los textos generados.
+     *
+     * @memberof I18n
+     * @param {string} idioma - Código del idioma ('es', 'en')
+     * @returns {boolean} false si el idioma no tiene catálogo
+     */
+    cambiarIdioma(idioma) {
+        if (!CATALOGOS[idioma]) {
+            return false;
+        }
+
+        localStorage.setItem(CLAVE_STORAGE, idioma);
+        if (idioma === idiomaActual) {
+            return true;
+        }
+
+        idiomaActual = idioma;
+        this.traducirDocumento();
+        suscriptores.forEach(callback => callback(idioma));
+        return true;
+    },
+
+    /**
+     * Registra una función que se llama al cambiar de idioma
+     *
+     * @memberof I18n
+     * @param {Function} callback - Recibe el código del nuevo idioma
+     * @returns {Function} Función para cancelar la suscripción
+     */
+    suscribir(callback) {
+        suscriptores.add(callback);
+        return () => suscriptores.delete(callback);
+    },
+
+    /**
+     * Traduce los elementos marcados con data-i18n y data-i18n-* de la página
+     *
+     * @memberof I18n
+     * @param {Document|HTMLElement} [raiz=document] - Dónde buscar los elementos marcados
+     */
+    traducirDocumento(raiz = document) {
+        document.documentElement.lang = idiomaActual;
+
+        raiz.querySelectorAll('[data-i18n]').forEach(elemento => {
+            reemplazarTexto(elemento, this.t(elemento.getAttribute('data-i18n')));
+        });
+        Object.entries(ATRIBUTOS_TRADUCIBLES).forEach(([atributo, marcador]) => {
+            raiz.querySelectorAll(`[${marcador}]`).forEach(elemento => {
+                elemento.setAttribute(atributo, this.t(elemento.getAttribute(marcador)));
+            });
+        });
+    }
+};
+
+/**
+ * Atajo de I18n.t para usar en los demás módulos
+ *
+ * @function t
+ * @param {string} clave - Clave con puntos
+ * @param {Object} [params={}] - Valores para los marcadores
+ * @returns {string} Texto traducido
+ */
+export function t(clave, params = {}) {
+    return I18n.t(clave, params);
+}
@@ -0,0 +1,606 @@
+/**
+ * Módulo Mock - Backend simulado en el navegador
+ *
+ * Implementa el mismo contrato que el backend real (`/api/usuarios` y el
+ * login) sobre localStorage, para desarrollar, hacer demos y correr
+ * test-system.html sin red. Se activa con API_CONFIG.MOCK (?mock=true,
+ * "mock": true en config.json o el diálogo de configuración); api.js le
+ * envía entonces todas las peticiones en lugar de usar fetch.
+ *
+ * Contrato simulado:
+ * - GET    /api/usuarios              → array (o página Spring con ?page=&size=&sort=; ?email= y ?q= filtran)
+ * - GET    /api/usuarios/{id}         → usuario con cabecera ETag (404 si no existe)
+ * - POST   /api/usuarios              → 201 (400 con `detalles`, 409 si el email existe)
+ * - PUT    /api/usuarios/{id}         → 200 (400, 404, 409, 412 si If-Match no coincide)
+ * - DELETE /api/usuarios/{id}         → 204 (404 si no existe)
+ * - POST   /api/auth/login            → {token, usuario} (401 si las credenciales no coinciden)
+ *
+ * Con autenticación habilitada exige el token emitido por el login (401)
+ * y respeta los roles (403). Las respuestas nunca incluyen la contraseña.
+ * Guarda los campos editables de js/esquema.js y asigna `fechaCreacion`
+ * en cada alta.
+ *
+ * Para probar los caminos de error:
+ * - API_CONFIG.MOCK_LATENCIA: demora de cada respuesta (mayor que TIMEOUT → 408)
+ * - API_CONFIG.MOCK_FALLOS: probabilidad (0 a 1) de responder 503
+ * - Mock.programarFallo(): la próxima petición falla de forma determinística
+ *
+ * ⚠️ Las contraseñas se guardan en texto plano en localStorage: usar solo
+ * con datos de prueba.
+ *
+ * @module mock
+ * @author Sistema de Gestión de Usuarios
+ * @version 1.0.0
+ *
+ * @example
+ * // index.html?mock=true&mockLatencia=800 → demo sin backend
+ *
+ * @example
+ * // Forzar un timeout en la próxima lectura
+ * import { Mock } from './mock.js';
+ * Mock.programarFallo('timeout', { metodo: 'GET' });
+ * await API.obtenerUsuarios(); // ApiError 408
+ */
+
+import { API_CONFIG } from './config.js';
+import { Esquema } from './esquema.js';
+
+/**
+ * Clave de localStorage con los datos del backend simulado
+ * @constant {string}
+ */
+const CLAVE_STORAGE = 'usuarios.mock';
+
+/**
+ * Duración de los tokens emitidos por el login simulado (8 horas)
+ * @constant {number}
+ */
+const DURACION_TOKEN = 8 * 60 * 60 * 1000;
+
+/**
+ * Cuentas con contraseña conocida para iniciar sesión (una por rol)
+ * @constant {Array<Object>}
+ */
+const CUENTAS_SEMILLA = [
+    { nombre: 'Administrador Demo', email: 'admin@example.com', password: 'admin123', rol: 'admin' },
+    { nombre: 'Editora Demo', email: 'editor@example.com', password: 'editor123', rol: 'editor' },
+    { nombre: 'Lector Demo', email: 'lector@example.com', password: 'lector123', rol: 'viewer' }
+];
+
+/**
+ * Nombres de los usuarios de ejemplo (rol lector, contraseña "secreto123")
+ * @constant {Array<string>}
+ */
+const NOMBRES_SEMILLA = [
+    'Ana García', 'Carlos Pérez', 'Lucía Fernández', 'Martín Gómez', 'Sofía Díaz',
+    'Juan Martínez', 'Valentina López', 'Diego Romero', 'Camila Sánchez', 'Mateo Torres',
+    'Martina Ruiz', 'Tomás Álvarez', 'Julieta Castro', 'Nicolás Vega', 'Florencia Molina',
+    'Joaquín Ortiz', 'Renata Silva', 'Bruno Morales', 'Emilia Herrera', 'Facundo Rojas',
+    'Agustina Medina', 'Santiago Núñez'
+];
+
+/**
+ * Departamentos que se reparten entre los usuarios de ejemplo
+ * @constant {Array<string>}
+ */
+const DEPARTAMENTOS_SEMILLA = ['administracion', 'ventas', 'soporte', 'sistemas', 'rrhh'];
+
+/**
+ * Mensajes de los fallos programados o aleatorios, por código HTTP
+ * @constant {Object<number, string>}
+ */
+const MENSAJES_FALLO = {
+    400: 'Datos inválidos (fallo simulado)',
+    401: 'Token inválido o expirado (fallo simulado)',
+    403: 'No tiene permisos para esta acción (fallo simulado)',
+    404: 'Usuario no encontrado (fallo simulado)',
+    409: 'Conflicto (fallo simulado)',
+    429: 'Demasiadas peticiones (fallo simulado)',
+    500: 'Error interno del servidor (fallo simulado)',
+    503: 'Servicio no disponible (fallo simulado)'
+};
+
+/**
+ * Fallos pendientes de Mock.programarFallo(), en orden
+ * @type {Array<{fallo: number|string, metodo: string|null, restantes: number}>}
+ */
+const fallosProgramados = [];
+
+/**
+ * Genera los datos iniciales
+ *
+ * @function crearSemilla
+ * @returns {{usuarios: Array<Object>, siguienteId: number, tokens: Object<string, {id: number, expira: number}>}} Estado inicial
+ */
+function crearSemilla() {
+    const usuarios = [
+        ...CUENTAS_SEMILLA,
+        ...NOMBRES_SEMILLA.map(nombre => ({
+            nombre,
+            email: `${nombre.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(' ', '.')}@example.com`,
+            password: 'secreto123',
+            rol: 'viewer'
+        }))
+    ].map((usuario, indice) => ({
+        id: indice + 1,
+        ...usuario,
+        telefono: `+54 11 4${String(indice).padStart(3, '0')}-${String(1000 + indice * 37).slice(-4)}`,
+        departamento: DEPARTAMENTOS_SEMILLA[indice % DEPARTAMENTOS_SEMILLA.length],
+        // Uno de cada siete, dado de baja
+        activo: indice % 7 !== 6,
+        // Altas escalonadas un día por usuario hasta hoy
+        fechaCreacion: new Date(Date.now() - (40 - indice) * 24 * 60 * 60 * 1000).toISOString(),
+        version: 0
+    }));
+
+    return { usuarios, siguienteId: usuarios.length + 1, tokens: {} };
+}
+
+/**
+ * Lee los datos guardados (o crea la semilla la primera vez)
+ *
+ * @function leerEstado
+ * @returns {{usuarios: Array<Object>, siguienteId: number, tokens: Object<string, {id: number, expira: number}>}} Estado actual
+ */
+function leerEstado() {
+    try {
+        const estado = JSON.parse(localStorage.getItem(CLAVE_STORAGE));
+        if (estado && Array.isArray(estado.usuarios)) {
+            return estado;
+        }
+    } catch {
+        // Datos corruptos: se vuelve a la semilla
+    }
+    const estado = crearSemilla();
+    guardarEstado(estado);
+    return estado;
+}
+
+/**
+ * Guarda los datos en localStorage
+ *
+ * @function guardarEstado
+ * @param {Object} estado - Estado a guardar
+ */
+function guardarEstado(estado) {
+    localStorage.setItem(CLAVE_STORAGE, JSON.stringify(estado));
+}
+
+/**
+ * Espera simulando la latencia de la red
+ *
+ * @function esperar
+ * @param {number} ms - Milisegundos a esperar (Infinity = hasta que se cancele)
+ * @param {AbortSignal} [signal] - Señal de cancelación (timeout de fetchWithTimeout)
+ * @returns {Promise<void>} Se rechaza con AbortError si la petición se cancela
+ */
+function esperar(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(new DOMException('La petición fue cancelada', 'AbortError'));
+            return;
+        }
+        const temporizador = Number.isFinite(ms) ? setTimeout(resolve, ms) : null;
+        signal?.addEventListener('abort', () => {
+            clearTimeout(temporizador);
+            reject(new DOMException('La petición fue cancelada', 'AbortError'));
+        }, { once: true });
+    });
+}
+
+/**
+ * Arma una respuesta JSON
+ *
+ * @function responder
+ * @param {number} status - Código HTTP
+ * @param {*} [cuerpo] - Cuerpo (se omite en 204)
+ * @param {Object} [cabeceras={}] - Cabeceras adicionales
+ * @returns {Response} Respuesta equivalente a la del backend
+ */
+function responder(status, cuerpo, cabeceras = {}) {
+    if (status === 204) {
+        return new Response(null, { status });
+    }
+    return new Response(JSON.stringify(cuerpo), {
+        status,
+        headers: { 'Content-Type': 'application/json', ...cabeceras }
+    });
+}
+
+/**
+ * Quita la contraseña de un usuario guardado
+ *
+ * @function publico
+ * @param {Object} usuario - Usuario con contraseña
+ * @returns {Object} Usuario tal como lo devuelve la API
+ */
+function publico({ password, ...usuario }) {
+    return usuario;
+}
+
+/**
+ * Toma del cuerpo los campos editables del esquema
+ *
+ * Los textos se guardan sin espacios alrededor; un campo ausente toma su
+ * valor por defecto (p.ej. activo = true) o null.
+ *
+ * @function camposEditables
+ * @param {Object} datos - Cuerpo de la petición (ya validado)
+ * @returns {Object} Campo → valor a guardar
+ */
+function camposEditables(datos) {
+    return Object.fromEntries(Esquema.editables().map(({ nombre, porDefecto }) => {
+        const valor = typeof datos[nombre] === 'string' ? datos[nombre].trim() : datos[nombre];
+        return [nombre, valor ?? porDefecto ?? null];
+    }));
+}
+
+/**
+ * ETag de un usuario (cambia con cada edición)
+ *
+ * @function etagDe
+ * @param {Object} usuario - Usuario guardado
+ * @returns {string} ETag entre comillas
+ */
+function etagDe(usuario) {
+    return `"${usuario.id}-${usuario.version}"`;
+}
+
+/**
+ * Valida los datos de un alta o edición como lo haría el backend
+ *
+ * @function validar
+ * @param {Object} datos - Cuerpo de la petición
+ * @param {boolean} esEdicion - En edición la contraseña es opcional
+ * @returns {Array<string>} Errores encontrados (vacío si es válido)
+ */
+function validar(datos, esEdicion) {
+    const detalles = [];
+    const nombre = typeof datos?.nombre === 'string' ? datos.nombre.trim() : '';
+    const email = typeof datos?.email === 'string' ? datos.email.trim() : '';
+
+    if (nombre.length < 2 || nombre.length > 100) {
+        detalles.push('El nombre debe tener entre 2 y 100 caracteres');
+    }
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(email)) {
+        detalles.push('El email no tiene un formato válido');
+    }
+    if ((!esEdicion || datos?.password) && (typeof datos?.password !== 'string' || datos.password.length < 6)) {
+        detalles.push('La contraseña debe tener al menos 6 caracteres');
+    }
+    return detalles;
+}
+
+/**
+ * Toma el próximo fallo programado que corresponda a un método
+ *
+ * @function tomarFalloProgramado
+ * @param {string} metodo - Método HTTP de la petición
+ * @returns {number|string|null} Código HTTP, 'timeout', 'red' o null
+ */
+function tomarFalloProgramado(metodo) {
+    const indice = fallosProgramados.findIndex(f => !f.metodo || f.metodo === metodo);
+    if (indice < 0) return null;
+
+    const programado = fallosProgramados[indice];
+    programado.restantes--;
+    if (programado.restantes <= 0) {
+        fallosProgramados.splice(indice, 1);
+    }
+    return programado.fallo;
+}
+
+/**
+ * Resuelve el usuario de la sesión a partir de la cabecera Authorization
+ *
+ * @function usuarioAutenticado
+ * @param {Object} estado - Estado del backend simulado
+ * @param {Object} cabeceras - Cabeceras de la petición
+ * @returns {Object|null} Usuario dueño del token o null si falta o expiró
+ */
+function usuarioAutenticado(estado, cabeceras) {
+    const token = (cabeceras.Authorization || cabeceras.authorization || '').replace(/^Bearer\s+/i, '');
+    const sesion = estado.tokens[token];
+    if (!sesion || sesion.expira < Date.now()) return null;
+    return estado.usuarios.find(u => u.id === sesion.id) ?? null;
+}
+
+/**
+ * Emite un token con forma de JWT (sin firma real) para el login simulado
+ *
+ * Auth lee de él email, rol y exp igual que de un token del backend.
+ *
+ * @function emitirToken
+ * @param {Object} usuario - Usuario que inicia sesión
+ * @returns {{token: string, expira: number}} Token y vencimiento (ms)
+ */
+function emitirToken(usuario) {
+    const expira = Date.now() + DURACION_TOKEN;
+    const codificar = objeto => btoa(String.fromCharCode(...new TextEncoder().encode(JSON.stringify(objeto))))
+        .replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+    const claims = {
+        sub: String(usuario.id),
+        email: usuario.email,
+        nombre: usuario.nombre,
+        rol: usuario.rol,
+        exp: Math.floor(expira / 1000),
+        jti: Math.random().toString(36).slice(2)
+    };
+    return { token: `${codificar({ alg: 'none', typ: 'JWT' })}.${codificar(claims)}.simulado`, expira };
+}
+
+/**
+ * Atiende el login
+ *
+ * @function iniciarSesion
+ * @param {Object} estado - Estado del backend simulado
+ * @param {Object} datos - {email, password}
+ * @returns {Response} 200 con {token, usuario} o 401
+ */
+function iniciarSesion(estado, datos) {
+    const usuario = estado.usuarios.find(u =>
+        u.email.toLowerCase() === String(datos?.email ?? '').toLowerCase() && u.password === datos?.password);
+    if (!usuario) {
+        return responder(401, { error: 'Email o contraseña incorrectos' });
+    }
+
+    const { token, expira } = emitirToken(usuario);
+    Object.keys(estado.tokens).forEach(t => {
+        if (estado.tokens[t].expira < Date.now()) delete estado.tokens[t];
+    });
+    estado.tokens[token] = { id: usuario.id, expira };
+    guardarEstado(estado);
+    return responder(200, { token, usuario: publico(usuario) });
+}
+
+/**
+ * Atiende GET de la colección (array completo o página Spring)
+ *
+ * @function listar
+ * @param {Object} estado - Estado del backend simulado
+ * @param {URLSearchParams} params - page, size, sort, email (búsqueda exacta) y q (texto
+ *        en los campos buscables del esquema, sin distinguir mayúsculas ni acentos)
+ * @returns {Response} 200 con array o página
+ */
+function listar(estado, params) {
+    let usuarios = estado.usuarios.map(publico);
+    if (params.has('email')) {
+        const email = params.get('email').trim().toLowerCase();
+        usuarios = usuarios.filter(u => u.email.toLowerCase() === email);
+    }
+    if (params.get('q')) {
+        const sinAcentos = texto => String(texto ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+        const termino = sinAcentos(params.get('q'));
+        const campos = Esquema.buscables();
+        usuarios = usuarios.filter(u => campos.some(({ nombre }) => sinAcentos(u[nombre]).includes(termino)));
+    }
+    if (!params.has('page')) {
+        return responder(200, usuarios);
+    }
+
+    const [campo, direccion = 'asc'] = (params.get('sort') || '').split(',');
+    if (campo) {
+        const factor = direccion === 'desc' ? -1 : 1;
+        usuarios = usuarios.sort((a, b) => factor * (typeof a[campo] === 'number'
+            ? a[campo] - b[campo]
+            : String(a[campo] ?? '').localeCompare(String(b[campo] ?? ''), 'es', { sensitivity: 'base' })));
+    }
+
+    const pagina = Math.max(0, parseInt(params.get('page')) || 0);
+    const tamanio = Math.max(1, parseInt(params.get('size')) || 20);
+    return responder(200, {
+        content: usuarios.slice(pagina * tamanio, (pagina + 1) * tamanio),
+        totalElements: usuarios.length,
+        totalPages: Math.max(1, Math.ceil(usuarios.length / tamanio)),
+        number: pagina,
+        size: tamanio
+    });
+}
+
+/**
+ * Atiende una petición sobre la colección o un usuario
+ *
+ * @function atenderUsuarios
+ * @param {Object} estado - Estado del backend simulado
+ * @param {string} metodo - Método HTTP
+ * @param {number|null} id - ID de la ruta (null = colección)
+ * @param {URLSearchParams} params - Parámetros de la URL
+ * @param {Object} cabeceras - Cabeceras de la petición
+ * @param {Object|null} datos - Cuerpo JSON
+ * @returns {Response} Respuesta del contrato
+ */
+function atenderUsuarios(estado, metodo, id, params, cabeceras, datos) {
+    if (API_CONFIG.AUTH_HABILITADA) {
+        const sesion = usuarioAutenticado(estado, cabeceras);
+        if (!sesion) {
+            return responder(401, { error: 'Token inválido o expirado' });
+        }
+        const permitido = metodo === 'GET' ||
+            sesion.rol === 'admin' ||
+            (sesion.rol === 'editor' && metodo !== 'DELETE');
+        if (!permitido) {
+            return responder(403, { error: 'No tiene permisos para esta acción' });
+        }
+    }
+
+    if (id === null) {
+        if (metodo === 'GET') return listar(estado, params);
+        if (metodo !== 'POST') return responder(405, { error: 'Método no permitido' });
+
+        const detalles = validar(datos, false);
+        if (detalles.length > 0) {
+            return responder(400, { error: 'Datos inválidos', detalles });
+        }
+        if (estado.usuarios.some(u => u.email.toLowerCase() === datos.email.trim().toLowerCase())) {
+            return responder(409, { error: 'El email ya está registrado' });
+        }
+
+        const usuario = {
+            id: estado.siguienteId++,
+            ...camposEditables(datos),
+            password: datos.password,
+            rol: 'viewer',
+            fechaCreacion: new Date().toISOString(),
+            version: 0
+        };
+        estado.usuarios.push(usuario);
+        guardarEstado(estado);
+        return responder(201, publico(usuario), { ETag: etagDe(usuario) });
+    }
+
+    const indice = estado.usuarios.findIndex(u => u.id === id);
+    if (indice < 0) {
+        return responder(404, { error: 'Usuario no encontrado' });
+    }
+    const usuario = estado.usuarios[indice];
+
+    if (metodo === 'GET') {
+        return responder(200, publico(usuario), { ETag: etagDe(usuario) });
+    }
+
+    if (metodo === 'DELETE') {
+        estado.usuarios.splice(indice, 1);
+        guardarEstado(estado);
+        return responder(204);
+    }
+
+    if (metodo !== 'PUT') {
+        return responder(405, { error: 'Método no permitido' });
+    }
+
+    const ifMatch = cabeceras['If-Match'] || cabeceras['if-match'];
+    if (ifMatch && ifMatch !== '*' && ifMatch !== etagDe(usuario)) {
+        return responder(412, { error: 'El usuario fue modificado por otra persona' });
+    }
+    if (datos?.version !== undefined && datos.version !== usuario.version) {
+        return responder(409, { error: 'El usuario fue modificado por otra persona' });
+    }
+    const detalles = validar(datos, true);
+    if (detalles.length > 0) {
+        return responder(400, { error: 'Datos inválidos', detalles });
+    }
+    if (estado.usuarios.some(u => u.id !== id && u.email.toLowerCase() === datos.email.trim().toLowerCase())) {
+        return responder(409, { error: 'El email ya está registrado' });
+    }
+
+    Object.assign(usuario, {
+        ...camposEditables(datos),
+        ...(datos.password && { password: datos.password }),
+        version: usuario.version + 1
+    });
+    guardarEstado(estado);
+    return responder(200, publico(usuario), { ETag: etagDe(usuario) });
+}
+
+/**
+ * Mock - Objeto Singleton con el backend simulado
+ *
+ * @namespace Mock
+ * @type {Object}
+ */
+export const Mock = {
+    /**
+     * Atiende una petición con la misma firma que fetch()
+     *
+     * Aplica la latencia, los fallos programados y los aleatorios antes de
+     * responder. Respeta `options.signal`, así el timeout de
+     * fetchWithTimeout funciona igual que con la red.
+     *
+     * @async
+     * @memberof Mock
+     * @param {string} url - URL absoluta de la petición
+     * @param {Object} [options={}] - method, headers, body y signal
+     * @returns {Promise<Response>} Respuesta del backend simulado
+     * @throws {TypeError} Con el fallo programado 'red' (como fetch sin conexión)
+     * @throws {DOMException} AbortError si se cancela la petición
+     */
+    async fetch(url, options = {}) {
+        const metodo = (options.method || 'GET').toUpperCase();
+        const fallo = tomarFalloProgramado(metodo);
+
+        await esperar(fallo === 'timeout' ? Infinity : API_CONFIG.MOCK_LATENCIA, options.signal);
+
+        if (fallo === 'red') {
+            throw new TypeError('Failed to fetch (fallo simulado)');
+        }
+        if (typeof fallo === 'number') {
+            return responder(fallo, {
+                error: MENSAJES_FALLO[fallo] || 'Fallo simulado',
+                ...(fallo === 400 && { detalles: ['Dato inválido (fallo simulado)'] })
+            });
+        }
+        if (API_CONFIG.MOCK_FALLOS > 0 && Math.random() < API_CONFIG.MOCK_FALLOS) {
+            return responder(503, { error: MENSAJES_FALLO[503] });
+        }
+
+        const destino = new URL(url, window.location.href);
+        const base = new URL(API_CONFIG.BASE_URL).pathname.replace(/\/+$/, '');
+        const urlLogin = API_CONFIG.AUTH_URL ? new URL(API_CONFIG.AUTH_URL).pathname : '/api/auth/login';
+        let datos = null;
+        try {
+            datos = options.body ? JSON.parse(options.body) : null;
+        } catch {
+            return responder(400, { error: 'El cuerpo de la petición no es JSON válido' });
+        }
+
+        const estado = leerEstado();
+
+        if (metodo === 'POST' && destino.pathname === urlLogin) {
+            return iniciarSesion(estado, datos);
+        }
+        if (destino.pathname === base) {
+            return atenderUsuarios(estado, metodo, null, destino.searchParams, options.headers || {}, datos);
+        }
+        const coincidencia = destino.pathname.slice(base.length).match(/^\/(\d+)$/);
+        if (destino.pathname.startsWith(base) && coincidencia) {
+            return atenderUsuarios(estado, metodo, Number(coincidencia[1]), destino.searchParams,
+                options.headers || {}, datos);
+        }
+        return responder(404, { error: `Ruta no encontrada: ${destino.pathname}` });
+    },
+
+    /**
+     * Programa un fallo para las próximas peticiones
+     *
+     * Los fallos se consumen en orden; cada uno se aplica a `veces`
+     * peticiones del método indicado (o de cualquiera).
+     *
+     * @memberof Mock
+     * @param {number|string} fallo - Código HTTP, 'timeout' (no responde hasta
+     *        el timeout: ApiError 408) o 'red' (TypeError, como sin conexión)
+     * @param {Object} [opciones={}] - A qué peticiones aplicarlo
+     * @param {string|null} [opciones.metodo=null] - Solo este método HTTP
+     * @param {number} [opciones.veces=1] - Cantidad de peticiones que fallan
+     *
+     * @example
+     * Mock.programarFallo(503, { veces: 2 }); // dos 503 seguidos, luego responde normal
+     * Mock.programarFallo(409, { metodo: 'POST' });
+     */
+    programarFallo(fallo, { metodo = null, veces = 1 } = {}) {
+        fallosProgramados.push({ fallo, metodo: metodo?.toUpperCase() ?? null, restantes: veces });
+    },
+
+    /**
+     * Descarta los fallos programados y, si se pide, vuelve a los datos de ejemplo
+     *
+     * @memberof Mock
+     * @param {Object} [opciones={}] - Qué reiniciar
+     * @param {boolean} [opciones.datos=true] - Restaurar los usuarios de ejemplo
+     */
+    reiniciar({ datos = true } = {}) {
+        fallosProgramados.length = 0;
+        if (datos) {
+            guardarEstado(crearSemilla());
+        }
+    },
+
+    /**
+     * Cuentas de ejemplo para iniciar sesión con el backend simulado
+     *
+     * @memberof Mock
+     * @returns {Array<{email: string, password: string, rol: string}>} Una cuenta por rol
+     */
+    obtenerCuentas() {
+        return CUENTAS_SEMILLA.map(({ email, password, rol }) => ({ email, password, rol }));
+    }
+};
@@ -0,0 +1,264 @@
+/**
+ * Módulo Monitoreo - Envío de errores a un servicio de monitoreo
+ *
+ * Recibe todo lo que pasa por Logger.error (y los errores globales no
+ * capturados) y lo envía, agrupado, al endpoint API_CONFIG.REPORTE_ERRORES
+ * ("reporteErrores" en config.json). Sin endpoint configurado no se envía
+ * nada y los errores solo se ven en consola (con DEBUG_MODE).
+ *
+ * - Cada error lleva su contexto: endpoint, status y detalles del ApiError,
+ *   la última acción del usuario (botón o enlace presionado), versión de la
+ *   aplicación (VERSION_APP de config.js, la misma de "Acerca de") y navegador
+ * - Los repetidos se agrupan (`repeticiones`); uno ya enviado no se vuelve
+ *   a enviar durante VENTANA_DEDUPLICACION
+ * - Se envían en lotes: al juntar TAMANIO_LOTE o INTERVALO_ENVIO ms después
+ *   del primero; al ocultar o cerrar la pestaña, con navigator.sendBeacon
+ *
+ * Formato de cada lote (POST, cuerpo JSON):
+ *
+ *   {
+ *     "version": "1.0.0",
+ *     "navegador": "Mozilla/5.0 ...",
+ *     "pagina": "/index.html",
+ *     "errores": [{
+ *       "mensaje": "Error al guardar usuario:",
+ *       "error": { "nombre": "ApiError", "mensaje": "El email ya está registrado", "stack": "..." },
+ *       "status": 409, "endpoint": "https://.../api/usuarios", "detalles": { "error": "..." },
+ *       "accion": "#btnGuardarUsuario",
+ *       "fecha": "2024-01-15T10:30:00.000Z", "repeticiones": 1
+ *     }]
+ *   }
+ *
+ * @module monitoreo
+ * @author Sistema de Gestión de Usuarios
+ * @version 1.0.0
+ *
+ * @example
+ * import { Monitoreo } from './monitoreo.js';
+ *
+ * Monitoreo.iniciar();
+ * Monitoreo.registrar('Error al cargar usuarios:', error);
+ */
+
+import { API_CONFIG, VERSION_APP } from './config.js';
+
+/**
+ * Errores por lote (al llegar a esta cantidad se envía sin esperar)
+ * @constant {number}
+ */
+const TAMANIO_LOTE = 10;
+
+/**
+ * Espera desde el primer error del lote hasta enviarlo
+ * @constant {number}
+ */
+const INTERVALO_ENVIO = 10000;
+
+/**
+ * Máximo de errores retenidos sin enviar (se descartan los más viejos)
+ * @constant {number}
+ */
+const MAX_PENDIENTES = 50;
+
+/**
+ * Tiempo durante el que un error ya enviado no se vuelve a enviar
+ * @constant {number}
+ */
+const VENTANA_DEDUPLICACION = 60000;
+
+/**
+ * Errores a enviar en el próximo lote (cada uno con su `clave` de deduplicación)
+ * @type {Array<Object>}
+ */
+const pendientes = [];
+
+/**
+ * Claves de errores ya enviados y cuándo se enviaron
+ * @type {Map<string, number>}
+ */
+const recientes = new Map();
+
+/**
+ * Temporizador del próximo envío (null si no hay lote en espera)
+ * @type {number|null}
+ */
+let temporizador = null;
+
+/**
+ * Último botón o enlace presionado (contexto del error)
+ * @type {string|null}
+ */
+let ultimaAccion = null;
+
+/**
+ * Describe el elemento presionado para el campo `accion`
+ *
+ * @function describirElemento
+ * @param {HTMLElement} elemento - Botón o enlace
+ * @returns {string} "#id" o su texto visible (p.ej. '"Guardar"')
+ */
+function describirElemento(elemento) {
+    if (elemento.id) return `#${elemento.id}`;
+
+    const texto = (elemento.getAttribute('aria-label') || elemento.textContent).trim().replace(/\s+/g, ' ');
+    const id = elemento.getAttribute('data-id');
+    return `"${texto.slice(0, 40)}"${id ? ` (ID ${id})` : ''}`;
+}
+
+/**
+ * Arma el error a reportar a partir de los argumentos de Logger.error
+ *
+ * Toma el primer string como mensaje y el primer Error como causa; si la
+ * causa es un ApiError agrega status, endpoint y detalles.
+ *
+ * @function construirError
+ * @param {Array<*>} args - Argumentos recibidos por Logger.error
+ * @returns {Object} Error con su clave de deduplicación
+ */
+function construirError(args) {
+    const mensaje = args.find(arg => typeof arg === 'string') ?? null;
+    const causa = args.find(arg => arg instanceof Error) ?? null;
+
+    const error = {
+        mensaje,
+        error: causa ? { nombre: causa.name, mensaje: causa.message, stack: causa.stack || null } : null,
+        status: causa?.status ?? null,
+        endpoint: causa?.endpoint ?? null,
+        detalles: causa?.details ?? null,
+        accion: ultimaAccion,
+        fecha: new Date().toISOString(),
+        repeticiones: 1
+    };
+    error.clave = [mensaje, causa?.name, causa?.message, error.status, error.endpoint].join('|');
+    return error;
+}
+
+/**
+ * Programa el envío del lote si todavía no hay uno en espera
+ * @function programarEnvio
+ */
+function programarEnvio() {
+    if (temporizador === null) {
+        temporizador = setTimeout(() => enviarLote(), INTERVALO_ENVIO);
+    }
+}
+
+/**
+ * Envía los errores pendientes al endpoint configurado
+ *
+ * Con `alSalir` usa navigator.sendBeacon, que el navegador completa aunque
+ * la página se descargue. El cuerpo es JSON pero se envía como text/plain
+ * para que una petición a otro origen no necesite preflight CORS.
+ * Si el envío falla, los errores vuelven a la cola para el próximo lote.
+ *
+ * @function enviarLote
+ * @param {Object} [opciones={}] - Opciones del envío
+ * @param {boolean} [opciones.alSalir=false] - La página se está ocultando o cerrando
+ */
+function enviarLote({ alSalir = false } = {}) {
+    clearTimeout(temporizador);
+    temporizador = null;
+
+    const destino = API_CONFIG.REPORTE_ERRORES;
+    const errores = pendientes.splice(0);
+    if (!destino || errores.length === 0) return;
+
+    const ahora = Date.now();
+    recientes.forEach((enviado, clave) => {
+        if (ahora - enviado >= VENTANA_DEDUPLICACION) recientes.delete(clave);
+    });
+    errores.forEach(({ clave }) => recientes.set(clave, ahora));
+
+    const cuerpo = JSON.stringify({
+        version: VERSION_APP,
+        navegador: navigator.userAgent,
+        pagina: window.location.pathname,
+        errores: errores.map(({ clave, ...error }) => error)
+    });
+    const tipo = 'text/plain;charset=UTF-8';
+
+    if (alSalir && navigator.sendBeacon?.(destino, new Blob([cuerpo], { type: tipo }))) {
+        return;
+    }
+
+    fetch(destino, { method: 'POST', headers: { 'Content-Type': tipo }, body: cuerpo, keepalive: true })
+        .then(response => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        })
+        .catch(() => {
+            // Sin Logger.error: un fallo del propio reporte no debe reportarse
+            errores.forEach(({ clave }) => recientes.delete(clave));
+            pendientes.unshift(...errores);
+            pendientes.splice(0, pendientes.length - MAX_PENDIENTES);
+            if (!alSalir) programarEnvio();
+        });
+}
+
+/**
+ * Monitoreo - Objeto Singleton con la cola de errores a reportar
+ *
+ * @namespace Monitoreo
+ * @type {Object}
+ */
+export const Monitoreo = {
+    /**
+     * Empieza a registrar las acciones del usuario y a enviar al ocultar la página
+     *
+     * Llamar una vez, después de Config.inicializar().
+     *
+     * @memberof Monitoreo
+     */
+    iniciar() {
+        document.addEventListener('click', (evento) => {
+            const elemento = evento.target.closest?.('button, a');
+            if (elemento) ultimaAccion = describirElemento(elemento);
+        }, true);
+
+        // visibilitychange cubre los móviles, donde pagehide no siempre llega
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') enviarLote({ alSalir: true });
+        });
+        window.addEventListener('pagehide', () => enviarLote({ alSalir: true }));
+    },
+
+    /**
+     * Agrega un error al próximo lote (lo llama Logger.error)
+     *
+     * @memberof Monitoreo
+     * @param {...*} args - Mismos argumentos que Logger.error (mensaje y error)
+     *
+     * @example
+     * Monitoreo.registrar('Error al eliminar usuario:', new ApiError('No encontrado', 404));
+     */
+    registrar(...args) {
+        if (!API_CONFIG.REPORTE_ERRORES) return;
+
+        const error = construirError(args);
+
+        const repetido = pendientes.find(e => e.clave === error.clave);
+        if (repetido) {
+            repetido.repeticiones++;
+            return;
+        }
+        if (Date.now() - (recientes.get(error.clave) ?? -Infinity) < VENTANA_DEDUPLICACION) {
+            return;
+        }
+
+        pendientes.push(error);
+        pendientes.splice(0, pendientes.length - MAX_PENDIENTES);
+
+        if (pendientes.length >= TAMANIO_LOTE) {
+            enviarLote();
+        } else {
+            programarEnvio();
+        }
+    },
+
+    /**
+     * Envía ya los errores pendientes (sin esperar el lote)
+     * @memberof Monitoreo
+     */
+    enviar() {
+        enviarLote();
+    }
+};
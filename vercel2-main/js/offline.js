@@ -0,0 +1,395 @@
+/**
+ * Módulo Offline - Trabajo sin conexión y cola de cambios pendientes
+ *
+ * Registra el service worker (sw.js), que guarda en caché la aplicación y
+ * la última lista de usuarios, y mantiene en IndexedDB la cola de altas,
+ * ediciones y eliminaciones hechas sin conexión. La cola se reenvía en
+ * orden al recuperar la conexión (ver App.sincronizarPendientes).
+ *
+ * Este módulo no llama a la API: solo guarda, lista y quita cambios, e
+ * informa el estado de la conexión a sus suscriptores.
+ *
+ * Sin IndexedDB (navegación privada de algunos navegadores) la cola no
+ * está disponible y las acciones sin conexión fallan como antes.
+ *
+ * Las contraseñas de los cambios encolados nunca se escriben en IndexedDB:
+ * quedan en memoria hasta sincronizar. Si la página se recarga antes, el
+ * cambio queda marcado con `passwordEnMemoria` y la contraseña se vuelve a
+ * pedir al sincronizar.
+ *
+ * @module offline
+ * @author Sistema de Gestión de Usuarios
+ * @version 1.0.0
+ *
+ * @example
+ * import { Offline } from './offline.js';
+ *
+ * await Offline.inicializar();
+ * Offline.suscribir(({ conectado, pendientes }) => console.log(conectado, pendientes));
+ *
+ * if (!Offline.estaConectado()) {
+ *   await Offline.encolar({ tipo: 'eliminar', id: 7, nombre: 'Ana' });
+ * }
+ */
+
+import { ApiError, Logger } from './api.js';
+
+/**
+ * Base de datos IndexedDB de la aplicación
+ * @constant {string}
+ */
+const NOMBRE_BD = 'gestion-usuarios';
+
+/**
+ * Versión del esquema de la base de datos
+ * @constant {number}
+ */
+const VERSION_BD = 1;
+
+/**
+ * Almacén con los cambios pendientes (clave autoincremental = orden de envío)
+ * @constant {string}
+ */
+const ALMACEN_PENDIENTES = 'pendientes';
+
+/**
+ * Tag de Background Sync (debe coincidir con sw.js)
+ * @constant {string}
+ */
+const TAG_SINCRONIZACION = 'sincronizar-pendientes';
+
+/**
+ * Suscriptores notificados ante cambios de conexión o de la cola
+ * @type {Set<Function>}
+ */
+const suscriptores = new Set();
+
+/**
+ * Conexión a IndexedDB (se abre una sola vez)
+ * @type {Promise<IDBDatabase>|null}
+ */
+let baseDeDatos = null;
+
+/**
+ * False si no hay IndexedDB o no se pudo abrir la base de datos
+ * @type {boolean}
+ */
+let colaDisponible = typeof indexedDB !== 'undefined';
+
+/**
+ * Cantidad de cambios en la cola (se actualiza tras cada operación)
+ * @type {number}
+ */
+let cantidadPendientes = 0;
+
+/**
+ * Contraseñas de los cambios encolados, por clave (solo en memoria)
+ * @type {Map<number, string>}
+ */
+const contrasenias = new Map();
+
+/**
+ * Devuelve a un cambio de la cola la contraseña guardada en memoria
+ *
+ * @function conPassword
+ * @param {Object} cambio - Cambio leído de IndexedDB
+ * @returns {Object} El mismo cambio, con datos.password si sigue en memoria
+ */
+function conPassword(cambio) {
+    if (!contrasenias.has(cambio.clave)) {
+        return cambio;
+    }
+    return { ...cambio, datos: { ...cambio.datos, password: contrasenias.get(cambio.clave) } };
+}
+
+/**
+ * Abre (o crea) la base de datos de la cola
+ *
+ * @function abrirBaseDeDatos
+ * @returns {Promise<IDBDatabase>} Conexión abierta
+ */
+function abrirBaseDeDatos() {
+    if (!baseDeDatos) {
+        baseDeDatos = new Promise((resolve, reject) => {
+            const request = indexedDB.open(NOMBRE_BD, VERSION_BD);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(ALMACEN_PENDIENTES, { keyPath: 'clave', autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return baseDeDatos;
+}
+
+/**
+ * Ejecuta una operación sobre el almacén de pendientes
+ *
+ * Resuelve cuando la transacción termina (no solo la petición), así un
+ * cambio encolado ya está guardado aunque la pestaña se cierre después.
+ *
+ * @async
+ * @function usarAlmacen
+ * @param {IDBTransactionMode} modo - 'readonly' o 'readwrite'
+ * @param {Function} operacion - Recibe el IDBObjectStore y retorna un IDBRequest
+ * @returns {Promise<*>} Resultado de la petición
+ */
+async function usarAlmacen(modo, operacion) {
+    const bd = await abrirBaseDeDatos();
+    return new Promise((resolve, reject) => {
+        const transaccion = bd.transaction(ALMACEN_PENDIENTES, modo);
+        const request = operacion(transaccion.objectStore(ALMACEN_PENDIENTES));
+        transaccion.oncomplete = () => resolve(request.result);
+        transaccion.onerror = () => reject(transaccion.error);
+        transaccion.onabort = () => reject(transaccion.error);
+    });
+}
+
+/**
+ * Notifica a los suscriptores el estado actual
+ *
+ * @function notificar
+ * @param {boolean} [cambioConexion=false] - True si el aviso se debe a que la conexión se perdió o volvió
+ */
+function notificar(cambioConexion = false) {
+    const estado = {
+        conectado: Offline.estaConectado(),
+        pendientes: cantidadPendientes,
+        cambioConexion
+    };
+    suscriptores.forEach(callback => {
+        try {
+            callback(estado);
+        } catch (error) {
+            Logger.error('Error en suscriptor de conexión:', error);
+        }
+    });
+}
+
+/**
+ * Relee la cantidad de cambios en la cola y notifica
+ *
+ * @async
+ * @function actualizarCantidad
+ */
+async function actualizarCantidad() {
+    cantidadPendientes = await usarAlmacen('readonly', almacen => almacen.count());
+    notificar();
+}
+
+/**
+ * Offline - Objeto Singleton con la cola de cambios y el estado de conexión
+ *
+ * @namespace Offline
+ * @type {Object}
+ */
+export const Offline = {
+    /**
+     * Registra el service worker, abre la cola y escucha la conexión
+     *
+     * El service worker solo se registra servido por HTTP(S) (no con
+     * file://). Un fallo al registrarlo o al abrir IndexedDB se registra
+     * en consola y la aplicación sigue funcionando solo con conexión.
+     *
+     * @async
+     * @memberof Offline
+     * @returns {Promise<void>}
+     */
+    async inicializar() {
+        if ('serviceWorker' in navigator && location.protocol.startsWith('http')) {
+            try {
+                await navigator.serviceWorker.register('sw.js');
+                // Background Sync: el service worker avisa que volvió la conexión
+                navigator.serviceWorker.addEventListener('message', (event) => {
+                    if (event.data?.tipo === 'sincronizar') {
+                        notificar(true);
+                    }
+                });
+            } catch (error) {
+                Logger.warn('No se pudo registrar el service worker:', error);
+            }
+        }
+
+        window.addEventListener('online', () => notificar(true));
+        window.addEventListener('offline', () => notificar(true));
+
+        if (this.disponible()) {
+            try {
+                await actualizarCantidad();
+                Logger.log(`📦 Cola sin conexión: ${cantidadPendientes} cambio(s) pendiente(s)`);
+            } catch (error) {
+                Logger.warn('IndexedDB no disponible, sin cola de cambios:', error);
+                colaDisponible = false;
+                cantidadPendientes = 0;
+            }
+        }
+    },
+
+    /**
+     * Indica si se pueden encolar cambios (IndexedDB disponible)
+     *
+     * @memberof Offline
+     * @returns {boolean} True si la cola de IndexedDB se puede usar
+     */
+    disponible() {
+        return colaDisponible;
+    },
+
+    /**
+     * Indica si el navegador tiene conexión de red
+     *
+     * navigator.onLine=false es confiable (sin red); true solo indica que
+     * hay red, no que el backend responda. Por eso además se encolan los
+     * cambios cuyo envío falla por error de red (ver esErrorDeConexion).
+     *
+     * @memberof Offline
+     * @returns {boolean} True si hay conexión
+     */
+    estaConectado() {
+        return navigator.onLine !== false;
+    },
+
+    /**
+     * Indica si un error se debe a la falta de conexión con el backend
+     *
+     * fetch lanza TypeError cuando no llega a obtener respuesta (sin red,
+     * DNS, CORS). Los errores con código HTTP (ApiError) sí tuvieron
+     * respuesta del backend.
+     *
+     * @memberof Offline
+     * @param {Error} error - Error de una llamada a la API
+     * @returns {boolean} True si el cambio debe encolarse
+     */
+    esErrorDeConexion(error) {
+        if (error instanceof ApiError) {
+            return false;
+        }
+        return error instanceof TypeError || !this.estaConectado();
+    },
+
+    /**
+     * Agrega un cambio al final de la cola
+     *
+     * Con Background Sync (Chrome/Edge) el service worker avisa al volver
+     * la conexión aunque la página no reciba el evento 'online'.
+     *
+     * datos.password se guarda solo en memoria: en IndexedDB queda null y
+     * `passwordEnMemoria` en true.
+     *
+     * @async
+     * @memberof Offline
+     * @param {Object} cambio - Cambio a encolar
+     * @param {string} cambio.tipo - 'crear', 'actualizar' o 'eliminar'
+     * @param {number} [cambio.id] - ID del usuario (actualizar y eliminar)
+     * @param {string} cambio.nombre - Nombre del usuario (para los avisos)
+     * @param {Object} [cambio.datos] - Datos a enviar (crear y actualizar)
+     * @param {string|null} [cambio.etag] - ETag leído al editar (If-Match)
+     * @param {number} [cambio.version] - Campo version leído al editar
+     * @param {Object|null} [cambio.antes] - {id, nombre, email} antes de la edición (para la auditoría)
+     * @returns {Promise<Object>} Cambio guardado, con su clave y fecha (y la contraseña)
+     *
+     * @example
+     * await Offline.encolar({ tipo: 'crear', nombre: 'Ana', datos: { nombre: 'Ana', email, password } });
+     */
+    async encolar(cambio) {
+        const password = cambio.datos?.password || null;
+        const registro = { ...cambio, fecha: new Date().toISOString() };
+        if (password) {
+            registro.datos = { ...cambio.datos, password: null };
+            registro.passwordEnMemoria = true;
+        }
+        registro.clave = await usarAlmacen('readwrite', almacen => almacen.add(registro));
+        if (password) {
+            contrasenias.set(registro.clave, password);
+        }
+        Logger.log(`📥 Cambio encolado sin conexión: ${cambio.tipo} "${cambio.nombre}"`);
+
+        try {
+            const registracion = await navigator.serviceWorker?.getRegistration();
+            await registracion?.sync?.register(TAG_SINCRONIZACION);
+        } catch {
+            // Sin Background Sync: se sincroniza con el evento 'online'
+        }
+
+        await actualizarCantidad();
+        return conPassword(registro);
+    },
+
+    /**
+     * Obtiene los cambios pendientes en orden de encolado
+     *
+     * @async
+     * @memberof Offline
+     * @returns {Promise<Array<Object>>} Cambios (vacío si la cola no está disponible), con
+     *          las contraseñas que sigan en memoria
+     */
+    async obtenerPendientes() {
+        if (!this.disponible()) {
+            return [];
+        }
+        const cambios = await usarAlmacen('readonly', almacen => almacen.getAll());
+        return cambios.map(conPassword);
+    },
+
+    /**
+     * Quita un cambio de la cola (ya enviado o descartado)
+     *
+     * @async
+     * @memberof Offline
+     * @param {number} clave - Clave del cambio
+     * @returns {Promise<void>}
+     */
+    async quitar(clave) {
+        await usarAlmacen('readwrite', almacen => almacen.delete(clave));
+        contrasenias.delete(clave);
+        await actualizarCantidad();
+    },
+
+    /**
+     * Descarta todos los cambios pendientes
+     *
+     * @async
+     * @memberof Offline
+     * @returns {Promise<void>}
+     */
+    async vaciar() {
+        if (!this.disponible()) return;
+        await usarAlmacen('readwrite', almacen => almacen.clear());
+        contrasenias.clear();
+        await actualizarCantidad();
+    },
+
+    /**
+     * Cantidad de cambios en la cola
+     *
+     * @memberof Offline
+     * @returns {number} Cambios pendientes
+     */
+    cantidadPendientes() {
+        return cantidadPendientes;
+    },
+
+    /**
+     * Pide al service worker que borre las respuestas de la API guardadas
+     *
+     * Se usa al cerrar sesión, para no dejar datos de usuarios accesibles
+     * sin token.
+     *
+     * @memberof Offline
+     */
+    limpiarDatosEnCache() {
+        navigator.serviceWorker?.controller?.postMessage({ tipo: 'limpiar-datos' });
+    },
+
+    /**
+     * Registra un callback para cambios de conexión o de la cola
+     *
+     * @memberof Offline
+     * @param {Function} callback - Recibe {conectado, pendientes, cambioConexion}
+     * @returns {Function} Función para cancelar la suscripción
+     */
+    suscribir(callback) {
+        suscriptores.add(callback);
+        return () => suscriptores.delete(callback);
+    }
+};
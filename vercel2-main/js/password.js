@@ -0,0 +1,258 @@
+/**
+ * Módulo Password - Política de contraseñas, fortaleza y generación
+ *
+ * Una única política (API_CONFIG.POLITICA_PASSWORD, "politicaPassword" en
+ * config.json) define qué contraseñas se aceptan. La aplican por igual
+ * API.validarDatosUsuario (alta, edición e importación CSV) y el formulario
+ * de usuario, que además muestra la fortaleza mientras se escribe.
+ *
+ * Reglas de la política:
+ * - longitudMinima / longitudMaxima
+ * - mayusculas, minusculas, numeros, simbolos: exigir al menos uno de cada clase
+ * - prohibidas: contraseñas comunes que se rechazan (sin distinguir mayúsculas)
+ * - sinDatosPersonales: no puede contener el nombre ni el email del usuario
+ *
+ * @module password
+ * @author Sistema de Gestión de Usuarios
+ * @version 1.0.0
+ *
+ * @example
+ * import { Password } from './password.js';
+ *
+ * // Los mensajes salen en el idioma de la interfaz (ver js/i18n.js)
+ * Password.validar('juanperez1', { nombre: 'Juan Pérez', email: 'juan@example.com' });
+ * // ['La contraseña no debe contener el nombre ni el email del usuario']
+ *
+ * Password.generar(); // "q7#Vd-mT2x!RbK9p"
+ */
+
+import { API_CONFIG } from './config.js';
+import { I18n, t } from './i18n.js';
+
+/**
+ * Clases de caracteres que la política puede exigir
+ *
+ * `alfabeto` es el que usa generar(): sin caracteres que se confunden
+ * al leerlos (l, I, 1, O, 0). El nombre y el mensaje de cada clase están
+ * en el catálogo de I18n (password.clases y password.requiere).
+ *
+ * @constant {Object<string, {patron: RegExp, alfabeto: string}>}
+ */
+const CLASES = {
+    mayusculas: {
+        patron: /\p{Lu}/u,
+        alfabeto: 'ABCDEFGHJKLMNPQRSTUVWXYZ'
+    },
+    minusculas: {
+        patron: /\p{Ll}/u,
+        alfabeto: 'abcdefghijkmnpqrstuvwxyz'
+    },
+    numeros: {
+        patron: /\d/,
+        alfabeto: '23456789'
+    },
+    simbolos: {
+        patron: /[^\p{L}\d]/u,
+        alfabeto: '!#$%&*+-=?@_'
+    }
+};
+
+/**
+ * Longitud de las contraseñas generadas (si la política no exige más)
+ * @constant {number}
+ */
+const LONGITUD_GENERADA = 16;
+
+/**
+ * Partes del nombre o del email más cortas que esto no se buscan en la contraseña
+ * @constant {number}
+ */
+const MINIMO_DATO_PERSONAL = 3;
+
+/**
+ * Pasa a minúsculas y quita los acentos (para comparar sin distinguirlos)
+ *
+ * @function normalizar
+ * @param {string} texto - Texto a normalizar
+ * @returns {string} Texto normalizado
+ */
+function normalizar(texto) {
+    return String(texto ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Partes del nombre y del email que la contraseña no puede contener
+ *
+ * @function datosPersonales
+ * @param {Object} datos - {nombre, email} del usuario
+ * @returns {Array<string>} Palabras del nombre y de la parte local del email (normalizadas)
+ *
+ * @example
+ * datosPersonales({ nombre: 'Juan Pérez', email: 'j.perez@example.com' });
+ * // ['juan', 'perez', 'j.perez', 'perez']
+ */
+function datosPersonales({ nombre, email } = {}) {
+    const local = normalizar(email).split('@')[0];
+    return [
+        ...normalizar(nombre).split(/\s+/),
+        local,
+        ...local.split(/[._+-]/)
+    ].filter(parte => parte.length >= MINIMO_DATO_PERSONAL);
+}
+
+/**
+ * Índice al azar en [0, maximo) con crypto.getRandomValues
+ *
+ * Descarta los valores del último tramo incompleto para que todos los
+ * índices tengan la misma probabilidad.
+ *
+ * @function indiceAleatorio
+ * @param {number} maximo - Cantidad de opciones
+ * @returns {number} Índice elegido
+ */
+function indiceAleatorio(maximo) {
+    const limite = Math.floor(0x100000000 / maximo) * maximo;
+    const valor = new Uint32Array(1);
+    do {
+        crypto.getRandomValues(valor);
+    } while (valor[0] >= limite);
+    return valor[0] % maximo;
+}
+
+/**
+ * Password - Objeto Singleton que aplica la política de contraseñas
+ *
+ * @namespace Password
+ * @type {Object}
+ */
+export const Password = {
+    /**
+     * Política en uso (resuelta por Config.inicializar)
+     * @memberof Password
+     * @returns {Object} API_CONFIG.POLITICA_PASSWORD
+     */
+    politica() {
+        return API_CONFIG.POLITICA_PASSWORD;
+    },
+
+    /**
+     * Describe los requisitos de la política (texto de ayuda del formulario)
+     *
+     * @memberof Password
+     * @returns {string} P.ej. "Mínimo 10 caracteres, con mayúsculas y números, sin el nombre ni el email"
+     */
+    describir() {
+        const politica = this.politica();
+        const clases = Object.keys(CLASES).filter(clase => politica[clase]).map(clase => t(`password.clases.${clase}`));
+
+        const partes = [t('password.minimo', { cantidad: politica.longitudMinima })];
+        if (clases.length > 0) {
+            const lista = new Intl.ListFormat(I18n.idioma(), { type: 'conjunction' }).format(clases);
+            partes.push(t('password.con', { clases: lista }));
+        }
+        if (politica.sinDatosPersonales) {
+            partes.push(t('password.sinDatosPersonales'));
+        }
+        return partes.join(', ');
+    },
+
+    /**
+     * Valida una contraseña contra la política
+     *
+     * @memberof Password
+     * @param {string} password - Contraseña a validar
+     * @param {Object} [datos={}] - {nombre, email} del usuario (para sinDatosPersonales)
+     * @returns {Array<string>} Un mensaje por regla incumplida (vacío si es válida)
+     *
+     * @example
+     * Password.validar('123456'); // ['La contraseña es demasiado común: elija otra']
+     */
+    validar(password, datos = {}) {
+        const politica = this.politica();
+        const errores = [];
+
+        if (password.length < politica.longitudMinima) {
+            errores.push(t('password.longitudMinima', { cantidad: politica.longitudMinima }));
+        }
+        if (password.length > politica.longitudMaxima) {
+            errores.push(t('password.longitudMaxima', { cantidad: politica.longitudMaxima }));
+        }
+
+        Object.entries(CLASES).forEach(([clase, { patron }]) => {
+            if (politica[clase] && !patron.test(password)) errores.push(t(`password.requiere.${clase}`));
+        });
+
+        if (politica.prohibidas.includes(password.toLowerCase())) {
+            errores.push(t('password.comun'));
+        }
+
+        if (politica.sinDatosPersonales) {
+            const normalizada = normalizar(password);
+            if (datosPersonales(datos).some(parte => normalizada.includes(parte))) {
+                errores.push(t('password.datosPersonales'));
+            }
+        }
+
+        return errores;
+    },
+
+    /**
+     * Evalúa la fortaleza de una contraseña (medidor del formulario)
+     *
+     * El nivel sube con la longitud y la variedad de caracteres, baja con
+     * repeticiones (aaa) y no pasa de 1 si la contraseña no cumple la política.
+     *
+     * @memberof Password
+     * @param {string} password - Contraseña a evaluar
+     * @param {Object} [datos={}] - {nombre, email} del usuario
+     * @returns {{nivel: number, errores: Array<string>}} Nivel de 0 (muy débil) a 4 (muy fuerte)
+     *          y las reglas incumplidas
+     */
+    evaluar(password, datos = {}) {
+        const errores = this.validar(password, datos);
+        const variedad = Object.values(CLASES).filter(({ patron }) => patron.test(password)).length;
+
+        let nivel = 0;
+        if (password.length >= 8) nivel++;
+        if (password.length >= 12) nivel++;
+        if (variedad >= 3) nivel++;
+        if (password.length >= 16 || (variedad === 4 && password.length >= 10)) nivel++;
+        if (/(.)\1\1/.test(password)) nivel = Math.max(0, nivel - 1);
+        if (errores.length > 0) nivel = Math.min(nivel, 1);
+
+        return { nivel, errores };
+    },
+
+    /**
+     * Genera una contraseña aleatoria que cumple la política
+     *
+     * Usa crypto.getRandomValues e incluye al menos un carácter de cada
+     * clase, esté exigida o no.
+     *
+     * @memberof Password
+     * @param {Object} [datos={}] - {nombre, email} del usuario (la contraseña no los contendrá)
+     * @returns {string} Contraseña generada
+     */
+    generar(datos = {}) {
+        const politica = this.politica();
+        const longitud = Math.min(Math.max(LONGITUD_GENERADA, politica.longitudMinima), politica.longitudMaxima);
+        const alfabetos = Object.values(CLASES).map(({ alfabeto }) => alfabeto);
+        const todos = alfabetos.join('');
+
+        let password;
+        do {
+            const caracteres = alfabetos.map(alfabeto => alfabeto[indiceAleatorio(alfabeto.length)]);
+            while (caracteres.length < longitud) {
+                caracteres.push(todos[indiceAleatorio(todos.length)]);
+            }
+            // Mezclar (Fisher-Yates) para que las clases obligatorias no queden al principio
+            for (let i = caracteres.length - 1; i > 0; i--) {
+                const j = indiceAleatorio(i + 1);
+                [caracteres[i], caracteres[j]] = [caracteres[j], caracteres[i]];
+            }
+            password = caracteres.slice(0, longitud).join('');
+        } while (this.validar(password, datos).length > 0);
+
+        return password;
+    }
+};
@@ -0,0 +1,245 @@
+/**
+ * Módulo Router - Rutas de la aplicación en el hash de la URL
+ *
+ * Cada vista tiene su dirección, de modo que se puede compartir un enlace
+ * a un usuario o a su edición y usar los botones atrás/adelante del
+ * navegador:
+ *
+ * - #/usuarios               Lista de usuarios (también con el hash vacío)
+ * - #/usuarios/:id           Detalle de un usuario
+ * - #/usuarios/:id/editar    Detalle con el formulario de edición abierto
+ * - #/acerca-de              Versión de la aplicación y API configurada
+ * - #/auditoria              Registro de altas, ediciones y eliminaciones
+ *
+ * Usa el hash (y no rutas reales) porque el sitio es estático: cualquier
+ * dirección sirve el mismo index.html sin configurar el servidor.
+ *
+ * @module router
+ * @author Sistema de Gestión de Usuarios
+ * @version 1.0.0
+ *
+ * @example
+ * import { Router } from './router.js';
+ *
+ * Router.suscribir(ruta => console.log(ruta.nombre, ruta.params));
+ * Router.iniciar(); // notifica la ruta actual
+ *
+ * Router.navegar(Router.enlace('detalle', { id: 7 })); // "#/usuarios/7"
+ */
+
+/**
+ * Rutas conocidas: nombre → patrón (los segmentos ":param" son parámetros)
+ * @constant {Object<string, string>}
+ */
+const RUTAS = {
+    usuarios: '/usuarios',
+    detalle: '/usuarios/:id',
+    editar: '/usuarios/:id/editar',
+    acercaDe: '/acerca-de',
+    auditoria: '/auditoria'
+};
+
+/**
+ * Ruta a la que llevan el hash vacío y las direcciones desconocidas
+ * @constant {string}
+ */
+const RUTA_INICIAL = 'usuarios';
+
+/**
+ * Compara un hash con el patrón de una ruta
+ *
+ * @function coincidir
+ * @param {string} patron - Patrón de RUTAS (p.ej. '/usuarios/:id')
+ * @param {string} camino - Hash sin el '#' (p.ej. '/usuarios/7')
+ * @returns {Object<string, string>|null} Parámetros o null si no coincide (también si
+ *          un parámetro tiene un escape % inválido)
+ *
+ * @example
+ * coincidir('/usuarios/:id', '/usuarios/7'); // { id: '7' }
+ * coincidir('/usuarios/:id', '/usuarios/%E0%A4%A'); // null
+ */
+function coincidir(patron, camino) {
+    const partesPatron = patron.split('/');
+    const partesCamino = camino.replace(/\/+$/, '').split('/');
+    if (partesPatron.length !== partesCamino.length) {
+        return null;
+    }
+
+    const params = {};
+    const coincide = partesPatron.every((parte, i) => {
+        if (parte.startsWith(':')) {
+            try {
+                params[parte.slice(1)] = decodeURIComponent(partesCamino[i]);
+            } catch {
+                return false; // URIError: un enlace mal copiado lleva a la ruta inicial
+            }
+            return partesCamino[i] !== '';
+        }
+        return parte === partesCamino[i];
+    });
+    return coincide ? params : null;
+}
+
+/**
+ * Funciones a notificar cuando cambia la ruta
+ * @type {Set<Function>}
+ */
+const suscriptores = new Set();
+
+/**
+ * Hash de la última ruta notificada (evita notificar dos veces la misma)
+ * @type {string|null}
+ */
+let hashActual = null;
+
+/**
+ * Notifica la ruta actual si cambió desde la última notificación
+ *
+ * Un hash vacío o desconocido se reemplaza por la ruta inicial.
+ *
+ * @function notificar
+ */
+function notificar() {
+    const ruta = Router.resolver();
+    if (!ruta) {
+        history.replaceState(history.state, '', Router.enlace(RUTA_INICIAL));
+        notificar();
+        return;
+    }
+    if (ruta.hash === hashActual) {
+        return;
+    }
+
+    hashActual = ruta.hash;
+    suscriptores.forEach(callback => callback(ruta));
+}
+
+/**
+ * Router - Objeto Singleton que traduce el hash de la URL en rutas
+ *
+ * @namespace Router
+ * @type {Object}
+ */
+export const Router = {
+    /**
+     * Empieza a escuchar los cambios de hash y notifica la ruta actual
+     *
+     * Un hash vacío o desconocido se reemplaza por #/usuarios (sin agregar
+     * una entrada al historial). Los enlaces <a href="#/..."> de la página
+     * navegan con navegar(), como los botones de la aplicación.
+     *
+     * @memberof Router
+     */
+    iniciar() {
+        window.addEventListener('hashchange', notificar);
+        document.addEventListener('click', (evento) => {
+            const enlace = evento.target.closest('a[href^="#/"]');
+            // Ctrl/Cmd/Shift + click: dejar que el navegador abra otra pestaña o ventana
+            if (!enlace || evento.defaultPrevented || evento.button !== 0 ||
+                evento.ctrlKey || evento.metaKey || evento.shiftKey) return;
+
+            evento.preventDefault();
+            this.navegar(enlace.getAttribute('href'));
+        });
+        notificar();
+    },
+
+    /**
+     * Interpreta un hash
+     *
+     * @memberof Router
+     * @param {string} [hash=location.hash] - Hash a interpretar
+     * @returns {{nombre: string, params: Object<string, string>, hash: string}|null}
+     *          Ruta o null si no es ninguna de las conocidas
+     *
+     * @example
+     * Router.resolver('#/usuarios/7/editar'); // { nombre: 'editar', params: { id: '7' }, hash: '#/usuarios/7/editar' }
+     */
+    resolver(hash = location.hash) {
+        const camino = hash.replace(/^#/, '');
+        for (const [nombre, patron] of Object.entries(RUTAS)) {
+            const params = coincidir(patron, camino);
+            if (params) {
+                return { nombre, params, hash };
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Ruta actual
+     * @memberof Router
+     * @returns {{nombre: string, params: Object<string, string>, hash: string}|null}
+     */
+    ruta() {
+        return this.resolver();
+    },
+
+    /**
+     * Arma el hash de una ruta
+     *
+     * @memberof Router
+     * @param {string} nombre - Nombre de la ruta ('usuarios', 'detalle', 'editar', 'acercaDe', 'auditoria')
+     * @param {Object} [params={}] - Valores de los parámetros
+     * @returns {string} Hash con '#'
+     *
+     * @example
+     * Router.enlace('editar', { id: 7 }); // "#/usuarios/7/editar"
+     */
+    enlace(nombre, params = {}) {
+        return '#' + RUTAS[nombre].replace(/:(\w+)/g, (marcador, param) => encodeURIComponent(params[param]));
+    },
+
+    /**
+     * Va a una ruta
+     *
+     * Las entradas que agrega quedan marcadas en history.state para que
+     * volver() sepa si la anterior es de la aplicación.
+     *
+     * @memberof Router
+     * @param {string} hash - Hash de destino (ver enlace())
+     * @param {Object} [opciones={}] - Opciones de navegación
+     * @param {boolean} [opciones.reemplazar=false] - Reemplazar la entrada actual del historial
+     */
+    navegar(hash, { reemplazar = false } = {}) {
+        if (hash === location.hash) {
+            return;
+        }
+
+        if (reemplazar) {
+            history.replaceState(history.state, '', hash);
+        } else {
+            history.pushState({ interna: true }, '', hash);
+        }
+        notificar();
+    },
+
+    /**
+     * Vuelve a la ruta anterior si es de la aplicación o va a la indicada
+     *
+     * Con un enlace abierto directamente (sin entrada anterior propia),
+     * history.back() saldría de la aplicación: se reemplaza por `alternativa`.
+     *
+     * @memberof Router
+     * @param {string} alternativa - Hash si no hay una ruta anterior propia
+     */
+    volver(alternativa) {
+        if (history.state?.interna) {
+            history.back();
+        } else {
+            this.navegar(alternativa, { reemplazar: true });
+        }
+    },
+
+    /**
+     * Registra una función que se llama al cambiar de ruta
+     *
+     * @memberof Router
+     * @param {Function} callback - Recibe {nombre, params, hash}
+     * @returns {Function} Función para cancelar la suscripción
+     */
+    suscribir(callback) {
+        suscriptores.add(callback);
+        return () => suscriptores.delete(callback);
+    }
+};
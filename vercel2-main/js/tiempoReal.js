@@ -0,0 +1,464 @@
+/**
+ * Módulo TiempoReal - Cambios hechos por otras personas, en vivo
+ *
+ * Se suscribe al stream de cambios del backend (`BASE_URL/stream`) para
+ * que la tabla refleje altas, ediciones y eliminaciones sin presionar
+ * "Recargar". Según API_CONFIG.TIEMPO_REAL:
+ *
+ * - 'auto': Server-Sent Events; si el backend no lo ofrece, WebSocket
+ * - 'sse' o 'websocket': solo ese transporte
+ * - 'sondeo': sin stream, consulta periódica
+ * - 'desactivado': nada
+ *
+ * Con el backend simulado (API_CONFIG.MOCK) no hay stream: siempre se
+ * sondea, así los cambios hechos en otra pestaña también se ven.
+ *
+ * Si ningún stream está disponible se consulta la lista cada
+ * API_CONFIG.INTERVALO_SONDEO ms (0 = sin sondeo). Un stream que llegó a
+ * funcionar y se cortó se vuelve a intentar (con espera creciente) y
+ * mientras tanto se sondea.
+ *
+ * Con login (API_CONFIG.AUTH_HABILITADA) el token no va en la URL del
+ * stream, donde quedaría en los logs del servidor y de los proxies.
+ * Según API_CONFIG.AUTH_STREAM:
+ *
+ * - 'ticket': antes de cada conexión se pide un ticket de un solo uso
+ *   (POST `BASE_URL/stream/ticket`, con el token en Authorization) y la
+ *   URL lleva `?ticket=`
+ * - 'cookie': la URL va sin credenciales y el navegador envía la cookie
+ *   de sesión del backend
+ * - 'url': el token en el parámetro `access_token`, solo para backends que
+ *   no ofrecen otra forma
+ *
+ * Este módulo no modifica la tabla: entrega los eventos normalizados a
+ * App, que los aplica (ver App.aplicarCambioRemoto).
+ *
+ * Formato de los eventos del backend (SSE con `event: created|updated|deleted`
+ * o mensajes WebSocket/SSE sin nombre con el tipo en el JSON):
+ *
+ *   { "type": "updated", "usuario": { "id": 7, "nombre": "Ana", "email": "ana@x.com" } }
+ *   { "type": "deleted", "id": 7 }
+ *
+ * @module tiempoReal
+ * @author Sistema de Gestión de Usuarios
+ * @version 1.0.0
+ *
+ * @example
+ * import { TiempoReal } from './tiempoReal.js';
+ *
+ * TiempoReal.iniciar({
+ *   alCambio: ({ tipo, id, usuario }) => console.log(tipo, id, usuario),
+ *   alSondear: () => app.sondearUsuarios()
+ * });
+ */
+
+import { API_CONFIG } from './config.js';
+import { Auth } from './auth.js';
+import { API, Logger } from './api.js';
+
+/**
+ * Ruta del stream de cambios (relativa a BASE_URL)
+ * @constant {string}
+ */
+const RUTA_STREAM = '/stream';
+
+/**
+ * Ruta que emite los tickets del stream (relativa a BASE_URL)
+ * @constant {string}
+ */
+const RUTA_TICKET = '/stream/ticket';
+
+/**
+ * Errores seguidos, sin llegar a conectar, tras los que se abandona un transporte
+ * @constant {number}
+ */
+const MAX_FALLOS_CONEXION = 3;
+
+/**
+ * Espera inicial para reconectar un stream que se cortó (se duplica en cada intento)
+ * @constant {number}
+ */
+const RETRASO_RECONEXION = 5000;
+
+/**
+ * Espera máxima entre intentos de reconexión
+ * @constant {number}
+ */
+const RETRASO_RECONEXION_MAXIMO = 300000;
+
+/**
+ * Nombres de evento aceptados y su operación ('crear', 'actualizar', 'eliminar')
+ * @constant {Object<string, string>}
+ */
+const TIPOS_EVENTO = {
+    created: 'crear',
+    creado: 'crear',
+    updated: 'actualizar',
+    actualizado: 'actualizar',
+    deleted: 'eliminar',
+    eliminado: 'eliminar'
+};
+
+/**
+ * Estado de la suscripción
+ * - callbacks: {alCambio, alSondear} recibidos en iniciar()
+ * - transportes: transportes pendientes de probar, en orden
+ * - conexion: EventSource o WebSocket abierto (o null)
+ * - modo: 'sse', 'websocket', 'sondeo' o null
+ * - reintentos: reconexiones seguidas de un stream que se cortó
+ * - funciono: true si algún stream llegó a conectar
+ * @type {Object|null}
+ */
+let estado = null;
+
+/**
+ * Temporizador del sondeo periódico
+ * @type {number|null}
+ */
+let temporizadorSondeo = null;
+
+/**
+ * Temporizador de la próxima reconexión del stream
+ * @type {number|null}
+ */
+let temporizadorReconexion = null;
+
+/**
+ * Arma la URL del stream para un transporte
+ *
+ * EventSource y WebSocket no permiten enviar la cabecera Authorization:
+ * con sesión, la URL lleva un ticket o, solo con AUTH_STREAM 'url', el
+ * token (ver la descripción del módulo).
+ *
+ * @async
+ * @function construirUrlStream
+ * @param {string} transporte - 'sse' o 'websocket'
+ * @returns {Promise<string>} URL absoluta (http(s) o ws(s))
+ * @throws {ApiError} Si no se pudo obtener el ticket
+ */
+async function construirUrlStream(transporte) {
+    const url = new URL(`${API_CONFIG.BASE_URL}${RUTA_STREAM}`);
+    const token = API_CONFIG.AUTH_HABILITADA ? Auth.obtenerToken() : null;
+    if (token && API_CONFIG.AUTH_STREAM === 'ticket') {
+        url.searchParams.set('ticket', await API.obtenerTicketStream(`${API_CONFIG.BASE_URL}${RUTA_TICKET}`));
+    } else if (token && API_CONFIG.AUTH_STREAM === 'url') {
+        url.searchParams.set('access_token', token);
+    }
+    if (transporte === 'websocket') {
+        url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+    }
+    return url.href;
+}
+
+/**
+ * Convierte un mensaje del backend en un cambio {tipo, id, usuario}
+ *
+ * @function normalizarEvento
+ * @param {string|null} nombre - Nombre del evento SSE (null en mensajes sin nombre)
+ * @param {string} texto - Cuerpo del mensaje (JSON)
+ * @returns {{tipo: string, id: number, usuario: Object|null}|null} Cambio o null si no se reconoce
+ *
+ * @example
+ * normalizarEvento('updated', '{"id":7,"nombre":"Ana"}');
+ * // { tipo: 'actualizar', id: 7, usuario: { id: 7, nombre: 'Ana' } }
+ */
+function normalizarEvento(nombre, texto) {
+    let datos;
+    try {
+        datos = JSON.parse(texto);
+    } catch {
+        return null;
+    }
+    if (!datos || typeof datos !== 'object') return null;
+
+    const { type, tipo: tipoEnCuerpo, ...resto } = datos;
+    const tipo = TIPOS_EVENTO[String(nombre ?? type ?? tipoEnCuerpo ?? '').toLowerCase()];
+    const contenido = datos.usuario ?? datos.data ?? resto;
+    const usuario = contenido && typeof contenido === 'object' && Number.isInteger(contenido.id) && 'nombre' in contenido
+        ? contenido
+        : null;
+    const id = Number(usuario?.id ?? contenido?.id ?? datos.id);
+
+    if (!tipo || !Number.isInteger(id)) return null;
+    return { tipo, id, usuario: tipo === 'eliminar' ? null : usuario };
+}
+
+/**
+ * Entrega un mensaje del stream a App
+ *
+ * @function recibir
+ * @param {string|null} nombre - Nombre del evento SSE
+ * @param {string} texto - Cuerpo del mensaje
+ */
+function recibir(nombre, texto) {
+    const cambio = normalizarEvento(nombre, texto);
+    if (!cambio) {
+        Logger.warn('Evento de tiempo real no reconocido:', nombre, texto);
+        return;
+    }
+
+    try {
+        estado?.callbacks.alCambio(cambio);
+    } catch (error) {
+        Logger.error('Error al aplicar un cambio en tiempo real:', error);
+    }
+}
+
+/**
+ * Comienza a consultar la lista periódicamente (si INTERVALO_SONDEO > 0)
+ *
+ * @function iniciarSondeo
+ */
+function iniciarSondeo() {
+    detenerSondeo();
+    if (!estado || API_CONFIG.INTERVALO_SONDEO === 0) return;
+
+    temporizadorSondeo = setInterval(() => estado?.callbacks.alSondear(), API_CONFIG.INTERVALO_SONDEO);
+}
+
+/**
+ * Detiene el sondeo periódico
+ *
+ * @function detenerSondeo
+ */
+function detenerSondeo() {
+    clearInterval(temporizadorSondeo);
+    temporizadorSondeo = null;
+}
+
+/**
+ * Cierra la conexión del stream (si hay una abierta)
+ *
+ * @function cerrarConexion
+ */
+function cerrarConexion() {
+    const conexion = estado?.conexion;
+    if (!conexion) return;
+
+    estado.conexion = null;
+    conexion.onopen = conexion.onerror = conexion.onclose = conexion.onmessage = null;
+    conexion.close();
+}
+
+/**
+ * Conecta con el siguiente transporte disponible o, si no quedan, sondea
+ *
+ * @function conectarSiguiente
+ */
+function conectarSiguiente() {
+    cerrarConexion();
+
+    while (estado.transportes.length > 0) {
+        const transporte = estado.transportes.shift();
+        if (transporte === 'sse' && typeof EventSource !== 'undefined') {
+            conectarSse();
+            return;
+        }
+        if (transporte === 'websocket' && typeof WebSocket !== 'undefined') {
+            conectarWebSocket();
+            return;
+        }
+    }
+
+    if (estado.modo !== 'sondeo') {
+        Logger.log(API_CONFIG.INTERVALO_SONDEO > 0
+            ? `🔁 Sin stream de cambios: consulta cada ${API_CONFIG.INTERVALO_SONDEO / 1000} s`
+            : '🔁 Sin stream de cambios y sin sondeo: use "Recargar"');
+    }
+    estado.modo = 'sondeo';
+    iniciarSondeo();
+}
+
+/**
+ * Marca el stream como conectado (deja de sondear)
+ *
+ * @function alConectar
+ * @param {string} transporte - 'sse' o 'websocket'
+ */
+function alConectar(transporte) {
+    estado.modo = transporte;
+    estado.reintentos = 0;
+    estado.funciono = true;
+    detenerSondeo();
+    Logger.log(`📡 Cambios en tiempo real conectados (${transporte === 'sse' ? 'SSE' : 'WebSocket'})`);
+}
+
+/**
+ * Maneja un stream que se cortó o que no se pudo abrir
+ *
+ * Si nunca llegó a conectar, se prueba el siguiente transporte. Si ya
+ * había funcionado, se sondea y se reintenta el mismo transporte más tarde.
+ *
+ * @function alFallar
+ * @param {string} transporte - 'sse' o 'websocket'
+ */
+function alFallar(transporte) {
+    if (!estado.funciono) {
+        Logger.warn(`Stream de cambios no disponible (${transporte})`);
+        conectarSiguiente();
+        return;
+    }
+
+    cerrarConexion();
+    estado.modo = 'sondeo';
+    iniciarSondeo();
+
+    const espera = Math.min(RETRASO_RECONEXION * 2 ** estado.reintentos, RETRASO_RECONEXION_MAXIMO);
+    estado.reintentos++;
+    Logger.warn(`Stream de cambios cortado; se reintenta en ${Math.round(espera / 1000)} s`);
+
+    clearTimeout(temporizadorReconexion);
+    temporizadorReconexion = setTimeout(() => {
+        if (!estado) return;
+        estado.transportes = [transporte];
+        conectarSiguiente();
+    }, espera);
+}
+
+/**
+ * Obtiene la URL del stream o, si no se pudo (p.ej. el backend no emite
+ * tickets), da el transporte por fallido
+ *
+ * @async
+ * @function prepararConexion
+ * @param {string} transporte - 'sse' o 'websocket'
+ * @returns {Promise<string|null>} URL o null si no hay que conectar (también si
+ *          la suscripción se detuvo o reinició mientras tanto)
+ */
+async function prepararConexion(transporte) {
+    const suscripcion = estado;
+    try {
+        const url = await construirUrlStream(transporte);
+        return estado === suscripcion ? url : null;
+    } catch (error) {
+        if (estado !== suscripcion) return null;
+        Logger.warn(`No se pudo autenticar el stream de cambios (${transporte}):`, error.message);
+        alFallar(transporte);
+        return null;
+    }
+}
+
+/**
+ * Abre el stream con Server-Sent Events
+ *
+ * EventSource reconecta solo ante cortes de red; si el backend responde
+ * con error (p.ej. 404 porque no ofrece /stream) pasa a CLOSED. Con
+ * AUTH_STREAM 'cookie' la petición lleva las cookies aunque el backend
+ * esté en otro origen.
+ *
+ * @async
+ * @function conectarSse
+ */
+async function conectarSse() {
+    const url = await prepararConexion('sse');
+    if (!url) return;
+
+    const fuente = new EventSource(url, { withCredentials: API_CONFIG.AUTH_STREAM === 'cookie' });
+    let fallos = 0;
+    estado.conexion = fuente;
+
+    fuente.onopen = () => {
+        fallos = 0;
+        alConectar('sse');
+    };
+    fuente.onerror = () => {
+        fallos++;
+        if (fuente.readyState === EventSource.CLOSED || (!estado.funciono && fallos >= MAX_FALLOS_CONEXION)) {
+            alFallar('sse');
+        }
+    };
+    fuente.onmessage = (evento) => recibir(null, evento.data);
+    ['created', 'updated', 'deleted'].forEach(nombre => {
+        fuente.addEventListener(nombre, (evento) => recibir(nombre, evento.data));
+    });
+}
+
+/**
+ * Abre el stream con WebSocket
+ *
+ * @async
+ * @function conectarWebSocket
+ */
+async function conectarWebSocket() {
+    const url = await prepararConexion('websocket');
+    if (!url) return;
+
+    const socket = new WebSocket(url);
+    estado.conexion = socket;
+
+    socket.onopen = () => alConectar('websocket');
+    socket.onmessage = (evento) => recibir(null, evento.data);
+    socket.onclose = () => alFallar('websocket');
+}
+
+/**
+ * TiempoReal - Objeto Singleton con la suscripción a cambios remotos
+ *
+ * @namespace TiempoReal
+ * @type {Object}
+ */
+export const TiempoReal = {
+    /**
+     * Comienza a recibir cambios (reinicia la suscripción si ya estaba activa)
+     *
+     * @memberof TiempoReal
+     * @param {Object} callbacks - Receptores de los cambios
+     * @param {Function} callbacks.alCambio - Recibe {tipo, id, usuario} por cada evento del stream
+     * @param {Function} callbacks.alSondear - Se llama cada INTERVALO_SONDEO ms cuando no hay stream
+     */
+    iniciar(callbacks) {
+        this.detener();
+
+        const modo = API_CONFIG.TIEMPO_REAL;
+        if (modo === 'desactivado') return;
+
+        // El backend simulado no tiene /stream: directamente al sondeo
+        const sinStream = modo === 'sondeo' || API_CONFIG.MOCK;
+
+        estado = {
+            callbacks,
+            transportes: sinStream ? [] : modo === 'auto' ? ['sse', 'websocket'] : [modo],
+            conexion: null,
+            modo: null,
+            reintentos: 0,
+            funciono: false
+        };
+        conectarSiguiente();
+    },
+
+    /**
+     * Vuelve a conectar el stream (p.ej. con el token de una sesión nueva)
+     *
+     * No hace nada si la suscripción no está activa.
+     *
+     * @memberof TiempoReal
+     */
+    reconectar() {
+        if (estado) {
+            this.iniciar(estado.callbacks);
+        }
+    },
+
+    /**
+     * Cierra el stream y detiene el sondeo
+     *
+     * @memberof TiempoReal
+     */
+    detener() {
+        cerrarConexion();
+        detenerSondeo();
+        clearTimeout(temporizadorReconexion);
+        temporizadorReconexion = null;
+        estado = null;
+    },
+
+    /**
+     * Transporte en uso
+     *
+     * @memberof TiempoReal
+     * @returns {string|null} 'sse', 'websocket', 'sondeo' o null (desactivado o conectando)
+     */
+    obtenerModo() {
+        return estado?.modo ?? null;
+    }
+};
@@ -10,6 +10,8 @@
  * @version 1.0.0
  *
  * @requires Bootstrap 5.3.2 - Para modales y componentes UI
+ * @requires i18n - Textos de la interfaz en el idioma elegido
+ * @requires esquema - Campos del usuario (columnas de la tabla y controles del formulario)
  *
  * @example
  * // Importar el módulo UI
@@ -22,6 +24,204 @@
  * UI.mostrarAlerta('Usuario creado exitosamente', 'success');
  */
 
+import { I18n, t } from './i18n.js';
+import { Router } from './router.js';
+import { Esquema } from './esquema.js';
+
+/**
+ * Tipo del <input> de cada tipo de campo del esquema
+ * (los demás tipos tienen su propio control: checkbox o select)
+ * @constant {Object<string, string>}
+ */
+const TIPOS_INPUT = {
+    texto: 'text',
+    email: 'email',
+    telefono: 'tel',
+    fecha: 'date'
+};
+
+/**
+ * Arma el encabezado de una columna de la tabla de usuarios
+ *
+ * @function crearEncabezado
+ * @param {import('./esquema.js').CampoUsuario} campo - Campo de la columna
+ * @returns {string} HTML del <th> (ordenable si el campo lo indica)
+ */
+function crearEncabezado(campo) {
+    const clases = [campo.tipo === 'id' ? 'text-center' : '', campo.ordenable ? 'th-ordenable' : '']
+        .filter(Boolean).join(' ');
+    const orden = campo.ordenable ? ` data-orden="${campo.nombre}" aria-sort="none" tabindex="0"` : '';
+
+    return `
+        <th scope="col" class="${clases}"${orden} data-i18n="${campo.etiqueta}">
+            ${t(campo.etiqueta)}${campo.ordenable ? ' <i class="bi bi-arrow-down-up icono-orden"></i>' : ''}
+        </th>`;
+}
+
+/**
+ * Arma el control de un campo en el formulario de usuario
+ *
+ * Las reglas del esquema se vuelven atributos de validación HTML5
+ * (required, minlength, maxlength, pattern) y el mensaje del campo
+ * queda en su invalid-feedback.
+ *
+ * @function crearControl
+ * @param {import('./esquema.js').CampoUsuario} campo - Campo a dibujar
+ * @returns {string} HTML del bloque .mb-3
+ */
+function crearControl(campo) {
+    const { nombre, reglas = {} } = campo;
+    const etiqueta = campo.etiquetaFormulario ?? campo.etiqueta;
+    const mensaje = campo.mensaje ?? 'formulario.campoInvalido';
+    const feedback = `<div class="invalid-feedback" data-i18n="${mensaje}">${t(mensaje)}</div>`;
+
+    if (campo.tipo === 'booleano') {
+        return `
+            <div class="mb-3">
+                <div class="form-check form-switch">
+                    <input class="form-check-input" type="checkbox" role="switch" id="${nombre}" name="${nombre}"
+                        ${campo.porDefecto ? 'checked' : ''}>
+                    <label class="form-check-label" for="${nombre}" data-i18n="${etiqueta}">${t(etiqueta)}</label>
+                    ${feedback}
+                </div>
+            </div>`;
+    }
+
+    const atributos = [
+        `id="${nombre}"`,
+        `name="${nombre}"`,
+        campo.requerido ? 'required' : '',
+        reglas.longitudMinima ? `minlength="${reglas.longitudMinima}"` : '',
+        reglas.longitudMaxima ? `maxlength="${reglas.longitudMaxima}"` : '',
+        reglas.patron ? `pattern="${reglas.patron.source}"` : '',
+        campo.ejemplo ? `placeholder="${t(campo.ejemplo)}" data-i18n-placeholder="${campo.ejemplo}"` : ''
+    ].filter(Boolean).join(' ');
+
+    let control = campo.tipo === 'seleccion'
+        ? `<select class="form-select" ${atributos}>
+                <option value="" data-i18n="formulario.sinSeleccion">${t('formulario.sinSeleccion')}</option>
+                ${reglas.opciones.map(({ valor, etiqueta: texto }) => `
+                <option value="${valor}" data-i18n="${texto}"${valor === campo.porDefecto ? ' selected' : ''}>${t(texto)}</option>`).join('')}
+            </select>`
+        : `<input type="${TIPOS_INPUT[campo.tipo] ?? 'text'}" class="form-control" ${atributos}
+                ${campo.porDefecto != null ? `value="${campo.porDefecto}"` : ''}>`;
+
+    // Disponibilidad: ícono de estado al lado del input (ver App.verificarEmail)
+    if (campo.disponibilidad) {
+        const estado = `estado${nombre.charAt(0).toUpperCase()}${nombre.slice(1)}`;
+        control = `
+            <div class="input-group has-validation">
+                ${control}
+                <span class="input-group-text" id="${estado}" aria-live="polite">
+                    <i class="bi bi-${campo.icono ?? 'question-circle'} text-muted" aria-hidden="true"></i>
+                </span>
+                ${feedback}
+            </div>`;
+    } else {
+        control += feedback;
+    }
+
+    return `
+        <div class="mb-3">
+            <label for="${nombre}" class="form-label" data-i18n="${etiqueta}">
+                ${campo.icono ? `<i class="bi bi-${campo.icono} me-1"></i>` : ''}${t(etiqueta)}
+                ${campo.requerido ? '<span class="text-danger">*</span>' : ''}
+            </label>
+            ${control}
+        </div>`;
+}
+
+/**
+ * Texto con el que se muestra el valor de un campo
+ *
+ * @function textoDeCampo
+ * @param {import('./esquema.js').CampoUsuario|null} campo - Campo (null si no está en el esquema)
+ * @param {*} valor - Valor del usuario
+ * @returns {string} Sí/No, la etiqueta de la opción, la fecha en el idioma en uso,
+ *          el valor tal cual o '' si está vacío
+ *
+ * @example
+ * textoDeCampo(Esquema.campo('departamento'), 'rrhh'); // 'Recursos Humanos'
+ */
+function textoDeCampo(campo, valor) {
+    if (valor === null || valor === undefined || valor === '') {
+        return '';
+    }
+    if (campo?.tipo === 'booleano') {
+        return t(valor ? 'formulario.si' : 'formulario.no');
+    }
+    if (campo?.tipo === 'seleccion') {
+        const opcion = campo.reglas.opciones.find(o => o.valor === valor);
+        return opcion ? t(opcion.etiqueta) : String(valor);
+    }
+    if (campo?.tipo === 'fecha') {
+        const fecha = new Date(valor);
+        return isNaN(fecha) ? String(valor) : new Intl.DateTimeFormat(I18n.idioma(), { dateStyle: 'medium' }).format(fecha);
+    }
+    return String(valor);
+}
+
+/**
+ * Celda de un campo en la vista previa de la importación
+ *
+ * @function celdaVistaPrevia
+ * @param {import('./esquema.js').CampoUsuario} campo - Campo del formulario
+ * @param {*} valor - Valor leído del CSV (un booleano no reconocido llega como texto)
+ * @returns {string} HTML escapado; la contraseña nunca se muestra
+ */
+function celdaVistaPrevia(campo, valor) {
+    const vacio = '<span class="text-muted">—</span>';
+    if (campo.tipo === 'password') {
+        return valor ? '••••••' : vacio;
+    }
+    const texto = campo.tipo === 'booleano' && typeof valor !== 'boolean'
+        ? String(valor ?? '')
+        : textoDeCampo(campo, valor);
+    return texto ? UI.escaparHTML(texto) : vacio;
+}
+
+/**
+ * Genera desde el esquema las columnas de la tabla, los campos del
+ * formulario y las columnas del asistente de importación
+ *
+ * Se ejecuta al cargar el módulo, antes de armar la caché DOM, para que
+ * los controles generados (DOM.nombre, DOM.email, DOM.estadoEmail,
+ * DOM.selectoresMapeo) y los encabezados ordenables ya existan al
+ * buscarlos. El control de la contraseña no se genera: su bloque está
+ * escrito en index.html.
+ *
+ * @function generarDesdeEsquema
+ */
+function generarDesdeEsquema() {
+    const columnaAcciones = document.querySelector('#tablaUsuarios thead th:last-child');
+    columnaAcciones.insertAdjacentHTML('beforebegin', Esquema.enTabla().map(crearEncabezado).join(''));
+
+    document.getElementById('camposUsuario').innerHTML = Esquema.formulario()
+        .filter(campo => campo.tipo !== 'password')
+        .map(crearControl)
+        .join('');
+
+    // Importación CSV: un selector de columna y una columna de la vista previa por campo
+    document.getElementById('mapeoImportacion').innerHTML = Esquema.formulario().map(({ nombre, etiqueta, requerido }) => {
+        const id = `mapeo${nombre.charAt(0).toUpperCase()}${nombre.slice(1)}`;
+        return `
+            <div class="col-md-4">
+                <label for="${id}" class="form-label">
+                    <span data-i18n="${etiqueta}">${t(etiqueta)}</span>
+                    ${requerido ? '<span class="text-danger">*</span>' : ''}
+                </label>
+                <select class="form-select mapeo-columna" id="${id}" data-campo="${nombre}"></select>
+            </div>`;
+    }).join('');
+
+    const columnaEstado = document.querySelector('#modalImportar thead th:last-child');
+    columnaEstado.insertAdjacentHTML('beforebegin', Esquema.formulario()
+        .map(({ etiqueta }) => `<th scope="col" data-i18n="${etiqueta}">${t(etiqueta)}</th>`)
+        .join(''));
+}
+
+generarDesdeEsquema();
+
 /**
  * Objeto DOM - Caché de referencias a elementos del DOM
  *
@@ -31,22 +231,55 @@
  *
  * @namespace DOM
  * @type {Object}
+ * @property {NodeListOf<HTMLElement>} vistas - Secciones de cada ruta (data-vista)
+ * @property {NodeListOf<HTMLAnchorElement>} enlacesVista - Enlaces del navbar a cada vista (data-vista)
+ * @property {HTMLElement} migaDetalle - Última miga de pan del detalle (nombre del usuario)
+ * @property {HTMLDivElement} cargandoDetalle - Spinner del detalle
+ * @property {HTMLDivElement} errorDetalle - Mensaje del detalle cuando el usuario no existe o no se pudo cargar
+ * @property {HTMLElement} textoErrorDetalle - Texto de ese mensaje
+ * @property {HTMLDivElement} tarjetaDetalle - Tarjeta con los datos del usuario
+ * @property {HTMLElement} tituloDetalle - Nombre del usuario en el encabezado de la tarjeta
+ * @property {HTMLDListElement} datosDetalle - Lista con un dato por campo del esquema
+ * @property {HTMLAnchorElement} btnEditarDetalle - Enlace a #/usuarios/:id/editar
+ * @property {HTMLElement} acercaDeVersion - Versión de la aplicación
+ * @property {HTMLElement} acercaDeApi - URL de la API configurada
+ * @property {HTMLElement} acercaDeEntorno - Nombre del entorno de la API
+ * @property {HTMLElement} acercaDeOrigen - De dónde sale la URL de la API
+ * @property {HTMLLIElement} navAuditoria - Ítem del navbar "Auditoría" (solo con permiso)
+ * @property {HTMLInputElement} filtroAuditoriaUsuario - Filtro por ID de usuario
+ * @property {HTMLSelectElement} filtroAuditoriaAccion - Filtro por acción
+ * @property {HTMLSpanElement} totalAuditoria - Cantidad de entradas mostradas
+ * @property {NodeListOf<HTMLButtonElement>} opcionesExportarAuditoria - Opciones de exportación del registro (data-formato)
+ * @property {HTMLTableCellElement} columnaEnvioAuditoria - Encabezado "Envío" (solo con endpoint de auditoría)
+ * @property {HTMLTableSectionElement} tablaAuditoriaBody - <tbody> del registro de auditoría
+ * @property {HTMLParagraphElement} sinAuditoria - Texto del registro vacío
+ * @property {HTMLParagraphElement} ayudaAuditoria - Cuántas entradas se conservan
  * @property {HTMLTableElement} tablaUsuarios - Elemento <table> principal
  * @property {HTMLTableSectionElement} usuariosTableBody - <tbody> de la tabla
  * @property {HTMLButtonElement} btnNuevoUsuario - Botón "Alta de Usuario"
+ * @property {HTMLButtonElement} btnCrearPrimerUsuario - Botón "Crear Primer Usuario" del estado vacío
  * @property {HTMLButtonElement} btnRecargar - Botón "Recargar"
+ * @property {HTMLButtonElement} btnExportar - Botón del menú "Exportar"
+ * @property {NodeListOf<HTMLButtonElement>} opcionesExportar - Opciones del menú (data-formato)
  * @property {HTMLButtonElement} btnGuardarUsuario - Botón "Guardar" en modal
  * @property {HTMLButtonElement} btnConfirmarEliminar - Botón "Eliminar Usuario" en modal confirmación
  * @property {HTMLFormElement} formUsuario - Formulario de crear/editar usuario
  * @property {HTMLInputElement} usuarioId - Input oculto para ID del usuario en edición
- * @property {HTMLInputElement} nombre - Input de nombre
- * @property {HTMLInputElement} email - Input de email
+ * @property {HTMLInputElement} nombre - Input de nombre (generado desde el esquema)
+ * @property {HTMLInputElement} email - Input de email (generado desde el esquema)
+ * @property {HTMLSpanElement} estadoEmail - Ícono de disponibilidad del email (input-group)
  * @property {HTMLInputElement} password - Input de contraseña
  * @property {bootstrap.Modal} modalUsuario - Instancia de Modal de Bootstrap para crear/editar
  * @property {bootstrap.Modal} modalConfirmarEliminar - Instancia de Modal de Bootstrap para confirmar eliminación
  * @property {HTMLElement} modalTitulo - Título del modal (cambia entre "Nuevo" y "Editar")
+ * @property {HTMLDivElement} avisoCambioRemoto - Aviso en el modal de usuario cuando otra persona lo modifica
  * @property {HTMLElement} passwordHint - Texto de ayuda del campo password
- * @property {HTMLDivElement} alertContainer - Contenedor de alertas
+ * @property {HTMLDivElement} alertContainer - Región aria-live donde se apilan las notificaciones
+ * @property {HTMLButtonElement} btnNotificaciones - Botón del panel de notificaciones del navbar
+ * @property {HTMLSpanElement} contadorNotificaciones - Cantidad de notificaciones sin leer
+ * @property {HTMLUListElement} listaNotificaciones - Historial de notificaciones de la sesión
+ * @property {HTMLParagraphElement} sinNotificaciones - Texto del panel sin notificaciones
+ * @property {HTMLButtonElement} btnLimpiarNotificaciones - Vacía el historial de notificaciones
  * @property {HTMLDivElement} loadingSpinner - Spinner de carga
  * @property {HTMLDivElement} emptyState - Estado vacío (sin usuarios)
  * @property {HTMLSpanElement} totalUsuarios - Badge con contador de usuarios
@@ -54,15 +287,131 @@
  * @property {HTMLSpanElement} emailUsuarioEliminar - Email en modal de confirmación
  * @property {HTMLButtonElement} togglePassword - Botón para mostrar/ocultar contraseña
  * @property {HTMLElement} togglePasswordIcon - Ícono del botón toggle password
+ * @property {HTMLButtonElement} btnGenerarPassword - Botón para generar una contraseña segura
+ * @property {HTMLDivElement} fortalezaPassword - Medidor de fortaleza de la contraseña
+ * @property {HTMLDivElement} barraFortalezaPassword - Barra del medidor de fortaleza
+ * @property {HTMLElement} textoFortalezaPassword - Nivel de fortaleza y regla incumplida
+ * @property {HTMLInputElement} buscarUsuario - Input de búsqueda por nombre/email
+ * @property {HTMLButtonElement} btnLimpiarBusqueda - Botón para limpiar la búsqueda
+ * @property {NodeListOf<HTMLTableCellElement>} encabezadosOrdenables - Encabezados <th> con data-orden
+ * @property {HTMLDivElement} paginador - Contenedor del paginador (pie de la tarjeta de la tabla)
+ * @property {HTMLUListElement} paginacion - Lista de botones de página
+ * @property {HTMLSelectElement} tamanioPagina - Selector de usuarios por página
+ * @property {HTMLSpanElement} infoPagina - Texto "Página X de Y"
+ * @property {HTMLButtonElement} btnConfiguracion - Botón "Configuración" del navbar
+ * @property {bootstrap.Modal} modalConfiguracion - Instancia de Modal de Bootstrap para la configuración
+ * @property {HTMLFormElement} formConfiguracion - Formulario de configuración
+ * @property {HTMLSelectElement} configEntorno - Selector de entorno predefinido
+ * @property {HTMLInputElement} configUrl - Input de URL de la API
+ * @property {HTMLInputElement} configTimeout - Input de timeout (ms)
+ * @property {HTMLInputElement} configDebug - Switch de modo debug
+ * @property {HTMLInputElement} configMock - Switch del backend simulado
+ * @property {HTMLInputElement} configReintentos - Input de cantidad de reintentos
+ * @property {HTMLElement} configUrlActual - URL actualmente en uso
+ * @property {HTMLSpanElement} configOrigenUrl - Origen de la URL en uso
+ * @property {HTMLDivElement} configAvisoPrioridad - Aviso de valores fijados por URL/config.json
+ * @property {HTMLButtonElement} btnGuardarConfiguracion - Botón "Guardar y recargar"
+ * @property {HTMLButtonElement} btnRestablecerConfiguracion - Botón "Restablecer"
+ * @property {HTMLDivElement} estadoReintento - Aviso de reintentos en curso
+ * @property {HTMLSpanElement} estadoReintentoTexto - Texto del aviso de reintentos
+ * @property {HTMLDivElement} vistaLogin - Pantalla de inicio de sesión superpuesta
+ * @property {HTMLFormElement} formLogin - Formulario de login
+ * @property {HTMLInputElement} loginEmail - Input de email del login
+ * @property {HTMLInputElement} loginPassword - Input de contraseña del login
+ * @property {HTMLInputElement} loginRecordar - Checkbox "Recordar sesión"
+ * @property {HTMLElement} loginMensaje - Texto explicativo bajo el título del login
+ * @property {HTMLDivElement} loginError - Alerta de error dentro del login
+ * @property {HTMLButtonElement} btnIniciarSesion - Botón "Ingresar"
+ * @property {HTMLButtonElement} btnCancelarLogin - Botón "Cancelar" (solo en reautenticación)
+ * @property {HTMLButtonElement} btnConfiguracionLogin - Acceso a la configuración desde el login
+ * @property {HTMLLIElement} navSesion - Ítem del navbar con el usuario y "Cerrar sesión"
+ * @property {HTMLSpanElement} usuarioSesion - Nombre/email del usuario autenticado
+ * @property {HTMLSpanElement} rolSesion - Badge con el rol del usuario autenticado
+ * @property {HTMLButtonElement} btnCerrarSesion - Botón "Cerrar sesión"
+ * @property {HTMLSpanElement} estadoConexion - Badge "En línea"/"Sin conexión" con los cambios pendientes
+ * @property {HTMLLIElement} navSimulado - Ítem del navbar "Backend simulado"
+ * @property {HTMLSpanElement} idiomaActual - Código del idioma en uso (menú de idioma del navbar)
+ * @property {NodeListOf<HTMLButtonElement>} opcionesIdioma - Botones de idioma del navbar y del login (data-idioma)
+ * @property {HTMLInputElement} seleccionarTodos - Checkbox del encabezado para seleccionar todos
+ * @property {HTMLDivElement} barraAccionesLote - Barra con las acciones sobre los seleccionados
+ * @property {HTMLSpanElement} textoSeleccion - Cantidad de usuarios seleccionados
+ * @property {HTMLButtonElement} btnLimpiarSeleccion - Botón "Quitar selección"
+ * @property {HTMLButtonElement} btnEliminarSeleccionados - Botón "Eliminar seleccionados"
+ * @property {bootstrap.Modal} modalEliminarLote - Instancia de Modal de Bootstrap para la eliminación en lote
+ * @property {HTMLElement} textoEliminarLote - Pregunta de confirmación del lote
+ * @property {HTMLDivElement} progresoEliminarLote - Barra de progreso del lote
+ * @property {HTMLUListElement} listaEliminarLote - Lista de usuarios del lote con su estado
+ * @property {HTMLDivElement} resumenEliminarLote - Resumen de éxitos y fallos
+ * @property {HTMLElement} avisoEliminarLote - Aviso "Esta acción no se puede deshacer"
+ * @property {HTMLButtonElement} btnCerrarEliminarLote - Botón "Cancelar"/"Cerrar" del lote
+ * @property {HTMLButtonElement} btnConfirmarEliminarLote - Botón "Eliminar Usuarios" del lote
+ * @property {bootstrap.Modal} modalConflicto - Instancia de Modal de Bootstrap para conflictos de edición
+ * @property {HTMLElement} nombreUsuarioConflicto - Nombre del usuario en conflicto
+ * @property {HTMLTableSectionElement} tablaConflicto - <tbody> con la comparación campo por campo
+ * @property {HTMLButtonElement} btnConflictoDescartar - Botón "Descartar mis cambios"
+ * @property {HTMLButtonElement} btnConflictoSobrescribir - Botón "Sobrescribir"
+ * @property {HTMLButtonElement} btnConflictoCombinar - Botón "Guardar combinación"
+ * @property {HTMLButtonElement} btnImportarCsv - Botón "Importar CSV"
+ * @property {bootstrap.Modal} modalImportar - Instancia de Modal de Bootstrap del asistente de importación
+ * @property {HTMLDivElement} importarPaso1 - Paso 1: selección de archivo
+ * @property {HTMLDivElement} importarPaso2 - Paso 2: mapeo de columnas y vista previa
+ * @property {HTMLDivElement} importarPaso3 - Paso 3: progreso y resultado
+ * @property {HTMLInputElement} archivoImportar - Input de archivo CSV/TSV
+ * @property {HTMLInputElement} importarEncabezado - Checkbox "La primera fila contiene los nombres"
+ * @property {HTMLDivElement} errorImportacion - Error al leer el archivo
+ * @property {NodeListOf<HTMLSelectElement>} selectoresMapeo - Selectores de columna, uno por campo del formulario (data-campo)
+ * @property {HTMLDivElement} resumenVistaPrevia - Conteo de filas válidas y con errores
+ * @property {HTMLTableSectionElement} tablaVistaPrevia - <tbody> de la vista previa
+ * @property {HTMLElement} textoProgresoImportacion - Texto del progreso de la importación
+ * @property {HTMLDivElement} progresoImportacion - Barra de progreso de la importación
+ * @property {HTMLDivElement} resultadoImportacion - Resumen final de la importación
+ * @property {HTMLButtonElement} btnDescargarReporte - Descarga del reporte de filas rechazadas
+ * @property {HTMLButtonElement} btnCerrarImportacion - Botón "Cancelar"/"Cerrar" del asistente
+ * @property {HTMLButtonElement} btnVolverImportacion - Botón "Elegir otro archivo"
+ * @property {HTMLButtonElement} btnConfirmarImportacion - Botón "Importar N usuarios"
  */
 const DOM = {
+    // Vistas (rutas de router.js)
+    vistas: document.querySelectorAll('.vista[data-vista]'),
+    enlacesVista: document.querySelectorAll('.nav-link[data-vista]'),
+
+    // Vista de detalle
+    migaDetalle: document.getElementById('migaDetalle'),
+    cargandoDetalle: document.getElementById('cargandoDetalle'),
+    errorDetalle: document.getElementById('errorDetalle'),
+    textoErrorDetalle: document.getElementById('textoErrorDetalle'),
+    tarjetaDetalle: document.getElementById('tarjetaDetalle'),
+    tituloDetalle: document.getElementById('tituloDetalle'),
+    datosDetalle: document.getElementById('datosDetalle'),
+    btnEditarDetalle: document.getElementById('btnEditarDetalle'),
+
+    // Vista "Acerca de"
+    acercaDeVersion: document.getElementById('acercaDeVersion'),
+    acercaDeApi: document.getElementById('acercaDeApi'),
+    acercaDeEntorno: document.getElementById('acercaDeEntorno'),
+    acercaDeOrigen: document.getElementById('acercaDeOrigen'),
+
+    // Vista de auditoría
+    navAuditoria: document.getElementById('navAuditoria'),
+    filtroAuditoriaUsuario: document.getElementById('filtroAuditoriaUsuario'),
+    filtroAuditoriaAccion: document.getElementById('filtroAuditoriaAccion'),
+    totalAuditoria: document.getElementById('totalAuditoria'),
+    opcionesExportarAuditoria: document.querySelectorAll('.btn-exportar-auditoria'),
+    columnaEnvioAuditoria: document.getElementById('columnaEnvioAuditoria'),
+    tablaAuditoriaBody: document.getElementById('tablaAuditoriaBody'),
+    sinAuditoria: document.getElementById('sinAuditoria'),
+    ayudaAuditoria: document.getElementById('ayudaAuditoria'),
+
     // Tabla y cuerpo de tabla
     tablaUsuarios: document.getElementById('tablaUsuarios'),
     usuariosTableBody: document.getElementById('usuariosTableBody'),
 
     // Botones principales
     btnNuevoUsuario: document.getElementById('btnNuevoUsuario'),
+    btnCrearPrimerUsuario: document.getElementById('btnCrearPrimerUsuario'),
     btnRecargar: document.getElementById('btnRecargar'),
+    btnExportar: document.getElementById('btnExportar'),
+    opcionesExportar: document.querySelectorAll('.btn-exportar'),
     btnGuardarUsuario: document.getElementById('btnGuardarUsuario'),
     btnConfirmarEliminar: document.getElementById('btnConfirmarEliminar'),
 
@@ -71,6 +420,7 @@ const DOM = {
     usuarioId: document.getElementById('usuarioId'),
     nombre: document.getElementById('nombre'),
     email: document.getElementById('email'),
+    estadoEmail: document.getElementById('estadoEmail'),
     password: document.getElementById('password'),
 
     // Modales
@@ -80,9 +430,15 @@ const DOM = {
     // Elementos de modal
     modalTitulo: document.getElementById('modalTitulo'),
     passwordHint: document.getElementById('passwordHint'),
+    avisoCambioRemoto: document.getElementById('avisoCambioRemoto'),
 
     // Alertas y estados
     alertContainer: document.getElementById('alertContainer'),
+    btnNotificaciones: document.getElementById('btnNotificaciones'),
+    contadorNotificaciones: document.getElementById('contadorNotificaciones'),
+    listaNotificaciones: document.getElementById('listaNotificaciones'),
+    sinNotificaciones: document.getElementById('sinNotificaciones'),
+    btnLimpiarNotificaciones: document.getElementById('btnLimpiarNotificaciones'),
     loadingSpinner: document.getElementById('loadingSpinner'),
     emptyState: document.getElementById('emptyState'),
     totalUsuarios: document.getElementById('totalUsuarios'),
@@ -93,9 +449,204 @@ const DOM = {
 
     // Toggle password
     togglePassword: document.getElementById('togglePassword'),
-    togglePasswordIcon: document.getElementById('togglePasswordIcon')
+    togglePasswordIcon: document.getElementById('togglePasswordIcon'),
+    btnGenerarPassword: document.getElementById('btnGenerarPassword'),
+
+    // Fortaleza de la contraseña
+    fortalezaPassword: document.getElementById('fortalezaPassword'),
+    barraFortalezaPassword: document.getElementById('barraFortalezaPassword'),
+    textoFortalezaPassword: document.getElementById('textoFortalezaPassword'),
+
+    // Búsqueda y ordenamiento
+    buscarUsuario: document.getElementById('buscarUsuario'),
+    btnLimpiarBusqueda: document.getElementById('btnLimpiarBusqueda'),
+    encabezadosOrdenables: document.querySelectorAll('#tablaUsuarios th[data-orden]'),
+
+    // Paginación
+    paginador: document.getElementById('paginador'),
+    paginacion: document.getElementById('paginacion'),
+    tamanioPagina: document.getElementById('tamanioPagina'),
+    infoPagina: document.getElementById('infoPagina'),
+
+    // Configuración
+    btnConfiguracion: document.getElementById('btnConfiguracion'),
+    modalConfiguracion: new bootstrap.Modal(document.getElementById('modalConfiguracion')),
+    formConfiguracion: document.getElementById('formConfiguracion'),
+    configEntorno: document.getElementById('configEntorno'),
+    configUrl: document.getElementById('configUrl'),
+    configTimeout: document.getElementById('configTimeout'),
+    configDebug: document.getElementById('configDebug'),
+    configMock: document.getElementById('configMock'),
+    configReintentos: document.getElementById('configReintentos'),
+    configUrlActual: document.getElementById('configUrlActual'),
+    configOrigenUrl: document.getElementById('configOrigenUrl'),
+    configAvisoPrioridad: document.getElementById('configAvisoPrioridad'),
+    btnGuardarConfiguracion: document.getElementById('btnGuardarConfiguracion'),
+    btnRestablecerConfiguracion: document.getElementById('btnRestablecerConfiguracion'),
+
+    // Estado de reintentos
+    estadoReintento: document.getElementById('estadoReintento'),
+    estadoReintentoTexto: document.getElementById('estadoReintentoTexto'),
+
+    // Inicio de sesión
+    vistaLogin: document.getElementById('vistaLogin'),
+    formLogin: document.getElementById('formLogin'),
+    loginEmail: document.getElementById('loginEmail'),
+    loginPassword: document.getElementById('loginPassword'),
+    loginRecordar: document.getElementById('loginRecordar'),
+    loginMensaje: document.getElementById('loginMensaje'),
+    loginError: document.getElementById('loginError'),
+    btnIniciarSesion: document.getElementById('btnIniciarSesion'),
+    btnCancelarLogin: document.getElementById('btnCancelarLogin'),
+    btnConfiguracionLogin: document.getElementById('btnConfiguracionLogin'),
+    navSesion: document.getElementById('navSesion'),
+    usuarioSesion: document.getElementById('usuarioSesion'),
+    rolSesion: document.getElementById('rolSesion'),
+    btnCerrarSesion: document.getElementById('btnCerrarSesion'),
+    estadoConexion: document.getElementById('estadoConexion'),
+    navSimulado: document.getElementById('navSimulado'),
+
+    // Idioma
+    idiomaActual: document.getElementById('idiomaActual'),
+    opcionesIdioma: document.querySelectorAll('.btn-idioma'),
+
+    // Selección múltiple y eliminación en lote
+    seleccionarTodos: document.getElementById('seleccionarTodos'),
+    barraAccionesLote: document.getElementById('barraAccionesLote'),
+    textoSeleccion: document.getElementById('textoSeleccion'),
+    btnLimpiarSeleccion: document.getElementById('btnLimpiarSeleccion'),
+    btnEliminarSeleccionados: document.getElementById('btnEliminarSeleccionados'),
+    modalEliminarLote: new bootstrap.Modal(document.getElementById('modalEliminarLote')),
+    textoEliminarLote: document.getElementById('textoEliminarLote'),
+    progresoEliminarLote: document.getElementById('progresoEliminarLote'),
+    listaEliminarLote: document.getElementById('listaEliminarLote'),
+    resumenEliminarLote: document.getElementById('resumenEliminarLote'),
+    avisoEliminarLote: document.getElementById('avisoEliminarLote'),
+    btnCerrarEliminarLote: document.getElementById('btnCerrarEliminarLote'),
+    btnConfirmarEliminarLote: document.getElementById('btnConfirmarEliminarLote'),
+
+    // Conflictos de edición concurrente
+    modalConflicto: new bootstrap.Modal(document.getElementById('modalConflicto')),
+    nombreUsuarioConflicto: document.getElementById('nombreUsuarioConflicto'),
+    tablaConflicto: document.getElementById('tablaConflicto'),
+    btnConflictoDescartar: document.getElementById('btnConflictoDescartar'),
+    btnConflictoSobrescribir: document.getElementById('btnConflictoSobrescribir'),
+    btnConflictoCombinar: document.getElementById('btnConflictoCombinar'),
+
+    // Importación CSV
+    btnImportarCsv: document.getElementById('btnImportarCsv'),
+    modalImportar: new bootstrap.Modal(document.getElementById('modalImportar')),
+    importarPaso1: document.getElementById('importarPaso1'),
+    importarPaso2: document.getElementById('importarPaso2'),
+    importarPaso3: document.getElementById('importarPaso3'),
+    archivoImportar: document.getElementById('archivoImportar'),
+    importarEncabezado: document.getElementById('importarEncabezado'),
+    errorImportacion: document.getElementById('errorImportacion'),
+    selectoresMapeo: document.querySelectorAll('#modalImportar .mapeo-columna'),
+    resumenVistaPrevia: document.getElementById('resumenVistaPrevia'),
+    tablaVistaPrevia: document.getElementById('tablaVistaPrevia'),
+    textoProgresoImportacion: document.getElementById('textoProgresoImportacion'),
+    progresoImportacion: document.getElementById('progresoImportacion'),
+    resultadoImportacion: document.getElementById('resultadoImportacion'),
+    btnDescargarReporte: document.getElementById('btnDescargarReporte'),
+    btnCerrarImportacion: document.getElementById('btnCerrarImportacion'),
+    btnVolverImportacion: document.getElementById('btnVolverImportacion'),
+    btnConfirmarImportacion: document.getElementById('btnConfirmarImportacion')
+};
+
+/**
+ * Filas de la vista previa de importación que se dibujan como máximo
+ * (el resto se valida e importa igual, solo no se muestra)
+ * @constant {number}
+ */
+const MAX_FILAS_VISTA_PREVIA = 200;
+
+/**
+ * Campos que se comparan en el diálogo de conflicto de edición
+ * (la contraseña no se compara: el backend nunca la devuelve)
+ * @constant {Array<import('./esquema.js').CampoUsuario>}
+ */
+const CAMPOS_CONFLICTO = Esquema.editables();
+
+/**
+ * Duración del resaltado de una fila cambiada por otra persona, en ms
+ * (debe coincidir con la animación de .fila-resaltada en styles.css)
+ * @constant {number}
+ */
+const DURACION_RESALTADO = 2000;
+
+/**
+ * Campos del formulario de usuario que pueden mostrar errores del backend
+ * @constant {Array<string>}
+ */
+const CAMPOS_FORMULARIO = Esquema.formulario().map(campo => campo.nombre);
+
+/**
+ * Niveles del medidor de fortaleza (el índice es el nivel de Password.evaluar)
+ * @constant {Array<{texto: string, clase: string}>} texto es la clave de I18n
+ */
+const NIVELES_FORTALEZA = [
+    { texto: 'password.muyDebil', clase: 'bg-danger' },
+    { texto: 'password.debil', clase: 'bg-danger' },
+    { texto: 'password.aceptable', clase: 'bg-warning' },
+    { texto: 'password.fuerte', clase: 'bg-info' },
+    { texto: 'password.muyFuerte', clase: 'bg-success' }
+];
+
+/**
+ * Requisitos de la contraseña que muestra el formulario (ver UI.aplicarPoliticaPassword)
+ * @type {{longitudMinima: number, descripcion: string}}
+ */
+let requisitosPassword = { longitudMinima: 6, descripcion: '' };
+
+/**
+ * Ícono de Bootstrap Icons de cada tipo de notificación
+ * @constant {Object<string, string>}
+ */
+const ICONOS_NOTIFICACION = {
+    success: 'check-circle-fill',
+    danger: 'exclamation-triangle-fill',
+    warning: 'exclamation-circle-fill',
+    info: 'info-circle-fill'
+};
+
+/**
+ * Tiempo que se muestra cada tipo de notificación, en ms
+ * (null = hasta que el usuario la cierre: un error no desaparece sin ser leído)
+ * @constant {Object<string, number|null>}
+ */
+const DURACION_NOTIFICACION = {
+    success: 5000,
+    info: 6000,
+    warning: 8000,
+    danger: null
 };
 
+/**
+ * Notificaciones apiladas a la vez; con una más se quita la más antigua
+ * que no sea un error
+ * @constant {number}
+ */
+const MAXIMO_NOTIFICACIONES_VISIBLES = 5;
+
+/**
+ * Notificaciones que se conservan en el historial de la sesión
+ * @constant {number}
+ */
+const MAXIMO_HISTORIAL_NOTIFICACIONES = 50;
+
+/**
+ * Notificaciones de la sesión para el panel del navbar, la más reciente primero
+ * @type {Array<{mensaje: string, tipo: string, detalles: Array<string>, fecha: Date}>}
+ */
+const historialNotificaciones = [];
+
+/**
+ * Notificaciones llegadas desde la última vez que se abrió el panel
+ * @type {number}
+ */
+let notificacionesSinLeer = 0;
+
 /**
  * UI - Objeto Singleton con todos los métodos para manipular la interfaz de usuario
  *
@@ -109,14 +660,21 @@ export const UI = {
     /**
      * Renderiza la tabla de usuarios en el DOM
      *
-     * Limpia el contenido actual de la tabla y renderiza todos los usuarios.
-     * Muestra el estado vacío si no hay usuarios. Actualiza el contador.
+     * Limpia el contenido actual de la tabla y renderiza los usuarios recibidos.
+     * Muestra el estado vacío si no hay usuarios cargados, o una fila de
+     * "sin resultados" si la búsqueda activa no coincide con ninguno.
+     * Actualiza el contador.
      *
      * @memberof UI
-     * @param {Array<Object>} usuarios - Array de objetos usuario desde la API
+     * @param {Array<Object>} usuarios - Usuarios a mostrar (ya filtrados y ordenados)
      * @param {number} usuarios[].id - ID del usuario
      * @param {string} usuarios[].nombre - Nombre del usuario
      * @param {string} usuarios[].email - Email del usuario
+     * @param {number} [total=usuarios.length] - Total de usuarios cargados (sin filtrar)
+     * @param {number} [coincidencias=usuarios.length] - Usuarios que coinciden con la búsqueda
+     *        (con paginación puede ser mayor que los usuarios visibles en la página)
+     * @param {Function} [obtenerAcciones] - Recibe un usuario y retorna {editar, eliminar, seleccionado}
+     *        con las acciones permitidas en su fila y si está seleccionado (por defecto, todas y no)
      *
      * @example
      * const usuarios = [
@@ -124,13 +682,18 @@ export const UI = {
      *   {id: 2, nombre: 'Ana López', email: 'ana@example.com'}
      * ];
      * UI.renderizarUsuarios(usuarios);
+     *
+     * @example
+     * // Búsqueda activa: 2 coincidencias de 40 usuarios cargados
+     * UI.renderizarUsuarios(filtrados, 40); // "Mostrando 2 de 40 usuarios"
      */
-    renderizarUsuarios(usuarios) {
+    renderizarUsuarios(usuarios, total = usuarios ? usuarios.length : 0, coincidencias = usuarios ? usuarios.length : 0,
+        obtenerAcciones = () => ({ editar: true, eliminar: true })) {
         // Limpiar tabla actual
         DOM.usuariosTableBody.innerHTML = '';
 
         // Si no hay usuarios, mostrar estado vacío
-        if (!usuarios || usuarios.length === 0) {
+        if (!usuarios || total === 0) {
             this.mostrarEstadoVacio();
             this.actualizarContador(0);
             return;
@@ -139,188 +702,829 @@ export const UI = {
         // Ocultar estado vacío
         this.ocultarEstadoVacio();
 
+        // Hay usuarios cargados pero ninguno coincide con la búsqueda
+        if (usuarios.length === 0) {
+            DOM.usuariosTableBody.appendChild(this.crearFilaSinResultados());
+        }
+
         // Renderizar cada usuario
         usuarios.forEach(usuario => {
-            const fila = this.crearFilaUsuario(usuario);
+            const fila = this.crearFilaUsuario(usuario, obtenerAcciones(usuario));
             DOM.usuariosTableBody.appendChild(fila);
         });
 
         // Actualizar contador
-        this.actualizarContador(usuarios.length);
+        this.actualizarContador(coincidencias, total);
+    },
+
+    /**
+     * Crea la fila que se muestra cuando la búsqueda no tiene coincidencias
+     *
+     * @memberof UI
+     * @returns {HTMLTableRowElement} Fila <tr> con el mensaje ocupando todas las columnas
+     */
+    crearFilaSinResultados() {
+        const tr = document.createElement('tr');
+        tr.className = 'fila-sin-resultados';
+        const columnas = DOM.tablaUsuarios.querySelectorAll('thead th').length;
+        tr.innerHTML = `
+            <td colspan="${columnas}" class="text-center text-muted py-4">
+                <i class="bi bi-search me-2"></i>
+                ${t('tabla.sinResultados')}
+            </td>
+        `;
+        return tr;
+    },
+
+    /**
+     * Actualiza los indicadores visuales de ordenamiento en los encabezados
+     *
+     * Marca la columna activa con una flecha ascendente/descendente y
+     * actualiza aria-sort para lectores de pantalla. El resto de columnas
+     * vuelve al ícono neutro.
+     *
+     * @memberof UI
+     * @param {string|null} campo - Campo ordenado (uno `ordenable` del esquema) o null
+     * @param {string} direccion - 'asc' o 'desc'
+     *
+     * @example
+     * UI.actualizarIndicadoresOrden('nombre', 'desc');
+     */
+    actualizarIndicadoresOrden(campo, direccion) {
+        DOM.encabezadosOrdenables.forEach(th => {
+            const icono = th.querySelector('.icono-orden');
+            const activo = th.getAttribute('data-orden') === campo;
+
+            th.classList.toggle('th-ordenado', activo);
+            th.setAttribute('aria-sort', activo
+                ? (direccion === 'asc' ? 'ascending' : 'descending')
+                : 'none');
+            icono.className = `bi icono-orden ${activo
+                ? (direccion === 'asc' ? 'bi-sort-up' : 'bi-sort-down')
+                : 'bi-arrow-down-up'}`;
+        });
+    },
+
+    /**
+     * Renderiza el paginador debajo de la tabla
+     *
+     * Genera los botones Anterior/Siguiente y los números de página alrededor
+     * de la página actual (con la primera y la última siempre visibles y
+     * puntos suspensivos en los saltos). Cada botón lleva data-pagina con el
+     * índice (base 0) al que navega. Se oculta si no hay elementos.
+     *
+     * @memberof UI
+     * @param {Object} estado - Estado de paginación
+     * @param {number} estado.pagina - Página actual (base 0)
+     * @param {number} estado.totalPaginas - Cantidad total de páginas
+     * @param {number} estado.totalElementos - Cantidad de elementos paginados
+     *
+     * @example
+     * UI.renderizarPaginador({pagina: 4, totalPaginas: 20, totalElementos: 195});
+     * // « 1 … 4 [5] 6 … 20 »
+     */
+    renderizarPaginador({ pagina, totalPaginas, totalElementos }) {
+        DOM.paginador.classList.toggle('d-none', totalElementos === 0);
+        DOM.infoPagina.textContent = t('tabla.pagina', { pagina: pagina + 1, total: totalPaginas });
+
+        const item = (indice, contenido, { deshabilitado = false, activo = false, etiqueta = '' } = {}) => `
+            <li class="page-item${deshabilitado ? ' disabled' : ''}${activo ? ' active' : ''}">
+                <button type="button" class="page-link" data-pagina="${indice}"
+                    ${deshabilitado ? 'disabled' : ''}
+                    ${activo ? 'aria-current="page"' : ''}
+                    ${etiqueta ? `aria-label="${etiqueta}"` : ''}>${contenido}</button>
+            </li>`;
+        const separador = '<li class="page-item disabled"><span class="page-link">…</span></li>';
+
+        // Páginas visibles: primera, última y dos a cada lado de la actual
+        const visibles = [...new Set([0, pagina - 2, pagina - 1, pagina, pagina + 1, pagina + 2, totalPaginas - 1])]
+            .filter(i => i >= 0 && i < totalPaginas)
+            .sort((a, b) => a - b);
+
+        let html = item(pagina - 1, '&laquo;', { deshabilitado: pagina === 0, etiqueta: t('tabla.anterior') });
+        visibles.forEach((indice, i) => {
+            if (i > 0 && indice - visibles[i - 1] > 1) {
+                html += separador;
+            }
+            html += item(indice, indice + 1, { activo: indice === pagina });
+        });
+        html += item(pagina + 1, '&raquo;', { deshabilitado: pagina >= totalPaginas - 1, etiqueta: t('tabla.siguiente') });
+
+        DOM.paginacion.innerHTML = html;
+    },
+
+    /**
+     * Obtiene el tamaño de página seleccionado
+     * @returns {number} - Cantidad de usuarios por página
+     */
+    obtenerTamanioPagina() {
+        return parseInt(DOM.tamanioPagina.value);
+    },
+
+    /**
+     * Obtiene el texto de búsqueda actual
+     * @returns {string} - Texto ingresado en el buscador (trimmed)
+     */
+    obtenerTextoBusqueda() {
+        return DOM.buscarUsuario.value.trim();
+    },
+
+    /**
+     * Limpia el buscador y devuelve el foco al input
+     */
+    limpiarBusqueda() {
+        DOM.buscarUsuario.value = '';
+        DOM.buscarUsuario.focus();
     },
 
     /**
      * Crea un elemento <tr> para un usuario con botones de acción
      *
-     * Genera dinámicamente una fila de tabla con los datos del usuario.
-     * Incluye botones para editar y eliminar con data attributes.
+     * Genera dinámicamente una fila de tabla con los datos del usuario:
+     * una celda por columna del esquema (ver crearCeldaCampo).
+     * La primera celda es el checkbox de selección múltiple.
+     * Incluye botones para editar y eliminar con data attributes, solo
+     * si el rol del usuario autenticado los permite; sin ninguno, la
+     * columna indica "Solo lectura".
      * Todo el contenido se escapa para prevenir XSS.
      *
      * @memberof UI
      * @param {Object} usuario - Objeto usuario con los datos
-     * @param {number} usuario.id - ID del usuario
+     * @param {number|null} usuario.id - ID del usuario (null en un alta sin sincronizar)
      * @param {string} usuario.nombre - Nombre del usuario
      * @param {string} usuario.email - Email del usuario
+     * @param {string} [usuario.pendiente] - Cambio encolado sin conexión ('crear', 'actualizar');
+     *        la fila se marca "Pendiente" y no ofrece acciones
+     * @param {Object} [acciones={editar: true, eliminar: true}] - Acciones permitidas en la fila
+     *        (`seleccionado: true` marca el checkbox)
      * @returns {HTMLTableRowElement} Fila <tr> lista para insertar en la tabla
      *
      * @example
      * const fila = UI.crearFilaUsuario({id: 1, nombre: 'Juan', email: 'juan@example.com'});
      * DOM.usuariosTableBody.appendChild(fila);
+     *
+     * @example
+     * // Rol editor: sin botón Eliminar
+     * UI.crearFilaUsuario(usuario, { editar: true, eliminar: false });
      */
-    crearFilaUsuario(usuario) {
-        const tr = document.createElement('tr');
-        tr.setAttribute('data-usuario-id', usuario.id);
-        tr.innerHTML = `
-            <td class="text-center fw-bold">${this.escaparHTML(usuario.id)}</td>
-            <td>
-                <i class="bi bi-person-circle text-primary me-2"></i>
-                ${this.escaparHTML(usuario.nombre)}
-            </td>
-            <td>
-                <i class="bi bi-envelope text-secondary me-2"></i>
-                ${this.escaparHTML(usuario.email)}
-            </td>
-            <td class="text-center">
+    crearFilaUsuario(usuario, acciones = { editar: true, eliminar: true }) {
+        const botonEditar = acciones.editar ? `
                 <button
                     class="btn btn-sm btn-warning btn-action btn-editar"
                     data-id="${usuario.id}"
                     data-nombre="${this.escaparHTML(usuario.nombre)}"
                     data-email="${this.escaparHTML(usuario.email)}"
-                    title="Editar usuario">
+                    title="${t('tabla.editarUsuario')}">
                     <i class="bi bi-pencil-square"></i>
-                    Editar
-                </button>
+                    ${t('comun.editar')}
+                </button>` : '';
+        const botonEliminar = acciones.eliminar ? `
                 <button
                     class="btn btn-sm btn-danger btn-action btn-eliminar"
                     data-id="${usuario.id}"
                     data-nombre="${this.escaparHTML(usuario.nombre)}"
                     data-email="${this.escaparHTML(usuario.email)}"
-                    title="Eliminar usuario">
+                    title="${t('tabla.eliminarUsuario')}">
                     <i class="bi bi-trash"></i>
-                    Eliminar
-                </button>
+                    ${t('comun.eliminar')}
+                </button>` : '';
+
+        let columnaAcciones = botonEditar || botonEliminar
+            ? botonEditar + botonEliminar
+            : `<span class="text-muted small"><i class="bi bi-lock me-1"></i>${t('tabla.soloLectura')}</span>`;
+        // Cambio hecho sin conexión: sin acciones hasta que se sincronice
+        if (usuario.pendiente) {
+            columnaAcciones = `<span class="text-muted small"><i class="bi bi-cloud-arrow-up me-1"></i>${t('tabla.pendienteSincronizar')}</span>`;
+        }
+
+        const tr = document.createElement('tr');
+        tr.setAttribute('data-usuario-id', usuario.id ?? '');
+        tr.classList.toggle('fila-seleccionada', Boolean(acciones.seleccionado));
+        tr.classList.toggle('fila-pendiente', Boolean(usuario.pendiente));
+        tr.innerHTML = `
+            <td class="text-center col-seleccion">
+                <input type="checkbox" class="form-check-input chk-usuario"
+                    data-id="${usuario.id ?? ''}"
+                    aria-label="${t('tabla.seleccionar', { nombre: this.escaparHTML(usuario.nombre) })}"
+                    ${acciones.seleccionado ? 'checked' : ''}
+                    ${usuario.pendiente ? 'disabled' : ''}>
+            </td>
+            ${Esquema.enTabla().map(campo => this.crearCeldaCampo(campo, usuario)).join('')}
+            <td class="text-center">
+                ${columnaAcciones}
             </td>
         `;
         return tr;
     },
 
     /**
-     * Abre el modal para crear un nuevo usuario
+     * Crea la celda de un campo en la fila de un usuario
      *
-     * Resetea el formulario, configura el título y muestra el modal de Bootstrap.
+     * El ID va centrado y en negrita; el campo principal (nombre) enlaza
+     * al detalle y lleva la marca "Pendiente"; un booleano se muestra como
+     * insignia; el resto con su ícono y el texto de textoDeCampo. Un valor
+     * vacío se muestra como "—".
+     *
+     * @memberof UI
+     * @param {import('./esquema.js').CampoUsuario} campo - Columna
+     * @param {Object} usuario - Usuario de la fila
+     * @returns {string} HTML del <td>
+     */
+    crearCeldaCampo(campo, usuario) {
+        const valor = usuario[campo.nombre];
+
+        if (campo.tipo === 'id') {
+            return `<td class="text-center fw-bold">${valor != null ? this.escaparHTML(valor) : '—'}</td>`;
+        }
+        if (campo.principal) {
+            const texto = this.escaparHTML(valor ?? '');
+            return `
+            <td>
+                <i class="bi bi-person-circle text-primary me-2"></i>
+                ${usuario.id != null
+                    ? `<a href="${Router.enlace('detalle', { id: usuario.id })}" class="link-usuario">${texto}</a>`
+                    : texto}
+                ${usuario.pendiente ? `<span class="badge bg-warning text-dark ms-2">${t('tabla.pendiente')}</span>` : ''}
+            </td>`;
+        }
+
+        const texto = textoDeCampo(campo, valor);
+        if (!texto) {
+            return '<td><span class="text-muted">—</span></td>';
+        }
+        if (campo.tipo === 'booleano') {
+            return `<td><span class="badge ${valor ? 'bg-success' : 'bg-secondary'}">${texto}</span></td>`;
+        }
+        return `
+            <td class="${campo.tipo === 'fecha' ? 'text-nowrap' : ''}">
+                ${campo.icono ? `<i class="bi bi-${campo.icono} text-secondary me-2"></i>` : ''}
+                ${this.escaparHTML(texto)}
+            </td>`;
+    },
+
+    /**
+     * Resalta brevemente la fila de un usuario cambiado por otra persona
      *
      * @memberof UI
+     * @param {number} id - ID del usuario
+     * @param {string} [tipo='actualizar'] - 'crear', 'actualizar' o 'eliminar' (la fila se tacha)
+     * @returns {Promise<void>} Se resuelve al terminar el resaltado (enseguida si la fila no está visible)
+     *
      * @example
-     * UI.mostrarModalNuevoUsuario();
+     * // Eliminar la fila recién después de mostrarla tachada
+     * UI.resaltarFila(7, 'eliminar').then(() => app.renderizarTabla());
      */
-    mostrarModalNuevoUsuario() {
-        this.resetearFormulario();
-        DOM.modalTitulo.innerHTML = '<i class="bi bi-person-plus-fill me-2"></i>Nuevo Usuario';
-        DOM.passwordHint.textContent = 'Mínimo 6 caracteres';
-        DOM.password.required = true;
-        DOM.modalUsuario.show();
+    resaltarFila(id, tipo = 'actualizar') {
+        const fila = DOM.usuariosTableBody.querySelector(`tr[data-usuario-id="${id}"]`);
+        if (!fila) {
+            return Promise.resolve();
+        }
+
+        const clase = tipo === 'eliminar' ? 'fila-eliminada-remota' : 'fila-resaltada';
+        fila.classList.remove(clase);
+        void fila.offsetWidth; // reiniciar la animación si ya estaba resaltada
+        fila.classList.add(clase);
+
+        return new Promise(resolve => {
+            setTimeout(() => {
+                fila.classList.remove(clase);
+                resolve();
+            }, DURACION_RESALTADO);
+        });
     },
 
     /**
-     * Abre el modal para editar un usuario existente
+     * Muestra la vista de una ruta y oculta las demás
      *
-     * Precarga los datos del usuario en el formulario y muestra el modal.
-     * El campo password se deja vacío y se marca como OPCIONAL en modo edición.
+     * También marca el enlace correspondiente del navbar (el detalle
+     * pertenece a "Inicio", la lista de usuarios).
      *
      * @memberof UI
-     * @param {Object} usuario - Datos del usuario a editar
-     * @param {number} usuario.id - ID del usuario
-     * @param {string} usuario.nombre - Nombre actual
-     * @param {string} usuario.email - Email actual
+     * @param {string} vista - 'usuarios', 'detalle' o 'acercaDe'
+     *
+     * @example
+     * UI.mostrarVista('acercaDe');
      */
-    mostrarModalEditarUsuario(usuario) {
-        this.resetearFormulario();
-        DOM.modalTitulo.innerHTML = '<i class="bi bi-pencil-square me-2"></i>Editar Usuario';
-        DOM.usuarioId.value = usuario.id;
-        DOM.nombre.value = usuario.nombre;
-        DOM.email.value = usuario.email;
-        DOM.password.value = '';
-        DOM.passwordHint.textContent = 'Dejar vacío para mantener la contraseña actual';
-        // ✅ CORRECCIÓN: Password es OPCIONAL en modo edición
-        DOM.password.required = false;
-        // Actualizar minlength solo si se ingresa algo
-        DOM.password.removeAttribute('minlength');
-        DOM.modalUsuario.show();
+    mostrarVista(vista) {
+        DOM.vistas.forEach(seccion => {
+            seccion.classList.toggle('d-none', seccion.dataset.vista !== vista);
+        });
+
+        const enlaceActivo = vista === 'detalle' ? 'usuarios' : vista;
+        DOM.enlacesVista.forEach(enlace => {
+            const activo = enlace.dataset.vista === enlaceActivo;
+            enlace.classList.toggle('active', activo);
+            if (activo) {
+                enlace.setAttribute('aria-current', 'page');
+            } else {
+                enlace.removeAttribute('aria-current');
+            }
+        });
     },
 
     /**
-     * Muestra el modal de confirmación de eliminación
-     * @param {Object} usuario - Datos del usuario a eliminar
+     * Muestra el spinner del detalle mientras se carga el usuario
+     * @memberof UI
      */
-    mostrarModalConfirmarEliminar(usuario) {
-        DOM.nombreUsuarioEliminar.textContent = usuario.nombre;
-        DOM.emailUsuarioEliminar.textContent = usuario.email;
-        DOM.btnConfirmarEliminar.setAttribute('data-id', usuario.id);
-        DOM.modalConfirmarEliminar.show();
+    mostrarCargandoDetalle() {
+        DOM.migaDetalle.textContent = '';
+        DOM.tarjetaDetalle.classList.add('d-none');
+        DOM.errorDetalle.classList.add('d-none');
+        DOM.cargandoDetalle.classList.remove('d-none');
     },
 
     /**
-     * Obtiene los datos del formulario
-     *
-     * IMPORTANTE: En modo edición, si el password está vacío, retorna null
-     * para indicar que NO se debe cambiar el password actual.
-     * El backend debe manejar password=null manteniendo el password existente.
+     * Muestra los datos de un usuario en la vista de detalle
      *
      * @memberof UI
-     * @returns {Object} Datos del usuario {nombre, email, password}
-     * @returns {string} return.nombre - Nombre del usuario (trimmed)
-     * @returns {string} return.email - Email del usuario (trimmed)
-     * @returns {string|null} return.password - Password nuevo o null si no se cambia
-     *
-     * @example
-     * // Al crear nuevo usuario
-     * const datos = UI.obtenerDatosFormulario();
-     * // {nombre: "Juan", email: "juan@example.com", password: "mipassword123"}
+     * @param {Object} usuario - Usuario (se muestran los campos visibles del esquema)
+     * @param {Object} [acciones={editar: true}] - Acciones permitidas (sin `editar` se oculta el botón)
      *
      * @example
-     * // Al editar usuario SIN cambiar password (campo vacío)
-     * const datos = UI.obtenerDatosFormulario();
-     * // {nombre: "Juan", email: "juan@example.com", password: null}
+     * UI.mostrarDetalleUsuario({ id: 7, nombre: 'Ana', email: 'ana@example.com' }, { editar: false });
      */
-    obtenerDatosFormulario() {
-        const passwordValue = DOM.password.value.trim();
+    mostrarDetalleUsuario(usuario, acciones = { editar: true }) {
+        DOM.migaDetalle.textContent = usuario.nombre;
+        DOM.tituloDetalle.textContent = usuario.nombre;
+        DOM.datosDetalle.innerHTML = Esquema.visibles().map(campo => `
+            <dt class="col-sm-3">${t(campo.etiqueta)}</dt>
+            <dd class="col-sm-9" data-campo="${campo.nombre}">
+                ${this.escaparHTML(textoDeCampo(campo, usuario[campo.nombre]) || '—')}
+            </dd>`).join('');
+        DOM.btnEditarDetalle.href = Router.enlace('editar', { id: usuario.id });
+        DOM.btnEditarDetalle.classList.toggle('d-none', !acciones.editar);
 
-        return {
-            nombre: DOM.nombre.value.trim(),
-            email: DOM.email.value.trim(),
-            // Si está vacío, retornar null (no cambiar password en edición)
-            password: passwordValue || null
-        };
+        DOM.cargandoDetalle.classList.add('d-none');
+        DOM.errorDetalle.classList.add('d-none');
+        DOM.tarjetaDetalle.classList.remove('d-none');
     },
 
     /**
-     * Obtiene el ID del usuario en edición
-     * @returns {number|null} - ID del usuario o null si es nuevo
+     * Muestra en la vista de detalle por qué no se puede ver el usuario
+     *
+     * @memberof UI
+     * @param {string} mensaje - P.ej. "No existe un usuario con ID 7..."
      */
-    obtenerIdUsuario() {
-        const id = DOM.usuarioId.value;
-        return id ? parseInt(id) : null;
+    mostrarErrorDetalle(mensaje) {
+        DOM.migaDetalle.textContent = '';
+        DOM.textoErrorDetalle.textContent = mensaje;
+        DOM.cargandoDetalle.classList.add('d-none');
+        DOM.tarjetaDetalle.classList.add('d-none');
+        DOM.errorDetalle.classList.remove('d-none');
     },
 
     /**
-     * Valida el formulario usando HTML5 Validation API
-     * @returns {boolean} - True si el formulario es válido
+     * Completa la vista "Acerca de"
+     *
+     * @memberof UI
+     * @param {Object} datos - Datos a mostrar
+     * @param {string} datos.version - Versión de la aplicación (VERSION_APP)
+     * @param {string} datos.api - URL de la API en uso
+     * @param {string} datos.entorno - Nombre del entorno (p.ej. "Producción (Render)")
+     * @param {string} datos.origen - De dónde sale la URL ('url', 'config.json', 'localStorage', 'defecto')
      */
-    validarFormulario() {
-        if (!DOM.formUsuario.checkValidity()) {
-            DOM.formUsuario.classList.add('was-validated');
-            return false;
-        }
-        return true;
+    mostrarAcercaDe({ version, api, entorno, origen }) {
+        DOM.acercaDeVersion.textContent = version;
+        DOM.acercaDeApi.textContent = api;
+        DOM.acercaDeEntorno.textContent = entorno;
+        // 'config.json' no sirve como clave del catálogo (el punto separa niveles)
+        DOM.acercaDeOrigen.textContent = t(`acercaDe.origenes.${origen === 'config.json' ? 'configJson' : origen}`);
     },
 
     /**
-     * Resetea el formulario y quita las validaciones
+     * Filtros elegidos en la vista de auditoría
+     *
+     * @memberof UI
+     * @returns {{usuarioId: number|null, accion: string|null}} Filtros para Auditoria.listar
+     */
+    obtenerFiltrosAuditoria() {
+        const usuarioId = parseInt(DOM.filtroAuditoriaUsuario.value);
+        return {
+            usuarioId: Number.isInteger(usuarioId) ? usuarioId : null,
+            accion: DOM.filtroAuditoriaAccion.value || null
+        };
+    },
+
+    /**
+     * Dibuja el registro de auditoría
+     *
+     * El nombre de un usuario no eliminado enlaza a su detalle. La columna
+     * "Envío" solo aparece si hay un endpoint de auditoría configurado.
+     *
+     * @memberof UI
+     * @param {Array<Object>} registros - Entradas de Auditoria.listar (más nuevas primero)
+     * @param {Object} opciones - Opciones de la vista
+     * @param {boolean} opciones.conEnvio - Mostrar el estado de envío de cada entrada
+     * @param {number} opciones.capacidad - Entradas que se conservan en el navegador
+     */
+    renderizarAuditoria(registros, { conEnvio, capacidad }) {
+        const formatoFecha = new Intl.DateTimeFormat(I18n.idioma(), { dateStyle: 'short', timeStyle: 'medium' });
+        const colores = { crear: 'success', actualizar: 'warning', eliminar: 'danger' };
+
+        DOM.tablaAuditoriaBody.innerHTML = registros.map(({ fecha, accion, usuarioId, usuarioNombre, autor, cambios, confirmado, enviado }) => {
+            const nombre = this.escaparHTML(usuarioNombre ?? '');
+            const usuario = accion !== 'eliminar' && usuarioId != null
+                ? `<a href="${Router.enlace('detalle', { id: usuarioId })}" class="link-usuario">${nombre}</a>`
+                : nombre;
+            const listaCambios = cambios.length
+                ? `<ul class="list-unstyled mb-0 small">${cambios.map(cambio => `
+                    <li>
+                        <strong>${t(Esquema.campo(cambio.campo)?.etiqueta ?? `formulario.${cambio.campo}`)}:</strong>
+                        ${cambio.antes !== null ? `<del class="text-muted">${this.escaparHTML(textoDeCampo(Esquema.campo(cambio.campo), cambio.antes))}</del>` : ''}
+                        ${cambio.antes !== null && cambio.despues !== null ? '<i class="bi bi-arrow-right mx-1" aria-hidden="true"></i>' : ''}
+                        ${cambio.despues !== null ? this.escaparHTML(textoDeCampo(Esquema.campo(cambio.campo), cambio.despues)) : ''}
+                    </li>`).join('')}</ul>`
+                : `<span class="text-muted small">${t('auditoria.sinCambios')}</span>`;
+            const estadoEnvio = enviado === true
+                ? `<span class="badge bg-success">${t('auditoria.enviado')}</span>`
+                : enviado === false ? `<span class="badge bg-secondary">${t('auditoria.pendiente')}</span>` : '';
+
+            return `
+                <tr>
+                    <td class="text-nowrap small"><time datetime="${this.escaparHTML(fecha)}">${formatoFecha.format(new Date(fecha))}</time></td>
+                    <td class="small">
+                        ${autor
+                            ? `${this.escaparHTML(autor.nombre || autor.email || autor.id)}
+                               ${autor.rol ? `<span class="badge bg-light text-dark border ms-1">${t(`sesion.roles.${autor.rol}`)}</span>` : ''}`
+                            : `<span class="text-muted">${t('auditoria.sinSesion')}</span>`}
+                    </td>
+                    <td>
+                        <span class="badge bg-${colores[accion]}">${t(`auditoria.acciones.${accion}`)}</span>
+                        ${confirmado === false
+                            ? `<span class="badge bg-warning text-dark ms-1" title="${t('auditoria.ayudaSinConfirmar')}">${t('auditoria.sinConfirmar')}</span>`
+                            : ''}
+                    </td>
+                    <td class="small">
+                        <span class="text-muted">#${this.escaparHTML(usuarioId ?? '—')}</span>
+                        ${usuario}
+                    </td>
+                    <td>${listaCambios}</td>
+                    <td class="${conEnvio ? '' : 'd-none'}">${estadoEnvio}</td>
+                </tr>
+            `;
+        }).join('');
+
+        DOM.columnaEnvioAuditoria.classList.toggle('d-none', !conEnvio);
+        DOM.sinAuditoria.classList.toggle('d-none', registros.length > 0);
+        DOM.totalAuditoria.textContent = t('auditoria.total', { cantidad: registros.length });
+        DOM.ayudaAuditoria.textContent = t('auditoria.ayuda', { cantidad: capacidad });
+    },
+
+    /**
+     * Abre el modal para crear un nuevo usuario
+     *
+     * Resetea el formulario, configura el título y muestra el modal de Bootstrap.
+     *
+     * @memberof UI
+     * @example
+     * UI.mostrarModalNuevoUsuario();
+     */
+    mostrarModalNuevoUsuario() {
+        this.resetearFormulario();
+        DOM.modalTitulo.innerHTML = `<i class="bi bi-person-plus-fill me-2"></i>${t('formulario.tituloNuevo')}`;
+        DOM.passwordHint.textContent = requisitosPassword.descripcion;
+        DOM.password.required = true;
+        DOM.password.minLength = requisitosPassword.longitudMinima;
+        DOM.modalUsuario.show();
+    },
+
+    /**
+     * Abre el modal de alta precargado con un usuario eliminado
+     *
+     * Se usa para deshacer una eliminación que el backend ya procesó: el
+     * usuario se vuelve a crear con los mismos datos. La contraseña no se
+     * conserva, así que se pide una nueva.
+     *
+     * @memberof UI
+     * @param {Object} usuario - Registro del usuario eliminado ({nombre, email, ...})
+     */
+    mostrarModalRestaurarUsuario(usuario) {
+        this.mostrarModalNuevoUsuario();
+        DOM.modalTitulo.innerHTML = `<i class="bi bi-arrow-counterclockwise me-2"></i>${t('formulario.tituloRestaurar')}`;
+        this.escribirFormulario(usuario);
+        const { descripcion } = requisitosPassword;
+        DOM.passwordHint.textContent = t('formulario.ayudaRestaurar', {
+            requisitos: `${descripcion.charAt(0).toLowerCase()}${descripcion.slice(1)}`
+        });
+    },
+
+    /**
+     * Abre el modal para editar un usuario existente
+     *
+     * Precarga los datos del usuario en el formulario y muestra el modal.
+     * El campo password se deja vacío y se marca como OPCIONAL en modo edición.
+     *
+     * @memberof UI
+     * @param {Object} usuario - Datos del usuario a editar
+     * @param {number} usuario.id - ID del usuario
+     * @param {string} usuario.nombre - Nombre actual (y demás campos editables del esquema)
+     */
+    mostrarModalEditarUsuario(usuario) {
+        this.resetearFormulario();
+        DOM.modalTitulo.innerHTML = `<i class="bi bi-pencil-square me-2"></i>${t('formulario.tituloEditar')}`;
+        DOM.usuarioId.value = usuario.id;
+        this.escribirFormulario(usuario);
+        DOM.password.value = '';
+        DOM.passwordHint.textContent = t('formulario.ayudaEdicion');
+        // ✅ CORRECCIÓN: Password es OPCIONAL en modo edición
+        DOM.password.required = false;
+        // Actualizar minlength solo si se ingresa algo
+        DOM.password.removeAttribute('minlength');
+        DOM.modalUsuario.show();
+    },
+
+    /**
+     * Carga en el formulario los valores de los campos editables de un usuario
+     *
+     * Un campo que el usuario no trae queda vacío (un booleano, con su
+     * valor por defecto). La contraseña no se toca.
+     *
+     * @memberof UI
+     * @param {Object} usuario - Usuario a cargar
+     */
+    escribirFormulario(usuario) {
+        Esquema.editables().forEach(({ nombre, tipo }) => {
+            const control = DOM.formUsuario.elements[nombre];
+            if (tipo === 'booleano') {
+                control.checked = usuario[nombre] ?? control.defaultChecked;
+            } else {
+                control.value = usuario[nombre] ?? '';
+            }
+        });
+    },
+
+    /**
+     * Muestra el modal de confirmación de eliminación
+     * @param {Object} usuario - Datos del usuario a eliminar
+     */
+    mostrarModalConfirmarEliminar(usuario) {
+        DOM.nombreUsuarioEliminar.textContent = usuario.nombre;
+        DOM.emailUsuarioEliminar.textContent = usuario.email;
+        DOM.btnConfirmarEliminar.setAttribute('data-id', usuario.id);
+        DOM.modalConfirmarEliminar.show();
+    },
+
+    /**
+     * Obtiene los datos del formulario
+     *
+     * IMPORTANTE: En modo edición, si el password está vacío, retorna null
+     * para indicar que NO se debe cambiar el password actual.
+     * El backend debe manejar password=null manteniendo el password existente.
+     *
+     * Se lee un valor por cada campo del formulario del esquema: los
+     * textos sin espacios alrededor, los booleanos como true/false y los
+     * campos opcionales vacíos como null.
+     *
+     * @memberof UI
+     * @returns {Object} Datos del usuario {nombre, email, telefono, departamento, activo, password}
+     * @returns {string} return.nombre - Nombre del usuario (trimmed)
+     * @returns {string} return.email - Email del usuario (trimmed)
+     * @returns {string|null} return.password - Password nuevo o null si no se cambia
+     *
+     * @example
+     * // Al crear nuevo usuario
+     * const datos = UI.obtenerDatosFormulario();
+     * // {nombre: "Juan", email: "juan@example.com", telefono: null, departamento: "ventas",
+     * //  activo: true, password: "mipassword123"}
+     *
+     * @example
+     * // Al editar usuario SIN cambiar password (campo vacío)
+     * const datos = UI.obtenerDatosFormulario();
+     * // {nombre: "Juan", email: "juan@example.com", ..., password: null}
+     */
+    obtenerDatosFormulario() {
+        return Object.fromEntries(Esquema.formulario().map(({ nombre, tipo, requerido }) => {
+            const control = DOM.formUsuario.elements[nombre];
+            if (tipo === 'booleano') {
+                return [nombre, control.checked];
+            }
+
+            // Vacío: null (en la contraseña, no cambiarla en edición); los obligatorios
+            // quedan '' para que la validación los rechace
+            const valor = control.value.trim();
+            return [nombre, valor || (requerido && tipo !== 'password' ? '' : null)];
+        }));
+    },
+
+    /**
+     * Obtiene el ID del usuario en edición
+     * @returns {number|null} - ID del usuario o null si es nuevo
+     */
+    obtenerIdUsuario() {
+        const id = DOM.usuarioId.value;
+        return id ? parseInt(id) : null;
+    },
+
+    /**
+     * Valida el formulario usando HTML5 Validation API
+     * @returns {boolean} - True si el formulario es válido
+     */
+    validarFormulario() {
+        if (!DOM.formUsuario.checkValidity()) {
+            DOM.formUsuario.classList.add('was-validated');
+            return false;
+        }
+        return true;
+    },
+
+    /**
+     * Resetea el formulario y quita las validaciones
      */
     resetearFormulario() {
         DOM.formUsuario.reset();
         DOM.formUsuario.classList.remove('was-validated');
         DOM.usuarioId.value = '';
+        this.ocultarAvisoCambioRemoto();
+        CAMPOS_FORMULARIO.forEach(campo => this.limpiarErrorDeCampo(campo));
+        this.mostrarEstadoEmail(null);
+        this.mostrarFortalezaPassword(null);
+    },
+
+    /**
+     * Adapta el campo contraseña a la política en uso
+     *
+     * Llamar al iniciar, con la política ya resuelta, y al cambiar de
+     * idioma: define el minlength, el placeholder, el mensaje de validación
+     * y el texto de ayuda que usan los modales de alta.
+     *
+     * @memberof UI
+     * @param {Object} requisitos - Requisitos a mostrar
+     * @param {number} requisitos.longitudMinima - Caracteres mínimos
+     * @param {string} requisitos.descripcion - Texto de ayuda (ver Password.describir)
+     *
+     * @example
+     * UI.aplicarPoliticaPassword({ longitudMinima: 10, descripcion: 'Mínimo 10 caracteres, con números' });
+     */
+    aplicarPoliticaPassword({ longitudMinima, descripcion }) {
+        requisitosPassword = { longitudMinima, descripcion };
+
+        const feedback = DOM.password.closest('.mb-3').querySelector('.invalid-feedback');
+        feedback.dataset.mensajeOriginal = t('password.longitudMinima', { cantidad: longitudMinima });
+        feedback.textContent = feedback.dataset.mensajeOriginal;
+
+        DOM.password.minLength = longitudMinima;
+        DOM.password.placeholder = t('password.minimo', { cantidad: longitudMinima });
+        DOM.passwordHint.textContent = descripcion;
+    },
+
+    /**
+     * Actualiza el medidor de fortaleza y la validez del campo contraseña
+     *
+     * La primera regla incumplida queda como mensaje de validación del
+     * campo (setCustomValidity), así que el formulario no se envía hasta
+     * cumplir la política. Un error del backend en el campo se respeta
+     * hasta que se modifique la contraseña.
+     *
+     * @memberof UI
+     * @param {{nivel: number, errores: Array<string>}|null} evaluacion - Resultado de
+     *        Password.evaluar, o null para ocultar el medidor (campo vacío)
+     */
+    mostrarFortalezaPassword(evaluacion) {
+        DOM.fortalezaPassword.classList.toggle('d-none', !evaluacion);
+
+        if (!DOM.password.classList.contains('is-invalid')) {
+            const mensaje = evaluacion?.errores[0] ?? '';
+            const feedback = DOM.password.closest('.mb-3').querySelector('.invalid-feedback');
+            DOM.password.setCustomValidity(mensaje);
+            feedback.textContent = mensaje || feedback.dataset.mensajeOriginal || feedback.textContent;
+        }
+        if (!evaluacion) return;
+
+        const { clase } = NIVELES_FORTALEZA[evaluacion.nivel];
+        const texto = t(NIVELES_FORTALEZA[evaluacion.nivel].texto);
+        const [error] = evaluacion.errores;
+        const medidor = DOM.barraFortalezaPassword.parentElement;
+
+        DOM.barraFortalezaPassword.className = `progress-bar ${clase}`;
+        DOM.barraFortalezaPassword.style.width = `${(evaluacion.nivel + 1) * 20}%`;
+        medidor.setAttribute('aria-valuenow', evaluacion.nivel);
+        medidor.setAttribute('aria-valuetext', texto);
+        DOM.textoFortalezaPassword.className = `form-text ${error ? 'text-danger' : 'text-muted'}`;
+        DOM.textoFortalezaPassword.textContent = error ? `${texto}: ${error}` : texto;
+    },
+
+    /**
+     * Escribe una contraseña generada en el formulario
+     *
+     * La deja visible (para poder copiarla) y dispara el evento input para
+     * que se actualicen el medidor y la validación.
+     *
+     * @memberof UI
+     * @param {string} password - Contraseña a mostrar
+     */
+    establecerPassword(password) {
+        DOM.password.value = password;
+        DOM.password.type = 'text';
+        DOM.togglePasswordIcon.classList.replace('bi-eye', 'bi-eye-slash');
+        DOM.password.dispatchEvent(new Event('input', { bubbles: true }));
+        DOM.password.focus();
+        DOM.password.select();
+    },
+
+    /**
+     * Muestra el resultado de la consulta de disponibilidad del email
+     *
+     * @memberof UI
+     * @param {string|null} estado - 'verificando' (spinner), 'disponible' (check),
+     *        'ocupado' (cruz) o null (ícono neutro)
+     */
+    mostrarEstadoEmail(estado) {
+        const estados = {
+            verificando: ['<span class="spinner-border spinner-border-sm text-secondary" aria-hidden="true"></span>',
+                t('formulario.emailVerificando')],
+            disponible: ['<i class="bi bi-check-circle-fill text-success" aria-hidden="true"></i>', t('formulario.emailDisponible')],
+            ocupado: ['<i class="bi bi-x-circle-fill text-danger" aria-hidden="true"></i>', t('formulario.emailOcupado')]
+        };
+        const [icono, texto] = estados[estado] ?? ['<i class="bi bi-envelope text-muted" aria-hidden="true"></i>', ''];
+
+        DOM.estadoEmail.innerHTML = `${icono}<span class="visually-hidden">${texto}</span>`;
+        DOM.estadoEmail.title = texto;
+    },
+
+    /**
+     * Marca en el formulario los campos que rechazó el backend
+     *
+     * Cada campo muestra el mensaje del servidor en su invalid-feedback y
+     * queda inválido (setCustomValidity) hasta que se modifique. El foco va
+     * al primer campo marcado. Los campos que no están en el formulario se
+     * ignoran y quedan para el aviso general.
+     *
+     * @memberof UI
+     * @param {Object<string, string>} campos - Mensaje por campo (ver ApiError.campos)
+     * @returns {Array<string>} Campos marcados
+     *
+     * @example
+     * UI.mostrarErroresDeCampo({ email: 'El email ya está registrado' }); // ['email']
+     */
+    mostrarErroresDeCampo(campos) {
+        const marcados = CAMPOS_FORMULARIO.filter(campo => campos[campo]);
+
+        marcados.forEach(campo => {
+            const input = DOM.formUsuario.elements[campo];
+            const feedback = input.closest('.mb-3').querySelector('.invalid-feedback');
+            feedback.dataset.mensajeOriginal ??= feedback.textContent.trim();
+            feedback.textContent = campos[campo];
+
+            input.setCustomValidity(campos[campo]);
+            input.setAttribute('aria-invalid', 'true');
+            input.classList.add('is-invalid');
+            // El feedback de la contraseña es hermano del input-group, no del input
+            input.closest('.input-group')?.classList.add('is-invalid');
+        });
+
+        if (marcados.length > 0) {
+            DOM.formUsuario.elements[marcados[0]].focus();
+        }
+        return marcados;
+    },
+
+    /**
+     * Quita el error del backend de un campo y restaura su mensaje de validación
+     *
+     * @memberof UI
+     * @param {string} campo - Campo del formulario (p.ej. 'email' o 'password')
+     */
+    limpiarErrorDeCampo(campo) {
+        if (!CAMPOS_FORMULARIO.includes(campo)) return;
+        const input = DOM.formUsuario.elements[campo];
+        if (!input.classList.contains('is-invalid')) return;
+
+        const feedback = input.closest('.mb-3').querySelector('.invalid-feedback');
+        feedback.textContent = feedback.dataset.mensajeOriginal;
+
+        input.setCustomValidity('');
+        input.removeAttribute('aria-invalid');
+        input.classList.remove('is-invalid');
+        input.closest('.input-group')?.classList.remove('is-invalid');
+    },
+
+    /**
+     * Indica si el modal de usuario está abierto editando un usuario
+     * @param {number} id - ID del usuario
+     * @returns {boolean} True si el formulario visible es el de ese usuario
+     */
+    estaEditando(id) {
+        return this.obtenerIdUsuario() === id && DOM.formUsuario.closest('.modal').classList.contains('show');
+    },
+
+    /**
+     * Avisa en el modal de usuario que otra persona cambió el usuario en edición
+     *
+     * El formulario no se modifica: lo escrito se conserva.
+     *
+     * @param {string} mensaje - Texto del aviso
+     */
+    mostrarAvisoCambioRemoto(mensaje) {
+        DOM.avisoCambioRemoto.innerHTML = `<i class="bi bi-people-fill me-2"></i>${this.escaparHTML(mensaje)}`;
+        DOM.avisoCambioRemoto.classList.remove('d-none');
+    },
+
+    /**
+     * Oculta el aviso de cambio hecho por otra persona
+     */
+    ocultarAvisoCambioRemoto() {
+        DOM.avisoCambioRemoto.classList.add('d-none');
+        DOM.avisoCambioRemoto.textContent = '';
     },
 
     /**
@@ -339,48 +1543,818 @@ export const UI = {
     },
 
     /**
-     * Muestra una alerta en la interfaz con mensaje escapado
+     * Muestra el diálogo de conflicto de edición
+     *
+     * Cada campo ofrece dos opciones: el valor actual del servidor ("suyo")
+     * y el del formulario ("mío"). Por defecto se elige el mío solo en los
+     * campos que modifiqué; así "Guardar combinación" conserva los cambios
+     * de ambos cuando tocaron campos distintos. Los campos que ambos
+     * cambiaron con valores distintos se resaltan.
+     *
+     * @memberof UI
+     * @param {Object} conflicto - Versiones del usuario
+     * @param {Object} conflicto.original - Datos al abrir el formulario
+     * @param {Object} conflicto.suyo - Datos actuales en el servidor
+     * @param {Object} conflicto.mio - Datos del formulario
+     *
+     * @example
+     * UI.mostrarModalConflicto({
+     *   original: { nombre: 'Ana', email: 'ana@example.com' },
+     *   suyo: { nombre: 'Ana', email: 'ana.lopez@example.com' },
+     *   mio: { nombre: 'Ana López', email: 'ana@example.com' }
+     * });
+     */
+    mostrarModalConflicto({ original, suyo, mio }) {
+        DOM.nombreUsuarioConflicto.textContent = suyo.nombre;
+
+        DOM.tablaConflicto.innerHTML = CAMPOS_CONFLICTO.map(definicion => {
+            const { nombre: campo, etiqueta } = definicion;
+            // Un campo que falta cuenta como vacío (null)
+            const cambioSuyo = (suyo[campo] ?? null) !== (original[campo] ?? null);
+            const cambioMio = (mio[campo] ?? null) !== (original[campo] ?? null);
+            const eleccion = cambioMio ? 'mio' : 'suyo';
+            const opcion = (valor, version) => `
+                <div class="form-check mb-0">
+                    <input class="form-check-input" type="radio" name="conflicto-${campo}"
+                           id="conflicto-${campo}-${version}" value="${version}"
+                           ${eleccion === version ? 'checked' : ''}>
+                    <label class="form-check-label" for="conflicto-${campo}-${version}">
+                        ${this.escaparHTML(textoDeCampo(definicion, valor))}
+                    </label>
+                </div>`;
+
+            return `
+                <tr class="${cambioSuyo && cambioMio && (suyo[campo] ?? null) !== (mio[campo] ?? null) ? 'table-warning' : ''}">
+                    <th scope="row">${t(etiqueta)}</th>
+                    <td class="text-muted">${this.escaparHTML(textoDeCampo(definicion, original[campo]))}</td>
+                    <td>${opcion(suyo[campo], 'suyo')}</td>
+                    <td>${opcion(mio[campo], 'mio')}</td>
+                </tr>`;
+        }).join('');
+
+        DOM.modalConflicto.show();
+    },
+
+    /**
+     * Obtiene la versión elegida para cada campo del diálogo de conflicto
+     *
+     * @memberof UI
+     * @returns {Object<string, string>} Campo → 'suyo' o 'mio'
+     *
+     * @example
+     * UI.obtenerSeleccionConflicto(); // { nombre: 'mio', email: 'suyo' }
+     */
+    obtenerSeleccionConflicto() {
+        return Object.fromEntries(CAMPOS_CONFLICTO.map(({ nombre: campo }) => {
+            const marcado = DOM.tablaConflicto.querySelector(`input[name="conflicto-${campo}"]:checked`);
+            return [campo, marcado ? marcado.value : 'suyo'];
+        }));
+    },
+
+    /**
+     * Cierra el diálogo de conflicto de edición
+     */
+    cerrarModalConflicto() {
+        DOM.modalConflicto.hide();
+    },
+
+    /**
+     * Refleja la selección múltiple en la tabla y en la barra de acciones
+     *
+     * Marca los checkboxes y resalta las filas visibles seleccionadas. El
+     * checkbox del encabezado queda marcado si están seleccionados todos los
+     * usuarios que coinciden con la búsqueda, e indeterminado si solo algunos.
+     *
+     * @memberof UI
+     * @param {Set<number>} seleccionados - IDs seleccionados
+     * @param {number} totalSeleccionables - Usuarios que coinciden con la búsqueda actual
+     *
+     * @example
+     * UI.actualizarSeleccion(new Set([3, 7]), 20); // "2 usuarios seleccionados"
+     */
+    actualizarSeleccion(seleccionados, totalSeleccionables) {
+        DOM.usuariosTableBody.querySelectorAll('.chk-usuario').forEach(chk => {
+            const seleccionado = seleccionados.has(parseInt(chk.getAttribute('data-id')));
+            chk.checked = seleccionado;
+            chk.closest('tr').classList.toggle('fila-seleccionada', seleccionado);
+        });
+
+        const cantidad = seleccionados.size;
+        DOM.seleccionarTodos.checked = cantidad > 0 && cantidad >= totalSeleccionables;
+        DOM.seleccionarTodos.indeterminate = cantidad > 0 && cantidad < totalSeleccionables;
+        DOM.seleccionarTodos.disabled = totalSeleccionables === 0;
+
+        DOM.barraAccionesLote.classList.toggle('d-none', cantidad === 0);
+        DOM.textoSeleccion.textContent = t('lote.seleccionados', { cantidad });
+    },
+
+    /**
+     * Abre el modal de eliminación en lote con la lista de usuarios
+     *
+     * @memberof UI
+     * @param {Array<Object>} usuarios - Usuarios seleccionados ({id, nombre, email})
+     */
+    mostrarModalEliminarLote(usuarios) {
+        DOM.textoEliminarLote.textContent = t('lote.confirmar', { cantidad: usuarios.length });
+        DOM.listaEliminarLote.innerHTML = usuarios.map(usuario => `
+            <li class="list-group-item d-flex justify-content-between align-items-center gap-2" data-id="${usuario.id}">
+                <span class="text-truncate">
+                    <strong>${this.escaparHTML(usuario.nombre || `#${usuario.id}`)}</strong>
+                    <span class="text-muted">${this.escaparHTML(usuario.email || '')}</span>
+                </span>
+                <span class="estado-eliminacion text-muted">
+                    <i class="bi bi-hourglass me-1"></i>${t('lote.pendiente')}
+                </span>
+            </li>
+        `).join('');
+
+        DOM.progresoEliminarLote.classList.add('d-none');
+        DOM.progresoEliminarLote.firstElementChild.style.width = '0%';
+        DOM.resumenEliminarLote.classList.add('d-none');
+        DOM.avisoEliminarLote.classList.remove('d-none');
+        DOM.btnConfirmarEliminarLote.classList.remove('d-none');
+        DOM.btnCerrarEliminarLote.innerHTML = `<i class="bi bi-x-circle me-2"></i>${t('comun.cancelar')}`;
+        DOM.btnCerrarEliminarLote.disabled = false;
+        DOM.modalEliminarLote.show();
+    },
+
+    /**
+     * Pasa el modal de eliminación en lote al modo "en progreso"
+     *
+     * Muestra la barra de progreso y deshabilita los botones hasta que
+     * termine el lote (no se puede cancelar a mitad de camino).
+     *
+     * @memberof UI
+     */
+    iniciarEliminacionLote() {
+        DOM.progresoEliminarLote.classList.remove('d-none');
+        DOM.avisoEliminarLote.classList.add('d-none');
+        DOM.btnCerrarEliminarLote.disabled = true;
+        this.deshabilitarBoton(DOM.btnConfirmarEliminarLote, DOM.btnConfirmarEliminarLote.innerHTML);
+    },
+
+    /**
+     * Actualiza el estado de un usuario en la lista del lote y el progreso total
+     *
+     * @memberof UI
+     * @param {number} id - ID del usuario
+     * @param {string} estado - 'eliminando', 'eliminado' o 'error'
+     * @param {string} [detalle=''] - Motivo del error
+     * @param {number} completados - Eliminaciones terminadas (con éxito o error)
+     * @param {number} total - Usuarios del lote
+     */
+    marcarEstadoEliminacion(id, estado, detalle = '', completados, total) {
+        const estados = {
+            eliminando: `<span class="spinner-border spinner-border-sm me-1"></span>${t('lote.eliminando')}`,
+            eliminado: `<i class="bi bi-check-circle-fill text-success me-1"></i>${t('lote.eliminado')}`,
+            error: `<i class="bi bi-x-circle-fill text-danger me-1"></i>${this.escaparHTML(detalle || t('lote.error'))}`
+        };
+
+        const item = DOM.listaEliminarLote.querySelector(`[data-id="${id}"]`);
+        if (item) {
+            item.querySelector('.estado-eliminacion').innerHTML = estados[estado];
+        }
+
+        const porcentaje = total ? Math.round(completados / total * 100) : 0;
+        DOM.progresoEliminarLote.firstElementChild.style.width = `${porcentaje}%`;
+        DOM.progresoEliminarLote.setAttribute('aria-valuenow', porcentaje);
+    },
+
+    /**
+     * Muestra el resumen final de la eliminación en lote
+     *
+     * @memberof UI
+     * @param {Object} resumen - Resultado del lote
+     * @param {number} resumen.eliminados - Usuarios eliminados
+     * @param {number} resumen.fallidos - Usuarios que no se pudieron eliminar
+     */
+    mostrarResumenEliminacion({ eliminados, fallidos }) {
+        DOM.resumenEliminarLote.className = `alert mb-0 ${fallidos ? 'alert-warning' : 'alert-success'}`;
+        DOM.resumenEliminarLote.textContent = fallidos
+            ? t('lote.resumenConErrores', { eliminados, cantidad: fallidos })
+            : t('lote.resumen', { cantidad: eliminados });
+
+        this.habilitarBoton(DOM.btnConfirmarEliminarLote);
+        DOM.btnConfirmarEliminarLote.classList.add('d-none');
+        DOM.btnCerrarEliminarLote.disabled = false;
+        DOM.btnCerrarEliminarLote.innerHTML = `<i class="bi bi-check-circle me-2"></i>${t('comun.cerrar')}`;
+    },
+
+    /**
+     * Abre el modal de configuración con los valores actuales
+     *
+     * Genera las opciones de entorno (más "Personalizado") y selecciona la
+     * que coincide con la URL en uso. Si algún valor está fijado por la URL
+     * o config.json, muestra un aviso: lo guardado no tendrá efecto.
+     *
+     * @memberof UI
+     * @param {Object} config - API_CONFIG resuelto
+     * @param {Array<{nombre: string, url: string}>} entornos - Entornos predefinidos
+     * @param {Object<string, string>} origenes - Origen de cada valor (ver Config.origenes)
+     * @param {Array<string>} fijados - Claves fijadas por fuentes de mayor prioridad
+     */
+    mostrarModalConfiguracion(config, entornos, origenes, fijados) {
+        DOM.configEntorno.innerHTML = [
+            ...entornos.map(e =>
+                `<option value="${this.escaparHTML(e.url)}">${this.escaparHTML(e.nombre)}</option>`),
+            `<option value="">${t('config.personalizado')}</option>`
+        ].join('');
+        DOM.configEntorno.value = entornos.some(e => e.url === config.BASE_URL) ? config.BASE_URL : '';
+
+        DOM.configUrl.value = config.BASE_URL;
+        DOM.configTimeout.value = config.TIMEOUT;
+        DOM.configDebug.checked = config.DEBUG_MODE;
+        DOM.configMock.checked = config.MOCK;
+        DOM.configReintentos.value = config.REINTENTOS;
+        DOM.configUrlActual.textContent = config.BASE_URL;
+        DOM.configOrigenUrl.textContent = origenes.BASE_URL;
+        DOM.formConfiguracion.classList.remove('was-validated');
+
+        // Cada clave de API_CONFIG tiene su etiqueta en config.claves del catálogo
+        DOM.configAvisoPrioridad.classList.toggle('d-none', fijados.length === 0);
+        DOM.configAvisoPrioridad.textContent = fijados.length === 0 ? '' :
+            t('config.fijados', { claves: fijados.map(clave => t(`config.claves.${clave}`)).join(', ') });
+
+        DOM.modalConfiguracion.show();
+    },
+
+    /**
+     * Sincroniza el input de URL con el entorno elegido en el selector
+     *
+     * "Personalizado" deja el input como está para que se edite a mano.
+     *
+     * @memberof UI
+     */
+    aplicarEntornoSeleccionado() {
+        if (DOM.configEntorno.value) {
+            DOM.configUrl.value = DOM.configEntorno.value;
+        }
+    },
+
+    /**
+     * Obtiene los datos del formulario de configuración
+     * @returns {{BASE_URL: string, TIMEOUT: number, DEBUG_MODE: boolean, REINTENTOS: number, MOCK: boolean}}
+     */
+    obtenerDatosConfiguracion() {
+        return {
+            BASE_URL: DOM.configUrl.value.trim(),
+            TIMEOUT: parseInt(DOM.configTimeout.value),
+            DEBUG_MODE: DOM.configDebug.checked,
+            REINTENTOS: parseInt(DOM.configReintentos.value),
+            MOCK: DOM.configMock.checked
+        };
+    },
+
+    /**
+     * Valida el formulario de configuración usando HTML5 Validation API
+     * @returns {boolean} - True si el formulario es válido
+     */
+    validarFormularioConfiguracion() {
+        if (!DOM.formConfiguracion.checkValidity()) {
+            DOM.formConfiguracion.classList.add('was-validated');
+            return false;
+        }
+        return true;
+    },
+
+    /**
+     * Abre el asistente de importación en el paso 1 (elegir archivo)
+     * @memberof UI
+     */
+    mostrarModalImportar() {
+        DOM.archivoImportar.value = '';
+        DOM.errorImportacion.classList.add('d-none');
+        this.mostrarPasoImportacion(1);
+        DOM.modalImportar.show();
+    },
+
+    /**
+     * Muestra un paso del asistente de importación y sus botones
+     *
+     * @memberof UI
+     * @param {number} paso - 1 (archivo), 2 (mapeo y vista previa) o 3 (progreso)
+     */
+    mostrarPasoImportacion(paso) {
+        [DOM.importarPaso1, DOM.importarPaso2, DOM.importarPaso3].forEach((elemento, i) => {
+            elemento.classList.toggle('d-none', i + 1 !== paso);
+        });
+
+        DOM.btnVolverImportacion.classList.toggle('d-none', paso !== 2);
+        DOM.btnConfirmarImportacion.classList.toggle('d-none', paso !== 2);
+        DOM.btnDescargarReporte.classList.add('d-none');
+        DOM.btnCerrarImportacion.disabled = paso === 3;
+        DOM.btnCerrarImportacion.innerHTML = `<i class="bi bi-x-circle me-2"></i>${t('comun.cancelar')}`;
+    },
+
+    /**
+     * Muestra un error de lectura del archivo (paso 1)
+     * @memberof UI
+     * @param {string} mensaje - Descripción del problema
+     */
+    mostrarErrorImportacion(mensaje) {
+        DOM.errorImportacion.textContent = mensaje;
+        DOM.errorImportacion.classList.remove('d-none');
+        this.mostrarPasoImportacion(1);
+    },
+
+    /**
+     * Completa los selectores de columna con los encabezados del archivo
+     *
+     * @memberof UI
+     * @param {Array<string>} encabezados - Nombre de cada columna del archivo
+     * @param {Object<string, number|null>} mapeo - Índice de columna sugerido por campo
+     *
+     * @example
+     * UI.mostrarMapeoImportacion(['Nombre', 'Correo', 'Clave'], { nombre: 0, email: 1, password: 2 });
+     */
+    mostrarMapeoImportacion(encabezados, mapeo) {
+        const opciones = [
+            `<option value="">${t('importar.sinAsignar')}</option>`,
+            ...encabezados.map((encabezado, i) =>
+                `<option value="${i}">${this.escaparHTML(encabezado)}</option>`)
+        ].join('');
+
+        DOM.selectoresMapeo.forEach(select => {
+            const indice = mapeo[select.getAttribute('data-campo')];
+            select.innerHTML = opciones;
+            select.value = indice ?? '';
+        });
+        this.mostrarPasoImportacion(2);
+    },
+
+    /**
+     * Obtiene la columna asignada a cada campo
+     * @memberof UI
+     * @returns {Object<string, number|null>} Índice de columna (o null) por campo del formulario
+     */
+    obtenerMapeoImportacion() {
+        return Object.fromEntries([...DOM.selectoresMapeo].map(select => [
+            select.getAttribute('data-campo'),
+            select.value === '' ? null : parseInt(select.value)
+        ]));
+    },
+
+    /**
+     * Dibuja la vista previa validada de la importación
+     *
+     * Una columna por campo del formulario. Las filas con errores se
+     * resaltan y listan sus motivos. La contraseña nunca se muestra (solo
+     * si fue informada).
+     *
+     * @memberof UI
+     * @param {Array<Object>} filas - Resultado de App.analizarImportacion()
+     * @param {number} filas[].numero - Número de fila en la planilla
+     * @param {Object} filas[].datos - Valor por campo del formulario
+     * @param {Array<string>} filas[].errores - Motivos de rechazo (vacío = válida)
+     */
+    renderizarVistaPrevia(filas) {
+        const validas = filas.filter(f => f.errores.length === 0).length;
+        const conErrores = filas.length - validas;
+
+        DOM.tablaVistaPrevia.innerHTML = filas.slice(0, MAX_FILAS_VISTA_PREVIA).map(({ numero, datos, errores }) => `
+            <tr class="${errores.length ? 'table-danger' : ''}">
+                <td class="text-center">${numero}</td>
+                ${Esquema.formulario().map(campo => `<td>${celdaVistaPrevia(campo, datos[campo.nombre])}</td>`).join('')}
+                <td>${errores.length
+                    ? errores.map(e => `<div><i class="bi bi-x-circle text-danger me-1"></i>${this.escaparHTML(e)}</div>`).join('')
+                    : `<i class="bi bi-check-circle text-success me-1"></i>${t('importar.valida')}`}</td>
+            </tr>
+        `).join('');
+
+        const ocultas = filas.length - MAX_FILAS_VISTA_PREVIA;
+        DOM.resumenVistaPrevia.className = `alert py-2 ${conErrores ? 'alert-warning' : 'alert-info'}`;
+        DOM.resumenVistaPrevia.textContent = [
+            t('importar.resumenVistaPrevia', { cantidad: filas.length, validas, conErrores }),
+            conErrores ? t('importar.filasNoSeImportan') : '',
+            ocultas > 0 ? t('importar.vistaPreviaParcial', { cantidad: MAX_FILAS_VISTA_PREVIA }) : ''
+        ].filter(Boolean).join(' ');
+
+        DOM.btnConfirmarImportacion.disabled = validas === 0;
+        DOM.btnConfirmarImportacion.innerHTML =
+            `<i class="bi bi-upload me-2"></i>${t('importar.importarUsuarios', { cantidad: validas })}`;
+    },
+
+    /**
+     * Actualiza la barra de progreso de la importación
+     *
+     * @memberof UI
+     * @param {number} completados - Filas procesadas (creadas o rechazadas por el backend)
+     * @param {number} total - Filas a crear
+     */
+    actualizarProgresoImportacion(completados, total) {
+        const porcentaje = total ? Math.round(completados / total * 100) : 0;
+        DOM.textoProgresoImportacion.textContent = t('importar.progreso', { completados, total });
+        DOM.progresoImportacion.firstElementChild.style.width = `${porcentaje}%`;
+        DOM.progresoImportacion.setAttribute('aria-valuenow', porcentaje);
+    },
+
+    /**
+     * Muestra el resultado final de la importación
+     *
+     * @memberof UI
+     * @param {Object} resultado - Resumen de la importación
+     * @param {number} resultado.creados - Usuarios creados
+     * @param {number} resultado.rechazados - Filas rechazadas (validación local o backend)
+     */
+    mostrarResultadoImportacion({ creados, rechazados }) {
+        DOM.textoProgresoImportacion.textContent = t('importar.finalizada');
+        DOM.resultadoImportacion.className = `alert mb-0 ${rechazados ? 'alert-warning' : 'alert-success'}`;
+        DOM.resultadoImportacion.textContent = rechazados
+            ? t('importar.resultadoConRechazos', { creados, cantidad: rechazados })
+            : t('importar.resultado', { cantidad: creados });
+
+        DOM.btnDescargarReporte.classList.toggle('d-none', rechazados === 0);
+        DOM.btnCerrarImportacion.disabled = false;
+        DOM.btnCerrarImportacion.innerHTML = `<i class="bi bi-check-circle me-2"></i>${t('comun.cerrar')}`;
+    },
+
+    /**
+     * Descarga un texto como archivo
+     *
+     * Los CSV se generan con BOM para que Excel reconozca los acentos (UTF-8).
+     *
+     * @memberof UI
+     * @param {string} nombreArchivo - Nombre sugerido para la descarga
+     * @param {string} contenido - Contenido del archivo
+     * @param {string} [tipo='text/csv;charset=utf-8'] - Tipo MIME
+     *
+     * @example
+     * UI.descargarArchivo('usuarios-rechazados.csv', CSV.generar(filas));
+     */
+    descargarArchivo(nombreArchivo, contenido, tipo = 'text/csv;charset=utf-8') {
+        const bom = tipo.startsWith('text/csv') ? '\uFEFF' : '';
+        const url = URL.createObjectURL(new Blob([bom + contenido], { type: tipo }));
+        const enlace = document.createElement('a');
+        enlace.href = url;
+        enlace.download = nombreArchivo;
+        document.body.appendChild(enlace);
+        enlace.click();
+        enlace.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    },
+
+    /**
+     * Muestra una notificación apilada con las anteriores y la agrega al historial
      *
      * SEGURIDAD: El mensaje se escapa para prevenir XSS, incluso si viene del código.
      * Esto es una buena práctica defensiva que evita vulnerabilidades futuras.
      *
+     * Los errores se anuncian de inmediato a los lectores de pantalla
+     * (role="alert") y quedan hasta que se cierran; el resto se anuncia sin
+     * interrumpir (role="status") y se oculta según DURACION_NOTIFICACION.
+     * Con el puntero o el foco encima, la cuenta se pausa, salvo que la
+     * duración sea un plazo real (pausable: false: el plazo vence aunque la
+     * notificación siga en pantalla).
+     *
      * @memberof UI
      * @param {string} mensaje - Mensaje a mostrar (será escapado automáticamente)
      * @param {string} tipo - Tipo de alerta (success, danger, warning, info)
+     * @param {Object} [opciones={}] - Opciones adicionales
+     * @param {{texto: string, alHacerClick: Function}} [opciones.accion] - Botón de acción
+     *        (p.ej. "Deshacer"); al pulsarlo se ejecuta el callback y se cierra la notificación
+     * @param {number|null} [opciones.duracion] - Milisegundos antes de ocultarse
+     *        (null = hasta que se cierre; por defecto, el de su tipo)
+     * @param {Array<string>} [opciones.detalles=[]] - Lista de detalles bajo el mensaje (escapados)
+     * @param {boolean} [opciones.pausable=true] - Pausar la cuenta con el puntero o el foco encima
      *
      * @example
      * UI.mostrarAlerta('Usuario creado correctamente', 'success');
      * UI.mostrarAlerta('Error al conectar con el servidor', 'danger');
+     *
+     * @example
+     * UI.mostrarAlerta('Usuario "Ana" eliminado', 'success', {
+     *   accion: { texto: 'Deshacer', alHacerClick: () => app.handleDeshacerEliminacion(pendiente) },
+     *   duracion: 28000
+     * });
      */
-    mostrarAlerta(mensaje, tipo = 'info') {
-        const iconos = {
-            success: 'check-circle-fill',
-            danger: 'exclamation-triangle-fill',
-            warning: 'exclamation-circle-fill',
-            info: 'info-circle-fill'
-        };
-
-        const alerta = document.createElement('div');
-        alerta.className = `alert alert-${tipo} alert-dismissible fade show`;
-        alerta.setAttribute('role', 'alert');
+    mostrarAlerta(mensaje, tipo = 'info', {
+        accion = null, duracion = DURACION_NOTIFICACION[tipo], detalles = [], pausable = true
+    } = {}) {
+        const notificacion = document.createElement('div');
+        notificacion.className = `toast notificacion notificacion-${tipo} fade show`;
+        notificacion.setAttribute('role', tipo === 'danger' ? 'alert' : 'status');
+        notificacion.setAttribute('aria-atomic', 'true');
         // ✅ SEGURIDAD: Escapar mensaje para prevenir XSS
-        alerta.innerHTML = `
-            <i class="bi bi-${iconos[tipo]} me-2"></i>
-            <strong>${this.escaparHTML(mensaje)}</strong>
-            <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
+        notificacion.innerHTML = `
+            <div class="toast-body d-flex align-items-start">
+                <i class="bi bi-${ICONOS_NOTIFICACION[tipo]} text-${tipo} me-2" aria-hidden="true"></i>
+                <div class="flex-grow-1">
+                    <strong>${this.escaparHTML(mensaje)}</strong>
+                    ${detalles.length ? `<ul class="mb-0 mt-2 small">${detalles.map(d => `<li>${this.escaparHTML(d)}</li>`).join('')}</ul>` : ''}
+                    ${accion ? `<button type="button" class="btn btn-sm btn-outline-dark mt-2 btn-accion-alerta">${this.escaparHTML(accion.texto)}</button>` : ''}
+                </div>
+                <button type="button" class="btn-close ms-2" aria-label="${t('comun.cerrar')}"></button>
+            </div>
         `;
 
-        DOM.alertContainer.innerHTML = '';
-        DOM.alertContainer.appendChild(alerta);
+        // Cuenta regresiva pausable: `pausas` guarda los motivos activos (puntero, foco)
+        let restante = duracion;
+        let inicio = 0;
+        let temporizador = null;
+        const pausas = new Set();
 
-        // Auto-ocultar después de 5 segundos
-        setTimeout(() => {
-            alerta.classList.remove('show');
-            setTimeout(() => alerta.remove(), 150);
-        }, 5000);
+        const ocultar = () => {
+            clearTimeout(temporizador);
+            notificacion.classList.remove('show');
+            setTimeout(() => notificacion.remove(), 150);
+        };
+        const reanudar = motivo => {
+            pausas.delete(motivo);
+            if (pausas.size > 0 || restante === null || temporizador) return;
+            inicio = Date.now();
+            temporizador = setTimeout(ocultar, restante);
+        };
+        const pausar = motivo => {
+            pausas.add(motivo);
+            if (!temporizador) return;
+            clearTimeout(temporizador);
+            temporizador = null;
+            restante -= Date.now() - inicio;
+        };
+
+        if (pausable) {
+            notificacion.addEventListener('mouseenter', () => pausar('puntero'));
+            notificacion.addEventListener('mouseleave', () => reanudar('puntero'));
+            notificacion.addEventListener('focusin', () => pausar('foco'));
+            notificacion.addEventListener('focusout', evento => {
+                if (!notificacion.contains(evento.relatedTarget)) reanudar('foco');
+            });
+        }
+        notificacion.querySelector('.btn-close').addEventListener('click', ocultar);
+
+        if (accion) {
+            notificacion.querySelector('.btn-accion-alerta').addEventListener('click', () => {
+                ocultar();
+                accion.alHacerClick();
+            }, { once: true });
+        }
+
+        DOM.alertContainer.appendChild(notificacion);
+        reanudar();
+
+        // Demasiadas apiladas: se quita la más antigua que no sea un error (o la más antigua)
+        const visibles = [...DOM.alertContainer.querySelectorAll('.notificacion.show')];
+        if (visibles.length > MAXIMO_NOTIFICACIONES_VISIBLES) {
+            (visibles.find(n => !n.classList.contains('notificacion-danger')) ?? visibles[0]).remove();
+        }
+
+        historialNotificaciones.unshift({ mensaje, tipo, detalles, fecha: new Date() });
+        historialNotificaciones.splice(MAXIMO_HISTORIAL_NOTIFICACIONES);
+        // Con el panel abierto, la notificación ya se está viendo
+        if (DOM.btnNotificaciones.getAttribute('aria-expanded') !== 'true') {
+            notificacionesSinLeer++;
+        }
+        this.renderizarNotificaciones();
+    },
+
+    /**
+     * Dibuja el historial de notificaciones del navbar y su contador de no leídas
+     *
+     * Se llama con cada notificación nueva y al cambiar de idioma (horas y
+     * textos del panel; los mensajes quedan en el idioma en que se mostraron).
+     *
+     * @memberof UI
+     */
+    renderizarNotificaciones() {
+        const formatoHora = new Intl.DateTimeFormat(I18n.idioma(), { timeStyle: 'medium' });
+
+        DOM.listaNotificaciones.innerHTML = historialNotificaciones.map(({ mensaje, tipo, detalles, fecha }) => `
+            <li class="notificacion-historial d-flex align-items-start px-3 py-2 border-bottom">
+                <i class="bi bi-${ICONOS_NOTIFICACION[tipo]} text-${tipo} me-2" aria-hidden="true"></i>
+                <div class="flex-grow-1 small">
+                    <div>${this.escaparHTML(mensaje)}</div>
+                    ${detalles.length ? `<ul class="mb-0 ps-3">${detalles.map(d => `<li>${this.escaparHTML(d)}</li>`).join('')}</ul>` : ''}
+                    <time class="text-muted" datetime="${fecha.toISOString()}">${formatoHora.format(fecha)}</time>
+                </div>
+            </li>
+        `).join('');
+
+        DOM.sinNotificaciones.classList.toggle('d-none', historialNotificaciones.length > 0);
+        DOM.btnLimpiarNotificaciones.disabled = historialNotificaciones.length === 0;
+
+        DOM.contadorNotificaciones.textContent = notificacionesSinLeer > 99 ? '99+' : String(notificacionesSinLeer);
+        DOM.contadorNotificaciones.classList.toggle('d-none', notificacionesSinLeer === 0);
+        DOM.btnNotificaciones.setAttribute('aria-label', notificacionesSinLeer > 0
+            ? t('notificaciones.sinLeer', { cantidad: notificacionesSinLeer })
+            : t('notificaciones.titulo'));
+    },
+
+    /**
+     * Da por leídas las notificaciones del historial (al abrir el panel)
+     *
+     * @memberof UI
+     */
+    marcarNotificacionesLeidas() {
+        notificacionesSinLeer = 0;
+        this.renderizarNotificaciones();
+    },
+
+    /**
+     * Vacía el historial de notificaciones (las visibles siguen en pantalla)
+     *
+     * @memberof UI
+     */
+    limpiarNotificaciones() {
+        historialNotificaciones.length = 0;
+        notificacionesSinLeer = 0;
+        this.renderizarNotificaciones();
+    },
+
+    /**
+     * Muestra la pantalla de inicio de sesión
+     *
+     * Se superpone a la aplicación sin destruir su estado, de modo que un
+     * modal abierto o un formulario a medio completar siguen ahí después.
+     *
+     * @memberof UI
+     * @param {Object} [opciones={}] - Opciones de la pantalla
+     * @param {string} [opciones.mensaje] - Texto explicativo (p.ej. "Su sesión expiró")
+     * @param {boolean} [opciones.cancelable=false] - Mostrar botón "Cancelar"
+     * @param {string} [opciones.email=''] - Email a precargar
+     *
+     * @example
+     * UI.mostrarVistaLogin({ mensaje: 'Su sesión expiró', cancelable: true, email: 'ana@example.com' });
+     */
+    mostrarVistaLogin({ mensaje = t('login.mensaje'), cancelable = false, email = '' } = {}) {
+        DOM.formLogin.reset();
+        DOM.formLogin.classList.remove('was-validated');
+        DOM.loginEmail.value = email;
+        DOM.loginMensaje.textContent = mensaje;
+        DOM.loginError.classList.add('d-none');
+        DOM.btnCancelarLogin.classList.toggle('d-none', !cancelable);
+        DOM.vistaLogin.classList.remove('d-none');
 
-        // Scroll hacia la alerta
-        alerta.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        (email ? DOM.loginPassword : DOM.loginEmail).focus();
+    },
+
+    /**
+     * Oculta la pantalla de inicio de sesión y limpia la contraseña
+     */
+    ocultarVistaLogin() {
+        DOM.vistaLogin.classList.add('d-none');
+        DOM.loginPassword.value = '';
+    },
+
+    /**
+     * Valida el formulario de login usando HTML5 Validation API
+     * @returns {boolean} - True si el formulario es válido
+     */
+    validarFormularioLogin() {
+        if (!DOM.formLogin.checkValidity()) {
+            DOM.formLogin.classList.add('was-validated');
+            return false;
+        }
+        return true;
+    },
+
+    /**
+     * Obtiene las credenciales ingresadas
+     * @returns {{email: string, password: string, recordar: boolean}}
+     */
+    obtenerDatosLogin() {
+        return {
+            email: DOM.loginEmail.value.trim(),
+            password: DOM.loginPassword.value,
+            recordar: DOM.loginRecordar.checked
+        };
+    },
+
+    /**
+     * Muestra un error dentro de la pantalla de login (escapado vía textContent)
+     * @param {string} mensaje - Mensaje de error
+     */
+    mostrarErrorLogin(mensaje) {
+        DOM.loginError.textContent = mensaje;
+        DOM.loginError.classList.remove('d-none');
+        DOM.loginPassword.value = '';
+        DOM.loginPassword.focus();
+    },
+
+    /**
+     * Muestra u oculta el usuario autenticado y el botón "Cerrar sesión" del navbar
+     *
+     * @memberof UI
+     * @param {Object|null} usuario - Usuario autenticado o null si no hay sesión
+     */
+    mostrarSesion(usuario) {
+        DOM.navSesion.classList.toggle('d-none', !usuario);
+        DOM.usuarioSesion.textContent = usuario ? (usuario.nombre || usuario.email || '') : '';
+        if (!usuario) {
+            DOM.rolSesion.classList.add('d-none');
+        }
+    },
+
+    /**
+     * Ajusta la interfaz a los permisos del rol actual
+     *
+     * Oculta "Alta de Usuario" si el rol no puede crear y muestra el rol
+     * junto al usuario autenticado. Los botones de cada fila se resuelven
+     * en renderizarUsuarios.
+     *
+     * @memberof UI
+     * @param {Object} permisos - Permisos generales
+     * @param {string} permisos.rol - 'viewer', 'editor' o 'admin'
+     * @param {boolean} permisos.crear - true si puede dar de alta usuarios
+     * @param {boolean} permisos.eliminar - true si puede eliminar (habilita la selección múltiple)
+     *
+     * @example
+     * UI.aplicarPermisos({ rol: 'viewer', crear: false, eliminar: false, auditar: false });
+     */
+    aplicarPermisos({ rol, crear, eliminar, auditar }) {
+        DOM.tablaUsuarios.classList.toggle('sin-seleccion', !eliminar);
+        DOM.navAuditoria.classList.toggle('d-none', !auditar);
+        DOM.btnNuevoUsuario.classList.toggle('d-none', !crear);
+        DOM.btnImportarCsv.classList.toggle('d-none', !crear);
+        DOM.btnCrearPrimerUsuario.classList.toggle('d-none', !crear);
+        DOM.rolSesion.textContent = t(`sesion.roles.${rol}`);
+        DOM.rolSesion.classList.toggle('d-none', DOM.navSesion.classList.contains('d-none'));
+    },
+
+    /**
+     * Muestra el aviso de reintento en curso
+     *
+     * Se usa mientras el backend despierta (cold start de Render) para que
+     * el usuario sepa que la aplicación sigue intentando y no está colgada.
+     *
+     * @memberof UI
+     * @param {Object} estado - Estado notificado por API.suscribirReintentos
+     * @param {number} estado.intento - Intento que se hará a continuación
+     * @param {number} estado.totalIntentos - Cantidad máxima de intentos
+     * @param {number} estado.esperaMs - Espera antes del intento
+     *
+     * @example
+     * UI.mostrarEstadoReintento({intento: 2, totalIntentos: 4, esperaMs: 1500});
+     * // "Servidor despertando… intento 2/4 (en 2 s)"
+     */
+    mostrarEstadoReintento({ intento, totalIntentos, esperaMs }) {
+        const segundos = Math.ceil(esperaMs / 1000);
+        DOM.estadoReintentoTexto.textContent = t('conexion.reintento', { intento, totalIntentos, segundos });
+        DOM.estadoReintento.classList.remove('d-none');
+    },
+
+    /**
+     * Oculta el aviso de reintentos
+     */
+    ocultarEstadoReintento() {
+        DOM.estadoReintento.classList.add('d-none');
+    },
+
+    /**
+     * Actualiza el indicador de conexión del navbar
+     *
+     * @memberof UI
+     * @param {Object} estado - Estado de la conexión y de la cola
+     * @param {boolean} estado.conectado - Si hay conexión
+     * @param {number} estado.pendientes - Cambios encolados sin sincronizar
+     * @param {boolean} [estado.sincronizando=false] - Si se están enviando los pendientes
+     *
+     * @example
+     * UI.actualizarEstadoConexion({ conectado: false, pendientes: 2 });
+     * // "Sin conexión · 2 pendientes"
+     */
+    actualizarEstadoConexion({ conectado, pendientes, sincronizando = false }) {
+        let clase = conectado ? 'bg-success' : 'bg-secondary';
+        let icono = conectado ? 'bi-wifi' : 'bi-wifi-off';
+        let texto = t(conectado ? 'conexion.enLinea' : 'conexion.sinConexion');
+
+        if (sincronizando) {
+            clase = 'bg-info text-dark';
+            icono = 'bi-arrow-repeat';
+            texto = t('conexion.sincronizando');
+        }
+        if (pendientes > 0) {
+            texto += ` · ${t('conexion.pendientes', { cantidad: pendientes })}`;
+            if (conectado && !sincronizando) clase = 'bg-warning text-dark';
+        }
+
+        DOM.estadoConexion.className = `badge estado-conexion ${clase}`;
+        DOM.estadoConexion.innerHTML = `<i class="bi ${icono} me-1"></i>${texto}`;
+        DOM.estadoConexion.title = pendientes > 0 ? t('conexion.ayudaPendientes') : '';
+    },
+
+    /**
+     * Muestra u oculta el aviso "Backend simulado" del navbar
+     *
+     * @memberof UI
+     * @param {boolean} activo - Si API_CONFIG.MOCK está activado
+     */
+    mostrarBackendSimulado(activo) {
+        DOM.navSimulado.classList.toggle('d-none', !activo);
+    },
+
+    /**
+     * Marca el idioma en uso en los selectores de idioma
+     *
+     * @memberof UI
+     * @param {string} idioma - Código del idioma ('es', 'en')
+     */
+    marcarIdioma(idioma) {
+        DOM.idiomaActual.textContent = idioma.toUpperCase();
+        DOM.opcionesIdioma.forEach(boton => {
+            const activo = boton.getAttribute('data-idioma') === idioma;
+            boton.classList.toggle('active', activo);
+            boton.setAttribute('aria-pressed', String(activo));
+        });
     },
 
     /**
@@ -417,10 +2391,21 @@ export const UI = {
 
     /**
      * Actualiza el contador de usuarios
-     * @param {number} total - Total de usuarios
+     *
+     * Si hay un filtro activo (mostrados distinto de total) el contador
+     * indica cuántos usuarios se muestran del total cargado.
+     *
+     * @param {number} mostrados - Usuarios visibles en la tabla
+     * @param {number} [total=mostrados] - Total de usuarios cargados
+     *
+     * @example
+     * UI.actualizarContador(12);     // "Total: 12 usuarios"
+     * UI.actualizarContador(3, 12);  // "Mostrando 3 de 12 usuarios"
      */
-    actualizarContador(total) {
-        DOM.totalUsuarios.textContent = `Total: ${total} usuario${total !== 1 ? 's' : ''}`;
+    actualizarContador(mostrados, total = mostrados) {
+        DOM.totalUsuarios.textContent = mostrados !== total
+            ? t('tabla.mostrando', { mostrados, cantidad: total })
+            : t('tabla.total', { cantidad: total });
     },
 
     /**
@@ -433,7 +2418,7 @@ export const UI = {
         boton.setAttribute('data-texto-original', textoOriginal);
         boton.innerHTML = `
             <span class="spinner-border spinner-border-sm me-2"></span>
-            Procesando...
+            ${t('comun.procesando')}
         `;
     },
 
@@ -481,7 +2466,8 @@ export const UI = {
     escaparHTML(texto) {
         const div = document.createElement('div');
         div.textContent = texto;
-        return div.innerHTML;
+        // innerHTML no escapa las comillas: hacen falta dentro de atributos (data-nombre="...")
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
     },
 
     /**
@@ -0,0 +1,177 @@
+/**
+ * Service Worker - Funcionamiento sin conexión
+ *
+ * Guarda en caché la aplicación (index.html, estilos, módulos JS y
+ * Bootstrap) y las últimas respuestas GET de la API, para que la
+ * aplicación abra y muestre la lista de usuarios sin conexión.
+ *
+ * Estrategia "primero la red": con conexión siempre se usa la versión
+ * más reciente (y se actualiza la caché); sin conexión se responde con
+ * la copia guardada. Las altas, ediciones y eliminaciones NO pasan por
+ * aquí: las encola la aplicación en IndexedDB (ver js/offline.js).
+ *
+ * Se registra desde js/offline.js. Debe estar en la raíz del sitio para
+ * controlar todas las páginas.
+ *
+ * @author Sistema de Gestión de Usuarios
+ * @version 1.0.0
+ */
+
+/**
+ * Versión de las cachés. Cambiarla descarta las cachés anteriores al activarse.
+ * @constant {string}
+ */
+const VERSION = 'v10';
+
+/**
+ * Caché de la aplicación (archivos propios y Bootstrap)
+ * @constant {string}
+ */
+const CACHE_APP = `gestion-usuarios-app-${VERSION}`;
+
+/**
+ * Caché de respuestas GET de la API (lista de usuarios, usuario por ID)
+ * @constant {string}
+ */
+const CACHE_DATOS = `gestion-usuarios-datos-${VERSION}`;
+
+/**
+ * Archivos propios que se guardan al instalar (la instalación falla si falta alguno)
+ * @constant {Array<string>}
+ */
+const ARCHIVOS_APP = [
+    './',
+    'index.html',
+    'css/styles.css',
+    'js/config.js',
+    'js/auth.js',
+    'js/api.js',
+    'js/ui.js',
+    'js/app.js',
+    'js/csv.js',
+    'js/offline.js',
+    'js/tiempoReal.js',
+    'js/mock.js',
+    'js/monitoreo.js',
+    'js/password.js',
+    'js/i18n.js',
+    'js/router.js',
+    'js/auditoria.js',
+    'js/esquema.js'
+];
+
+/**
+ * Recursos externos que se intentan guardar al instalar (si fallan, se
+ * guardan en la próxima visita con conexión)
+ * @constant {Array<string>}
+ */
+const ARCHIVOS_CDN = [
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.3.2/dist/css/bootstrap.min.css',
+    'https://cdn.jsdelivr.net/npm/bootstrap-icons@1.11.1/font/bootstrap-icons.css',
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.3.2/dist/js/bootstrap.bundle.min.js'
+];
+
+/**
+ * Tag de Background Sync para reenviar los cambios encolados
+ * @constant {string}
+ */
+const TAG_SINCRONIZACION = 'sincronizar-pendientes';
+
+/**
+ * Indica si una URL es parte de la aplicación (y no de la API)
+ *
+ * @function esRecursoDeApp
+ * @param {URL} url - URL de la petición
+ * @returns {boolean} True para archivos propios y de la CDN
+ */
+function esRecursoDeApp(url) {
+    return url.origin === self.location.origin || url.hostname === 'cdn.jsdelivr.net';
+}
+
+/**
+ * Responde primero desde la red y, si falla, desde la caché
+ *
+ * Solo se guardan respuestas exitosas: un 401 o 500 no reemplaza la
+ * última copia buena.
+ *
+ * @async
+ * @function primeroLaRed
+ * @param {Request} request - Petición interceptada
+ * @param {string} nombreCache - Caché donde guardar la respuesta
+ * @returns {Promise<Response>} Respuesta de la red o de la caché
+ * @throws {TypeError} Sin conexión y sin copia en caché
+ */
+async function primeroLaRed(request, nombreCache) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(nombreCache);
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const copia = await caches.match(request, { cacheName: nombreCache });
+        if (copia) {
+            return copia;
+        }
+        throw error;
+    }
+}
+
+// Instalación: guardar la aplicación
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_APP);
+        await cache.addAll(ARCHIVOS_APP);
+        await Promise.allSettled(ARCHIVOS_CDN.map(url => cache.add(url)));
+        await self.skipWaiting();
+    })());
+});
+
+// Activación: descartar cachés de versiones anteriores
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const vigentes = [CACHE_APP, CACHE_DATOS];
+        const nombres = await caches.keys();
+        await Promise.all(nombres
+            .filter(nombre => nombre.startsWith('gestion-usuarios-') && !vigentes.includes(nombre))
+            .map(nombre => caches.delete(nombre)));
+        await self.clients.claim();
+    })());
+});
+
+// Peticiones: solo GET (las modificaciones siempre van a la red)
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || !url.protocol.startsWith('http')) {
+        return;
+    }
+    // El stream de cambios (SSE) no termina nunca: no se puede guardar en caché
+    if (request.headers.get('Accept')?.includes('text/event-stream')) {
+        return;
+    }
+
+    event.respondWith(primeroLaRed(request, esRecursoDeApp(url) ? CACHE_APP : CACHE_DATOS));
+});
+
+// Mensajes de la aplicación
+self.addEventListener('message', (event) => {
+    // Al cerrar sesión: no dejar datos de usuarios accesibles sin token
+    if (event.data?.tipo === 'limpiar-datos') {
+        event.waitUntil(caches.delete(CACHE_DATOS));
+    }
+});
+
+// Background Sync: la conexión volvió. El token y la URL de la API viven
+// en la página, así que se le pide a ella que reenvíe la cola.
+self.addEventListener('sync', (event) => {
+    if (event.tag !== TAG_SINCRONIZACION) {
+        return;
+    }
+
+    event.waitUntil((async () => {
+        const clientes = await self.clients.matchAll({ type: 'window' });
+        clientes.forEach(cliente => cliente.postMessage({ tipo: 'sincronizar' }));
+    })());
+});
@@ -0,0 +1,440 @@
+/**
+ * Pruebas de js/api.js (Modelo)
+ *
+ * El backend es la red simulada de entorno.js (fetch reemplazado) o el
+ * backend simulado de js/mock.js. Incluye los casos de validación y de
+ * caminos de error que antes solo corrían en test-system.html.
+ */
+
+import { Red, respuestaJson, esperar } from './entorno.js';
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { API_CONFIG } from '../js/config.js';
+import { API, ApiError } from '../js/api.js';
+import { Auth } from '../js/auth.js';
+import { Mock } from '../js/mock.js';
+import { Password } from '../js/password.js';
+import { t } from '../js/i18n.js';
+
+const BASE_URL = 'http://api.prueba/api/usuarios';
+
+const ANA = { id: 1, nombre: 'Ana García', email: 'ana@example.com' };
+const LUIS = { id: 2, nombre: 'Luis Pérez', email: 'luis@example.com' };
+
+beforeEach(() => {
+    Object.assign(API_CONFIG, {
+        BASE_URL, DEBUG_MODE: false, AUTH_HABILITADA: false, MOCK: false, TIMEOUT: 1000,
+        REINTENTOS: 0, RETRASO_BASE: 1, RETRASO_MAXIMO: 5, MOCK_LATENCIA: 0, MOCK_FALLOS: 0
+    });
+    Auth.cerrarSesion();
+    API.limpiarCache();
+    Red.reiniciar();
+});
+
+/**
+ * Devuelve el error con que se rechaza la promesa (falla si se resuelve)
+ * @param {Promise} promesa - Llamada a la API
+ * @returns {Promise<Error>} Error recibido
+ */
+async function error(promesa) {
+    try {
+        await promesa;
+    } catch (e) {
+        return e;
+    }
+    assert.fail('Se esperaba un error');
+}
+
+describe('handleResponse', () => {
+    it('retorna el JSON de una respuesta exitosa', async () => {
+        Red.responder = () => respuestaJson([ANA, LUIS]);
+        assert.deepEqual(await API.obtenerUsuarios(), [ANA, LUIS]);
+    });
+
+    it('retorna {success: true} con 204 No Content', async () => {
+        Red.responder = () => new Response(null, { status: 204 });
+        assert.deepEqual(await API.eliminarUsuario(1), { success: true });
+    });
+
+    it('retorna el texto si la respuesta no es JSON', async () => {
+        Red.responder = () => new Response('hola', { status: 200, headers: { 'Content-Type': 'text/plain' } });
+        assert.equal(await API.obtenerUsuarios(), 'hola');
+    });
+
+    it('une los detalles de texto en el mensaje del ApiError', async () => {
+        const cuerpo = { error: 'Datos inválidos', detalles: ['El nombre es obligatorio', 'Email inválido'] };
+        Red.responder = () => respuestaJson(cuerpo, { status: 400 });
+
+        const e = await error(API.obtenerUsuarios());
+        assert.ok(e instanceof ApiError);
+        assert.equal(e.status, 400);
+        assert.equal(e.message, 'El nombre es obligatorio, Email inválido');
+        assert.deepEqual(e.details, cuerpo);
+        assert.equal(e.campos, null);
+    });
+
+    it('extrae los errores por campo de detalles y de fieldErrors (Spring)', async () => {
+        Red.responder = () => respuestaJson({ detalles: [{ campo: 'email', mensaje: 'ya existe' }] }, { status: 409 });
+        const propio = await error(API.obtenerUsuarios({ pagina: 0, tamanio: 10 }));
+        assert.deepEqual(propio.campos, { email: 'ya existe' });
+        assert.equal(propio.message, 'ya existe');
+
+        API.limpiarCache();
+        Red.responder = () => respuestaJson({
+            fieldErrors: [{ field: 'nombre', defaultMessage: 'muy corto' }, { field: 'nombre', defaultMessage: 'otro' }]
+        }, { status: 400 });
+        const spring = await error(API.obtenerUsuarios());
+        assert.deepEqual(spring.campos, { nombre: 'muy corto' });
+        assert.equal(spring.message, 'muy corto');
+    });
+
+    it('usa el campo error o un mensaje genérico', async () => {
+        Red.responder = () => respuestaJson({ error: 'Usuario no encontrado' }, { status: 404 });
+        assert.equal((await error(API.obtenerUsuarioPorId(9))).message, 'Usuario no encontrado');
+
+        Red.responder = () => new Response('caído', { status: 500 });
+        const e = await error(API.obtenerUsuarioPorId(10));
+        assert.equal(e.status, 500);
+        assert.equal(e.message, t('errores.desconocido'));
+    });
+
+    it('descarta la sesión ante un 401', async () => {
+        Auth.guardarSesion('token-viejo');
+        Red.responder = () => respuestaJson({ error: 'Token inválido' }, { status: 401 });
+
+        const e = await error(API.obtenerUsuarios());
+        assert.equal(e.status, 401);
+        assert.equal(Auth.obtenerToken(), null);
+    });
+});
+
+describe('fetchWithTimeout', () => {
+    /** Responde solo cuando se cancela la petición (como un servidor colgado) */
+    const colgado = (url, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new DOMException('Abortado', 'AbortError')));
+    });
+
+    it('convierte el timeout en ApiError 408', async () => {
+        API_CONFIG.TIMEOUT = 20;
+        Red.responder = colgado;
+
+        const e = await error(API.obtenerUsuarios());
+        assert.ok(e instanceof ApiError);
+        assert.equal(e.status, 408);
+        assert.equal(e.message, t('errores.timeout'));
+        assert.equal(e.endpoint, BASE_URL);
+    });
+
+    it('propaga el AbortError si se canceló la señal del llamador', async () => {
+        Red.responder = colgado;
+        const controller = new AbortController();
+        const consulta = API.verificarEmailDisponible('ana@example.com', { signal: controller.signal });
+        controller.abort();
+
+        const e = await error(consulta);
+        assert.equal(e.name, 'AbortError');
+    });
+
+    it('agrega la cabecera Authorization de la sesión', async () => {
+        Auth.guardarSesion('abc123');
+        Red.responder = () => respuestaJson([]);
+        await API.obtenerUsuarios();
+
+        assert.equal(Red.api()[0].cabeceras.Authorization, 'Bearer abc123');
+    });
+});
+
+describe('Reintentos', () => {
+    it('reintenta un GET ante 503 y avisa a los suscriptores', async () => {
+        API_CONFIG.REINTENTOS = 2;
+        let intentos = 0;
+        Red.responder = () => (++intentos <= 2 ? respuestaJson({}, { status: 503 }) : respuestaJson([ANA]));
+
+        const estados = [];
+        const cancelar = API.suscribirReintentos(estado => estados.push(estado));
+        try {
+            assert.deepEqual(await API.obtenerUsuarios(), [ANA]);
+        } finally {
+            cancelar();
+        }
+        assert.equal(intentos, 3);
+        assert.deepEqual(estados.map(e => e.reintentando), [true, true, false]);
+        assert.equal(estados[0].totalIntentos, 3);
+    });
+
+    it('no reintenta un POST sin Idempotency-Key', async () => {
+        API_CONFIG.REINTENTOS = 2;
+        Red.responder = () => respuestaJson({ error: 'Servicio no disponible' }, { status: 503 });
+
+        const e = await error(API.crearUsuario({ nombre: 'Ana García', email: 'ana@example.com', password: 'Secreta123' }));
+        assert.equal(e.status, 503);
+        assert.equal(Red.api().length, 1);
+    });
+
+    it('no reintenta un PUT con If-Match (el reintento daría un 412 falso)', async () => {
+        API_CONFIG.REINTENTOS = 2;
+        Red.responder = () => respuestaJson({ error: 'Servicio no disponible' }, { status: 503 });
+
+        const e = await error(API.actualizarUsuario(1, { nombre: 'Ana García', email: 'ana@example.com', password: null },
+            { etag: 'W/"3"' }));
+        assert.equal(e.status, 503);
+        assert.equal(Red.api().length, 1);
+        assert.equal(Red.api()[0].cabeceras['If-Match'], 'W/"3"');
+    });
+
+    it('reintenta un PUT sin If-Match', async () => {
+        API_CONFIG.REINTENTOS = 1;
+        let intentos = 0;
+        Red.responder = () => (++intentos === 1 ? respuestaJson({}, { status: 503 }) : respuestaJson(ANA));
+
+        await API.actualizarUsuario(1, { nombre: 'Ana García', email: 'ana@example.com', password: null });
+        assert.equal(Red.api().length, 2);
+    });
+
+    it('reintenta un POST con Idempotency-Key', async () => {
+        API_CONFIG.REINTENTOS = 1;
+        let intentos = 0;
+        Red.responder = () => (++intentos === 1 ? respuestaJson({}, { status: 502 }) : respuestaJson(ANA, { status: 201 }));
+
+        await API.crearUsuario({ nombre: 'Ana García', email: 'ana@example.com', password: 'Secreta123' },
+            { claveIdempotencia: 'clave-1' });
+        assert.equal(Red.api().length, 2);
+        assert.equal(Red.api()[1].cabeceras['Idempotency-Key'], 'clave-1');
+    });
+});
+
+describe('CRUD', () => {
+    it('obtenerUsuarios envía page, size y sort y normaliza la página', async () => {
+        Red.responder = () => respuestaJson({ content: [LUIS], totalElements: 11, totalPages: 2, number: 1, size: 10 });
+
+        const pagina = await API.obtenerUsuarios({ pagina: 1, tamanio: 10, orden: { campo: 'nombre', direccion: 'desc' } });
+        assert.equal(Red.api()[0].url, `${BASE_URL}?page=1&size=10&sort=nombre%2Cdesc`);
+        assert.deepEqual(pagina, {
+            usuarios: [LUIS], totalElementos: 11, totalPaginas: 2, pagina: 1, tamanio: 10, paginadoEnServidor: true
+        });
+    });
+
+    it('obtenerUsuarios envía la búsqueda en q', async () => {
+        Red.responder = () => respuestaJson({ content: [ANA], totalElements: 1, totalPages: 1, number: 0, size: 10 });
+
+        await API.obtenerUsuarios({ pagina: 0, tamanio: 10, busqueda: ' garcía ' });
+        assert.equal(new URL(Red.api()[0].url).searchParams.get('q'), 'garcía');
+    });
+
+    it('obtenerUsuarios pagina en el cliente si el backend responde un array', async () => {
+        Red.responder = () => respuestaJson([ANA, LUIS]);
+
+        const pagina = await API.obtenerUsuarios({ pagina: 0, tamanio: 1 });
+        assert.equal(pagina.paginadoEnServidor, false);
+        assert.equal(pagina.totalPaginas, 2);
+    });
+
+    it('obtenerUsuarios usa la caché hasta que se fuerza', async () => {
+        Red.responder = () => respuestaJson([ANA]);
+        await API.obtenerUsuarios();
+        await API.obtenerUsuarios();
+        assert.equal(Red.api().length, 1);
+
+        await API.obtenerUsuarios(null, { forzar: true });
+        assert.equal(Red.api().length, 2);
+    });
+
+    it('obtenerUsuarioPorId pide /{id} y retorna el ETag con conVersion', async () => {
+        Red.responder = () => respuestaJson(ANA, { headers: { ETag: 'W/"3"' } });
+
+        const { usuario, etag } = await API.obtenerUsuarioPorId(1, { conVersion: true });
+        assert.equal(Red.api()[0].url, `${BASE_URL}/1`);
+        assert.deepEqual(usuario, ANA);
+        assert.equal(etag, 'W/"3"');
+    });
+
+    it('obtenerUsuarioPorId rechaza IDs que no son enteros positivos', async () => {
+        for (const id of ['abc', -5, 0, 1.5]) {
+            assert.ok(await error(API.obtenerUsuarioPorId(id)) instanceof TypeError, `ID ${id}`);
+        }
+        assert.equal(Red.api().length, 0);
+    });
+
+    it('crearUsuario envía POST con el usuario y lo agrega a la caché', async () => {
+        Red.responder = (url, { method }) => (method === 'POST' ? respuestaJson({ ...LUIS, id: 3 }, { status: 201 }) : respuestaJson([ANA]));
+        await API.obtenerUsuarios();
+
+        const datos = { nombre: 'Luis Pérez', email: 'luis@example.com', password: 'Secreta123' };
+        const creado = await API.crearUsuario(datos);
+        const [, post] = Red.api();
+        assert.equal(post.metodo, 'POST');
+        assert.equal(post.url, BASE_URL);
+        assert.deepEqual(post.cuerpo, datos);
+        assert.equal(creado.id, 3);
+        assert.deepEqual((await API.obtenerUsuarios()).map(u => u.id), [1, 3]);
+    });
+
+    it('crearUsuario valida antes de enviar', async () => {
+        const e = await error(API.crearUsuario({ nombre: 'A', email: 'ana@example.com', password: 'Secreta123' }));
+        assert.equal(e.message, 'El campo "Nombre" debe tener al menos 2 caracteres');
+        assert.equal(Red.api().length, 0);
+    });
+
+    it('actualizarUsuario envía PUT con If-Match', async () => {
+        Red.responder = () => respuestaJson({ ...ANA, nombre: 'Ana Gómez' }, { headers: { ETag: 'W/"4"' } });
+
+        const editado = await API.actualizarUsuario(1, { nombre: 'Ana Gómez', email: ANA.email, password: null }, { etag: 'W/"3"' });
+        const [put] = Red.api();
+        assert.equal(put.metodo, 'PUT');
+        assert.equal(put.url, `${BASE_URL}/1`);
+        assert.equal(put.cabeceras['If-Match'], 'W/"3"');
+        assert.equal(put.cuerpo.password, null);
+        assert.equal(editado.nombre, 'Ana Gómez');
+    });
+
+    it('eliminarUsuario envía DELETE y lo quita de la caché', async () => {
+        Red.responder = (url, { method }) => (method === 'DELETE' ? new Response(null, { status: 204 }) : respuestaJson([ANA, LUIS]));
+        await API.obtenerUsuarios();
+
+        await API.eliminarUsuario(2);
+        assert.equal(Red.api()[1].metodo, 'DELETE');
+        assert.equal(Red.api()[1].url, `${BASE_URL}/2`);
+        assert.deepEqual((await API.obtenerUsuarios()).map(u => u.id), [1]);
+    });
+
+    it('eliminarUsuarios informa cada resultado sin detenerse', async () => {
+        Red.responder = (url) => (url.endsWith('/2')
+            ? respuestaJson({ error: 'Usuario no encontrado' }, { status: 404 })
+            : new Response(null, { status: 204 }));
+
+        const estados = [];
+        const resultados = await API.eliminarUsuarios([1, 2, 3], {
+            concurrencia: 2,
+            alCambiarEstado: (id, estado) => estados.push(`${id}:${estado}`)
+        });
+        assert.deepEqual(resultados.map(r => r.exito), [true, false, true]);
+        assert.equal(resultados[1].error.status, 404);
+        assert.ok(estados.includes('2:error') && estados.includes('3:eliminado'));
+    });
+
+    it('verificarEmailDisponible consulta ?email= y excluye al usuario en edición', async () => {
+        Red.responder = () => respuestaJson([ANA]);
+
+        assert.equal(await API.verificarEmailDisponible(' Ana@Example.com '), false);
+        assert.equal(Red.api()[0].url, `${BASE_URL}?email=Ana%40Example.com`);
+        assert.equal(await API.verificarEmailDisponible('ana@example.com', { excluirId: 1 }), true);
+    });
+
+    it('verificarEmailDisponible toma un 401 como desconocido sin cerrar la sesión', async () => {
+        Auth.guardarSesion('token-vigente');
+        Red.responder = () => respuestaJson({ error: 'Token inválido' }, { status: 401 });
+
+        assert.equal(await API.verificarEmailDisponible('ana@example.com'), null);
+        assert.equal(Auth.obtenerToken(), 'token-vigente');
+        Auth.cerrarSesion();
+    });
+});
+
+describe('validarDatosUsuario', () => {
+    const rechaza = (datos, esEdicion = false) => {
+        try {
+            API.validarDatosUsuario({ nombre: 'Test Usuario', email: 'test@example.com', ...datos }, esEdicion);
+            return null;
+        } catch (e) {
+            return e.message;
+        }
+    };
+
+    it('acepta password null en edición', () => {
+        assert.equal(rechaza({ password: null }, true), null);
+    });
+
+    it('exige password en la creación', () => {
+        assert.ok(rechaza({ password: null }, false));
+    });
+
+    it('aplica la política de contraseñas', () => {
+        const politica = Password.politica();
+        assert.ok(rechaza({ password: 'a'.repeat(politica.longitudMinima - 1) }), 'password corto');
+        assert.ok(rechaza({ password: politica.prohibidas[0] }), 'password común');
+        assert.ok(rechaza({ password: Password.generar().slice(0, -4) + 'Test' }), 'password con el nombre');
+    });
+
+    it('acepta el password generado', () => {
+        const datos = { nombre: 'Test Usuario', email: 'test@example.com' };
+        assert.deepEqual(Password.validar(Password.generar(datos), datos), []);
+    });
+
+    it('valida los campos del esquema', () => {
+        assert.ok(rechaza({ password: null, telefono: 'llamar al 123' }, true), 'teléfono inválido');
+        assert.ok(rechaza({ password: null, departamento: 'marketing' }, true), 'departamento fuera de las opciones');
+        assert.equal(rechaza({ password: null, telefono: '+54 11 4321-5678', departamento: null, activo: false }, true), null);
+    });
+});
+
+describe('esEmailValido', () => {
+    it('acepta emails válidos', () => {
+        ['juan@example.com', 'user@mail.example.com', 'user+tag@example.com']
+            .forEach(email => assert.ok(API.esEmailValido(email), email));
+    });
+
+    it('rechaza emails inválidos', () => {
+        ['invalido.com', 'test@@example.com', 'user@domain.c', 'user..name@example.com']
+            .forEach(email => assert.ok(!API.esEmailValido(email), email));
+    });
+});
+
+describe('Backend simulado', () => {
+    beforeEach(() => {
+        localStorage.removeItem('usuarios.mock');
+        API_CONFIG.MOCK = true;
+        Mock.reiniciar();
+    });
+
+    it('crea, edita y elimina', async () => {
+        const iniciales = await API.obtenerUsuarios();
+        const creado = await API.crearUsuario({ nombre: 'Prueba Simulada', email: 'prueba.simulada@example.com', password: 'secreto123' });
+        assert.ok(creado.id);
+        assert.ok(!('password' in creado));
+        assert.equal((await API.obtenerUsuarios(null, { forzar: true })).length, iniciales.length + 1);
+
+        const editado = await API.actualizarUsuario(creado.id, { nombre: 'Prueba Editada', email: creado.email, password: null });
+        assert.equal(editado.nombre, 'Prueba Editada');
+        await API.eliminarUsuario(creado.id);
+        assert.equal((await API.obtenerUsuarios(null, { forzar: true })).length, iniciales.length);
+    });
+
+    it('responde 409 ante un email duplicado', async () => {
+        const [existente] = await API.obtenerUsuarios();
+        const e = await error(API.crearUsuario({ nombre: 'Duplicado', email: existente.email, password: 'secreto123' }));
+        assert.ok(e instanceof ApiError);
+        assert.equal(e.status, 409);
+    });
+
+    it('responde 400 con detalles', async () => {
+        Mock.programarFallo(400, { metodo: 'POST' });
+        const e = await error(API.crearUsuario({ nombre: 'Prueba 400', email: 'prueba.400@example.com', password: 'secreto123' }));
+        assert.equal(e.status, 400);
+        assert.equal(e.message, e.details.detalles.join(', '));
+    });
+
+    it('responde 404 a un ID inexistente', async () => {
+        assert.equal((await error(API.obtenerUsuarioPorId(999999))).status, 404);
+    });
+
+    it('convierte un timeout programado en 408', async () => {
+        API_CONFIG.TIMEOUT = 50;
+        Mock.programarFallo('timeout', { metodo: 'GET' });
+        assert.equal((await error(API.obtenerUsuarios(null, { forzar: true }))).status, 408);
+    });
+
+    it('reintenta un 503 transitorio hasta responder', async () => {
+        API_CONFIG.REINTENTOS = 2;
+        Mock.programarFallo(503, { metodo: 'GET', veces: 2 });
+        assert.ok((await API.obtenerUsuarios(null, { forzar: true })).length > 0);
+    });
+
+    it('responde 412 si If-Match no coincide', async () => {
+        const { usuario, etag } = await API.obtenerUsuarioPorId(1, { conVersion: true });
+        await API.actualizarUsuario(1, { ...usuario, nombre: 'Otra Persona', password: null }, { etag });
+        await esperar();
+
+        const e = await error(API.actualizarUsuario(1, { ...usuario, nombre: 'Yo', password: null }, { etag }));
+        assert.equal(e.status, 412);
+    });
+});
@@ -0,0 +1,393 @@
+/**
+ * Pruebas de js/app.js (Controlador) de punta a punta
+ *
+ * La aplicación se inicia completa contra el backend simulado (js/mock.js,
+ * sin latencia ni login) y se usa como lo haría una persona: botones,
+ * formulario y tabla de index.html.
+ */
+
+import { esperar, esperarHasta } from './entorno.js';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { API_CONFIG } from '../js/config.js';
+import { API } from '../js/api.js';
+import { UI, DOM } from '../js/ui.js';
+import { Esquema } from '../js/esquema.js';
+import { Auditoria } from '../js/auditoria.js';
+import { TiempoReal } from '../js/tiempoReal.js';
+import { Offline } from '../js/offline.js';
+import { Mock } from '../js/mock.js';
+import { App } from '../js/app.js';
+
+localStorage.setItem('usuarios.config', JSON.stringify({
+    MOCK: true, MOCK_LATENCIA: 0, DEBUG_MODE: false, AUTH_HABILITADA: false,
+    TIEMPO_REAL: 'desactivado', INTERVALO_SONDEO: 0, REINTENTOS: 0
+}));
+
+const app = new App();
+
+/** Filas de la tabla con un usuario */
+const filas = () => [...DOM.usuariosTableBody.querySelectorAll('tr[data-usuario-id]')];
+/** Fila del usuario con ese nombre (o undefined) */
+const filaDe = nombre => filas().find(fila => fila.querySelector('.link-usuario')?.textContent === nombre);
+/** Textos de las notificaciones visibles */
+const notificaciones = () => [...DOM.alertContainer.querySelectorAll('.notificacion')].map(n => n.textContent.trim());
+
+/**
+ * Escribe en un control del formulario como lo haría el usuario
+ * @param {HTMLInputElement} control - Input o select
+ * @param {string} valor - Texto a escribir
+ */
+function escribir(control, valor) {
+    control.value = valor;
+    control.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+/**
+ * Lee los usuarios guardados en el backend simulado
+ * @returns {Promise<Array<Object>>} Usuarios
+ */
+const enElBackend = () => API.obtenerUsuarios(null, { forzar: true });
+
+/**
+ * Lee la cola sin conexión tal como quedó guardada en IndexedDB
+ * @returns {Promise<Array<Object>>} Registros del almacén de pendientes
+ */
+function leerIndexedDB() {
+    return new Promise((resolve, reject) => {
+        const apertura = indexedDB.open('gestion-usuarios');
+        apertura.onerror = () => reject(apertura.error);
+        apertura.onsuccess = () => {
+            const lectura = apertura.result.transaction('pendientes').objectStore('pendientes').getAll();
+            lectura.onsuccess = () => resolve(lectura.result);
+            lectura.onerror = () => reject(lectura.error);
+        };
+    });
+}
+
+/**
+ * Guarda un registro en la cola directamente en IndexedDB (como tras recargar la página)
+ * @param {Object} registro - Cambio a guardar
+ * @returns {Promise<void>}
+ */
+function escribirIndexedDB(registro) {
+    return new Promise((resolve, reject) => {
+        const apertura = indexedDB.open('gestion-usuarios');
+        apertura.onerror = () => reject(apertura.error);
+        apertura.onsuccess = () => {
+            const transaccion = apertura.result.transaction('pendientes', 'readwrite');
+            transaccion.objectStore('pendientes').add(registro);
+            transaccion.oncomplete = () => resolve();
+            transaccion.onerror = () => reject(transaccion.error);
+        };
+    });
+}
+
+/**
+ * Alta encolada sin conexión
+ * @param {string} nombre - Nombre del usuario
+ * @param {string|null} password - Contraseña
+ * @returns {Object} Cambio para Offline.encolar
+ */
+const altaEncolada = (nombre, password) => ({
+    tipo: 'crear',
+    nombre,
+    datos: {
+        nombre, email: `${nombre.toLowerCase().replace(' ', '.')}@example.com`,
+        telefono: null, departamento: null, activo: true, password
+    }
+});
+
+before(async () => {
+    await app.init();
+});
+
+after(() => {
+    TiempoReal.detener();
+});
+
+describe('Inicio', () => {
+    it('carga la primera página de usuarios', () => {
+        assert.equal(API_CONFIG.MOCK, true);
+        assert.equal(filas().length, app.paginacion.tamanio);
+        assert.match(DOM.totalUsuarios.textContent, /^Total: \d+ usuarios$/);
+        assert.ok(DOM.emptyState.classList.contains('d-none'));
+    });
+});
+
+describe('Alta de usuario', () => {
+    it('rechaza el formulario incompleto sin enviarlo', async () => {
+        const cantidad = (await enElBackend()).length;
+        DOM.btnNuevoUsuario.click();
+        DOM.btnGuardarUsuario.click();
+        await esperar(20);
+
+        assert.ok(DOM.formUsuario.classList.contains('was-validated'));
+        assert.equal((await enElBackend()).length, cantidad);
+    });
+
+    it('crea el usuario, lo muestra y lo audita', async () => {
+        DOM.btnNuevoUsuario.click();
+        escribir(DOM.nombre, 'Zoe Prueba');
+        escribir(DOM.email, 'zoe.prueba@example.com');
+        escribir(DOM.formUsuario.elements.telefono, '+54 11 5555-0000');
+        DOM.formUsuario.elements.departamento.value = 'soporte';
+        escribir(DOM.password, 'Xk29-piedra');
+        DOM.btnGuardarUsuario.click();
+
+        const usuario = await esperarHasta(async () => (await enElBackend()).find(u => u.email === 'zoe.prueba@example.com'));
+        assert.equal(usuario.telefono, '+54 11 5555-0000');
+        assert.equal(usuario.departamento, 'soporte');
+        assert.equal(usuario.activo, true);
+        await esperarHasta(() => notificaciones().some(n => n.includes('Zoe Prueba')));
+        assert.ok(!document.getElementById('modalUsuario').classList.contains('show'));
+
+        const [registro] = Auditoria.listar({ accion: 'crear' });
+        assert.equal(registro.usuarioNombre, 'Zoe Prueba');
+        assert.ok(registro.cambios.every(c => c.campo !== 'password'));
+    });
+});
+
+describe('Búsqueda', () => {
+    it('busca en todas las páginas del backend, no solo en la actual', async () => {
+        // El alta quedó al final de la lista, fuera de la primera página
+        assert.ok(app.paginacion.paginadoEnServidor);
+        assert.equal(filaDe('Zoe Prueba'), undefined);
+
+        escribir(DOM.buscarUsuario, 'zoe prueba');
+        await esperarHasta(() => filas().length === 1 && filaDe('Zoe Prueba'));
+        assert.equal(app.paginacion.pagina, 0);
+        assert.match(DOM.totalUsuarios.textContent, /^Mostrando 1 de \d+ usuarios$/);
+
+        DOM.btnLimpiarBusqueda.click();
+        await esperarHasta(() => filas().length === app.paginacion.tamanio);
+        assert.match(DOM.totalUsuarios.textContent, /^Total: \d+ usuarios$/);
+    });
+
+    it('muestra todos los usuarios al elegir una página más grande', async () => {
+        DOM.tamanioPagina.value = '100';
+        DOM.tamanioPagina.dispatchEvent(new Event('change'));
+        await esperarHasta(() => filaDe('Zoe Prueba'));
+        assert.ok(filas().length > 10);
+    });
+});
+
+describe('Edición de usuario', () => {
+    it('guarda los cambios del formulario', async () => {
+        const [ana] = (await enElBackend()).filter(u => u.nombre === 'Ana García');
+        // La edición se abre desde su ruta, como al pulsar "Editar" o abrir un enlace compartido
+        location.hash = `#/usuarios/${ana.id}/editar`;
+        await esperarHasta(() => DOM.nombre.value === 'Ana García');
+
+        escribir(DOM.nombre, 'Ana García Editada');
+        DOM.btnGuardarUsuario.click();
+
+        await esperarHasta(() => filaDe('Ana García Editada'));
+        assert.equal((await enElBackend()).find(u => u.id === ana.id).nombre, 'Ana García Editada');
+        assert.deepEqual(Auditoria.listar({ usuarioId: ana.id })[0].cambios,
+            [{ campo: 'nombre', antes: 'Ana García', despues: 'Ana García Editada' }]);
+    });
+});
+
+describe('Eliminación', () => {
+    it('quita la fila y la restaura con "Deshacer" sin llamar al backend', async () => {
+        const fila = filaDe('Ana García Editada');
+        const id = Number(fila.dataset.usuarioId);
+
+        fila.querySelector('.btn-eliminar').click();
+        assert.ok(document.getElementById('modalConfirmarEliminar').classList.contains('show'));
+        DOM.btnConfirmarEliminar.click();
+
+        await esperarHasta(() => !filaDe('Ana García Editada'));
+        const deshacer = await esperarHasta(() => DOM.alertContainer.querySelector('.btn-accion-alerta'));
+        deshacer.click();
+
+        await esperarHasta(() => filaDe('Ana García Editada'));
+        assert.ok((await enElBackend()).some(u => u.id === id));
+        assert.equal(app.eliminacionesPendientes.size, 0);
+    });
+
+    it('no exporta al usuario cuya eliminación se puede deshacer', async () => {
+        const fila = filas()[0];
+        const id = Number(fila.dataset.usuarioId);
+        fila.querySelector('.btn-eliminar').click();
+        DOM.btnConfirmarEliminar.click();
+
+        const descargar = UI.descargarArchivo;
+        let exportados = [];
+        UI.descargarArchivo = (nombre, contenido) => { exportados = JSON.parse(contenido); };
+        try {
+            app.handleExportar('json');
+        } finally {
+            UI.descargarArchivo = descargar;
+            await app.handleDeshacerEliminacion(app.eliminacionesPendientes.get(id));
+        }
+        assert.ok(exportados.length > 0);
+        assert.ok(!exportados.some(u => u.id === id));
+    });
+
+    it('elimina en el backend al vencer el plazo para deshacer', async () => {
+        const fila = filaDe('Zoe Prueba');
+        const id = Number(fila.dataset.usuarioId);
+        fila.querySelector('.btn-eliminar').click();
+        DOM.btnConfirmarEliminar.click();
+        assert.ok((await enElBackend()).some(u => u.id === id), 'todavía se puede deshacer');
+
+        // Vencimiento del plazo sin esperar ESPERA_DESHACER
+        clearTimeout(app.eliminacionesPendientes.get(id).temporizador);
+        await app.ejecutarEliminacion(id);
+        assert.ok(!(await enElBackend()).some(u => u.id === id));
+        assert.equal(Auditoria.listar({ usuarioId: id, accion: 'eliminar' }).length, 1);
+    });
+
+    it('"Deshacer" después del DELETE ofrece recrearlo con todos sus datos', async () => {
+        const usuario = app.usuarios.find(u => u.departamento && u.telefono);
+        filaDe(usuario.nombre).querySelector('.btn-eliminar').click();
+        DOM.btnConfirmarEliminar.click();
+
+        clearTimeout(app.eliminacionesPendientes.get(usuario.id).temporizador);
+        await app.ejecutarEliminacion(usuario.id);
+        assert.ok(!(await enElBackend()).some(u => u.id === usuario.id));
+
+        // La alerta sigue en pantalla después de enviar el DELETE
+        const alerta = [...DOM.alertContainer.querySelectorAll('.notificacion.show')]
+            .filter(n => n.textContent.includes(usuario.nombre) && n.querySelector('.btn-accion-alerta'))
+            .at(-1);
+        alerta.querySelector('.btn-accion-alerta').click();
+
+        await esperarHasta(() => document.getElementById('modalUsuario').classList.contains('show'));
+        const { elements } = DOM.formUsuario;
+        assert.equal(elements.nombre.value, usuario.nombre);
+        assert.equal(elements.telefono.value, usuario.telefono);
+        assert.equal(elements.departamento.value, usuario.departamento);
+        assert.equal(elements.activo.checked, usuario.activo);
+        UI.cerrarModalUsuario();
+    });
+
+    it('al cerrar la pestaña envía la eliminación y la audita sin confirmar', async () => {
+        const fila = filas()[0];
+        const id = Number(fila.dataset.usuarioId);
+        fila.querySelector('.btn-eliminar').click();
+        DOM.btnConfirmarEliminar.click();
+
+        window.dispatchEvent(new Event('pagehide'));
+
+        assert.equal(app.eliminacionesPendientes.size, 0);
+        const [registro] = Auditoria.listar({ usuarioId: id, accion: 'eliminar' });
+        assert.equal(registro.confirmado, false);
+        await esperarHasta(async () => !(await enElBackend()).some(u => u.id === id));
+    });
+});
+
+describe('Importación CSV', () => {
+    const CSV_USUARIOS = [
+        'Nombre;Correo;Departamento;Activo;Clave',
+        'Iris Importada;iris.importada@example.com;Recursos Humanos;;Xk29-piedra',
+        'Hugo Importado;hugo.importado@example.com;;no;Xk29-piedra',
+        'Sin Correo;;;quizás;Xk29-piedra'
+    ].join('\n');
+
+    /** Elige el archivo en el paso 1 del asistente */
+    async function elegirArchivo(contenido) {
+        DOM.btnImportarCsv.click();
+        Object.defineProperty(DOM.archivoImportar, 'files', {
+            value: [new File([contenido], 'usuarios.csv', { type: 'text/csv' })],
+            configurable: true
+        });
+        DOM.archivoImportar.dispatchEvent(new Event('change'));
+        await esperarHasta(() => DOM.tablaVistaPrevia.querySelectorAll('tr').length > 0);
+    }
+
+    it('sugiere una columna por campo del formulario según los encabezados', async () => {
+        await elegirArchivo(CSV_USUARIOS);
+
+        assert.deepEqual([...DOM.selectoresMapeo].map(select => select.dataset.campo),
+            Esquema.formulario().map(campo => campo.nombre));
+        assert.deepEqual(UI.obtenerMapeoImportacion(),
+            { nombre: 0, email: 1, telefono: null, departamento: 2, activo: 3, password: 4 });
+
+        const [iris, hugo, sinCorreo] = DOM.tablaVistaPrevia.querySelectorAll('tr');
+        assert.match(iris.textContent, /Recursos Humanos/);
+        assert.ok(!iris.textContent.includes('Xk29-piedra'));
+        assert.match(hugo.textContent, /No/);
+        assert.ok(sinCorreo.classList.contains('table-danger'));
+    });
+
+    it('aplica los valores por defecto y reporta los rechazos con los campos del esquema', async () => {
+        await elegirArchivo(CSV_USUARIOS);
+        DOM.btnConfirmarImportacion.click();
+        await esperarHasta(() => !DOM.btnDescargarReporte.classList.contains('d-none'));
+
+        const usuarios = await enElBackend();
+        const iris = usuarios.find(u => u.email === 'iris.importada@example.com');
+        assert.equal(iris.departamento, 'rrhh');
+        assert.equal(iris.activo, true, 'celda vacía: porDefecto del esquema');
+        assert.equal(usuarios.find(u => u.email === 'hugo.importado@example.com').activo, false);
+
+        const descargar = UI.descargarArchivo;
+        let reporte = '';
+        UI.descargarArchivo = (nombre, contenido) => { reporte = contenido; };
+        try {
+            DOM.btnDescargarReporte.click();
+        } finally {
+            UI.descargarArchivo = descargar;
+        }
+        const [encabezado, fila] = reporte.replace(/^\uFEFF/, '').split(/\r?\n/);
+        assert.equal(encabezado, 'fila,nombre,email,telefono,departamento,activo,motivo');
+        assert.match(fila, /^4,Sin Correo,/);
+        assert.ok(!reporte.includes('Xk29-piedra'));
+    });
+});
+
+describe('Sincronización de cambios sin conexión', () => {
+    it('no guarda la contraseña en IndexedDB', async () => {
+        await Offline.encolar(altaEncolada('Cola Memoria', 'Xk29-piedra'));
+
+        const [guardado] = await leerIndexedDB();
+        assert.equal(guardado.datos.password, null);
+        assert.equal(guardado.passwordEnMemoria, true);
+        assert.equal((await Offline.obtenerPendientes())[0].datos.password, 'Xk29-piedra');
+
+        await app.sincronizarPendientes();
+        assert.equal((await Offline.obtenerPendientes()).length, 0);
+        assert.ok((await enElBackend()).some(u => u.nombre === 'Cola Memoria'));
+    });
+
+    it('conserva el cambio ante un error transitorio del servidor', async () => {
+        await Offline.encolar(altaEncolada('Cola Transitoria', 'Xk29-piedra'));
+        Mock.programarFallo(503, { metodo: 'POST' });
+
+        await app.sincronizarPendientes();
+        assert.equal((await Offline.obtenerPendientes()).length, 1);
+        assert.ok(notificaciones().some(n => n.includes('queda 1 pendiente')));
+
+        await app.sincronizarPendientes();
+        assert.equal((await Offline.obtenerPendientes()).length, 0);
+        assert.ok((await enElBackend()).some(u => u.nombre === 'Cola Transitoria'));
+    });
+
+    it('descarta el cambio que el backend rechaza en forma definitiva', async () => {
+        await Offline.encolar(altaEncolada('Cola Rechazada', 'Xk29-piedra'));
+        Mock.programarFallo(409, { metodo: 'POST' });
+
+        await app.sincronizarPendientes();
+        assert.equal((await Offline.obtenerPendientes()).length, 0);
+        assert.ok(!(await enElBackend()).some(u => u.nombre === 'Cola Rechazada'));
+    });
+
+    it('vuelve a pedir la contraseña perdida al recargar la página', async () => {
+        const { nombre, datos } = altaEncolada('Cola Recargada', null);
+        await escribirIndexedDB({ tipo: 'crear', nombre, datos, passwordEnMemoria: true, fecha: new Date().toISOString() });
+
+        await app.sincronizarPendientes();
+        assert.ok(document.getElementById('modalUsuario').classList.contains('show'));
+        assert.equal(DOM.nombre.value, 'Cola Recargada');
+        assert.equal((await Offline.obtenerPendientes()).length, 1);
+
+        escribir(DOM.password, 'Xk29-piedra');
+        DOM.btnGuardarUsuario.click();
+
+        await esperarHasta(async () => (await enElBackend()).some(u => u.nombre === 'Cola Recargada'));
+        await esperarHasta(async () => (await Offline.obtenerPendientes()).length === 0);
+    });
+});
@@ -0,0 +1,49 @@
+/**
+ * Pruebas de js/auditoria.js (registro de cambios)
+ */
+
+import './entorno.js';
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { API_CONFIG } from '../js/config.js';
+import { Auditoria } from '../js/auditoria.js';
+
+describe('Registro de auditoría', () => {
+    before(() => {
+        // Sin endpoint: el registro queda solo en este navegador
+        API_CONFIG.AUDITORIA = null;
+    });
+
+    it('registra solo los campos que cambiaron', () => {
+        const edicion = Auditoria.registrar({
+            accion: 'actualizar',
+            antes: { id: 7, nombre: 'Ana', email: 'ana@old.com', password: 'Secreta123' },
+            despues: { id: 7, nombre: 'Ana', email: 'ana@example.com', password: 'Nueva456' },
+            autor: { id: 1, nombre: 'Admin', email: 'admin@example.com', rol: 'admin' }
+        });
+        assert.deepEqual(edicion.cambios, [{ campo: 'email', antes: 'ana@old.com', despues: 'ana@example.com' }]);
+    });
+
+    it('nunca guarda contraseñas', () => {
+        assert.doesNotMatch(localStorage.getItem('usuarios.auditoria'), /Secreta123|Nueva456|password/);
+    });
+
+    it('filtra por acción y por usuario', () => {
+        Auditoria.registrar({ accion: 'eliminar', antes: { id: 8, nombre: 'Luis', email: 'luis@example.com' }, despues: null });
+
+        const eliminaciones = Auditoria.listar({ accion: 'eliminar' });
+        assert.equal(eliminaciones.length, 1);
+        assert.equal(eliminaciones[0].usuarioId, 8);
+        assert.equal(Auditoria.listar({ usuarioId: 7 }).length, 1);
+    });
+
+    it('distingue los cambios que el backend no llegó a confirmar', () => {
+        const confirmada = Auditoria.listar({ accion: 'eliminar' })[0];
+        const sinConfirmar = Auditoria.registrar({
+            accion: 'eliminar', antes: { id: 9, nombre: 'Eva', email: 'eva@example.com' }, despues: null, confirmado: false
+        });
+
+        assert.equal(confirmada.confirmado, true);
+        assert.equal(sinConfirmar.confirmado, false);
+    });
+});
@@ -0,0 +1,91 @@
+/**
+ * Pruebas de js/config.js (configuración en tiempo de ejecución)
+ */
+
+import './entorno.js';
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Config, API_CONFIG } from '../js/config.js';
+import { I18n } from '../js/i18n.js';
+
+const preferencias = () => JSON.parse(localStorage.getItem('usuarios.config'));
+
+/**
+ * Resuelve la configuración como al abrir index.html con esos parámetros
+ * @param {string} parametros - Query string (p.ej. '?api=...')
+ * @returns {Promise<Object>} API_CONFIG resuelto
+ */
+function iniciarCon(parametros) {
+    history.replaceState(null, '', `/index.html${parametros}`);
+    return Config.inicializar();
+}
+
+describe('Preferencias guardadas', () => {
+    afterEach(() => {
+        Config.restablecerPreferencias();
+    });
+
+    it('rechaza una URL de API que no es http(s)', () => {
+        assert.throws(() => Config.guardarPreferencias({ BASE_URL: 'ftp://example.com', TIMEOUT: 10000, DEBUG_MODE: true }));
+        assert.equal(localStorage.getItem('usuarios.config'), null);
+    });
+
+    it('completa /api/usuarios cuando solo se indica el servidor', () => {
+        Config.guardarPreferencias({ BASE_URL: 'http://localhost:8080', TIMEOUT: 10000, DEBUG_MODE: true });
+        assert.equal(preferencias().BASE_URL, 'http://localhost:8080/api/usuarios');
+    });
+});
+
+describe('URL de la API en el enlace', () => {
+    afterEach(() => {
+        Config.restablecerPreferencias();
+        history.replaceState(null, '', '/index.html');
+    });
+
+    it('no exige login por defecto', async () => {
+        await iniciarCon('');
+        assert.equal(API_CONFIG.AUTH_HABILITADA, false);
+    });
+
+    it('acepta cualquier API sin autenticación', async () => {
+        await iniciarCon('?api=https://otra.example.com');
+        assert.equal(API_CONFIG.BASE_URL, 'https://otra.example.com/api/usuarios');
+        assert.equal(Config.origenes.BASE_URL, 'url');
+    });
+
+    it('con autenticación ignora una API fuera de los entornos', async () => {
+        Config.guardarPreferencias({ AUTH_HABILITADA: true });
+        await iniciarCon('?api=https://malicioso.example.com/api/usuarios');
+
+        assert.equal(API_CONFIG.AUTH_HABILITADA, true);
+        assert.equal(API_CONFIG.BASE_URL, 'https://usuarios-mvgv.onrender.com/api/usuarios');
+        assert.equal(Config.origenes.BASE_URL, 'defecto');
+        assert.ok(Config.advertencias.some(a => a.includes('malicioso.example.com')));
+    });
+
+    it('tampoco la acepta si el mismo enlace desactiva la autenticación', async () => {
+        Config.guardarPreferencias({ AUTH_HABILITADA: true });
+        await iniciarCon('?auth=false&api=https://malicioso.example.com');
+        assert.equal(API_CONFIG.BASE_URL, 'https://usuarios-mvgv.onrender.com/api/usuarios');
+    });
+
+    it('con autenticación acepta el servidor de un entorno configurado', async () => {
+        Config.guardarPreferencias({ AUTH_HABILITADA: true });
+        await iniciarCon('?api=http://localhost:8080');
+        assert.equal(API_CONFIG.BASE_URL, 'http://localhost:8080/api/usuarios');
+    });
+});
+
+describe('Nombre del entorno', () => {
+    afterEach(() => {
+        API_CONFIG.MOCK = false;
+        I18n.cambiarIdioma('es');
+    });
+
+    it('traduce el del backend simulado', () => {
+        API_CONFIG.MOCK = true;
+        assert.equal(Config.obtenerNombreEntorno(), 'Backend simulado');
+        I18n.cambiarIdioma('en');
+        assert.equal(Config.obtenerNombreEntorno(), 'Simulated backend');
+    });
+});
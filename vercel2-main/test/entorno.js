@@ -0,0 +1,171 @@
+/**
+ * Entorno de las pruebas - Navegador simulado con jsdom
+ *
+ * Carga index.html (sin sus scripts) en jsdom y expone window, document,
+ * localStorage, etc. como globales, igual que los ve la aplicación en el
+ * navegador. Reemplaza además lo que jsdom no trae:
+ *
+ * - bootstrap.Modal: muestra/oculta con la clase "show" y dispara los
+ *   eventos shown/hidden.bs.modal
+ * - IndexedDB: fake-indexeddb (la cola sin conexión de js/offline.js)
+ * - fetch: responde lo que indique `Red.responder` y registra cada petición
+ *
+ * Debe importarse ANTES que los módulos de js/: ui.js lee el DOM y
+ * offline.js detecta IndexedDB al cargarse.
+ *
+ * @module test/entorno
+ *
+ * @example
+ * import { Red, respuestaJson } from './entorno.js';
+ * import { API } from '../js/api.js';
+ *
+ * Red.responder = () => respuestaJson([{ id: 1, nombre: 'Ana', email: 'ana@example.com' }]);
+ * await API.obtenerUsuarios();
+ * Red.peticiones[0].metodo; // 'GET'
+ */
+
+import 'fake-indexeddb/auto';
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+
+const html = readFileSync(new URL('../index.html', import.meta.url), 'utf8')
+    .replace(/<script[\s\S]*?<\/script>/g, '');
+
+const dom = new JSDOM(html, { url: 'http://localhost/index.html', pretendToBeVisual: true });
+const { window } = dom;
+
+// Las pruebas crean su propia App: DOMContentLoaded se detiene en window
+// (fase de captura) para que js/app.js no inicie otra
+window.addEventListener('DOMContentLoaded', e => e.stopPropagation(), { capture: true });
+
+/**
+ * Modal de Bootstrap reducido a lo que usa ui.js
+ * @class Modal
+ */
+class Modal {
+    constructor(elemento) {
+        this.elemento = elemento;
+    }
+
+    show() {
+        this.elemento.classList.add('show');
+        this.elemento.dispatchEvent(new window.Event('shown.bs.modal'));
+    }
+
+    hide() {
+        if (!this.elemento.classList.contains('show')) return;
+        this.elemento.classList.remove('show');
+        this.elemento.dispatchEvent(new window.Event('hidden.bs.modal'));
+    }
+}
+
+window.bootstrap = { Modal };
+window.Element.prototype.scrollIntoView = () => {};
+window.localStorage.setItem('usuarios.idioma', 'es');
+
+const GLOBALES = [
+    'window', 'document', 'navigator', 'location', 'history', 'localStorage', 'sessionStorage',
+    'bootstrap', 'Node', 'HTMLElement', 'HTMLInputElement', 'Event', 'CustomEvent', 'KeyboardEvent',
+    'HashChangeEvent', 'FileReader', 'DOMParser', 'requestAnimationFrame', 'getComputedStyle'
+];
+GLOBALES.forEach(nombre => {
+    Object.defineProperty(globalThis, nombre, {
+        value: nombre === 'window' ? window : window[nombre],
+        configurable: true,
+        writable: true
+    });
+});
+
+// jsdom no implementa las URL de objetos (descarga de exportaciones)
+URL.createObjectURL ??= () => 'blob:prueba';
+URL.revokeObjectURL ??= () => {};
+
+/**
+ * Red simulada: todas las peticiones fetch pasan por aquí
+ *
+ * @namespace Red
+ * @property {Function|null} responder - Recibe (url, opciones) y retorna una Response
+ *           (o la promesa de una). Sin él se responde 404, como un config.json ausente.
+ * @property {Array<{url: string, metodo: string, cabeceras: Object, cuerpo: *}>} peticiones - Peticiones recibidas
+ */
+export const Red = {
+    responder: null,
+    peticiones: [],
+
+    /**
+     * Vuelve al estado inicial (sin respuestas programadas ni peticiones)
+     */
+    reiniciar() {
+        this.responder = null;
+        this.peticiones = [];
+    },
+
+    /**
+     * Peticiones recibidas a la API (descarta config.json)
+     * @returns {Array<Object>} Peticiones en orden
+     */
+    api() {
+        return this.peticiones.filter(p => !p.url.endsWith('config.json'));
+    }
+};
+
+globalThis.fetch = window.fetch = async (url, opciones = {}) => {
+    const texto = String(url);
+    Red.peticiones.push({
+        url: texto,
+        metodo: (opciones.method || 'GET').toUpperCase(),
+        cabeceras: { ...opciones.headers },
+        cuerpo: typeof opciones.body === 'string' ? JSON.parse(opciones.body) : opciones.body ?? null,
+        keepalive: Boolean(opciones.keepalive)
+    });
+    if (!Red.responder || texto.endsWith('config.json')) {
+        return new Response('', { status: 404 });
+    }
+    return Red.responder(texto, opciones);
+};
+
+/**
+ * Crea una respuesta JSON
+ *
+ * @param {*} datos - Cuerpo (se serializa con JSON.stringify)
+ * @param {Object} [opciones={}] - Estado y cabeceras
+ * @param {number} [opciones.status=200] - Código HTTP
+ * @param {Object} [opciones.headers={}] - Cabeceras adicionales (p.ej. ETag)
+ * @returns {Response} Respuesta lista para fetch
+ */
+export function respuestaJson(datos, { status = 200, headers = {} } = {}) {
+    return new Response(JSON.stringify(datos), {
+        status,
+        headers: { 'Content-Type': 'application/json', ...headers }
+    });
+}
+
+/**
+ * Espera a que se resuelvan las promesas y temporizadores pendientes
+ *
+ * @param {number} [ms=0] - Milisegundos a esperar
+ * @returns {Promise<void>}
+ */
+export function esperar(ms = 0) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Espera a que se cumpla una condición (p.ej. que la tabla se redibuje)
+ *
+ * @param {Function} condicion - Retorna (o resuelve) un valor verdadero cuando se cumple
+ * @param {number} [limite=2000] - Milisegundos antes de fallar
+ * @returns {Promise<*>} Valor retornado por la condición
+ * @throws {Error} Si no se cumple dentro del límite
+ */
+export async function esperarHasta(condicion, limite = 2000) {
+    const fin = Date.now() + limite;
+    while (Date.now() < fin) {
+        const valor = await condicion();
+        if (valor) return valor;
+        await esperar(10);
+    }
+    throw new Error(`La condición no se cumplió en ${limite}ms: ${condicion}`);
+}
+
+export { dom };
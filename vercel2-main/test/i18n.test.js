@@ -0,0 +1,39 @@
+/**
+ * Pruebas de js/i18n.js (catálogos e interpolación)
+ */
+
+import './entorno.js';
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { I18n, t } from '../js/i18n.js';
+import { API } from '../js/api.js';
+
+describe('Catálogos de idiomas', () => {
+    afterEach(() => {
+        I18n.cambiarIdioma('es');
+    });
+
+    it('elige singular o plural en español', () => {
+        assert.equal(t('tabla.total', { cantidad: 1 }), 'Total: 1 usuario');
+        assert.equal(t('tabla.total', { cantidad: 5 }), 'Total: 5 usuarios');
+    });
+
+    it('interpola los parámetros en inglés', () => {
+        I18n.cambiarIdioma('en');
+        assert.equal(t('alertas.creado', { nombre: 'Ana' }), 'User "Ana" created successfully');
+    });
+
+    it('valida en el idioma elegido', () => {
+        I18n.cambiarIdioma('en');
+        assert.throws(
+            () => API.validarDatosUsuario({ nombre: 'Test Usuario', email: 'no-es-email', password: null }, true),
+            { message: 'The email is not valid' }
+        );
+    });
+
+    it('ignora un idioma desconocido', () => {
+        I18n.cambiarIdioma('en');
+        assert.equal(I18n.cambiarIdioma('xx'), false);
+        assert.equal(I18n.idioma(), 'en');
+    });
+});
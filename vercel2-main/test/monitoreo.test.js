@@ -0,0 +1,77 @@
+/**
+ * Pruebas de js/monitoreo.js (reporte de errores en lotes)
+ */
+
+import { Red } from './entorno.js';
+import { describe, it, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { API_CONFIG, VERSION_APP } from '../js/config.js';
+import { ApiError } from '../js/api.js';
+import { Monitoreo } from '../js/monitoreo.js';
+
+const COLECTOR = 'http://colector.prueba/api/errores';
+
+/** Llamadas a navigator.sendBeacon ({url, datos}) */
+const balizas = [];
+
+const lotesEnviados = () => Red.peticiones.filter(p => p.url === COLECTOR);
+
+describe('Reporte de errores', () => {
+    before(() => {
+        API_CONFIG.REPORTE_ERRORES = COLECTOR;
+        navigator.sendBeacon = (url, datos) => {
+            balizas.push({ url, datos });
+            return true;
+        };
+        Monitoreo.iniciar();
+    });
+
+    beforeEach(() => {
+        Red.reiniciar();
+        Red.responder = () => new Response(null, { status: 204 });
+    });
+
+    it('agrupa los repetidos en un lote con el formato documentado', () => {
+        const conflicto = new ApiError('El email ya está registrado', 409, { error: 'duplicado' }, '/api/usuarios');
+        Monitoreo.registrar('Error al guardar usuario:', conflicto);
+        Monitoreo.registrar('Error al guardar usuario:', conflicto);
+        Monitoreo.registrar('Error al cargar usuarios:', new TypeError('Failed to fetch'));
+        Monitoreo.enviar();
+
+        const [lote] = lotesEnviados();
+        assert.equal(lote.metodo, 'POST');
+        assert.equal(lote.cabeceras['Content-Type'], 'text/plain;charset=UTF-8');
+        assert.deepEqual(Object.keys(lote.cuerpo), ['version', 'navegador', 'pagina', 'errores']);
+        assert.equal(lote.cuerpo.version, VERSION_APP);
+        assert.equal(lote.cuerpo.pagina, '/index.html');
+
+        const [guardar, cargar] = lote.cuerpo.errores;
+        assert.deepEqual(Object.keys(guardar).sort(),
+            ['accion', 'detalles', 'endpoint', 'error', 'fecha', 'mensaje', 'repeticiones', 'status']);
+        assert.equal(guardar.repeticiones, 2);
+        assert.equal(guardar.status, 409);
+        assert.equal(guardar.endpoint, '/api/usuarios');
+        assert.deepEqual(guardar.detalles, { error: 'duplicado' });
+        assert.equal(guardar.error.nombre, 'ApiError');
+        assert.equal(cargar.status, null);
+        assert.equal(cargar.repeticiones, 1);
+    });
+
+    it('no vuelve a enviar un error ya enviado dentro de la ventana', () => {
+        Monitoreo.registrar('Error al cargar usuarios:', new TypeError('Failed to fetch'));
+        Monitoreo.enviar();
+        assert.equal(lotesEnviados().length, 0);
+    });
+
+    it('al cerrar la pestaña envía el lote con sendBeacon', async () => {
+        Monitoreo.registrar('Error al eliminar usuario:', new ApiError('No encontrado', 404));
+        window.dispatchEvent(new Event('pagehide'));
+
+        assert.equal(lotesEnviados().length, 0);
+        assert.equal(balizas.length, 1);
+        assert.equal(balizas[0].url, COLECTOR);
+        assert.equal(balizas[0].datos.type, 'text/plain;charset=utf-8');
+        const lote = JSON.parse(await balizas[0].datos.text());
+        assert.equal(lote.errores[0].mensaje, 'Error al eliminar usuario:');
+    });
+});
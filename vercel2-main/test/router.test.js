@@ -0,0 +1,36 @@
+/**
+ * Pruebas de js/router.js (rutas en el hash de la URL)
+ */
+
+import './entorno.js';
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { Router } from '../js/router.js';
+
+describe('Router', () => {
+    const rutas = [];
+
+    before(() => {
+        Router.suscribir(ruta => rutas.push(ruta));
+        Router.iniciar();
+    });
+
+    it('interpreta las rutas con parámetros', () => {
+        assert.deepEqual(Router.resolver('#/usuarios/7/editar'),
+            { nombre: 'editar', params: { id: '7' }, hash: '#/usuarios/7/editar' });
+        assert.equal(Router.resolver('#/desconocida'), null);
+        assert.equal(Router.enlace('detalle', { id: 'a b' }), '#/usuarios/a%20b');
+    });
+
+    it('no falla con un escape % inválido', () => {
+        assert.equal(Router.resolver('#/usuarios/%E0%A4%A'), null);
+    });
+
+    it('lleva un enlace mal formado a la ruta inicial', () => {
+        history.replaceState(null, '', '#/usuarios/%E0%A4%A/editar');
+        window.dispatchEvent(new HashChangeEvent('hashchange'));
+
+        assert.equal(location.hash, '#/usuarios');
+        assert.equal(rutas.at(-1).nombre, 'usuarios');
+    });
+});
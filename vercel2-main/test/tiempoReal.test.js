@@ -0,0 +1,116 @@
+/**
+ * Pruebas de js/tiempoReal.js (autenticación del stream de cambios)
+ *
+ * jsdom no trae EventSource: se reemplaza por uno que solo registra con
+ * qué URL y opciones se abrió.
+ */
+
+import { Red, respuestaJson, esperar, esperarHasta } from './entorno.js';
+import { describe, it, before, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { API_CONFIG } from '../js/config.js';
+import { Auth } from '../js/auth.js';
+import { TiempoReal } from '../js/tiempoReal.js';
+
+const API = 'https://api.prueba/api/usuarios';
+const TOKEN = 'token-de-la-sesion';
+
+/** Streams abiertos ({url, opciones}) */
+let streams = [];
+
+class EventSourceSimulado {
+    static CLOSED = 2;
+
+    constructor(url, opciones) {
+        this.readyState = 0;
+        streams.push({ url: new URL(url), opciones });
+    }
+
+    addEventListener() {}
+
+    close() {}
+}
+
+const iniciar = () => TiempoReal.iniciar({ alCambio: () => {}, alSondear: () => {} });
+
+describe('Autenticación del stream de cambios', () => {
+    before(() => {
+        globalThis.EventSource = EventSourceSimulado;
+        Object.assign(API_CONFIG, {
+            BASE_URL: API, MOCK: false, AUTH_HABILITADA: true, TIEMPO_REAL: 'sse', INTERVALO_SONDEO: 0
+        });
+    });
+
+    beforeEach(() => {
+        streams = [];
+        Red.reiniciar();
+        Auth.guardarSesion(TOKEN);
+    });
+
+    afterEach(() => {
+        TiempoReal.detener();
+        Auth.cerrarSesion();
+        API_CONFIG.AUTH_STREAM = 'ticket';
+    });
+
+    it('por defecto abre el stream con un ticket, nunca con el token', async () => {
+        Red.responder = () => respuestaJson({ ticket: 'ticket-1' });
+        iniciar();
+
+        const [stream] = await esperarHasta(() => streams.length && streams);
+        assert.equal(stream.url.href, `${API}/stream?ticket=ticket-1`);
+        assert.ok(!stream.url.href.includes(TOKEN));
+
+        const [pedido] = Red.api();
+        assert.equal(pedido.url, `${API}/stream/ticket`);
+        assert.equal(pedido.metodo, 'POST');
+        assert.equal(pedido.cabeceras.Authorization, `Bearer ${TOKEN}`);
+    });
+
+    it('sin ticket no abre el stream y sondea', async () => {
+        Red.responder = () => respuestaJson({ error: 'Not Found' }, { status: 404 });
+        iniciar();
+
+        await esperarHasta(() => TiempoReal.obtenerModo() === 'sondeo');
+        assert.equal(streams.length, 0);
+    });
+
+    it('un 401 al pedir el ticket no cierra la sesión y sondea', async () => {
+        Red.responder = () => respuestaJson({ error: 'Token inválido' }, { status: 401 });
+        iniciar();
+
+        await esperarHasta(() => TiempoReal.obtenerModo() === 'sondeo');
+        assert.equal(streams.length, 0);
+        assert.equal(Auth.obtenerToken(), TOKEN);
+    });
+
+    it("con 'cookie' abre el stream sin credenciales en la URL", async () => {
+        API_CONFIG.AUTH_STREAM = 'cookie';
+        iniciar();
+
+        const [stream] = await esperarHasta(() => streams.length && streams);
+        assert.equal(stream.url.href, `${API}/stream`);
+        assert.equal(stream.opciones.withCredentials, true);
+        assert.equal(Red.api().length, 0);
+    });
+
+    it("solo con 'url' envía el token en access_token", async () => {
+        API_CONFIG.AUTH_STREAM = 'url';
+        iniciar();
+
+        const [stream] = await esperarHasta(() => streams.length && streams);
+        assert.equal(stream.url.searchParams.get('access_token'), TOKEN);
+    });
+
+    it('no abre un stream si la suscripción se detuvo mientras llegaba el ticket', async () => {
+        Red.responder = async () => {
+            await esperar(20);
+            return respuestaJson({ ticket: 'ticket-tarde' });
+        };
+        iniciar();
+        TiempoReal.detener();
+
+        await esperar(60);
+        assert.equal(streams.length, 0);
+    });
+});
@@ -0,0 +1,216 @@
+/**
+ * Pruebas de js/ui.js (Vista)
+ *
+ * Se trabaja sobre el DOM de index.html cargado en jsdom: tabla, modales,
+ * formulario generado desde el esquema y notificaciones.
+ */
+
+import { esperar } from './entorno.js';
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { UI, DOM } from '../js/ui.js';
+import { Esquema } from '../js/esquema.js';
+
+const ANA = {
+    id: 1, nombre: 'Ana García', email: 'ana@example.com', telefono: '+54 11 4321-5678',
+    departamento: 'ventas', activo: true, fechaCreacion: '2024-01-15T10:30:00.000Z'
+};
+const LUIS = { id: 2, nombre: 'Luis Pérez', email: 'luis@example.com', activo: false };
+
+const abierto = modal => document.getElementById(modal).classList.contains('show');
+
+describe('escaparHTML', () => {
+    it('escapa las etiquetas <script>', () => {
+        const escapado = UI.escaparHTML('<script>alert("XSS")</script>');
+        assert.equal(escapado, '&lt;script&gt;alert(&quot;XSS&quot;)&lt;/script&gt;');
+    });
+
+    it('escapa comillas dobles y simples', () => {
+        assert.equal(UI.escaparHTML('Test "quotes" here'), 'Test &quot;quotes&quot; here');
+        assert.equal(UI.escaparHTML("O'Brien & Co"), 'O&#39;Brien &amp; Co');
+    });
+});
+
+describe('Tabla de usuarios', () => {
+    beforeEach(() => {
+        DOM.usuariosTableBody.innerHTML = '';
+    });
+
+    it('genera un encabezado por columna del esquema', () => {
+        const encabezados = [...DOM.tablaUsuarios.querySelectorAll('thead th')];
+        // Selección + columnas del esquema + Acciones
+        assert.equal(encabezados.length, Esquema.enTabla().length + 2);
+        assert.deepEqual(
+            [...DOM.tablaUsuarios.querySelectorAll('thead th[data-orden]')].map(th => th.dataset.orden),
+            Esquema.enTabla().filter(c => c.ordenable).map(c => c.nombre)
+        );
+    });
+
+    it('dibuja una fila por usuario con las celdas del esquema', () => {
+        UI.renderizarUsuarios([ANA, LUIS]);
+
+        const filas = DOM.usuariosTableBody.querySelectorAll('tr');
+        assert.equal(filas.length, 2);
+        assert.equal(filas[0].dataset.usuarioId, '1');
+        assert.equal(filas[0].children.length, Esquema.enTabla().length + 2);
+        assert.equal(filas[0].querySelector('.link-usuario').getAttribute('href'), '#/usuarios/1');
+        assert.match(filas[0].textContent, /ana@example\.com/);
+        assert.match(filas[1].textContent, /—/);
+        assert.equal(DOM.totalUsuarios.textContent, 'Total: 2 usuarios');
+    });
+
+    it('muestra el estado vacío sin usuarios', () => {
+        UI.renderizarUsuarios([]);
+        assert.ok(!DOM.emptyState.classList.contains('d-none'));
+        assert.ok(DOM.tablaUsuarios.classList.contains('d-none'));
+        assert.equal(DOM.totalUsuarios.textContent, 'Total: 0 usuarios');
+    });
+
+    it('muestra "sin resultados" si la búsqueda no coincide', () => {
+        UI.renderizarUsuarios([], 5, 0);
+        assert.ok(DOM.usuariosTableBody.querySelector('.fila-sin-resultados'));
+        assert.equal(DOM.totalUsuarios.textContent, 'Mostrando 0 de 5 usuarios');
+    });
+
+    it('muestra solo las acciones permitidas', () => {
+        UI.renderizarUsuarios([ANA, LUIS], 2, 2, usuario => ({ editar: usuario.id === 1, eliminar: false }));
+
+        const [fila1, fila2] = DOM.usuariosTableBody.querySelectorAll('tr');
+        assert.ok(fila1.querySelector('.btn-editar'));
+        assert.equal(fila1.querySelector('.btn-eliminar'), null);
+        assert.equal(fila2.querySelector('.btn-action'), null);
+    });
+
+    it('escapa los datos del usuario', () => {
+        UI.renderizarUsuarios([{ id: 3, nombre: '<img src=x onerror=alert(1)>"', email: 'x@example.com' }]);
+        assert.equal(DOM.usuariosTableBody.querySelector('img'), null);
+        assert.equal(DOM.usuariosTableBody.querySelector('.btn-editar').dataset.nombre, '<img src=x onerror=alert(1)>"');
+    });
+});
+
+describe('Modal de usuario', () => {
+    beforeEach(() => {
+        UI.cerrarModalUsuario();
+    });
+
+    it('abre el alta con el formulario vacío y la contraseña obligatoria', () => {
+        UI.mostrarModalNuevoUsuario();
+
+        assert.ok(abierto('modalUsuario'));
+        assert.equal(DOM.usuarioId.value, '');
+        assert.equal(DOM.nombre.value, '');
+        assert.ok(DOM.password.required);
+        assert.equal(DOM.formUsuario.elements.activo.checked, true);
+    });
+
+    it('precarga la edición y deja la contraseña opcional', () => {
+        UI.mostrarModalEditarUsuario(ANA);
+
+        assert.ok(abierto('modalUsuario'));
+        assert.equal(UI.obtenerIdUsuario(), 1);
+        assert.equal(DOM.nombre.value, 'Ana García');
+        assert.equal(DOM.formUsuario.elements.departamento.value, 'ventas');
+        assert.ok(!DOM.password.required);
+        assert.ok(UI.estaEditando(1));
+    });
+
+    it('lee el formulario según el esquema', () => {
+        UI.mostrarModalEditarUsuario(LUIS);
+        DOM.nombre.value = '  Luis Pérez Gómez  ';
+
+        assert.deepEqual(UI.obtenerDatosFormulario(), {
+            nombre: 'Luis Pérez Gómez', email: 'luis@example.com', telefono: null,
+            departamento: null, activo: false, password: null
+        });
+    });
+
+    it('marca y limpia los errores de campo del backend', () => {
+        UI.mostrarModalEditarUsuario(ANA);
+
+        assert.deepEqual(UI.mostrarErroresDeCampo({ email: 'El email ya está registrado', otro: 'x' }), ['email']);
+        assert.ok(DOM.email.classList.contains('is-invalid'));
+        assert.equal(DOM.email.validationMessage, 'El email ya está registrado');
+        assert.equal(document.activeElement, DOM.email);
+
+        UI.limpiarErrorDeCampo('email');
+        assert.ok(!DOM.email.classList.contains('is-invalid'));
+        assert.equal(DOM.email.validationMessage, '');
+    });
+
+    it('muestra la confirmación de eliminación con los datos del usuario', () => {
+        UI.mostrarModalConfirmarEliminar(ANA);
+
+        assert.ok(abierto('modalConfirmarEliminar'));
+        assert.equal(DOM.nombreUsuarioEliminar.textContent, 'Ana García');
+        assert.equal(DOM.btnConfirmarEliminar.dataset.id, '1');
+        UI.cerrarModalConfirmar();
+    });
+});
+
+describe('Vista de detalle', () => {
+    it('muestra los campos visibles del esquema (nunca la contraseña)', () => {
+        UI.mostrarDetalleUsuario({ ...ANA, password: 'Secreta123' }, { editar: false });
+
+        const campos = [...DOM.datosDetalle.querySelectorAll('[data-campo]')].map(dd => dd.dataset.campo);
+        assert.deepEqual(campos, Esquema.visibles().map(c => c.nombre));
+        assert.ok(!DOM.datosDetalle.textContent.includes('Secreta123'));
+        assert.equal(DOM.datosDetalle.querySelector('[data-campo="departamento"]').textContent.trim(), 'Ventas');
+        assert.ok(DOM.btnEditarDetalle.classList.contains('d-none'));
+    });
+});
+
+describe('Notificaciones', () => {
+    beforeEach(() => {
+        DOM.alertContainer.innerHTML = '';
+        UI.limpiarNotificaciones();
+    });
+
+    it('apila la notificación escapada y la guarda en el historial', () => {
+        UI.mostrarAlerta('<b>Hola</b>', 'success');
+
+        const notificacion = DOM.alertContainer.querySelector('.notificacion');
+        assert.equal(notificacion.getAttribute('role'), 'status');
+        assert.equal(notificacion.querySelector('b'), null);
+        assert.equal(DOM.contadorNotificaciones.textContent, '1');
+        assert.match(DOM.listaNotificaciones.textContent, /<b>Hola<\/b>/);
+    });
+
+    it('anuncia los errores como alert y los deja hasta cerrarlos', () => {
+        UI.mostrarAlerta('Falló', 'danger');
+        assert.equal(DOM.alertContainer.querySelector('.notificacion').getAttribute('role'), 'alert');
+    });
+
+    it('ejecuta la acción y cierra la notificación', async () => {
+        let deshecho = false;
+        UI.mostrarAlerta('Usuario eliminado', 'success', {
+            accion: { texto: 'Deshacer', alHacerClick: () => { deshecho = true; } }
+        });
+
+        DOM.alertContainer.querySelector('.btn-accion-alerta').click();
+        assert.ok(deshecho);
+        await esperar(200);
+        assert.equal(DOM.alertContainer.querySelector('.notificacion'), null);
+    });
+
+    it('se oculta sola al vencer la duración', async () => {
+        UI.mostrarAlerta('Guardado', 'success', { duracion: 10 });
+        await esperar(200);
+        assert.equal(DOM.alertContainer.querySelector('.notificacion'), null);
+    });
+
+    it('pausa la cuenta con el puntero encima', async () => {
+        UI.mostrarAlerta('Guardado', 'success', { duracion: 10 });
+        DOM.alertContainer.querySelector('.notificacion').dispatchEvent(new Event('mouseenter'));
+        await esperar(200);
+        assert.ok(DOM.alertContainer.querySelector('.notificacion.show'));
+    });
+
+    it('no pausa un plazo real (pausable: false)', async () => {
+        UI.mostrarAlerta('Usuario eliminado', 'success', { duracion: 10, pausable: false });
+        const notificacion = DOM.alertContainer.querySelector('.notificacion');
+        notificacion.dispatchEvent(new Event('mouseenter'));
+        notificacion.dispatchEvent(new Event('focusin'));
+        await esperar(200);
+        assert.equal(DOM.alertContainer.querySelector('.notificacion'), null);
+    });
+});